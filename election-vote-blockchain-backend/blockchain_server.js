@@ -1,42 +1,85 @@
 /**
  * @fileoverview Main entry point for the Node.js Election Blockchain API server.
  * This file sets up Express.js and orchestrates the interaction
- * between the blockchain core logic, Firebase Firestore persistence, and API routes.
+ * between the blockchain core logic, the configured storage backend, and API routes.
  */
 
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
-import { Blockchain } from './src/core/blockchain.js'; // Updated import path
+import { ElectionRegistry } from './src/core/electionRegistry.js';
 import { initializeFirebaseAndFirestore } from './src/config/firebaseConfig.js'; // Updated import path
+import { loadServerConfig } from './src/config/serverConfig.js';
+import { createStorage, KeyStore } from './src/storage/index.js';
+import { AdminUserStore } from './src/auth/adminUserStore.js';
+import { TokenService } from './src/auth/tokenService.js';
 import { createApiRouter } from './src/api/index.js'; // Import the new API router creator
+import { PeerNetwork } from './src/network/peerNetwork.js';
+import { AuthoritySet } from './src/core/authority.js';
+import { ElectionScheduler } from './src/core/electionLifecycle.js';
 
 // --- API Setup using Express.js ---
 const app = express();
-const PORT = 3001;
 
-// Middleware
-app.use(express.json());
 app.use(cors());
 
-// Create the blockchain instance
-const myBlockchain = new Blockchain();
-
 // --- Server Startup Sequence ---
 (async () => {
     try {
-        // Initialize Firebase and load blockchain state
-        await initializeFirebaseAndFirestore();
-        await myBlockchain.loadChainAndElectionStateFromDatabase();
+        const config = loadServerConfig();
+
+        // Middleware: JSON bodies everywhere, CSV bodies for voter roll imports
+        app.use(express.json({ limit: config.requestBodyLimit }));
+        app.use(express.text({ type: 'text/csv', limit: config.requestBodyLimit }));
+
+        // Pick the storage backend (STORAGE_BACKEND=firestore|file|memory)
+        if (config.storage.backend === 'firestore') {
+            await initializeFirebaseAndFirestore();
+        }
+        const storage = createStorage(config.storage);
+        console.log(`Using ${storage.name} storage backend.`);
+
+        // Load the authorities (block sealers under CONSENSUS=poa, admin action signers in any mode) and this node's key, if any
+        const authorities = await AuthoritySet.fromConfig(config.consensus);
+        console.log(`Consensus: ${config.consensus.mode}${authorities.canSeal() ? ` (signing as '${authorities.signer.id}')` : ''}.`);
+        if (!authorities.canSeal()) {
+            console.warn('No active authority key (AUTHORITY_ID, AUTHORITY_KEY_FILE): this node cannot create elections or record admin actions.');
+        }
+
+        // Load every election (each one is its own blockchain)
+        const electionRegistry = new ElectionRegistry(storage, {
+            loadFailurePolicy: config.loadFailurePolicy,
+            blockProduction: config.blockProduction,
+            mining: config.mining,
+            consensus: { mode: config.consensus.mode, authorities },
+            keyStore: new KeyStore(config.storage.secretsDir)
+        });
+        await electionRegistry.loadElections();
+        electionRegistry.startBlockProduction(); // Mine any votes recovered from the write-ahead log
+        new ElectionScheduler(electionRegistry).start(); // Open and close elections at their scheduled times
+
+        // Load admin accounts and set up session tokens
+        const userStore = await AdminUserStore.fromConfig(config.auth);
+        let tokenSecret = config.auth.tokenSecret;
+        if (!tokenSecret) {
+            console.warn('AUTH_TOKEN_SECRET is not set. Using a random secret; admin sessions end when the server restarts.');
+            tokenSecret = crypto.randomBytes(32).toString('hex');
+        }
+        const tokenService = new TokenService(tokenSecret, config.auth.tokenTtlSeconds);
+
+        // Connect to the other nodes (PEERS, NODE_URL)
+        const network = new PeerNetwork(electionRegistry, config.network);
 
-        // Create and mount the API router AFTER blockchain is loaded
+        // Create and mount the API router AFTER the elections are loaded
         // All API routes will be accessible relative to the root '/' path
-        app.use('/', createApiRouter(myBlockchain));
+        app.use('/', createApiRouter(electionRegistry, { userStore, tokenService }, network));
 
         // Start the Express server
-        app.listen(PORT, () => {
-            console.log(`Election Blockchain API listening on port ${PORT}`);
-            console.log('Access the API at: http://localhost:3001');
-            console.log('Firebase and Election Blockchain loaded successfully!');
+        app.listen(config.port, () => {
+            console.log(`Election Blockchain API listening on port ${config.port}`);
+            console.log(`Access the API at: http://localhost:${config.port}`);
+            console.log('Storage and Election Blockchain loaded successfully!');
+            network.start(); // Resync from peers once this node can answer them
         });
     } catch (error) {
         console.error('Server startup failed:', error);
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line tools for operating an election node.
+ * Usage: node election_cli.js <command> [arguments]
+ */
+
+import * as hashPasswordCommand from './src/cli/hashPasswordCommand.js';
+import * as auditCommand from './src/cli/auditCommand.js';
+import * as authorityKeygenCommand from './src/cli/authorityKeygenCommand.js';
+import * as verifyCertificateCommand from './src/cli/verifyCertificateCommand.js';
+import * as exportElectionCommand from './src/cli/exportElectionCommand.js';
+import * as importElectionCommand from './src/cli/importElectionCommand.js';
+import * as simulateCommand from './src/cli/simulateCommand.js';
+
+const COMMANDS = {
+    'hash-password': hashPasswordCommand,
+    'audit': auditCommand,
+    'authority-keygen': authorityKeygenCommand,
+    'verify-certificate': verifyCertificateCommand,
+    'export-election': exportElectionCommand,
+    'import-election': importElectionCommand,
+    'simulate': simulateCommand
+};
+
+const printUsage = () => {
+    console.log('Usage: node election_cli.js <command> [arguments]\n\nCommands:');
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(20)} ${command.description}`);
+    }
+};
+
+(async () => {
+    const [commandName, ...args] = process.argv.slice(2);
+    const command = COMMANDS[commandName];
+    if (!command) {
+        printUsage();
+        process.exit(commandName ? 1 : 0);
+    }
+    try {
+        process.exit(await command.run(args));
+    } catch (error) {
+        console.error(`${commandName} failed:`, error.message);
+        process.exit(1);
+    }
+})();
@@ -1,26 +1,31 @@
 /**
  * @fileoverview Defines API routes for administrative tasks related to the election blockchain.
- * These routes would typically be secured in a production environment.
+ * Every route requires an authenticated user (see `authenticate`); each route then checks roles.
  */
 
 import { Router } from 'express';
-
-const router = Router();
+import { requireRole } from './middleware.js';
+import { ROLES, ALL_ROLES } from '../auth/roles.js';
+import { VOTER_ROLL_FORMATS, readVoterRows, formatVoterCsv } from '../core/voterRoll.js';
+import { buildArchive } from '../core/electionArchive.js';
 
 /**
- * Creates and exports Express router with admin-specific API endpoints.
- * @param {object} blockchainInstance - The instance of the Blockchain class.
+ * Creates and exports Express router with admin-specific API endpoints for one election.
+ * The router expects `req.blockchain` to be set by the `resolveElection` middleware
+ * and `req.user` to be set by the `authenticate` middleware.
  * @returns {Router} An Express router configured with admin routes.
  */
-export const createAdminRoutes = (blockchainInstance) => {
-    // Register a voter ID
-    router.post('/register-voter', async (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading. Please try again shortly.' }); }
-        const { voterId } = req.body;
-        try {
-            const registered = await blockchainInstance.registerVoter(voterId);
-            if (registered) {
-                res.status(200).json({ message: `Voter '${voterId}' registered successfully.` });
+export const createAdminRoutes = () => {
+    const router = Router();
+
+    // Register a voter ID. Without a publicKey, a key pair is generated and the private key
+    // is returned once in `credential` so it can be handed to the voter.
+    router.post('/register-voter', requireRole(ROLES.REGISTRAR), async (req, res) => {
+        const { voterId, publicKey, attributes } = req.body;
+        try {
+            const credential = await req.blockchain.registerVoter(voterId, publicKey, attributes, req.user.username);
+            if (credential) {
+                res.status(200).json({ message: `Voter '${voterId}' registered successfully.`, credential });
             } else {
                 res.status(409).json({ message: `Voter '${voterId}' is already registered.` });
             }
@@ -30,29 +35,234 @@ export const createAdminRoutes = (blockchainInstance) => {
         }
     });
 
-    // Set election status (open/close)
-    router.post('/set-election-status', async (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
+    // Import voters in bulk: CSV (Content-Type: text/csv) with a voterId column, or a JSON array.
+    // Rows with errors are reported and skipped; the other rows are registered.
+    router.post('/voters/import', requireRole(ROLES.REGISTRAR), async (req, res) => {
+        try {
+            const { importedCount, errors } = await req.blockchain.importVoters(readVoterRows(req.body), req.user.username);
+            res.status(200).json({ message: `Imported ${importedCount} voter(s); ${errors.length} row(s) skipped.`, importedCount, errors });
+        } catch (error) {
+            console.error("Error importing voters:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Export the voter roll as CSV or JSON (?format=csv|json)
+    router.get('/voters/export', requireRole(...ALL_ROLES), (req, res) => {
+        const format = req.query.format || 'csv';
+        if (!VOTER_ROLL_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Format must be one of: ${VOTER_ROLL_FORMATS.join(', ')}.` });
+        }
+        const voters = req.blockchain.getVoterRecords();
+        res.attachment(`${req.blockchain.electionId}-voters.${format}`);
+        if (format === 'csv') {
+            res.type('text/csv').send(formatVoterCsv(voters));
+        } else {
+            res.json(voters);
+        }
+    });
+
+    // Remove a voter from the roll (only before voting opens)
+    router.delete('/voters/:voterId', requireRole(ROLES.REGISTRAR), async (req, res) => {
+        const { voterId } = req.params;
+        try {
+            const removed = await req.blockchain.deregisterVoter(voterId, req.user.username);
+            if (removed) {
+                res.status(200).json({ message: `Voter '${voterId}' deregistered.` });
+            } else {
+                res.status(404).json({ message: `Voter '${voterId}' is not registered.` });
+            }
+        } catch (error) {
+            console.error("Error deregistering voter:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Replace a voter's credential (only before they have voted)
+    router.post('/voters/:voterId/credential', requireRole(ROLES.REGISTRAR), async (req, res) => {
+        const { voterId } = req.params;
+        const { publicKey } = req.body;
+        try {
+            const credential = await req.blockchain.issueVoterCredential(voterId, publicKey, req.user.username);
+            if (credential) {
+                res.status(200).json({ message: `New credential issued for voter '${voterId}'.`, credential });
+            } else {
+                res.status(404).json({ message: `Voter '${voterId}' is not registered.` });
+            }
+        } catch (error) {
+            console.error("Error issuing voter credential:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Set election status (open/close); kept for older clients, it maps onto phase transitions
+    router.post('/set-election-status', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
         const { isOpen } = req.body; // Expects `true` or `false`
         try {
-            await blockchainInstance.setElectionStatus(isOpen);
-            res.status(200).json({ message: `Election status set to: ${isOpen ? 'Open' : 'Closed'}.` });
+            await req.blockchain.setElectionStatus(isOpen, req.user.username);
+            res.status(200).json({ message: `Election status set to: ${isOpen ? 'Open' : 'Closed'}.`, phase: req.blockchain.phase });
         } catch (error) {
             console.error("Error setting election status:", error);
             res.status(400).json({ message: error.message });
         }
     });
 
-    // Get current election status
-    router.get('/election-status', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        res.json({ isElectionOpen: blockchainInstance.isElectionOpen });
+    // Move the election to its next phase (draft -> registration -> voting -> closed -> tallying -> certified)
+    router.post('/phase', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { phase } = req.body;
+        try {
+            const transition = await req.blockchain.transitionPhase(phase, req.user.username);
+            res.status(200).json({ message: `Election moved to phase: ${phase}.`, transition });
+        } catch (error) {
+            console.error("Error changing election phase:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Schedule when voting opens and closes; the server applies it automatically
+    router.post('/schedule', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { opensAt, closesAt } = req.body;
+        try {
+            const schedule = await req.blockchain.setSchedule({ opensAt, closesAt }, req.user.username);
+            res.status(200).json({ message: 'Election schedule saved.', schedule });
+        } catch (error) {
+            console.error("Error setting election schedule:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Switch between open and secret ballots (only before voting starts)
+    router.post('/ballot-mode', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { ballotMode } = req.body;
+        try {
+            await req.blockchain.setBallotMode(ballotMode, req.user.username);
+            res.status(200).json({ message: `Ballot mode set to: ${ballotMode}.` });
+        } catch (error) {
+            console.error("Error setting ballot mode:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Allow or forbid replacing a vote with a later one (open ballots, only before voting starts)
+    router.post('/revoting', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { allowRevoting } = req.body;
+        try {
+            await req.blockchain.setAllowRevoting(allowRevoting, req.user.username);
+            res.status(200).json({ message: allowRevoting ? 'Revoting allowed: a later vote replaces the voter\'s earlier one.' : 'Revoting not allowed: each voter votes once.' });
+        } catch (error) {
+            console.error("Error setting revoting:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Choose how ballots are shaped and counted (only before voting starts)
+    router.post('/voting-method', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { votingMethod, seats = 1 } = req.body;
+        try {
+            await req.blockchain.setVotingMethod(votingMethod, seats, req.user.username);
+            res.status(200).json({ message: `Voting method set to: ${votingMethod}.` });
+        } catch (error) {
+            console.error("Error setting voting method:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Restrict voting to voters with matching attributes, e.g. { eligibility: { district: ['north'] } } (only before voting starts)
+    router.post('/eligibility', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { eligibility } = req.body;
+        try {
+            const rules = await req.blockchain.setEligibility(eligibility, req.user.username);
+            res.status(200).json({ message: 'Eligibility rules saved.', eligibility: rules });
+        } catch (error) {
+            console.error("Error setting eligibility:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Get current election status, with the phase, schedule and transition history
+    router.get('/election-status', requireRole(...ALL_ROLES), (req, res) => {
+        res.json({
+            ...req.blockchain.getLifecycle(),
+            isElectionOpen: req.blockchain.isElectionOpen,
+            candidatesLocked: req.blockchain.areCandidatesLocked(),
+            ballotMode: req.blockchain.ballotMode,
+            allowRevoting: req.blockchain.allowRevoting,
+            votingMethod: req.blockchain.votingMethod,
+            seats: req.blockchain.seats,
+            eligibility: req.blockchain.eligibility,
+            pendingTransactionCount: req.blockchain.pendingTransactions.length
+        });
+    });
+
+    // Turnout, votes over time and turnout per voter attribute (?bucketMinutes= sets the time bucket size)
+    router.get('/analytics', requireRole(...ALL_ROLES), (req, res) => {
+        const bucketMinutes = req.query.bucketMinutes === undefined ? undefined : Number(req.query.bucketMinutes);
+        if (bucketMinutes !== undefined && !(Number.isInteger(bucketMinutes) && bucketMinutes > 0)) {
+            return res.status(400).json({ message: 'bucketMinutes must be a positive integer.' });
+        }
+        res.json(req.blockchain.getAnalytics({ bucketMinutes }));
+    });
+
+    // Get list of candidates with all their details
+    router.get('/candidates', requireRole(...ALL_ROLES), (req, res) => {
+        res.json(req.blockchain.getCandidates());
+    });
+
+    // Add a candidate
+    router.post('/candidates', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { id, name, party, description, photoUrl } = req.body;
+        try {
+            const candidate = await req.blockchain.addCandidate({ id, name, party, description, photoUrl }, req.user.username);
+            res.status(201).json({ message: `Candidate '${candidate.name}' added.`, candidate });
+        } catch (error) {
+            console.error("Error adding candidate:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Update a candidate
+    router.put('/candidates/:candidateId', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { candidateId } = req.params;
+        const { name, party, description, photoUrl } = req.body;
+        try {
+            const candidate = await req.blockchain.updateCandidate(candidateId, { name, party, description, photoUrl }, req.user.username);
+            if (candidate) {
+                res.status(200).json({ message: `Candidate '${candidateId}' updated.`, candidate });
+            } else {
+                res.status(404).json({ message: `Candidate '${candidateId}' not found.` });
+            }
+        } catch (error) {
+            console.error("Error updating candidate:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Remove a candidate
+    router.delete('/candidates/:candidateId', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { candidateId } = req.params;
+        try {
+            const removed = await req.blockchain.removeCandidate(candidateId, req.user.username);
+            if (removed) {
+                res.status(200).json({ message: `Candidate '${candidateId}' removed.` });
+            } else {
+                res.status(404).json({ message: `Candidate '${candidateId}' not found.` });
+            }
+        } catch (error) {
+            console.error("Error removing candidate:", error);
+            res.status(400).json({ message: error.message });
+        }
     });
 
     // Get list of registered voters
-    router.get('/registered-voters', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        res.json(Array.from(blockchainInstance.registeredVoters));
+    router.get('/registered-voters', requireRole(...ALL_ROLES), (req, res) => {
+        res.json(Array.from(req.blockchain.registeredVoters.keys()));
+    });
+
+    // Download the election archive: chain, setup and pending transactions, with a manifest hash
+    router.get('/archive', requireRole(...ALL_ROLES), (req, res) => {
+        const archive = buildArchive(req.blockchain, { exportedBy: req.user.username, exportedAt: new Date().toISOString() });
+        res.attachment(`${req.blockchain.electionId}-archive.json`);
+        res.json(archive);
     });
 
     return router;
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Defines API routes for admin login and session information.
+ */
+
+import { Router } from 'express';
+import { authenticate } from './middleware.js';
+
+/**
+ * Creates and exports Express router with authentication endpoints.
+ * @param {import('../auth/adminUserStore.js').AdminUserStore} userStore - The admin user accounts.
+ * @param {import('../auth/tokenService.js').TokenService} tokenService - Issues session tokens.
+ * @returns {Router} An Express router configured with auth routes.
+ */
+export const createAuthRoutes = (userStore, tokenService) => {
+    const router = Router();
+
+    // Exchange a username and password for a session token
+    router.post('/login', (req, res) => {
+        const { username, password } = req.body ?? {}; // No body at all without a JSON Content-Type
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return res.status(400).json({ message: 'Username and password are required.' });
+        }
+        const user = userStore.verifyCredentials(username, password);
+        if (!user) {
+            console.warn(`Failed admin login for '${username}'.`);
+            return res.status(401).json({ message: 'Invalid username or password.' });
+        }
+        const { token, expiresAt } = tokenService.issueToken(user);
+        console.log(`Admin '${user.username}' logged in.`);
+        res.json({ token, expiresAt, username: user.username, roles: user.roles });
+    });
+
+    // Get the user the current token belongs to
+    router.get('/me', authenticate(tokenService), (req, res) => {
+        res.json(req.user);
+    });
+
+    return router;
+};
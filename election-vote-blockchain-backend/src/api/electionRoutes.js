@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Defines API routes for listing and creating elections, and mounts the
+ * per-election public and admin routes under `/elections/:electionId`.
+ */
+
+import { Router } from 'express';
+import { resolveElection, requireRole } from './middleware.js';
+import { createPublicRoutes } from './publicRoutes.js';
+import { createAdminRoutes } from './adminRoutes.js';
+import { ROLES } from '../auth/roles.js';
+
+/**
+ * Creates the public election router (mounted at `/elections`).
+ * @param {import('../core/electionRegistry.js').ElectionRegistry} registry - The election registry.
+ * @param {import('../auth/tokenService.js').TokenService} tokenService - Verifies staff session tokens.
+ * @returns {Router} An Express router configured with election routes.
+ */
+export const createElectionRoutes = (registry, tokenService) => {
+    const router = Router();
+
+    // List every election
+    router.get('/', (req, res) => {
+        res.json(registry.getElections().map(election => election.getSummary()));
+    });
+
+    // Get one election
+    router.get('/:electionId', resolveElection(registry), (req, res) => {
+        res.json(req.blockchain.getSummary());
+    });
+
+    // Per-election public routes, e.g. /elections/:electionId/vote
+    router.use('/:electionId', resolveElection(registry), createPublicRoutes(tokenService));
+
+    return router;
+};
+
+/**
+ * Creates the admin election router (mounted at `/admin`, behind `authenticate`).
+ * @param {import('../core/electionRegistry.js').ElectionRegistry} registry - The election registry.
+ * @returns {Router} An Express router configured with election admin routes.
+ */
+export const createElectionAdminRoutes = (registry) => {
+    const router = Router();
+
+    // Create a new election
+    router.post('/elections', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { id, name, description, candidates, ballotMode, allowRevoting, votingMethod, seats } = req.body;
+        try {
+            const election = await registry.createElection({ id, name, description, candidates, ballotMode, allowRevoting, votingMethod, seats }, req.user.username);
+            res.status(201).json({ message: `Election '${election.name}' created.`, election: election.getSummary() });
+        } catch (error) {
+            console.error("Error creating election:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Restore an election from an archive, checked in full first; the election must be new or blank here
+    router.post('/elections/import', requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        try {
+            const election = await registry.importElection(req.body);
+            election.blockProducer.schedule(); // Mine restored pending transactions
+            res.status(201).json({ message: `Election '${election.name}' imported.`, election: election.getSummary() });
+        } catch (error) {
+            console.error("Error importing election:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Per-election admin routes, e.g. /admin/elections/:electionId/register-voter
+    router.use('/elections/:electionId', resolveElection(registry), createAdminRoutes());
+
+    return router;
+};
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Pushes election updates to browsers as Server-Sent Events, so the frontend can
+ * refresh when something changes instead of polling. Every event names its election; a client
+ * may subscribe to one election with `?electionId=`. Events carry counts and IDs only, never
+ * voter IDs or ballot choices: the stream is public.
+ */
+
+import { Router } from 'express';
+
+// Ballot-related transactions announced as 'vote-accepted'; mining rewards are covered by 'block-mined'
+const BALLOT_TRANSACTION_TYPES = ['vote', 'participation', 'ballot'];
+
+// How long a browser waits before reconnecting, and how often idle connections are kept alive
+const RECONNECT_DELAY_MS = 3000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Formats one Server-Sent Event.
+ * @param {string} event - The event name.
+ * @param {object} data - The payload, sent as JSON.
+ * @returns {string} The event text.
+ */
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Creates the event stream router (mounted at `/events`). Events:
+ * - 'election-added': { electionId, election } with the election's summary
+ * - 'block-mined': { electionId, index, hash, transactionCount, origin } ('local' or 'peer')
+ * - 'chain-replaced': { electionId, chainLength }, after adopting a peer's chain
+ * - 'vote-accepted': { electionId, type, pendingTransactionCount }
+ * - 'status-changed': { electionId, from, to, by, at }, a lifecycle phase change
+ * - 'voters-changed': { electionId, registeredVoterCount }
+ * - 'settings-changed': { electionId, setting } for candidates, ballotMode, allowRevoting, votingMethod, eligibility or schedule
+ * @param {import('../core/electionRegistry.js').ElectionRegistry} registry - The election registry.
+ * @returns {Router} An Express router serving the stream.
+ */
+export const createEventRoutes = (registry) => {
+    const router = Router();
+    const clients = new Set(); // { res, electionId } for every open stream
+
+    const broadcast = (event, data) => {
+        const message = formatEvent(event, data);
+        for (const client of clients) {
+            if (!client.electionId || client.electionId === data.electionId) {
+                client.res.write(message);
+            }
+        }
+    };
+
+    const attach = (election) => {
+        const { electionId } = election;
+        election.events.on('blockAdded', (block, origin) => broadcast('block-mined', {
+            electionId,
+            index: block.index,
+            hash: block.hash,
+            transactionCount: Array.isArray(block.data) ? block.data.length : 0,
+            origin
+        }));
+        election.events.on('chainReplaced', (chain) => broadcast('chain-replaced', { electionId, chainLength: chain.length }));
+        election.events.on('transactionAdded', (transaction) => {
+            if (BALLOT_TRANSACTION_TYPES.includes(transaction.type)) {
+                broadcast('vote-accepted', { electionId, type: transaction.type, pendingTransactionCount: election.pendingTransactions.length });
+            }
+        });
+        election.events.on('phaseChanged', (transition) => broadcast('status-changed', { electionId, ...transition }));
+        election.events.on('votersChanged', (registeredVoterCount) => broadcast('voters-changed', { electionId, registeredVoterCount }));
+        election.events.on('settingsChanged', (setting) => broadcast('settings-changed', { electionId, setting }));
+    };
+
+    registry.getElections().forEach(attach);
+    registry.events.on('electionAdded', (election) => {
+        attach(election);
+        broadcast('election-added', { electionId: election.electionId, election: election.getSummary() });
+    });
+
+    // Keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => {
+        for (const client of clients) {
+            client.res.write(': ping\n\n');
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    // Open an event stream for every election, or for one with ?electionId=
+    router.get('/', (req, res) => {
+        const electionId = typeof req.query.electionId === 'string' && req.query.electionId ? req.query.electionId : null;
+        if (electionId && !registry.getElection(electionId)) {
+            return res.status(404).json({ message: `Election '${electionId}' not found.` });
+        }
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+        const client = { res, electionId };
+        clients.add(client);
+        req.on('close', () => clients.delete(client));
+    });
+
+    return router;
+};
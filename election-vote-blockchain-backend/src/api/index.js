@@ -7,20 +7,46 @@
 import { Router } from 'express';
 import { createAdminRoutes } from './adminRoutes.js';
 import { createPublicRoutes } from './publicRoutes.js';
+import { createAuthRoutes } from './authRoutes.js';
+import { createElectionRoutes, createElectionAdminRoutes } from './electionRoutes.js';
+import { createPeerRoutes, createPeerSyncRoutes } from './peerRoutes.js';
+import { createEventRoutes } from './eventRoutes.js';
+import { resolveElection, authenticate, authenticatePeer } from './middleware.js';
 
 /**
  * Creates and configures the main API router for the application.
- * @param {object} blockchainInstance - The instance of the Blockchain class.
+ * @param {import('../core/electionRegistry.js').ElectionRegistry} registry - The election registry.
+ * @param {object} auth - Authentication services.
+ * @param {import('../auth/adminUserStore.js').AdminUserStore} auth.userStore - The admin user accounts.
+ * @param {import('../auth/tokenService.js').TokenService} auth.tokenService - Issues and verifies session tokens.
+ * @param {import('../network/peerNetwork.js').PeerNetwork} network - The peer network.
  * @returns {Router} The main Express router for the API.
  */
-export const createApiRouter = (blockchainInstance) => {
+export const createApiRouter = (registry, { userStore, tokenService }, network) => {
     const apiRouter = Router();
 
-    // Mount admin routes under /admin namespace
-    apiRouter.use('/admin', createAdminRoutes(blockchainInstance));
+    // Mount login routes under /auth
+    apiRouter.use('/auth', createAuthRoutes(userStore, tokenService));
 
-    // Mount public routes at the root API path
-    apiRouter.use('/', createPublicRoutes(blockchainInstance));
+    // Every admin route requires a logged-in staff member; roles are checked per route
+    apiRouter.use('/admin', authenticate(tokenService));
+
+    // Mount election management and per-election admin routes under /admin/elections
+    apiRouter.use('/admin', createElectionAdminRoutes(registry));
+
+    // Mount node-to-node routes under /peers and /elections/:electionId/peer; only nodes holding PEER_SECRET may use them
+    apiRouter.use('/peers', authenticatePeer(network.peerSecret), createPeerRoutes(network));
+    apiRouter.use('/elections/:electionId/peer', authenticatePeer(network.peerSecret), resolveElection(registry), createPeerSyncRoutes(network));
+
+    // Mount the live update stream (Server-Sent Events) under /events
+    apiRouter.use('/events', createEventRoutes(registry));
+
+    // Mount per-election public routes under /elections
+    apiRouter.use('/elections', createElectionRoutes(registry, tokenService));
+
+    // Legacy single-election routes act on the default election
+    apiRouter.use('/admin', resolveElection(registry), createAdminRoutes());
+    apiRouter.use('/', resolveElection(registry), createPublicRoutes(tokenService));
 
     return apiRouter;
 };
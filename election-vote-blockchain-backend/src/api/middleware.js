@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Express middleware shared by the API route modules.
+ */
+
+import crypto from 'crypto';
+import { PEER_SECRET_HEADER } from '../network/peerNetwork.js';
+
+/**
+ * Resolves the election a request targets and stores its Blockchain instance on `req.blockchain`.
+ * The election ID comes from the `:electionId` route parameter; routes mounted without one
+ * (the legacy single-election API) get the default election.
+ * @param {import('../core/electionRegistry.js').ElectionRegistry} registry - The election registry.
+ * @returns {Function} Express middleware.
+ */
+export const resolveElection = (registry) => (req, res, next) => {
+    const { electionId } = req.params;
+    const election = electionId ? registry.getElection(electionId) : registry.getDefaultElection();
+    if (!election) { return res.status(404).json({ message: `Election '${electionId}' not found.` }); }
+    if (!election.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading. Please try again shortly.' }); }
+    req.blockchain = election;
+    next();
+};
+
+/**
+ * Verifies the `Authorization: Bearer <token>` header and stores the user on `req.user`.
+ * Responds with 401 if the token is missing, invalid or expired.
+ * @param {import('../auth/tokenService.js').TokenService} tokenService - The token service.
+ * @returns {Function} Express middleware.
+ */
+export const authenticate = (tokenService) => (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    const user = scheme === 'Bearer' ? tokenService.verifyToken(token) : null;
+    if (!user) { return res.status(401).json({ message: 'Authentication required. Please log in.' }); }
+    req.user = user;
+    next();
+};
+
+/**
+ * Allows a node-to-node request only if it carries the network's shared secret (PEER_SECRET) in
+ * the X-Peer-Secret header. Responds with 403 if this node has no secret configured, so a node
+ * without one accepts no peers at all, and with 401 if the secret is missing or wrong.
+ * @param {string|null} peerSecret - The shared peer secret.
+ * @returns {Function} Express middleware.
+ */
+export const authenticatePeer = (peerSecret) => (req, res, next) => {
+    if (!peerSecret) { return res.status(403).json({ message: 'This node does not accept peers: PEER_SECRET is not set.' }); }
+    // Compared as hashes, so the comparison takes the same time whatever the length of the guess
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    if (!crypto.timingSafeEqual(digest(req.get(PEER_SECRET_HEADER) || ''), digest(peerSecret))) {
+        return res.status(401).json({ message: 'Peer authentication required: the peer secret is missing or wrong.' });
+    }
+    next();
+};
+
+/**
+ * Allows the request only if the authenticated user holds at least one of the given roles.
+ * Must run after `authenticate`.
+ * @param {...string} roles - The roles allowed to use the route.
+ * @returns {Function} Express middleware.
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) { return res.status(401).json({ message: 'Authentication required. Please log in.' }); }
+    if (!roles.some(role => req.user.roles.includes(role))) {
+        return res.status(403).json({ message: `This action requires one of the roles: ${roles.join(', ')}.` });
+    }
+    next();
+};
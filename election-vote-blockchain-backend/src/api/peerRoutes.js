@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Defines the API routes nodes use to talk to each other: the peer list, and per
+ * election the chain download and the block and ballot relays. Nothing a peer sends is trusted;
+ * blocks and chains must pass the audit and ballots the same checks as on the node that accepted them.
+ * Every route requires the shared peer secret (see authenticatePeer), so only nodes of the same
+ * network can register, relay blocks and ballots, or download the election setup.
+ */
+
+import { Router } from 'express';
+
+/**
+ * Creates the peer list router (mounted at `/peers`).
+ * @param {import('../network/peerNetwork.js').PeerNetwork} network - The peer network.
+ * @returns {Router} An Express router configured with peer list routes.
+ */
+export const createPeerRoutes = (network) => {
+    const router = Router();
+
+    // List known peers
+    router.get('/', (req, res) => {
+        res.json({ nodeUrl: network.nodeUrl, peers: network.getPeers() });
+    });
+
+    // Register a peer (nodes announce themselves here)
+    router.post('/', (req, res) => {
+        const { url } = req.body;
+        try {
+            const added = network.addPeer(url);
+            res.status(added ? 201 : 200).json({ message: added ? `Peer '${url}' added.` : `Peer '${url}' is already known.` });
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    return router;
+};
+
+/**
+ * Creates the per-election node-to-node router (mounted at `/elections/:electionId/peer`).
+ * The router expects `req.blockchain` to be set by the `resolveElection` middleware.
+ * @param {import('../network/peerNetwork.js').PeerNetwork} network - The peer network.
+ * @returns {Router} An Express router configured with peer sync routes.
+ */
+export const createPeerSyncRoutes = (network) => {
+    const router = Router();
+
+    // Download the chain with the election setup it is checked against
+    router.get('/chain', (req, res) => {
+        res.json({ chain: req.blockchain.chain, setup: req.blockchain.getPeerSetup() });
+    });
+
+    // Receive a block mined (or relayed) by a peer
+    router.post('/blocks', async (req, res) => {
+        const { block } = req.body;
+        try {
+            const outcome = await req.blockchain.receiveBlock(block);
+            if (outcome === 'added') {
+                res.status(201).json({ message: `Block ${block.index} added.` });
+            } else if (outcome === 'known') {
+                res.status(200).json({ message: `Block ${block.index} is already in the chain.` });
+            } else {
+                network.syncElection(req.blockchain.electionId);
+                res.status(202).json({ message: `Block ${block.index} does not extend this chain. Resyncing from peers.` });
+            }
+        } catch (error) {
+            console.error("Error receiving block from peer:", error.message);
+            network.syncElection(req.blockchain.electionId); // This node's election setup may be out of date
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Receive a vote or ballot relayed by a peer
+    router.post('/transactions', async (req, res) => {
+        const { transaction } = req.body;
+        try {
+            const receiptId = await req.blockchain.acceptPeerTransaction(transaction);
+            if (receiptId) {
+                req.blockchain.blockProducer.schedule();
+                res.status(201).json({ message: 'Transaction added to the pending pool.', receiptId });
+            } else {
+                res.status(200).json({ message: 'Transaction already known.' });
+            }
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    return router;
+};
@@ -4,56 +4,154 @@
  */
 
 import { Router } from 'express';
-
-const router = Router();
+import { authenticate, requireRole } from './middleware.js';
+import { ROLES, ALL_ROLES } from '../auth/roles.js';
+import { getEligibilityError } from '../core/voterRoll.js';
+import { CERTIFICATE_FORMATS, formatSignedCertificateCsv } from '../core/certificate.js';
+import { isLedgerAddress } from '../core/ledger.js';
 
 /**
- * Creates and exports Express router with public-facing API endpoints.
- * @param {object} blockchainInstance - The instance of the Blockchain class.
+ * Creates and exports Express router with public-facing API endpoints for one election.
+ * The router expects `req.blockchain` to be set by the `resolveElection` middleware.
+ * A few operational routes (mining, the voted-users list) are limited to staff roles.
+ * @param {import('../auth/tokenService.js').TokenService} tokenService - Verifies staff session tokens.
  * @returns {Router} An Express router configured with public routes.
  */
-export const createPublicRoutes = (blockchainInstance) => {
+export const createPublicRoutes = (tokenService) => {
+    const router = Router();
+
     // Get the entire blockchain
     router.get('/blockchain', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading. Please try again shortly.' }); }
-        res.json(blockchainInstance.chain);
+        res.json(req.blockchain.chain);
     });
 
-    // Get pending transactions (votes)
+    // Get pending transactions (votes); anonymous ballots only appear once mined
     router.get('/transactions/pending', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading. Please try again shortly.' }); }
-        res.json(blockchainInstance.pendingTransactions);
+        res.json(req.blockchain.getPublicPendingTransactions());
+    });
+
+    // Block explorer: one page of block summaries (`from` block index, default the latest page; `limit` up to 100)
+    router.get('/blocks', (req, res) => {
+        const { from, limit } = req.query;
+        try {
+            res.json(req.blockchain.getBlockPage({
+                from: from === undefined ? null : Number(from),
+                limit: limit === undefined ? undefined : Number(limit)
+            }));
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Block explorer: one block with its transactions
+    router.get('/blocks/:hash', (req, res) => {
+        const block = req.blockchain.getBlockByHash(req.params.hash);
+        if (!block) {
+            return res.status(404).json({ message: `Block '${req.params.hash}' not found.` });
+        }
+        res.json(block);
+    });
+
+    // Block explorer: a transaction by ID, with the block holding it (or pending)
+    router.get('/transactions/:transactionId', (req, res) => {
+        const found = req.blockchain.findTransaction(req.params.transactionId);
+        if (!found) {
+            return res.status(404).json({ message: `Transaction '${req.params.transactionId}' not found.` });
+        }
+        res.json(found);
+    });
+
+    // Transfer ledger credits (mining rewards) to another address; signed with the sending address's key
+    router.post('/transactions', async (req, res) => {
+        const blockchainInstance = req.blockchain;
+        const { fromAddress, toAddress, amount, timestamp, publicKey, signature } = req.body;
+        try {
+            const transactionId = await blockchainInstance.createTransfer({ fromAddress, toAddress, amount, timestamp, publicKey, signature });
+            blockchainInstance.blockProducer.schedule();
+            res.status(201).json({ message: 'Transfer accepted. It will be recorded permanently in the next block.', transactionId });
+        } catch (error) {
+            console.error("Error transferring credits:", error.message);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Get an address's ledger balance: mined credits, and what pending transactions will change
+    router.get('/balance/:address', (req, res) => {
+        res.json(req.blockchain.getBalance(req.params.address));
     });
 
-    // Endpoint for casting a vote - now triggers immediate background mining
+    // Get every mining reward and transfer of an address, newest first
+    router.get('/addresses/:address/transactions', (req, res) => {
+        const { address } = req.params;
+        res.json({ address, transactions: req.blockchain.getAddressTransactions(address) });
+    });
+
+    // Endpoint for casting a signed vote; the block producer mines it with the next batch.
+    // Plurality ballots name a `candidateId`; approval and ranked ballots list `choices`.
     router.post('/vote', async (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading. Please try again shortly.' }); }
-        const { voterId, candidateId } = req.body;
+        const blockchainInstance = req.blockchain;
+        const { voterId, candidateId, choices, timestamp, signature } = req.body;
         try {
-            blockchainInstance.createVote({ voterId, candidateId }); // This adds to pending list
-
-            // Immediately trigger mining in the background.
-            // DO NOT await this call, so the API response is sent quickly.
-            if (blockchainInstance.pendingTransactions.length > 0) {
-                console.log(`Triggering immediate background mining for ${blockchainInstance.pendingTransactions.length} pending vote(s)...`);
-                blockchainInstance.minePendingTransactions('election-authority-miner')
-                    .then(result => console.log('Background mining complete:', result.message))
-                    .catch(error => console.error('Background mining failed:', error.message));
-            }
-
-            res.status(201).json({ message: 'Vote accepted. Mining in progress to record it permanently.' });
+            const receiptId = await blockchainInstance.createVote({ voterId, candidateId, choices, timestamp, signature }); // This adds to pending list
+            blockchainInstance.blockProducer.schedule();
+            res.status(201).json({ message: 'Vote accepted. It will be recorded permanently in the next block.', receiptId });
         } catch (error) {
             console.error("Error casting vote:", error);
             res.status(400).json({ message: error.message });
         }
     });
 
+    // Get the key used to blind and unblind ballot tokens (secret-ballot elections)
+    router.get('/ballot-key', (req, res) => {
+        res.json({ ballotMode: req.blockchain.ballotMode, publicKey: req.blockchain.getBallotPublicKey() });
+    });
+
+    // Secret ballots, step 1: a registered voter exchanges a signed request for a blind signature
+    // on their ballot token. The chain records that the voter took part, not how they voted.
+    router.post('/ballot-tokens', async (req, res) => {
+        const blockchainInstance = req.blockchain;
+        const { voterId, blindedMessage, timestamp, signature } = req.body;
+        try {
+            const blindSignature = await blockchainInstance.issueBallotToken({ voterId, blindedMessage, timestamp, signature });
+            blockchainInstance.blockProducer.schedule();
+            res.status(201).json({ message: 'Ballot token issued.', blindSignature });
+        } catch (error) {
+            console.error("Error issuing ballot token:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Secret ballots, step 2: cast an anonymous ballot with the unblinded token (no voter ID)
+    router.post('/ballots', async (req, res) => {
+        const blockchainInstance = req.blockchain;
+        const { token, tokenSignature, candidateId, choices } = req.body;
+        try {
+            const receiptId = await blockchainInstance.castAnonymousBallot({ token, tokenSignature, candidateId, choices });
+            blockchainInstance.blockProducer.schedule();
+            res.status(201).json({ message: 'Ballot accepted. It will be recorded permanently in the next block.', receiptId });
+        } catch (error) {
+            console.error("Error casting ballot:", error);
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    // Look up a vote receipt: the block holding the vote and a Merkle proof of inclusion
+    router.get('/receipts/:receiptId', (req, res) => {
+        const receipt = req.blockchain.getReceipt(req.params.receiptId);
+        if (!receipt) {
+            return res.status(404).json({ message: `Receipt '${req.params.receiptId}' not found.` });
+        }
+        res.status(receipt.status === 'pending' ? 202 : 200).json(receipt);
+    });
+
     // Endpoint to trigger mining of pending votes (can still be used manually if needed)
-    router.post('/mine', async (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        const { minerAddress } = req.body; // Optional: Miner address for reward
+    router.post('/mine', authenticate(tokenService), requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const { minerAddress = null } = req.body ?? {}; // Optional: ledger address credited with the reward
+        if (minerAddress !== null && !isLedgerAddress(minerAddress)) {
+            return res.status(400).json({ message: 'minerAddress must be a ledger address: 64 lowercase hex characters.' });
+        }
         try {
-            const result = await blockchainInstance.minePendingTransactions(minerAddress);
+            const result = await req.blockchain.minePendingTransactions(minerAddress);
             res.status(200).json(result);
         } catch (error) {
             console.error("Mining error:", error);
@@ -61,31 +159,100 @@ export const createPublicRoutes = (blockchainInstance) => {
         }
     });
 
-    // Get current election results
-    router.get('/election/results', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        const results = blockchainInstance.getElectionResults();
+    // How blocks are produced: proof-of-work, or Proof-of-Authority with the list of authorities
+    router.get('/consensus', (req, res) => {
+        res.json(req.blockchain.getConsensusInfo());
+    });
+
+    // Mining progress: the block being mined, hash rates and the current difficulty
+    router.get('/mining/status', (req, res) => {
+        res.json(req.blockchain.getMiningStatus());
+    });
+
+    // Cancel the block being mined; its transactions stay pending for the next block
+    router.post('/mining/cancel', authenticate(tokenService), requireRole(ROLES.ELECTION_OFFICER), async (req, res) => {
+        const cancelled = await req.blockchain.cancelMining();
+        if (cancelled) {
+            res.status(200).json({ message: 'Mining cancelled.' });
+        } else {
+            res.status(409).json({ message: 'No block is being mined.' });
+        }
+    });
+
+    // Get current election results with every counting round ('/results' is the per-election spelling)
+    router.get(['/election/results', '/results'], (req, res) => {
+        const results = req.blockchain.getElectionResults();
         res.json(results);
     });
 
+    // Get the signed certificate of a certified election's final result, as JSON or CSV
+    router.get(['/election/certificate', '/certificate'], (req, res) => {
+        const format = req.query.format || 'json';
+        if (!CERTIFICATE_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Format must be one of: ${CERTIFICATE_FORMATS.join(', ')}.` });
+        }
+        const { certificate } = req.blockchain;
+        if (!certificate) {
+            return res.status(404).json({ message: `Election '${req.blockchain.electionId}' has not been certified yet (it is ${req.blockchain.phase}).` });
+        }
+        res.attachment(`${req.blockchain.electionId}-certificate.${format}`);
+        if (format === 'csv') {
+            res.type('text/csv').send(formatSignedCertificateCsv(certificate));
+        } else {
+            res.json(certificate);
+        }
+    });
+
+    // Get whether the election is open, its phase, when voting is scheduled to open and close, and the ballot format
+    router.get('/election/status', (req, res) => {
+        const { phase, schedule } = req.blockchain;
+        res.json({
+            isElectionOpen: req.blockchain.isElectionOpen,
+            phase,
+            opensAt: schedule.opensAt,
+            closesAt: schedule.closesAt,
+            ballotMode: req.blockchain.ballotMode,
+            allowRevoting: req.blockchain.allowRevoting,
+            votingMethod: req.blockchain.votingMethod,
+            seats: req.blockchain.seats
+        });
+    });
+
+    // Get one voter's registration and voting status (without exposing the whole roll)
+    router.get('/voters/:voterId/status', (req, res) => {
+        const { voterId } = req.params;
+        const voter = req.blockchain.registeredVoters.get(voterId);
+        res.json({
+            voterId,
+            isRegistered: !!voter,
+            hasCredential: !!(voter && voter.publicKey),
+            isEligible: !!voter && !getEligibilityError(req.blockchain.eligibility, voter),
+            hasVoted: req.blockchain.votedUsers.has(voterId),
+            hasPendingVote: req.blockchain.hasPendingVote(voterId)
+        });
+    });
+
     // Get list of candidates
     router.get('/candidates', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        res.json(blockchainInstance.getCandidates());
+        res.json(req.blockchain.getCandidates());
     });
 
-    // Get list of voted users (for debugging/verification, not for public display in production)
-    router.get('/voted-users', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        res.json(Array.from(blockchainInstance.votedUsers));
+    // Get list of voted users (for staff verification, not for public display).
+    // This is participation only: in secret-ballot mode no choice can be linked to these IDs.
+    router.get('/voted-users', authenticate(tokenService), requireRole(...ALL_ROLES), (req, res) => {
+        res.json(Array.from(req.blockchain.votedUsers));
     });
 
     // Check if the chain is valid
     router.get('/blockchain/isvalid', (req, res) => {
-        if (!blockchainInstance.isLoaded) { return res.status(503).json({ message: 'Blockchain is loading.' }); }
-        const isValid = blockchainInstance.isChainValid();
+        const isValid = req.blockchain.isChainValid();
         res.json({ isValid });
     });
 
+    // Full audit report: every finding with its block, transaction and rule (staff only, as it lists voter IDs)
+    router.get('/blockchain/audit', authenticate(tokenService), requireRole(...ALL_ROLES), (req, res) => {
+        res.json(req.blockchain.audit());
+    });
+
     return router;
 };
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Holds the admin user accounts and checks their passwords.
+ * Passwords are stored as scrypt hashes in the form `scrypt$<salt>$<hash>` (hex).
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { ALL_ROLES } from './roles.js';
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password for storage in the admin users file.
+ * @param {string} password - The plain-text password.
+ * @returns {string} The encoded hash.
+ */
+export const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+/**
+ * Checks a password against an encoded hash in constant time.
+ * @param {string} password - The plain-text password.
+ * @param {string} encodedHash - A hash produced by `hashPassword`.
+ * @returns {boolean} True if the password matches.
+ */
+export const verifyPassword = (password, encodedHash) => {
+    const [scheme, salt, hash] = String(encodedHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * In-memory list of admin users, loaded at startup.
+ */
+export class AdminUserStore {
+    /**
+     * @param {Array<object>} users - Users as { username, passwordHash, roles }.
+     * @throws {Error} If a user has no username, no password hash or an unknown role.
+     */
+    constructor(users = []) {
+        this.users = new Map();
+        for (const user of users) {
+            if (!user.username || !user.passwordHash) {
+                throw new Error('Every admin user needs a username and a passwordHash.');
+            }
+            const roles = Array.isArray(user.roles) ? user.roles : [];
+            const unknownRoles = roles.filter(role => !ALL_ROLES.includes(role));
+            if (unknownRoles.length > 0) {
+                throw new Error(`Admin user '${user.username}' has unknown role(s): ${unknownRoles.join(', ')}.`);
+            }
+            this.users.set(user.username, { username: user.username, passwordHash: user.passwordHash, roles });
+        }
+    }
+
+    /**
+     * Builds the store from the auth configuration: users from the JSON users file, plus an
+     * optional bootstrap user (given by ADMIN_USERNAME/ADMIN_PASSWORD) that holds every role.
+     * @param {object} config - The `auth` section of the server configuration.
+     * @returns {Promise<AdminUserStore>} The loaded store.
+     */
+    static async fromConfig(config) {
+        const users = [];
+        if (config.usersFile) {
+            users.push(...JSON.parse(await fs.readFile(config.usersFile, 'utf8')));
+        }
+        if (config.bootstrapUsername && config.bootstrapPassword) {
+            users.push({
+                username: config.bootstrapUsername,
+                passwordHash: hashPassword(config.bootstrapPassword),
+                roles: [...ALL_ROLES]
+            });
+        }
+        if (users.length === 0) {
+            console.warn('No admin users configured (ADMIN_USERS_FILE or ADMIN_USERNAME/ADMIN_PASSWORD). Admin routes will reject every request.');
+        }
+        return new AdminUserStore(users);
+    }
+
+    /**
+     * Checks a username and password.
+     * @param {string} username - The username.
+     * @param {string} password - The plain-text password.
+     * @returns {{ username: string, roles: Array<string> }|null} The user, or null if the credentials are wrong.
+     */
+    verifyCredentials(username, password) {
+        const user = this.users.get(username);
+        if (!user || !verifyPassword(password, user.passwordHash)) {
+            return null;
+        }
+        return { username: user.username, roles: user.roles };
+    }
+}
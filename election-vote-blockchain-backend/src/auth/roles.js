@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Defines the staff roles used for role-based access control.
+ */
+
+/**
+ * Staff roles. A user may hold several.
+ * - registrar: manages voter rolls.
+ * - election-officer: creates elections, manages candidates, opens and closes elections, mines blocks.
+ * - auditor: read-only access to the admin API.
+ */
+export const ROLES = Object.freeze({
+    REGISTRAR: 'registrar',
+    ELECTION_OFFICER: 'election-officer',
+    AUDITOR: 'auditor'
+});
+
+export const ALL_ROLES = Object.freeze(Object.values(ROLES));
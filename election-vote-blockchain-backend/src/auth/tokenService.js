@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Issues and verifies signed session tokens for admin users.
+ * A token is `<base64url payload>.<base64url HMAC-SHA256 signature>`; the payload
+ * carries the username, roles and expiry time.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Signs and verifies session tokens with a shared secret.
+ */
+export class TokenService {
+    /**
+     * @param {string} secret - The HMAC secret. Tokens signed with another secret are rejected.
+     * @param {number} [ttlSeconds=28800] - How long a token stays valid (default: 8 hours).
+     */
+    constructor(secret, ttlSeconds = 8 * 60 * 60) {
+        if (!secret) {
+            throw new Error('Token secret cannot be empty.');
+        }
+        this.secret = secret;
+        this.ttlSeconds = ttlSeconds;
+    }
+
+    /**
+     * Computes the signature of an encoded payload.
+     * @param {string} encodedPayload - The base64url-encoded payload.
+     * @returns {string} The base64url-encoded signature.
+     */
+    sign(encodedPayload) {
+        return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+    }
+
+    /**
+     * Issues a token for a user.
+     * @param {object} user - The authenticated user ({ username, roles }).
+     * @returns {{ token: string, expiresAt: number }} The token and its expiry (milliseconds since epoch).
+     */
+    issueToken(user) {
+        const expiresAt = Date.now() + this.ttlSeconds * 1000;
+        const payload = { sub: user.username, roles: user.roles, exp: expiresAt };
+        const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return { token: `${encodedPayload}.${this.sign(encodedPayload)}`, expiresAt };
+    }
+
+    /**
+     * Verifies a token and returns the user it was issued for.
+     * @param {string} token - The token to verify.
+     * @returns {{ username: string, roles: Array<string>, expiresAt: number }|null} The user, or null if the token is invalid or expired.
+     */
+    verifyToken(token) {
+        if (typeof token !== 'string') return null;
+        const [encodedPayload, signature, ...rest] = token.split('.');
+        if (!encodedPayload || !signature || rest.length > 0) return null;
+
+        const expected = Buffer.from(this.sign(encodedPayload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+            if (typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+            return { username: payload.sub, roles: Array.isArray(payload.roles) ? payload.roles : [], expiresAt: payload.exp };
+        } catch (error) {
+            return null;
+        }
+    }
+}
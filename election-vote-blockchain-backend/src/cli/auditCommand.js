@@ -0,0 +1,50 @@
+/**
+ * @fileoverview CLI command that audits an election's chain and prints the report.
+ * The exit code is 0 when the chain is valid and 2 when the audit found errors.
+ */
+
+import { getElectionOption, openElectionRegistry, parseOptions } from './cliSupport.js';
+
+export const description = 'Audit an election\'s chain. Usage: audit [--election <id>] [--json]';
+
+/**
+ * Prints the report in a readable form.
+ * @param {object} report - The audit report.
+ */
+const printReport = (report) => {
+    console.log(`Audit of election '${report.electionId}' at ${report.auditedAt}`);
+    console.log(`Blocks: ${report.chainLength}  Errors: ${report.errorCount}  Warnings: ${report.warningCount}`);
+    for (const finding of report.findings) {
+        const location = finding.blockIndex === null ? 'state' : `block ${finding.blockIndex}`;
+        console.log(`  [${finding.severity}] ${finding.rule} (${location}): ${finding.message}`);
+        if (finding.transaction) {
+            console.log(`      transaction: ${JSON.stringify(finding.transaction)}`);
+        }
+    }
+    console.log(report.valid ? 'Result: VALID' : 'Result: INVALID');
+};
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {Promise<number>} The process exit code.
+ */
+export const run = async (args) => {
+    const { options } = parseOptions(args);
+    // Loading logs progress to stdout; keep it off stdout so --json output stays parseable
+    const log = console.log;
+    console.log = (...messages) => console.error(...messages);
+    let report;
+    try {
+        const registry = await openElectionRegistry();
+        report = getElectionOption(registry, options).audit();
+    } finally {
+        console.log = log;
+    }
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return report.valid ? 0 : 2;
+};
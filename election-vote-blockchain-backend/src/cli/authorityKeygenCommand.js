@@ -0,0 +1,30 @@
+/**
+ * @fileoverview CLI command that creates a Proof-of-Authority key pair. The private key is
+ * written to a file for AUTHORITY_KEY_FILE; the entry for AUTHORITIES_FILE is printed, to be
+ * added to the authorities file of every node.
+ */
+
+import { promises as fs } from 'fs';
+import { generateAuthorityKeyPair } from '../core/authority.js';
+import { parseOptions } from './cliSupport.js';
+
+export const description = 'Create an authority key pair. Usage: authority-keygen --id <id> --out <key file> [--name <name>]';
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {Promise<number>} The process exit code.
+ */
+export const run = async (args) => {
+    const { options } = parseOptions(args);
+    if (typeof options.id !== 'string' || typeof options.out !== 'string') {
+        console.error('Usage: authority-keygen --id <id> --out <key file> [--name <name>]');
+        return 1;
+    }
+    const { publicKey, privateKey } = generateAuthorityKeyPair();
+    await fs.writeFile(options.out, privateKey + '\n', { encoding: 'utf8', mode: 0o600, flag: 'wx' }); // Never overwrite an existing key
+    console.error(`Private key written to ${options.out}. Keep it on the node of authority '${options.id}' only.`);
+    const name = typeof options.name === 'string' ? options.name : options.id;
+    console.log(JSON.stringify({ id: options.id, name, publicKey }, null, 2));
+    return 0;
+};
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Helpers shared by CLI commands: option parsing and loading elections
+ * from the storage backend configured for the server (same environment variables).
+ */
+
+import { loadServerConfig } from '../config/serverConfig.js';
+import { initializeFirebaseAndFirestore } from '../config/firebaseConfig.js';
+import { createStorage, MemoryStorage, KeyStore } from '../storage/index.js';
+import { ElectionRegistry } from '../core/electionRegistry.js';
+import { AuthoritySet } from '../core/authority.js';
+
+/**
+ * Splits command arguments into `--name value` options and positional arguments.
+ * A `--flag` followed by another option (or nothing) is set to true.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {{ options: object, positional: Array<string> }} The parsed arguments.
+ */
+export const parseOptions = (args) => {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            const next = args[i + 1];
+            options[name] = next === undefined || next.startsWith('--') ? true : (i++, next);
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { options, positional };
+};
+
+/**
+ * Loads every election from the configured storage backend, as the server would.
+ * @param {object} [options]
+ * @param {boolean} [options.inMemory=false] - Use empty in-memory storage instead, with the same
+ * consensus and mining settings, e.g. to try an import without saving anything.
+ * @returns {Promise<ElectionRegistry>} The loaded election registry.
+ */
+export const openElectionRegistry = async ({ inMemory = false } = {}) => {
+    const config = loadServerConfig();
+    if (!inMemory && config.storage.backend === 'firestore') {
+        await initializeFirebaseAndFirestore();
+    }
+    const authorities = await AuthoritySet.fromConfig({ mode: config.consensus.mode, authoritiesFile: config.consensus.authoritiesFile }); // No signing key needed
+    const registry = new ElectionRegistry(inMemory ? new MemoryStorage() : createStorage(config.storage), {
+        loadFailurePolicy: config.loadFailurePolicy,
+        mining: config.mining,
+        consensus: { mode: config.consensus.mode, authorities },
+        keyStore: new KeyStore(inMemory ? null : config.storage.secretsDir)
+    });
+    await registry.loadElections();
+    return registry;
+};
+
+/**
+ * Looks up the election named by `--election` (default: the default election).
+ * @param {ElectionRegistry} registry - The loaded election registry.
+ * @param {object} options - Parsed command options.
+ * @returns {import('../core/blockchain.js').Blockchain} The election.
+ * @throws {Error} If the election does not exist.
+ */
+export const getElectionOption = (registry, options) => {
+    const election = options.election ? registry.getElection(options.election) : registry.getDefaultElection();
+    if (!election) {
+        throw new Error(`Election '${options.election}' not found.`);
+    }
+    return election;
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview CLI command that prints a password hash for the admin users file.
+ */
+
+import { hashPassword } from '../auth/adminUserStore.js';
+
+export const description = 'Print a password hash for ADMIN_USERS_FILE. Usage: hash-password <password>';
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {Promise<number>} The process exit code.
+ */
+export const run = async (args) => {
+    const [password] = args;
+    if (!password) {
+        console.error('Usage: hash-password <password>');
+        return 1;
+    }
+    console.log(hashPassword(password));
+    return 0;
+};
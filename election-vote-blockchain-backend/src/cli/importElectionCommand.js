@@ -0,0 +1,66 @@
+/**
+ * @fileoverview CLI command that restores an election from an archive file (see electionArchive.js)
+ * into the configured storage, after checking the whole archive: the manifest hash, the same audit
+ * a peer's chain gets, and that the setup and any certificate agree with the chain. It then prints
+ * the results counted from the restored chain. With --dry-run nothing is saved, so an observer can
+ * check an archive and recount it without running a node. The exit code is 0 when the archive is
+ * restored (or would be) and 2 when it is rejected.
+ *
+ * Stop the server before restoring into its storage. Use the consensus and mining settings of the
+ * node that exported the archive, or the audit rejects its blocks.
+ */
+
+import { promises as fs } from 'fs';
+import { openElectionRegistry, parseOptions } from './cliSupport.js';
+
+const USAGE = 'import-election --file <file> [--dry-run]';
+
+export const description = `Check an election archive and restore it. Usage: ${USAGE}`;
+
+/**
+ * Prints the results of the restored election.
+ * @param {import('../core/blockchain.js').Blockchain} election - The restored election.
+ */
+const printResults = (election) => {
+    const { votingMethod, seats, ballotCount, results, winners } = election.getElectionResults();
+    console.log(`Election '${election.electionId}' (${election.name}): ${election.chain.length} blocks, phase ${election.phase}`);
+    console.log(`Results (${votingMethod}, ${seats} seat(s)), ${ballotCount} ballot(s):`);
+    for (const [candidateId, { name, votes }] of Object.entries(results)) {
+        console.log(`  ${candidateId.padEnd(20)} ${String(votes).padStart(8)}  ${name}`);
+    }
+    console.log(`Winners: ${winners.length > 0 ? winners.join(', ') : 'none'}`);
+};
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {Promise<number>} The process exit code.
+ */
+export const run = async (args) => {
+    const { options } = parseOptions(args);
+    if (typeof options.file !== 'string') {
+        console.error(`Usage: ${USAGE}`);
+        return 1;
+    }
+    const archive = JSON.parse(await fs.readFile(options.file, 'utf8'));
+    const dryRun = options['dry-run'] === true;
+
+    // Loading logs progress to stdout; keep it on stderr so the results stand out
+    const log = console.log;
+    console.log = (...messages) => console.error(...messages);
+    let election;
+    let rejection = null;
+    try {
+        const registry = await openElectionRegistry({ inMemory: dryRun });
+        election = await registry.importElection(archive).catch(error => { rejection = error; });
+    } finally {
+        console.log = log;
+    }
+    if (rejection) {
+        console.log(`Result: REJECTED: ${rejection.message}`);
+        return 2;
+    }
+    printResults(election);
+    console.log(dryRun ? 'Result: VALID (dry run, nothing saved)' : 'Result: RESTORED');
+    return 0;
+};
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview CLI command that runs a synthetic election against a running node, as a
+ * correctness and load check before a real election. It logs in as staff, creates a plurality
+ * election, imports N voters with generated credentials, casts signed votes split between the
+ * candidates by a configurable spread at a configurable rate, waits until every accepted vote is
+ * mined and compares the node's results with the votes it sent. It reports registration time,
+ * vote throughput and latency, and block counts.
+ *
+ * The staff account needs the registrar and election-officer roles. The election is left closed
+ * (or open with --keep-open) and can be inspected afterwards. The exit code is 0 when every vote
+ * was accepted and counted and the results match the votes sent, and 2 otherwise: any rejected
+ * vote fails the run, since every vote sent is valid.
+ *
+ * The node mines at most BLOCK_MAX_TRANSACTIONS votes per block, about one block per
+ * MINING_TARGET_BLOCK_INTERVAL_MS in proof-of-work mode, so a --rate above that throughput
+ * (200 votes/s with the defaults) only grows the pending pool; see the README.
+ */
+
+import crypto from 'crypto';
+import { generateVoterKeyPair, getBallotSigningPayload } from '../core/ballotSignature.js';
+import { parseOptions } from './cliSupport.js';
+
+const USAGE = 'simulate [--url <node>] [--voters <n>] [--spread <weights, e.g. 50,30,20>] [--rate <votes/s>] '
+    + '[--concurrency <n>] [--turnout <0-1>] [--seed <n>] [--election <id>] [--username <staff>] [--password <pw>] '
+    + '[--settle-timeout <s>] [--keep-open] [--json]';
+
+export const description = `Run a synthetic election against a node and check its results. Usage: ${USAGE}`;
+
+// Voters per import request
+const IMPORT_BATCH_SIZE = 5000;
+// How often the node is asked whether every vote is counted
+const SETTLE_POLL_MS = 500;
+
+/**
+ * A small seeded random number generator (mulberry32), so a seed always gives the same run.
+ * @param {number} seed - The seed.
+ * @returns {Function} Returns a number in [0, 1) per call.
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Splits the votes between the candidates in proportion to their weights (largest remainder),
+ * so the expected counts are exact.
+ * @param {number} total - The number of votes.
+ * @param {Array<number>} weights - One weight per candidate.
+ * @returns {Array<number>} The votes per candidate.
+ */
+const apportion = (total, weights) => {
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const shares = weights.map(weight => total * weight / sum);
+    const counts = shares.map(Math.floor);
+    const byRemainder = shares.map((share, index) => index).sort((a, b) => (shares[b] - counts[b]) - (shares[a] - counts[a]));
+    const remaining = total - counts.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < remaining; i++) {
+        counts[byRemainder[i]]++;
+    }
+    return counts;
+};
+
+/**
+ * The value at a percentile of sorted numbers.
+ * @param {Array<number>} sorted - Numbers in ascending order.
+ * @param {number} percentile - 0 to 100.
+ * @returns {number|null} The value, or null if there are none.
+ */
+const percentileOf = (sorted, percentile) =>
+    sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * percentile / 100) - 1)];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads the command options, with defaults.
+ * @param {object} options - Parsed command options.
+ * @returns {object} The simulation settings.
+ * @throws {Error} If an option is out of range.
+ */
+const readSettings = (options) => {
+    const number = (name, fallback) => (options[name] === undefined ? fallback : Number(options[name]));
+    const weights = typeof options.spread === 'string' ? options.spread.split(',').map(Number) : [50, 30, 20];
+    const settings = {
+        url: (typeof options.url === 'string' ? options.url : `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, ''),
+        voters: number('voters', 1000),
+        weights,
+        rate: number('rate', 0),
+        concurrency: number('concurrency', 20),
+        turnout: number('turnout', 1),
+        seed: number('seed', 1),
+        electionId: typeof options.election === 'string' ? options.election : `sim-${Date.now()}`,
+        username: typeof options.username === 'string' ? options.username : process.env.ADMIN_USERNAME,
+        password: typeof options.password === 'string' ? options.password : process.env.ADMIN_PASSWORD,
+        settleTimeoutMs: number('settle-timeout', 300) * 1000,
+        keepOpen: options['keep-open'] === true
+    };
+    if (!Number.isInteger(settings.voters) || settings.voters < 1) throw new Error('--voters must be a whole number, 1 or more.');
+    if (weights.length < 2 || !weights.every(weight => Number.isFinite(weight) && weight >= 0) || !weights.some(weight => weight > 0)) {
+        throw new Error('--spread must list a weight of 0 or more for each of at least 2 candidates, e.g. 50,30,20.');
+    }
+    if (!(settings.rate >= 0)) throw new Error('--rate must be 0 (as fast as possible) or more votes per second.');
+    if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1) throw new Error('--concurrency must be a whole number, 1 or more.');
+    if (!(settings.turnout > 0 && settings.turnout <= 1)) throw new Error('--turnout must be more than 0 and at most 1.');
+    if (!(settings.settleTimeoutMs > 0)) throw new Error('--settle-timeout must be a number of seconds.');
+    if (!settings.username || !settings.password) throw new Error('Give --username and --password (or set ADMIN_USERNAME and ADMIN_PASSWORD).');
+    return settings;
+};
+
+/**
+ * A minimal JSON client for the node's API.
+ * @param {string} url - The node URL.
+ * @returns {object} { request(method, path, body, token) } resolving to { status, body }.
+ */
+const createClient = (url) => ({
+    async request(method, path, body = undefined, token = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(url + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        let parsed = null;
+        try {
+            parsed = text ? JSON.parse(text) : null;
+        } catch {
+            parsed = { message: text };
+        }
+        return { status: response.status, body: parsed };
+    }
+});
+
+/**
+ * Sends a request and fails on an error status.
+ * @param {object} client - See createClient.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The API path.
+ * @param {object} [body] - The JSON body.
+ * @param {string} [token] - The staff session token.
+ * @returns {Promise<object>} The response body.
+ * @throws {Error} With the node's message if the request fails.
+ */
+const expectOk = async (client, method, path, body, token) => {
+    const { status, body: response } = await client.request(method, path, body, token);
+    if (status >= 400) {
+        throw new Error(`${method} ${path} failed (${status}): ${response?.message || 'no message'}`);
+    }
+    return response;
+};
+
+/**
+ * Runs the simulation.
+ * @param {object} settings - See readSettings.
+ * @param {Function} log - Progress logger.
+ * @returns {Promise<object>} The report.
+ */
+const simulate = async (settings, log) => {
+    const client = createClient(settings.url);
+    const random = createRandom(settings.seed);
+    const { token } = await expectOk(client, 'POST', '/auth/login', { username: settings.username, password: settings.password });
+    const electionPath = `/elections/${encodeURIComponent(settings.electionId)}`;
+    const adminPath = `/admin${electionPath}`;
+    const candidates = settings.weights.map((weight, index) => ({ id: `candidate-${index + 1}`, name: `Candidate ${index + 1}`, weight }));
+
+    await expectOk(client, 'POST', '/admin/elections', {
+        id: settings.electionId,
+        name: `Simulation of ${settings.voters} voters`,
+        description: `Synthetic election (seed ${settings.seed})`,
+        candidates: candidates.map(({ id, name }) => ({ id, name }))
+    }, token);
+    await expectOk(client, 'POST', `${adminPath}/phase`, { phase: 'registration' }, token);
+    log(`Created election '${settings.electionId}' with ${candidates.length} candidates on ${settings.url}.`);
+
+    // --- Registration ---
+    log(`Generating ${settings.voters} voter credentials...`);
+    const voters = [];
+    for (let i = 0; i < settings.voters; i++) {
+        voters.push({ voterId: `sim-voter-${String(i + 1).padStart(6, '0')}`, ...generateVoterKeyPair() });
+    }
+    const registrationStart = performance.now();
+    for (let i = 0; i < voters.length; i += IMPORT_BATCH_SIZE) {
+        const batch = voters.slice(i, i + IMPORT_BATCH_SIZE).map(({ voterId, publicKey }) => ({ voterId, publicKey }));
+        const { importedCount, errors } = await expectOk(client, 'POST', `${adminPath}/voters/import`, batch, token);
+        if (errors.length > 0) {
+            throw new Error(`The node skipped ${errors.length} voter(s) of the import, e.g. ${errors[0].voterId}: ${errors[0].message}`);
+        }
+        log(`Registered ${i + importedCount} of ${voters.length} voters.`);
+    }
+    const registrationMs = performance.now() - registrationStart;
+    await expectOk(client, 'POST', `${adminPath}/phase`, { phase: 'voting' }, token);
+
+    // --- Voting: who votes and for whom, shuffled so the candidates' votes arrive interleaved ---
+    const votes = [];
+    const expected = apportion(Math.round(settings.voters * settings.turnout), settings.weights);
+    expected.forEach((count, index) => {
+        for (let i = 0; i < count; i++) votes.push(candidates[index].id);
+    });
+    for (let i = votes.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [votes[i], votes[j]] = [votes[j], votes[i]];
+    }
+    const startSummary = await expectOk(client, 'GET', electionPath);
+    log(`Casting ${votes.length} votes${settings.rate > 0 ? ` at ${settings.rate} per second` : ''} with up to ${settings.concurrency} in flight...`);
+
+    const latencies = [];
+    const rejections = [];
+    const acceptedVotes = Object.fromEntries(candidates.map(candidate => [candidate.id, 0]));
+    let accepted = 0;
+    let next = 0;
+    const votingStart = performance.now();
+    const castNext = async () => {
+        while (next < votes.length) {
+            const index = next++;
+            if (settings.rate > 0) {
+                const due = votingStart + index * 1000 / settings.rate;
+                if (due > performance.now()) await sleep(due - performance.now());
+            }
+            const { voterId, privateKey } = voters[index];
+            const ballot = { electionId: settings.electionId, voterId, candidateId: votes[index], timestamp: Date.now().toString() };
+            const signature = crypto.sign('sha256', Buffer.from(getBallotSigningPayload(ballot), 'utf8'),
+                { key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8', dsaEncoding: 'ieee-p1363' }).toString('base64');
+            const sentAt = performance.now();
+            try {
+                const { status, body } = await client.request('POST', `${electionPath}/vote`, { ...ballot, signature });
+                latencies.push(performance.now() - sentAt);
+                if (status === 201) {
+                    accepted++;
+                    acceptedVotes[votes[index]]++;
+                } else {
+                    rejections.push({ voterId, status, message: body?.message || null });
+                }
+            } catch (error) {
+                rejections.push({ voterId, status: null, message: error.message });
+            }
+            if ((index + 1) % 1000 === 0) log(`Sent ${index + 1} of ${votes.length} votes.`);
+        }
+    };
+    await Promise.all(Array.from({ length: settings.concurrency }, castNext));
+    const votingMs = performance.now() - votingStart;
+
+    // --- Mining: wait until every accepted vote is counted ---
+    log('Waiting for every accepted vote to be mined...');
+    const settleStart = performance.now();
+    let results = await expectOk(client, 'GET', `${electionPath}/results`);
+    while (results.ballotCount < accepted && performance.now() - settleStart < settings.settleTimeoutMs) {
+        await sleep(SETTLE_POLL_MS);
+        results = await expectOk(client, 'GET', `${electionPath}/results`);
+    }
+    const settleMs = performance.now() - settleStart;
+    const endSummary = await expectOk(client, 'GET', electionPath);
+    if (!settings.keepOpen) {
+        await expectOk(client, 'POST', `${adminPath}/phase`, { phase: 'closed' }, token);
+    }
+
+    // --- Report ---
+    // Every vote sent is valid, so the counts must equal the votes sent; a rejected vote is a failure, not an excuse
+    const differences = candidates
+        .map((candidate, index) => ({ candidateId: candidate.id, sent: expected[index], accepted: acceptedVotes[candidate.id], counted: results.results[candidate.id]?.votes ?? 0 }))
+        .filter(({ sent, counted }) => sent !== counted);
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const blocks = endSummary.chainLength - startSummary.chainLength;
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+    return {
+        electionId: settings.electionId,
+        url: settings.url,
+        seed: settings.seed,
+        candidates: candidates.map(({ id, weight }, index) => ({ id, weight, sent: expected[index], accepted: acceptedVotes[id] })),
+        registration: {
+            voters: voters.length,
+            seconds: round(registrationMs / 1000),
+            votersPerSecond: round(voters.length / (registrationMs / 1000))
+        },
+        voting: {
+            sent: votes.length,
+            accepted,
+            rejected: rejections.length,
+            firstRejections: rejections.slice(0, 5),
+            seconds: round(votingMs / 1000),
+            votesPerSecond: round(accepted / (votingMs / 1000)),
+            latencyMs: {
+                mean: round(sorted.length > 0 ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null),
+                p50: round(percentileOf(sorted, 50)),
+                p95: round(percentileOf(sorted, 95)),
+                p99: round(percentileOf(sorted, 99)),
+                max: round(percentileOf(sorted, 100))
+            }
+        },
+        mining: {
+            blocks,
+            votesPerBlock: blocks > 0 ? round(results.ballotCount / blocks) : null,
+            secondsToCountAll: round(settleMs / 1000),
+            countedAll: results.ballotCount >= accepted,
+            pendingTransactions: endSummary.pendingTransactionCount
+        },
+        results: {
+            ballotCount: results.ballotCount,
+            counted: Object.fromEntries(Object.entries(results.results).map(([id, { votes: count }]) => [id, count])),
+            winners: results.winners,
+            matches: differences.length === 0,
+            differences,
+            passed: differences.length === 0 && rejections.length === 0 && results.ballotCount === votes.length
+        }
+    };
+};
+
+/**
+ * Prints the report in a readable form.
+ * @param {object} report - The simulation report.
+ */
+const printReport = (report) => {
+    const { registration, voting, mining, results } = report;
+    console.log(`Simulation of election '${report.electionId}' on ${report.url} (seed ${report.seed})`);
+    console.log(`Registration: ${registration.voters} voters in ${registration.seconds} s (${registration.votersPerSecond} voters/s)`);
+    console.log(`Voting: ${voting.accepted} of ${voting.sent} votes accepted in ${voting.seconds} s (${voting.votesPerSecond} votes/s)`);
+    console.log(`  latency ms: mean ${voting.latencyMs.mean}, p50 ${voting.latencyMs.p50}, p95 ${voting.latencyMs.p95}, p99 ${voting.latencyMs.p99}, max ${voting.latencyMs.max}`);
+    for (const rejection of voting.firstRejections) {
+        console.log(`  rejected ${rejection.voterId} (${rejection.status ?? 'no response'}): ${rejection.message}`);
+    }
+    console.log(`Mining: ${mining.blocks} blocks (${mining.votesPerBlock ?? '-'} votes/block); all votes counted ${mining.secondsToCountAll} s after the last was sent${mining.countedAll ? '' : ' - NOT ALL COUNTED before the timeout'}`);
+    console.log('Results (sent / accepted / counted):');
+    for (const candidate of report.candidates) {
+        console.log(`  ${candidate.id.padEnd(20)} ${[candidate.sent, candidate.accepted, results.counted[candidate.id] ?? 0].map(count => String(count).padStart(8)).join(' /')}`);
+    }
+    console.log(`Winners: ${results.winners.join(', ') || 'none'}`);
+    for (const difference of results.differences) {
+        console.log(`  MISMATCH ${difference.candidateId}: ${difference.sent} sent, ${difference.accepted} accepted, ${difference.counted} counted`);
+    }
+    if (results.passed) {
+        console.log('Result: PASS');
+    } else if (voting.rejected > 0) {
+        console.log(`Result: FAIL (${voting.rejected} valid vote(s) were rejected)`);
+    } else {
+        console.log(results.matches ? 'Result: FAIL (not all votes were counted)' : 'Result: MISMATCH (the counted results differ from the votes sent)');
+    }
+};
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {Promise<number>} The process exit code.
+ */
+export const run = async (args) => {
+    const { options } = parseOptions(args);
+    const settings = readSettings(options);
+    const report = await simulate(settings, (message) => console.error(message));
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+    return report.results.passed ? 0 : 2;
+};
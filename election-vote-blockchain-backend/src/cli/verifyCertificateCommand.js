@@ -0,0 +1,104 @@
+/**
+ * @fileoverview CLI command that checks a downloaded results certificate offline, against an
+ * exported chain (the JSON array from GET /elections/:id/blockchain). It needs no server and no
+ * storage. The exit code is 0 when every check passes and 2 when one fails.
+ *
+ * Checks: the certificate's signature, optionally the signing key or that it belongs to an authority
+ * in an authorities file (as given to the nodes with AUTHORITIES_FILE), the hashes, Merkle roots and links of every
+ * block up to the certified height, the certified final block hash and, for JSON certificates,
+ * a recount of the ballots on the chain. Seals and transaction signatures are not checked here;
+ * run `audit` on a node for those.
+ */
+
+import { promises as fs } from 'fs';
+import { Block } from '../core/blockchain.js';
+import { AuthoritySet } from '../core/authority.js';
+import { readCertificate, getRecountProblem } from '../core/certificate.js';
+import { parseOptions } from './cliSupport.js';
+
+const USAGE = 'verify-certificate --certificate <file> --chain <file> [--public-key <base64 key>] [--authorities <file>]';
+
+export const description = `Check a results certificate against an exported chain. Usage: ${USAGE}`;
+
+/**
+ * Checks that the chain is intact up to a height: every block's hash, Merkle root and link to the one before.
+ * @param {Array<object>} chain - The exported blocks.
+ * @param {number} height - How many blocks to check.
+ * @returns {string|null} The first problem found, or null.
+ */
+const getChainProblem = (chain, height) => {
+    for (let i = 0; i < height; i++) {
+        let block;
+        try {
+            block = Block.fromData(chain[i]);
+        } catch (error) {
+            return `Block ${i}: ${error.message}`;
+        }
+        if (block.index !== i) {
+            return `Block ${i} has index ${block.index}.`;
+        }
+        if (block.calculateHash() !== block.hash || !block.hasValidMerkleRoot()) {
+            return `Block ${i}'s hash does not match its contents.`;
+        }
+        if (i > 0 && block.previousHash !== chain[i - 1].hash) {
+            return `Block ${i} does not link to block ${i - 1}.`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Runs the command.
+ * @param {Array<string>} args - Command arguments.
+ * @returns {Promise<number>} The process exit code.
+ */
+export const run = async (args) => {
+    const { options } = parseOptions(args);
+    if (typeof options.certificate !== 'string' || typeof options.chain !== 'string') {
+        console.error(`Usage: ${USAGE}`);
+        return 1;
+    }
+    const { format, certificate, signatureValid } = readCertificate(await fs.readFile(options.certificate, 'utf8'));
+    const chain = JSON.parse(await fs.readFile(options.chain, 'utf8'));
+    if (!Array.isArray(chain)) {
+        throw new Error('The chain file must hold a JSON array of blocks.');
+    }
+
+    const { signer, publicKey } = certificate.signature;
+    const height = certificate.chainHeight;
+    const expectedKey = typeof options['public-key'] === 'string' ? options['public-key'].trim() : null;
+    const authorities = typeof options.authorities === 'string'
+        ? new AuthoritySet(JSON.parse(await fs.readFile(options.authorities, 'utf8')))
+        : null;
+    const checks = [
+        ['Signature', signatureValid ? null : 'The signature does not match the certificate.'],
+        ['Chain', chain.length < height
+            ? `The chain has ${chain.length} blocks; the certificate covers ${height}.`
+            : getChainProblem(chain, height)],
+        ['Final block', chain[height - 1] && chain[height - 1].hash === certificate.finalBlockHash
+            ? null
+            : `Block ${height - 1} of the chain is not the certified block ${certificate.finalBlockHash}.`]
+    ];
+    if (expectedKey) {
+        checks.splice(1, 0, ['Signing key', expectedKey === publicKey ? null : 'The certificate is signed with a different key than the one given.']);
+    }
+    if (authorities) {
+        const signerProblem = authorities.checkSigner(signer, publicKey, Date.parse(certificate.certifiedAt));
+        checks.splice(1, 0, ['Authority', signerProblem ? `The certificate is not signed by a listed authority: ${signerProblem}.` : null]);
+    }
+    if (format === 'json') {
+        checks.push(['Recount', checks.some(([, problem]) => problem) ? 'Skipped: an earlier check failed.' : getRecountProblem(certificate, chain.slice(0, height))]);
+    }
+
+    console.log(`Certificate of election '${certificate.electionId}' (${format}), signed by ${signer} with key ${publicKey}`);
+    console.log(`Certified block: ${height - 1} (${certificate.finalBlockHash})`);
+    for (const [name, problem] of checks) {
+        console.log(`  ${problem ? 'FAIL' : 'ok  '} ${name}${problem ? `: ${problem}` : ''}`);
+    }
+    const valid = checks.every(([, problem]) => !problem);
+    console.log(valid ? 'Result: VALID' : 'Result: INVALID');
+    if (valid && !expectedKey && !authorities) {
+        console.log('Compare the signing key with the one the election authorities published, or pass their authorities file.');
+    }
+    return valid ? 0 : 2;
+};
@@ -30,6 +30,9 @@ export let db;
 export let auth;
 export let blocksCollection;     // Firestore collection for blockchain blocks
 export let electionStateDocRef;  // Firestore document for storing election-specific state
+export let electionIndexDocRef;  // Firestore document listing the IDs of every election
+export let mempoolCollection;    // Firestore collection of accepted, not yet mined transactions
+export let votersCollection;     // Firestore collection of the voter roll, one document per voter
 
 /**
  * Initializes Firebase and sets up Firestore.
@@ -59,6 +62,9 @@ export async function initializeFirebaseAndFirestore() {
         // /artifacts/{appId}/public/data/{your_collection_name}
         blocksCollection = collection(db, `artifacts/${appId}/public/data/election_blockchain_blocks`);
         electionStateDocRef = doc(db, `artifacts/${appId}/public/data/election_state/current`); // Single doc for overall state
+        electionIndexDocRef = doc(db, `artifacts/${appId}/public/data/election_registry/index`);
+        mempoolCollection = collection(db, `artifacts/${appId}/public/data/election_mempool`);
+        votersCollection = collection(db, `artifacts/${appId}/public/data/election_voters`);
 
         console.log(`Firestore block collection path: artifacts/${appId}/public/data/election_blockchain_blocks`);
         console.log(`Firestore election state document path: artifacts/${appId}/public/data/election_state/current`);
@@ -68,3 +74,18 @@ export async function initializeFirebaseAndFirestore() {
         throw error; // Re-throw to propagate error to main server startup
     }
 }
+
+/**
+ * Returns the Firestore references that hold the blocks, state, mempool and voter roll of an additional election.
+ * (The default election uses `blocksCollection`, `electionStateDocRef`, `mempoolCollection` and `votersCollection` above.)
+ * @param {string} electionId - The election ID.
+ * @returns {{ blocksCollection: object, electionStateDocRef: object, mempoolCollection: object, votersCollection: object }} The references.
+ */
+export function getElectionRefs(electionId) {
+    return {
+        blocksCollection: collection(db, `artifacts/${appId}/public/data/elections/${electionId}/blocks`),
+        electionStateDocRef: doc(db, `artifacts/${appId}/public/data/election_state/${electionId}`),
+        mempoolCollection: collection(db, `artifacts/${appId}/public/data/elections/${electionId}/mempool`),
+        votersCollection: collection(db, `artifacts/${appId}/public/data/elections/${electionId}/voters`)
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Reads server settings from environment variables.
+ * Every setting has a default so the server still starts with no configuration.
+ */
+
+import { CONSENSUS_MODES } from '../core/authority.js';
+import { isLedgerAddress } from '../core/ledger.js';
+
+/**
+ * What to do when the chain or election state cannot be loaded at startup.
+ * - 'fail': abort startup (default). Nothing is served from an unknown state.
+ * - 'fallback': start from a fresh genesis block and empty election state.
+ */
+export const LOAD_FAILURE_POLICIES = ['fail', 'fallback'];
+
+/**
+ * Builds the server configuration from `process.env`.
+ * @returns {object} The resolved configuration.
+ * @throws {Error} If a setting has an invalid value.
+ */
+export const loadServerConfig = () => {
+    const config = {
+        port: Number(process.env.PORT) || 3001,
+        requestBodyLimit: process.env.REQUEST_BODY_LIMIT || '50mb', // Large enough for voter roll imports
+        storage: {
+            backend: process.env.STORAGE_BACKEND || 'firestore',
+            dataDir: process.env.STORAGE_DIR || './data',
+            secretsDir: process.env.SECRETS_DIR || './secrets' // Private keys, on this node's disk whatever the backend
+        },
+        loadFailurePolicy: process.env.LOAD_FAILURE_POLICY || 'fail',
+        blockProduction: {
+            maxBatchSize: Number(process.env.BLOCK_BATCH_SIZE) || 10,
+            maxBlockTransactions: Number(process.env.BLOCK_MAX_TRANSACTIONS) || 1000,
+            batchIntervalMs: Number(process.env.BLOCK_BATCH_INTERVAL_MS) || 1000,
+            minerAddress: process.env.MINER_ADDRESS || null // No mining reward when unset
+        },
+        mining: {
+            targetBlockIntervalMs: Number(process.env.MINING_TARGET_BLOCK_INTERVAL_MS) || 5000,
+            initialDifficulty: Number(process.env.MINING_INITIAL_DIFFICULTY) || 3,
+            minDifficulty: Number(process.env.MINING_MIN_DIFFICULTY) || 1,
+            maxDifficulty: Number(process.env.MINING_MAX_DIFFICULTY) || 5
+        },
+        consensus: {
+            mode: process.env.CONSENSUS || 'pow',
+            authoritiesFile: process.env.AUTHORITIES_FILE || null,
+            authorityId: process.env.AUTHORITY_ID || null,
+            authorityKeyFile: process.env.AUTHORITY_KEY_FILE || null
+        },
+        network: {
+            nodeUrl: process.env.NODE_URL || null,
+            peers: (process.env.PEERS || '').split(',').map(url => url.trim()).filter(Boolean),
+            peerSecret: process.env.PEER_SECRET || null,
+            syncIntervalMs: Number(process.env.PEER_SYNC_INTERVAL_MS) || 30000
+        },
+        auth: {
+            tokenSecret: process.env.AUTH_TOKEN_SECRET || null,
+            tokenTtlSeconds: Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 8 * 60 * 60,
+            usersFile: process.env.ADMIN_USERS_FILE || null,
+            bootstrapUsername: process.env.ADMIN_USERNAME || null,
+            bootstrapPassword: process.env.ADMIN_PASSWORD || null
+        }
+    };
+
+    if (!LOAD_FAILURE_POLICIES.includes(config.loadFailurePolicy)) {
+        throw new Error(`Invalid LOAD_FAILURE_POLICY '${config.loadFailurePolicy}'. Use one of: ${LOAD_FAILURE_POLICIES.join(', ')}.`);
+    }
+    if (!CONSENSUS_MODES.includes(config.consensus.mode)) {
+        throw new Error(`Invalid CONSENSUS '${config.consensus.mode}'. Use one of: ${CONSENSUS_MODES.join(', ')}.`);
+    }
+    if (config.network.peers.length > 0 && !config.network.peerSecret) {
+        throw new Error('PEERS is set but PEER_SECRET is not. Every node of a network must share the same PEER_SECRET.');
+    }
+    if (config.blockProduction.minerAddress && !isLedgerAddress(config.blockProduction.minerAddress)) {
+        throw new Error(`Invalid MINER_ADDRESS '${config.blockProduction.minerAddress}'. Use a ledger address: 64 lowercase hex characters.`);
+    }
+    const { initialDifficulty, minDifficulty, maxDifficulty } = config.mining;
+    if (!(minDifficulty <= initialDifficulty && initialDifficulty <= maxDifficulty)) {
+        throw new Error(`Invalid mining difficulty settings: expected MINING_MIN_DIFFICULTY <= MINING_INITIAL_DIFFICULTY <= MINING_MAX_DIFFICULTY, got ${minDifficulty}, ${initialDifficulty}, ${maxDifficulty}.`);
+    }
+    return config;
+};
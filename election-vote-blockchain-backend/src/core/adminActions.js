@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Admin actions recorded on the chain. Registering voters, changing candidates and
+ * moving the election between phases each add an 'admin' transaction to the chain, so the voter
+ * roll, candidates and phase can be rebuilt by replaying the chain and every change leaves a trace.
+ *
+ * An admin transaction is { electionId, action, ...details, by, at, type: 'admin', signer, signature },
+ * signed by a block authority (see AuthoritySet.signTransaction); unsigned ones are rejected. The first one of
+ * an election is always 'setup', a snapshot of the roll, candidates, phase and settings at the time admin
+ * actions started being recorded (when the election was created, or for older elections, when they
+ * were first loaded by a version that records them). The settings are those that decide which ballots
+ * are valid and how they are counted (see SETTINGS_FIELDS); the name, description and schedule are
+ * not recorded on the chain.
+ */
+
+import { ELECTION_PHASES, PHASE_TRANSITIONS, SETUP_PHASES, REGISTRATION_PHASES } from './electionLifecycle.js';
+import { VOTING_METHODS } from './votingMethods.js';
+
+/**
+ * Every admin action, and the details its transaction carries.
+ * - 'setup': { candidates, voters, phase, phaseHistory, settings }
+ * - 'register-voters': { voters } ({ voterId, publicKey, attributes } records)
+ * - 'update-voter': { voterId, publicKey }, a new credential
+ * - 'deregister-voter': { voterId }
+ * - 'set-phase': { from, to }
+ * - 'add-candidate' and 'update-candidate': { candidate }
+ * - 'remove-candidate': { candidateId }
+ * - 'update-settings': { settings }, every setting after the change
+ */
+export const ADMIN_ACTIONS = ['setup', 'register-voters', 'update-voter', 'deregister-voter', 'set-phase', 'add-candidate', 'update-candidate', 'remove-candidate', 'update-settings'];
+
+/**
+ * The election settings recorded on the chain. `ballotPublicKey` is the secret-ballot signing key's
+ * public half ({ n, e }), null with open ballots.
+ */
+export const SETTINGS_FIELDS = ['ballotMode', 'ballotPublicKey', 'allowRevoting', 'votingMethod', 'seats', 'eligibility'];
+
+// Actor recorded for the setup of an election that existed before admin actions were recorded
+export const MIGRATION_ACTOR = 'migration';
+
+/**
+ * The state admin actions change, before any action.
+ * @param {string} electionId - The election the actions must belong to.
+ * @returns {object} { electionId, isSetUp, candidates, registeredVoters, phase, phaseHistory, settings, votedUsers }.
+ */
+export const createAdminState = (electionId) => ({
+    electionId,
+    isSetUp: false,
+    candidates: [],
+    registeredVoters: new Map(),
+    phase: 'draft',
+    phaseHistory: [],
+    settings: null,
+    votedUsers: new Set()
+});
+
+/**
+ * Whether a voter record is shaped like one.
+ * @param {object} voter - The record.
+ * @returns {boolean} True if the voter ID is a non-empty string.
+ */
+const isVoterRecord = (voter) => Boolean(voter) && typeof voter.voterId === 'string' && voter.voterId !== '';
+
+/**
+ * Whether recorded settings are shaped like them (see SETTINGS_FIELDS). Secret ballots need a
+ * ballot key and cannot be replaced.
+ * @param {object} settings - The settings.
+ * @returns {boolean} True if every setting has a valid value.
+ */
+const isSettingsRecord = (settings) => Boolean(settings) && typeof settings === 'object'
+    && (settings.ballotMode === 'open'
+        || (settings.ballotMode === 'secret' && Boolean(settings.ballotPublicKey) && typeof settings.ballotPublicKey.n === 'string' && settings.allowRevoting === false))
+    && typeof settings.allowRevoting === 'boolean'
+    && VOTING_METHODS.includes(settings.votingMethod) && Number.isInteger(settings.seats) && settings.seats >= 1
+    && Boolean(settings.eligibility) && typeof settings.eligibility === 'object';
+
+/**
+ * Checks an admin transaction against the state it would change.
+ * @param {object} state - The current state, see createAdminState.
+ * @param {object} transaction - The admin transaction.
+ * @param {import('./authority.js').AuthoritySet} authorities - The authorities that sign admin actions.
+ * @returns {string|null} Why the action is not allowed, or null if it is.
+ */
+export const getAdminActionError = (state, transaction, authorities) => {
+    const { action } = transaction;
+    if (!ADMIN_ACTIONS.includes(action)) {
+        return `unknown admin action '${action}'`;
+    }
+    // The signature covers the election ID, but the same authorities sign every election's actions
+    if (transaction.electionId !== state.electionId) {
+        return `the action belongs to election '${transaction.electionId}'`;
+    }
+    const signatureProblem = authorities.checkTransactionSignature(transaction);
+    if (signatureProblem) {
+        return signatureProblem;
+    }
+    if (action === 'setup') {
+        if (state.isSetUp) {
+            return 'the election setup is already recorded';
+        }
+        const { candidates, voters, phase, phaseHistory, settings } = transaction;
+        if (!Array.isArray(candidates) || !Array.isArray(voters) || !voters.every(isVoterRecord) || !ELECTION_PHASES.includes(phase) || !Array.isArray(phaseHistory) || !isSettingsRecord(settings)) {
+            return 'the election setup is malformed';
+        }
+        return null;
+    }
+    if (!state.isSetUp) {
+        return `'${action}' comes before the election setup`;
+    }
+
+    const candidatesLocked = !SETUP_PHASES.includes(state.phase) || state.votedUsers.size > 0;
+    switch (action) {
+        case 'register-voters': {
+            if (!REGISTRATION_PHASES.includes(state.phase)) return `voters cannot be registered while the election is ${state.phase}`;
+            if (!Array.isArray(transaction.voters) || transaction.voters.length === 0 || !transaction.voters.every(isVoterRecord)) return 'the voter records are malformed';
+            const voterIds = transaction.voters.map(voter => voter.voterId);
+            const taken = voterIds.find((voterId, index) => state.registeredVoters.has(voterId) || voterIds.indexOf(voterId) !== index);
+            return taken ? `voter '${taken}' is already registered` : null;
+        }
+        case 'update-voter':
+            if (!REGISTRATION_PHASES.includes(state.phase)) return `credentials cannot change while the election is ${state.phase}`;
+            if (!state.registeredVoters.has(transaction.voterId)) return `voter '${transaction.voterId}' is not registered`;
+            return state.votedUsers.has(transaction.voterId) ? `voter '${transaction.voterId}' has already voted` : null;
+        case 'deregister-voter':
+            if (!SETUP_PHASES.includes(state.phase)) return `voters cannot be removed while the election is ${state.phase}`;
+            return state.registeredVoters.has(transaction.voterId) ? null : `voter '${transaction.voterId}' is not registered`;
+        case 'set-phase':
+            if (transaction.from !== state.phase) return `the election is ${state.phase}, not ${transaction.from}`;
+            return (PHASE_TRANSITIONS[state.phase] || []).includes(transaction.to) ? null : `the election cannot move from '${state.phase}' to '${transaction.to}'`;
+        case 'add-candidate':
+        case 'update-candidate': {
+            const { candidate } = transaction;
+            if (candidatesLocked) return 'the candidates are locked';
+            if (!candidate || typeof candidate.id !== 'string' || typeof candidate.name !== 'string') return 'the candidate is malformed';
+            const exists = state.candidates.some(c => c.id === candidate.id);
+            if (action === 'add-candidate' && exists) return `candidate '${candidate.id}' already exists`;
+            return action === 'update-candidate' && !exists ? `candidate '${candidate.id}' does not exist` : null;
+        }
+        case 'remove-candidate':
+            if (candidatesLocked) return 'the candidates are locked';
+            return state.candidates.some(c => c.id === transaction.candidateId) ? null : `candidate '${transaction.candidateId}' does not exist`;
+        case 'update-settings':
+            if (candidatesLocked) return 'the election settings are locked';
+            return isSettingsRecord(transaction.settings) ? null : 'the election settings are malformed';
+    }
+    return null;
+};
+
+/**
+ * Applies an admin transaction that passed getAdminActionError.
+ * @param {object} state - The state to change, see createAdminState.
+ * @param {object} transaction - The admin transaction.
+ */
+export const applyAdminAction = (state, transaction) => {
+    switch (transaction.action) {
+        case 'setup':
+            state.isSetUp = true;
+            state.candidates = transaction.candidates.map(candidate => ({ ...candidate }));
+            state.registeredVoters = new Map(transaction.voters.map(({ voterId, publicKey = null, attributes = {} }) => [voterId, { publicKey, attributes }]));
+            state.phase = transaction.phase;
+            state.phaseHistory = transaction.phaseHistory.map(entry => ({ ...entry }));
+            state.settings = { ...transaction.settings };
+            break;
+        case 'register-voters':
+            for (const { voterId, publicKey = null, attributes = {} } of transaction.voters) {
+                state.registeredVoters.set(voterId, { publicKey, attributes });
+            }
+            break;
+        case 'update-voter':
+            state.registeredVoters.set(transaction.voterId, { ...state.registeredVoters.get(transaction.voterId), publicKey: transaction.publicKey });
+            break;
+        case 'deregister-voter':
+            state.registeredVoters.delete(transaction.voterId);
+            break;
+        case 'set-phase':
+            state.phase = transaction.to;
+            state.phaseHistory.push({ from: transaction.from, to: transaction.to, by: transaction.by, at: transaction.at });
+            break;
+        case 'add-candidate':
+            state.candidates.push({ ...transaction.candidate });
+            break;
+        case 'update-candidate':
+            state.candidates = state.candidates.map(c => c.id === transaction.candidate.id ? { ...transaction.candidate } : c);
+            break;
+        case 'remove-candidate':
+            state.candidates = state.candidates.filter(c => c.id !== transaction.candidateId);
+            break;
+        case 'update-settings':
+            state.settings = { ...transaction.settings };
+            break;
+    }
+};
+
+/**
+ * Rebuilds the state admin actions change by replaying a chain. Voters who voted are collected
+ * too, since they lock the candidates. Admin actions that break the rules are skipped.
+ * @param {Array<object>} chain - The blocks, genesis block first.
+ * @param {import('./authority.js').AuthoritySet} authorities - The authorities that sign admin actions.
+ * @param {string} electionId - The election the chain belongs to.
+ * @returns {{ state: object, problems: Array<{ blockIndex: number, transaction: object, message: string }> }}
+ * The replayed state (see createAdminState) and every skipped action.
+ */
+export const replayAdminActions = (chain, authorities, electionId) => {
+    const state = createAdminState(electionId);
+    const problems = [];
+    for (const block of chain) {
+        if (!Array.isArray(block.data)) continue;
+        for (const transaction of block.data) {
+            if ((transaction.type === 'vote' || transaction.type === 'participation') && transaction.voterId) {
+                state.votedUsers.add(transaction.voterId);
+            }
+            if (transaction.type !== 'admin') continue;
+            const problem = getAdminActionError(state, transaction, authorities);
+            if (problem) {
+                problems.push({ blockIndex: block.index, transaction, message: problem });
+            } else {
+                applyAdminAction(state, transaction);
+            }
+        }
+    }
+    return { state, problems };
+};
+
+/**
+ * Lists the IDs in one set but not in another, shortened for log messages.
+ * @param {Iterable<string>} ids - The IDs to look for.
+ * @param {Set<string>|Map<string, any>} other - Where to look.
+ * @returns {string|null} The missing IDs, or null if none are missing.
+ */
+const listMissing = (ids, other) => {
+    const missing = Array.from(ids).filter(id => !other.has(id));
+    if (missing.length === 0) return null;
+    return missing.length > 10 ? `${missing.slice(0, 10).join(', ')} and ${missing.length - 10} more` : missing.join(', ');
+};
+
+/**
+ * Compares state cached in storage with the state rebuilt from the chain. The roll, candidates,
+ * phase and, if the cached state has them, settings are only compared once the election setup is recorded.
+ * @param {object} cached - The cached state: { votedUsers, registeredVoters, candidates, phase, settings? }.
+ * @param {object} replayed - The rebuilt state, see createAdminState.
+ * @param {string} [source='stored'] - Where the cached state comes from, for the messages.
+ * @returns {Array<string>} Every difference found; empty if the two agree.
+ */
+export const describeStateDifferences = (cached, replayed, source = 'stored') => {
+    const differences = [];
+    const report = (ids, other, message) => {
+        const missing = listMissing(ids, other);
+        if (missing) differences.push(`${message}: ${missing}`);
+    };
+    report(replayed.votedUsers, cached.votedUsers, `voters who voted on the chain are missing from the ${source} voted list`);
+    report(cached.votedUsers, replayed.votedUsers, `the ${source} voted list has voters with no vote on the chain`);
+    if (!replayed.isSetUp) {
+        return differences;
+    }
+    report(replayed.registeredVoters.keys(), cached.registeredVoters, `voters registered on the chain are missing from the ${source} roll`);
+    report(cached.registeredVoters.keys(), replayed.registeredVoters, `the ${source} roll has voters not registered on the chain`);
+    const sameCredential = new Set(Array.from(replayed.registeredVoters.keys())
+        .filter(voterId => !cached.registeredVoters.has(voterId) || cached.registeredVoters.get(voterId).publicKey === replayed.registeredVoters.get(voterId).publicKey));
+    report(replayed.registeredVoters.keys(), sameCredential, `the ${source} roll has other credentials for`);
+    if (JSON.stringify(cached.candidates) !== JSON.stringify(replayed.candidates)) {
+        differences.push(`the ${source} candidates (${cached.candidates.map(c => c.id).join(', ')}) differ from the chain's (${replayed.candidates.map(c => c.id).join(', ')})`);
+    }
+    if (cached.phase !== replayed.phase) {
+        differences.push(`the ${source} phase is ${cached.phase}, the chain's is ${replayed.phase}`);
+    }
+    const changedSettings = cached.settings
+        ? SETTINGS_FIELDS.filter(field => JSON.stringify(cached.settings[field]) !== JSON.stringify(replayed.settings[field]))
+        : [];
+    if (changedSettings.length > 0) {
+        differences.push(`the ${source} settings differ from the chain's: ${changedSettings.join(', ')}`);
+    }
+    return differences;
+};
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Block authorities for Proof-of-Authority consensus.
+ * Instead of mining, a block is sealed: an authority sets itself as the block's `sealer` (which
+ * the block hash covers) and signs the hash with its Ed25519 key. Every node holds the list of
+ * authorities with their public keys; an authority can be revoked from a point in time, after
+ * which its seals are rejected while the blocks it sealed earlier stay valid.
+ * Authorities also sign the admin transactions (see adminActions.js) in either consensus mode, so a
+ * voter roll or phase change that no authority signed is rejected wherever the chain is checked.
+ * Keys are exchanged as base64 DER (SPKI for public keys, PKCS#8 for private keys).
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+
+/**
+ * Consensus modes a deployment can choose from.
+ * - 'pow': anyone running a node mines blocks with proof-of-work.
+ * - 'poa': only configured authorities seal blocks.
+ */
+export const CONSENSUS_MODES = ['pow', 'poa'];
+
+/**
+ * Parses an authority public key.
+ * @param {string} publicKey - Base64 DER (SPKI) encoded Ed25519 public key.
+ * @returns {crypto.KeyObject} The key.
+ * @throws {Error} If the key cannot be parsed or is not an Ed25519 key.
+ */
+const parseAuthorityPublicKey = (publicKey) => {
+    let key;
+    try {
+        key = crypto.createPublicKey({ key: Buffer.from(String(publicKey), 'base64'), format: 'der', type: 'spki' });
+    } catch (error) {
+        throw new Error('Authority public key must be a base64-encoded SPKI key.');
+    }
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error('Authority public key must be an Ed25519 key.');
+    }
+    return key;
+};
+
+/**
+ * The bytes an admin transaction's signature covers: every field but the signature itself.
+ * @param {object} transaction - The admin transaction.
+ * @returns {Buffer} The signed payload.
+ */
+const getTransactionPayload = (transaction) => {
+    const { signature, ...signed } = transaction;
+    return Buffer.from(JSON.stringify(signed), 'utf8');
+};
+
+/**
+ * Generates a key pair for a new authority.
+ * @returns {{ publicKey: string, privateKey: string }} Base64 DER encoded SPKI public key and PKCS#8 private key.
+ */
+export const generateAuthorityKeyPair = () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+        privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')
+    };
+};
+
+/**
+ * The configured authorities, and this node's own signing key if it is one of them.
+ */
+export class AuthoritySet {
+    /**
+     * @param {Array<object>} authorities - Authorities as { id, name, publicKey, revokedAt }.
+     * `revokedAt` (ISO date, optional) is the moment from which the authority's seals are rejected.
+     * @param {object|null} [signer] - This node's key: { id, privateKey } (base64 PKCS#8).
+     * @throws {Error} If an authority is malformed or listed twice, or the signer's key does not match its entry.
+     */
+    constructor(authorities = [], signer = null) {
+        this.authorities = new Map();
+        for (const authority of authorities) {
+            if (!authority || !authority.id || !authority.publicKey) {
+                throw new Error('Every authority needs an id and a publicKey.');
+            }
+            if (this.authorities.has(authority.id)) {
+                throw new Error(`Authority '${authority.id}' is listed twice.`);
+            }
+            const revokedAt = authority.revokedAt ? Date.parse(authority.revokedAt) : null;
+            if (Number.isNaN(revokedAt)) {
+                throw new Error(`Authority '${authority.id}' has an invalid revokedAt date.`);
+            }
+            this.authorities.set(authority.id, {
+                id: authority.id,
+                name: authority.name || authority.id,
+                publicKey: authority.publicKey,
+                key: parseAuthorityPublicKey(authority.publicKey),
+                revokedAt
+            });
+        }
+
+        this.signer = null;
+        if (signer) {
+            const authority = this.authorities.get(signer.id);
+            if (!authority) {
+                throw new Error(`AUTHORITY_ID '${signer.id}' is not in the authorities file.`);
+            }
+            const privateKey = crypto.createPrivateKey({ key: Buffer.from(String(signer.privateKey).trim(), 'base64'), format: 'der', type: 'pkcs8' });
+            const derivedPublicKey = crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).toString('base64');
+            if (derivedPublicKey !== authority.publicKey) {
+                throw new Error(`The authority key does not match the public key listed for '${signer.id}'.`);
+            }
+            this.signer = { id: signer.id, privateKey };
+        }
+    }
+
+    /**
+     * Builds the set from the consensus configuration: authorities from the JSON authorities
+     * file, plus this node's signing key when AUTHORITY_ID and AUTHORITY_KEY_FILE are set.
+     * @param {object} config - The `consensus` section of the server configuration.
+     * @returns {Promise<AuthoritySet>} The loaded set.
+     */
+    static async fromConfig(config) {
+        const authorities = config.authoritiesFile ? JSON.parse(await fs.readFile(config.authoritiesFile, 'utf8')) : [];
+        const signer = config.authorityId && config.authorityKeyFile
+            ? { id: config.authorityId, privateKey: await fs.readFile(config.authorityKeyFile, 'utf8') }
+            : null;
+        if (config.mode === 'poa' && authorities.length === 0) {
+            console.warn('CONSENSUS is "poa" but no authorities are configured (AUTHORITIES_FILE). No block will be accepted.');
+        }
+        return new AuthoritySet(authorities, signer);
+    }
+
+    /**
+     * Whether this node can seal blocks.
+     * @returns {boolean} True if this node holds the key of an authority that is not revoked.
+     */
+    canSeal() {
+        return !!this.signer && this.authorities.get(this.signer.id).revokedAt === null;
+    }
+
+    /**
+     * This node's authority key, for signing documents other than blocks (e.g. results certificates).
+     * @returns {{ id: string, publicKey: string, privateKey: crypto.KeyObject }|null} The key, or null if this node cannot seal.
+     */
+    getSigner() {
+        if (!this.canSeal()) {
+            return null;
+        }
+        return { id: this.signer.id, publicKey: this.authorities.get(this.signer.id).publicKey, privateKey: this.signer.privateKey };
+    }
+
+    /**
+     * Seals a block: records this node as the sealer and signs the resulting hash.
+     * @param {import('./blockchain.js').Block} block - The block, with every other field set.
+     * @throws {Error} If this node cannot seal blocks.
+     */
+    seal(block) {
+        if (!this.canSeal()) {
+            throw new Error('This node is not an active block authority and cannot seal blocks.');
+        }
+        block.sealer = this.signer.id;
+        block.hash = block.calculateHash();
+        block.signature = crypto.sign(null, Buffer.from(block.hash, 'utf8'), this.signer.privateKey).toString('base64');
+    }
+
+    /**
+     * Checks a block's seal.
+     * @param {import('./blockchain.js').Block} block - The block.
+     * @returns {string|null} Why the seal is not valid, or null if it is.
+     */
+    checkSeal(block) {
+        if (!block.sealer || !block.signature) {
+            return 'The block is not sealed by an authority.';
+        }
+        const authority = this.authorities.get(block.sealer);
+        if (!authority) {
+            return `The block is sealed by '${block.sealer}', which is not a known authority.`;
+        }
+        if (authority.revokedAt !== null && Number(block.timestamp) >= authority.revokedAt) {
+            return `The block is sealed by '${block.sealer}', whose authority was revoked on ${new Date(authority.revokedAt).toISOString()}.`;
+        }
+        let isValid = false;
+        try {
+            isValid = crypto.verify(null, Buffer.from(block.hash, 'utf8'), authority.key, Buffer.from(String(block.signature), 'base64'));
+        } catch (error) {
+            isValid = false;
+        }
+        return isValid ? null : `The seal signature of '${block.sealer}' is invalid.`;
+    }
+
+    /**
+     * Signs an admin transaction: records this node's authority as the `signer` and signs every
+     * other field of the transaction.
+     * @param {object} transaction - The admin transaction, with every other field set.
+     * @throws {Error} If this node holds no active authority key.
+     */
+    signTransaction(transaction) {
+        if (!this.canSeal()) {
+            throw new Error('This node holds no active authority key, so it cannot sign admin actions. Set AUTHORITY_ID and AUTHORITY_KEY_FILE.');
+        }
+        transaction.signer = this.signer.id;
+        transaction.signature = crypto.sign(null, getTransactionPayload(transaction), this.signer.privateKey).toString('base64');
+    }
+
+    /**
+     * Checks an admin transaction's signature. Revocation is compared with the transaction's `at` time.
+     * @param {object} transaction - The admin transaction.
+     * @returns {string|null} Why the signature is not valid, or null if it is.
+     */
+    checkTransactionSignature(transaction) {
+        if (!transaction.signer || !transaction.signature) {
+            return 'the admin action is not signed by an authority';
+        }
+        const authority = this.authorities.get(transaction.signer);
+        if (!authority) {
+            return `the admin action is signed by '${transaction.signer}', which is not a known authority`;
+        }
+        const at = Date.parse(transaction.at);
+        if (authority.revokedAt !== null && !(at < authority.revokedAt)) {
+            return `the admin action is signed by '${transaction.signer}', whose authority was revoked on ${new Date(authority.revokedAt).toISOString()}`;
+        }
+        let isValid = false;
+        try {
+            isValid = crypto.verify(null, getTransactionPayload(transaction), authority.key, Buffer.from(String(transaction.signature), 'base64'));
+        } catch (error) {
+            isValid = false;
+        }
+        return isValid ? null : `the admin action signature of '${transaction.signer}' is invalid`;
+    }
+
+    /**
+     * Checks that a document, e.g. a results certificate, was signed with the key listed for an
+     * authority, while the authority was not revoked.
+     * @param {string} id - The authority ID the document names as its signer.
+     * @param {string} publicKey - The public key the document was checked against.
+     * @param {number} at - When the document was signed (milliseconds).
+     * @returns {string|null} Why the signer is not accepted, or null if it is.
+     */
+    checkSigner(id, publicKey, at) {
+        const authority = this.authorities.get(id);
+        if (!authority) {
+            return `'${id}' is not a known authority`;
+        }
+        if (authority.publicKey !== publicKey) {
+            return `the key is not the one listed for '${id}'`;
+        }
+        if (authority.revokedAt !== null && !(at < authority.revokedAt)) {
+            return `'${id}' was revoked on ${new Date(authority.revokedAt).toISOString()}`;
+        }
+        return null;
+    }
+
+    /**
+     * Lists the authorities for display.
+     * @returns {Array<object>} { id, name, publicKey, revokedAt } for every authority.
+     */
+    list() {
+        return Array.from(this.authorities.values(), ({ id, name, publicKey, revokedAt }) => ({
+            id,
+            name,
+            publicKey,
+            revokedAt: revokedAt === null ? null : new Date(revokedAt).toISOString()
+        }));
+    }
+}
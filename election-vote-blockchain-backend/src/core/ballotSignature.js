@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Voter credentials and ballot signatures.
+ * Voters hold an ECDSA P-256 key pair; the public key is stored in the voter roll and every
+ * vote must carry a signature made with the matching private key. Ledger addresses sign credit
+ * transfers with the same kind of key. Keys are exchanged as base64 DER (SPKI for public keys,
+ * PKCS#8 for private keys) and signatures use the raw IEEE P1363 encoding, which is what the
+ * browser's Web Crypto API produces.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Builds the exact string a voter signs for a ballot. The browser must build the same string.
+ * @param {object} ballot - The ballot fields.
+ * @param {string} ballot.electionId - The election the ballot is for (prevents replay in another election).
+ * @param {string} ballot.voterId - The voter ID.
+ * @param {string} [ballot.candidateId] - The chosen candidate (plurality ballots).
+ * @param {Array<string>} [ballot.choices] - The chosen candidates, in order of preference for ranked ballots (other voting methods).
+ * @param {string} ballot.timestamp - The time the ballot was signed (milliseconds since epoch, as a string).
+ * @returns {string} The payload to sign.
+ */
+export const getBallotSigningPayload = ({ electionId, voterId, candidateId, choices, timestamp }) =>
+    JSON.stringify(['vote', electionId, voterId, choices ?? candidateId, timestamp]);
+
+/**
+ * Builds the exact string a voter signs to request a ballot token in a secret-ballot election.
+ * @param {object} request - The token request fields.
+ * @param {string} request.electionId - The election the token is for.
+ * @param {string} request.voterId - The voter ID.
+ * @param {string} request.blindedMessage - The blinded ballot token (hex).
+ * @param {string} request.timestamp - The time the request was signed (milliseconds since epoch, as a string).
+ * @returns {string} The payload to sign.
+ */
+export const getParticipationSigningPayload = ({ electionId, voterId, blindedMessage, timestamp }) =>
+    JSON.stringify(['participation', electionId, voterId, blindedMessage, timestamp]);
+
+/**
+ * Builds the exact string an address holder signs to transfer ledger credits (see ledger.js).
+ * @param {object} transfer - The transfer fields.
+ * @param {string} transfer.electionId - The election whose ledger the credits are on.
+ * @param {string} transfer.fromAddress - The sending address.
+ * @param {string} transfer.toAddress - The receiving address.
+ * @param {number} transfer.amount - The credits to transfer.
+ * @param {string} transfer.timestamp - The time the transfer was signed (milliseconds since epoch, as a string).
+ * @returns {string} The payload to sign.
+ */
+export const getTransferSigningPayload = ({ electionId, fromAddress, toAddress, amount, timestamp }) =>
+    JSON.stringify(['transfer', electionId, fromAddress, toAddress, amount, timestamp]);
+
+/**
+ * How far a ballot's signed timestamp may be from the server's clock when the ballot arrives. With
+ * revoting the latest signed ballot counts, so a ballot dated far ahead would outrank every later one.
+ */
+export const MAX_BALLOT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Checks that a ballot was signed close to the server's time.
+ * @param {string} timestamp - The signed time (milliseconds since epoch, as a string).
+ * @param {number} [now] - The server's time.
+ * @returns {string|null} Why the timestamp is not accepted, or null if it is.
+ */
+export const getBallotTimestampError = (timestamp, now = Date.now()) => {
+    const time = Number(timestamp);
+    if (!Number.isFinite(time)) {
+        return 'the timestamp must be a time in milliseconds';
+    }
+    if (Math.abs(time - now) > MAX_BALLOT_CLOCK_SKEW_MS) {
+        return `the ballot was signed more than ${MAX_BALLOT_CLOCK_SKEW_MS / 60000} minutes away from the server's time; check the device's clock`;
+    }
+    return null;
+};
+
+/**
+ * Parses and checks a voter public key.
+ * @param {string} publicKey - Base64 DER (SPKI) encoded public key.
+ * @returns {crypto.KeyObject} The key.
+ * @throws {Error} If the key cannot be parsed or is not an ECDSA P-256 key.
+ */
+export const parseVoterPublicKey = (publicKey) => {
+    let key;
+    try {
+        key = crypto.createPublicKey({ key: Buffer.from(String(publicKey), 'base64'), format: 'der', type: 'spki' });
+    } catch (error) {
+        throw new Error('Voter public key must be a base64-encoded SPKI key.');
+    }
+    if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+        throw new Error('Voter public key must be an ECDSA P-256 key.');
+    }
+    return key;
+};
+
+/**
+ * Generates a new voter credential.
+ * @returns {{ publicKey: string, privateKey: string }} Base64 DER encoded SPKI public key and PKCS#8 private key.
+ */
+export const generateVoterKeyPair = () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return {
+        publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+        privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')
+    };
+};
+
+/**
+ * Checks a voter signature over a payload.
+ * @param {string} payload - The signed payload.
+ * @param {string} signature - Base64 IEEE P1363 ECDSA signature.
+ * @param {string} publicKey - The voter's base64 SPKI public key.
+ * @returns {boolean} True if the signature is valid.
+ */
+const verifyVoterSignature = (payload, signature, publicKey) => {
+    if (!signature || !publicKey) return false;
+    try {
+        return crypto.verify(
+            'sha256',
+            Buffer.from(payload, 'utf8'),
+            { key: parseVoterPublicKey(publicKey), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(String(signature), 'base64')
+        );
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Checks a ballot's signature.
+ * @param {object} ballot - The ballot fields plus `signature` (base64 IEEE P1363 ECDSA signature).
+ * @param {string} publicKey - The voter's base64 SPKI public key from the voter roll.
+ * @returns {boolean} True if the signature is valid for this ballot and key.
+ */
+export const verifyBallotSignature = (ballot, publicKey) =>
+    verifyVoterSignature(getBallotSigningPayload(ballot), ballot.signature, publicKey);
+
+/**
+ * Checks the signature on a ballot token request (secret-ballot elections).
+ * @param {object} request - The request fields plus `signature`.
+ * @param {string} publicKey - The voter's base64 SPKI public key from the voter roll.
+ * @returns {boolean} True if the signature is valid for this request and key.
+ */
+export const verifyParticipationSignature = (request, publicKey) =>
+    verifyVoterSignature(getParticipationSigningPayload(request), request.signature, publicKey);
+
+/**
+ * Checks the signature on a ledger transfer.
+ * @param {object} transfer - The transfer fields plus `signature`.
+ * @param {string} publicKey - The sender's base64 SPKI public key, which the sending address is derived from.
+ * @returns {boolean} True if the signature is valid for this transfer and key.
+ */
+export const verifyTransferSignature = (transfer, publicKey) =>
+    verifyVoterSignature(getTransferSigningPayload(transfer), transfer.signature, publicKey);
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview RSA blind signatures for secret-ballot elections (Chaum's scheme).
+ * The election authority signs a blinded ballot token for each eligible voter, once.
+ * The voter unblinds the signature and later casts an anonymous ballot with the token:
+ * the authority can check the token is genuine and unused, but cannot tell which voter
+ * it was issued to.
+ *
+ * Big integers travel as hex strings. Tokens are hashed to an integer modulo n with a
+ * full-domain hash (SHA-256 in counter mode), which the browser must reproduce exactly.
+ */
+
+import crypto from 'crypto';
+
+const PUBLIC_EXPONENT = 65537;
+const MODULUS_LENGTH = 2048;
+
+/**
+ * Computes base^exponent mod modulus.
+ * @param {bigint} base - The base.
+ * @param {bigint} exponent - The exponent.
+ * @param {bigint} modulus - The modulus.
+ * @returns {bigint} The result.
+ */
+const modPow = (base, exponent, modulus) => {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+};
+
+const toBigInt = (hex) => BigInt(`0x${hex}`);
+
+/**
+ * Hashes a ballot token to an integer in [0, n) (full-domain hash).
+ * @param {string} token - The ballot token.
+ * @param {bigint} n - The RSA modulus.
+ * @returns {bigint} The hashed token.
+ */
+export const hashTokenToInt = (token, n) => {
+    const byteLength = Math.ceil(n.toString(16).length / 2);
+    const chunks = [];
+    for (let counter = 0; chunks.length * 32 < byteLength; counter++) {
+        const counterBytes = Buffer.alloc(4);
+        counterBytes.writeUInt32BE(counter);
+        chunks.push(crypto.createHash('sha256').update(Buffer.from(String(token), 'utf8')).update(counterBytes).digest());
+    }
+    return toBigInt(Buffer.concat(chunks).subarray(0, byteLength).toString('hex')) % n;
+};
+
+/**
+ * Generates the election's blind-signing key.
+ * @returns {{ privateKey: string, publicKey: { n: string, e: string } }} The PKCS#8 PEM private key and the public modulus/exponent (hex).
+ */
+export const generateBlindSigningKey = () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: MODULUS_LENGTH, publicExponent: PUBLIC_EXPONENT });
+    const jwk = publicKey.export({ format: 'jwk' });
+    return {
+        privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+        publicKey: {
+            n: Buffer.from(jwk.n, 'base64url').toString('hex'),
+            e: Buffer.from(jwk.e, 'base64url').toString('hex')
+        }
+    };
+};
+
+/**
+ * Signs a blinded token (raw RSA: blinded^d mod n).
+ * @param {string} blindedMessage - The blinded token (hex), smaller than n.
+ * @param {{ privateKey: string, publicKey: { n: string } }} signingKey - The election's blind-signing key.
+ * @returns {string} The blind signature (hex).
+ * @throws {Error} If the blinded message is not a valid integer in [1, n).
+ */
+export const signBlindedMessage = (blindedMessage, signingKey) => {
+    const n = toBigInt(signingKey.publicKey.n);
+    if (typeof blindedMessage !== 'string' || !/^[0-9a-f]+$/i.test(blindedMessage)) {
+        throw new Error('Blinded message must be a hex string.');
+    }
+    const blinded = toBigInt(blindedMessage);
+    if (blinded <= 0n || blinded >= n) {
+        throw new Error('Blinded message is out of range.');
+    }
+    const byteLength = signingKey.publicKey.n.length / 2;
+    const signature = crypto.privateDecrypt(
+        { key: signingKey.privateKey, padding: crypto.constants.RSA_NO_PADDING },
+        Buffer.from(blinded.toString(16).padStart(byteLength * 2, '0'), 'hex')
+    );
+    return signature.toString('hex');
+};
+
+/**
+ * Checks an unblinded token signature.
+ * @param {string} token - The ballot token.
+ * @param {string} tokenSignature - The unblinded signature (hex).
+ * @param {{ n: string, e: string }} publicKey - The election's blind-signing public key.
+ * @returns {boolean} True if the signature is valid for the token.
+ */
+export const verifyTokenSignature = (token, tokenSignature, publicKey) => {
+    if (!token || typeof tokenSignature !== 'string' || !/^[0-9a-f]+$/i.test(tokenSignature) || !publicKey) return false;
+    const n = toBigInt(publicKey.n);
+    const signature = toBigInt(tokenSignature);
+    if (signature >= n) return false;
+    return modPow(signature, toBigInt(publicKey.e), n) === hashTokenToInt(token, n);
+};
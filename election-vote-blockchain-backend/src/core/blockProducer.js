@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Decides when an election's pending transactions are mined into a block.
+ * Votes, admin actions and credit transfers are batched: a block is produced as soon as `maxBatchSize` of them are
+ * waiting, or `batchIntervalMs` after the first one arrived, whichever comes first. A block takes up to
+ * `maxBlockTransactions` of the oldest pending transactions, so a backlog is cleared in a few large blocks.
+ * Blocks are mined one at a time through Blockchain.minePendingTransactions, so the local chain never forks.
+ * After a failed attempt the producer waits before trying again, twice as long after each further failure.
+ */
+
+const BATCHED_TRANSACTION_TYPES = ['vote', 'participation', 'ballot', 'admin', 'transfer'];
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Batches pending ballots and admin actions of one election into blocks.
+ */
+export class BlockProducer {
+    /**
+     * @param {import('./blockchain.js').Blockchain} blockchain - The election whose transactions are mined.
+     * @param {object} [options] - Batching settings.
+     * @param {number} [options.maxBatchSize=10] - Mine immediately once this many ballots are pending.
+     * @param {number} [options.maxBlockTransactions=1000] - The most transactions per block.
+     * @param {number} [options.batchIntervalMs=1000] - Mine at most this long after the first ballot arrives.
+     * @param {string|null} [options.minerAddress=null] - Ledger address credited with the mining reward (see ledger.js); no reward without one.
+     */
+    constructor(blockchain, { maxBatchSize = 10, maxBlockTransactions = 1000, batchIntervalMs = 1000, minerAddress = null } = {}) {
+        this.blockchain = blockchain;
+        this.maxBatchSize = maxBatchSize;
+        this.maxBlockTransactions = maxBlockTransactions;
+        this.batchIntervalMs = batchIntervalMs;
+        this.minerAddress = minerAddress;
+        this.timer = null;
+        this.isProducing = false; // A block is being mined; new ballots wait for it to finish
+        this.failedAttempts = 0; // Failed attempts since the last block was mined
+        this.lastError = null;
+    }
+
+    /**
+     * Counts pending ballots, admin actions and transfers.
+     * @returns {number} The number of pending ballot, admin and transfer transactions.
+     */
+    getPendingBatchCount() {
+        return this.blockchain.pendingTransactions.filter(trans => BATCHED_TRANSACTION_TYPES.includes(trans.type)).length;
+    }
+
+    /**
+     * Called whenever a transaction is added: starts the batch timer, or mines at once if the batch is full.
+     * While a block is being mined nothing is scheduled; the producer looks again once it is done.
+     * After a failed attempt, the next one waits for the retry delay even if the batch is full.
+     * In Proof-of-Authority mode, nodes that are not authorities never produce blocks.
+     */
+    schedule() {
+        const pendingCount = this.getPendingBatchCount();
+        if (pendingCount === 0 || this.isProducing || !this.blockchain.canProduceBlocks()) {
+            return;
+        }
+        if (this.failedAttempts > 0) {
+            if (!this.timer) {
+                const delay = Math.min(this.batchIntervalMs * 2 ** (this.failedAttempts - 1), MAX_RETRY_DELAY_MS);
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.produceBlock();
+                }, delay);
+            }
+        } else if (pendingCount >= this.maxBatchSize) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.produceBlock();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.produceBlock();
+            }, this.batchIntervalMs);
+        }
+    }
+
+    /**
+     * Mines the next batch, then schedules whatever is still pending.
+     * A failure is logged once, not again on each retry that fails the same way.
+     * @returns {Promise<void>} Resolves once the block is mined (errors are logged, not thrown).
+     */
+    async produceBlock() {
+        this.isProducing = true;
+        if (this.failedAttempts === 0) {
+            console.log(`Producing a block for election '${this.blockchain.electionId}' (${this.getPendingBatchCount()} pending transaction(s))...`);
+        }
+        try {
+            const result = await this.blockchain.minePendingTransactions(this.minerAddress, this.maxBlockTransactions);
+            console.log('Block production complete:', result.message);
+            this.failedAttempts = 0;
+            this.lastError = null;
+        } catch (error) {
+            if (error.message !== this.lastError) {
+                console.error(`Block production failed for election '${this.blockchain.electionId}', retrying:`, error.message);
+            }
+            this.failedAttempts++;
+            this.lastError = error.message;
+        } finally {
+            this.isProducing = false;
+        }
+        this.schedule();
+    }
+
+    /**
+     * Stops the batch timer (pending transactions stay in the pool).
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
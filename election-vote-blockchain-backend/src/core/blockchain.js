@@ -1,17 +1,164 @@
 /**
  * @fileoverview Core blockchain logic: Defines the Block and Blockchain classes.
  * This file handles cryptographic chaining, proof-of-work, and election-specific
- * transaction processing, double-voting prevention, and vote tallying.
+ * transaction processing, double-voting prevention, the election lifecycle, and vote tallying
+ * (see votingMethods.js).
  */
 
+import { EventEmitter } from 'node:events';
 import SHA256 from 'crypto-js/sha256.js';
-import { db, blocksCollection, electionStateDocRef } from '../config/firebaseConfig.js';
-import { setDoc, getDocs, query, doc, getDoc } from 'firebase/firestore';
+import { DEFAULT_ELECTION_ID } from '../storage/storageAdapter.js';
+import { MAX_BALLOT_CLOCK_SKEW_MS, generateVoterKeyPair, getBallotTimestampError, parseVoterPublicKey, verifyBallotSignature, verifyParticipationSignature } from './ballotSignature.js';
+import { generateBlindSigningKey, signBlindedMessage, verifyTokenSignature } from './blindSignature.js';
+import { computeMerkleRoot, getMerkleProof, hashTransaction, hasDuplicateTransactions } from './merkle.js';
+import { auditChain } from './chainAudit.js';
+import { computeTurnout } from './turnoutAnalytics.js';
+import { BlockProducer } from './blockProducer.js';
+import { Miner } from './miner.js';
+import { DEFAULT_MINING_SETTINGS, getBlockDifficulty, getChainWork, getExpectedDifficulty } from './difficulty.js';
+import { AuthoritySet } from './authority.js';
+import { KeyStore } from '../storage/keyStore.js';
+import { buildCertificate, signCertificate, getChainCertificateProblem } from './certificate.js';
+import { VOTING_METHODS, validateVotingMethod, getBallotSelectionError, countChainBallots } from './votingMethods.js';
+import { normalizeVoterAttributes, normalizeEligibility, getEligibilityError } from './voterRoll.js';
+import { ELECTION_PHASES, PHASE_TRANSITIONS, SETUP_PHASES, REGISTRATION_PHASES, SCHEDULER_ACTOR, getPhasePath, getLegacyPhase, parseScheduleTime } from './electionLifecycle.js';
+import { MIGRATION_ACTOR, getAdminActionError, applyAdminAction, replayAdminActions, describeStateDifferences } from './adminActions.js';
+import { getArchiveInconsistencies } from './electionArchive.js';
+import { ChainIndex, MAX_BLOCK_PAGE_SIZE, summarizeBlock } from './chainIndex.js';
+import { LEDGER_TRANSACTION_TYPES, computeBalances, getLedgerTransactionError, getAddressHistory, isLedgerAddress } from './ledger.js';
+
+/**
+ * Candidates of the default election, kept for deployments that predate multi-election support.
+ */
+export const DEFAULT_CANDIDATES = [
+    { id: 'candidateA', name: 'Alice Smith' },
+    { id: 'candidateB', name: 'Bob Johnson' },
+    { id: 'candidateC', name: 'Charlie Brown' }
+];
+
+const CANDIDATE_TEXT_FIELDS = ['name', 'party', 'description', 'photoUrl'];
+
+/**
+ * How ballots are recorded on the chain.
+ * - 'open': each 'vote' transaction holds the voter ID next to the candidate ID.
+ * - 'secret': a 'participation' transaction records that a voter received a blind-signed
+ *   ballot token, and a separate anonymous 'ballot' transaction spends the token on a candidate.
+ */
+export const BALLOT_MODES = ['open', 'secret'];
+
+const BALLOT_TOKEN_PATTERN = /^[0-9a-f]{32,128}$/i;
+
+// Transactions cast by voters, as opposed to mining rewards created by the node itself
+const BALLOT_TRANSACTION_TYPES = ['vote', 'participation', 'ballot'];
+
+// Transactions a peer may relay to this node, see acceptPeerTransaction
+const PEER_TRANSACTION_TYPES = [...BALLOT_TRANSACTION_TYPES, 'transfer'];
+
+// Most voters in one 'register-voters' transaction. Keeps the transaction, and the block holding it,
+// well under Firestore's 1 MiB document limit (a voter record is a few hundred bytes).
+const MAX_VOTERS_PER_TRANSACTION = 1000;
+
+// Most bytes of transactions (as JSON) a mined block takes, leaving room for the rest of the document
+const MAX_BLOCK_DATA_BYTES = 768 * 1024;
+
+/**
+ * Orders stored blocks into a chain. Storage holds the blocks of two chains when a switch to a
+ * peer's chain stopped halfway (see StorageAdapter.replaceBlocks); the chain from a genesis block
+ * with the most work (see getChainWork) is kept then.
+ * @param {Array<object>} blocksData - The stored blocks, in any order.
+ * @returns {{ blocks: Array<object>, isMixed: boolean }} The chain's blocks in order, and whether other blocks were left out.
+ */
+const selectStoredChain = (blocksData) => {
+    const sorted = [...blocksData].sort((a, b) => a.index - b.index);
+    if (new Set(sorted.map(block => block.index)).size === sorted.length) {
+        return { blocks: sorted, isMixed: false };
+    }
+    const children = new Map(); // Block hash -> the blocks that follow it
+    for (const block of sorted) {
+        if (!children.has(block.previousHash)) children.set(block.previousHash, []);
+        children.get(block.previousHash).push(block);
+    }
+    const getChildren = block => (children.get(block.hash) || []).filter(child => child.index === block.index + 1);
+    const work = new Map(); // Block hash -> work of the heaviest chain starting at the block
+    for (const block of [...sorted].reverse()) {
+        work.set(block.hash, 2 ** getBlockDifficulty(block) + Math.max(0, ...getChildren(block).map(child => work.get(child.hash))));
+    }
+    const pickHeaviest = blocks => blocks.reduce((best, block) => (work.get(block.hash) > work.get(best.hash) ? block : best));
+    const blocks = [];
+    for (let next = sorted.filter(block => block.index === 0); next.length > 0; next = getChildren(blocks[blocks.length - 1])) {
+        blocks.push(pickHeaviest(next));
+    }
+    return { blocks, isMixed: blocks.length < sorted.length };
+};
+
+/**
+ * The height below which a chain's blocks may be in the format of older versions: one past the
+ * last such block, and 1 (only the genesis block) for a chain without any.
+ * @param {Array<Block>} chain - The chain, genesis block first.
+ * @returns {number} The height.
+ */
+const getLegacyBlockHeight = (chain) => {
+    const lastLegacy = chain.findLastIndex((block, index) => index > 0 && block.isLegacyFormat());
+    return Math.max(1, lastLegacy + 1);
+};
+
+/**
+ * Validates candidate details and returns a clean candidate object.
+ * @param {object} candidate - Raw candidate details ({ id, name, party, description, photoUrl }).
+ * @returns {object} The candidate with only the known fields, trimmed.
+ * @throws {Error} If a required field is missing or a field has the wrong type.
+ */
+export const normalizeCandidate = (candidate) => {
+    if (!candidate || typeof candidate.id !== 'string' || !candidate.id.trim()) {
+        throw new Error('Candidate ID cannot be empty.');
+    }
+    const normalized = { id: candidate.id.trim() };
+    for (const field of CANDIDATE_TEXT_FIELDS) {
+        const value = candidate[field];
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string') {
+            throw new Error(`Candidate ${field} must be a string.`);
+        }
+        normalized[field] = value.trim();
+    }
+    if (!normalized.name) {
+        throw new Error('Candidate name cannot be empty.');
+    }
+    if (normalized.photoUrl && !/^https?:\/\//i.test(normalized.photoUrl)) {
+        throw new Error('Candidate photo URL must start with http:// or https://.');
+    }
+    return normalized;
+};
+
+/**
+ * Builds the in-memory voter roll from stored records.
+ * @param {Array<object>} voters - The records ({ voterId, publicKey, attributes }).
+ * @returns {Map<string, object>} Voter ID -> { publicKey, attributes }.
+ */
+const toVoterMap = (voters) =>
+    new Map(voters.map(({ voterId, publicKey = null, attributes = {} }) => [voterId, { publicKey, attributes }]));
+
+// Key store name of the secret-ballot signing key (see KeyStore)
+const BALLOT_SIGNING_KEY_NAME = 'ballot-signing-key';
+
+/**
+ * Whether two ballot signing public keys are the same key.
+ * @param {{ n: string, e: string }|null} publicKey - One key.
+ * @param {{ n: string, e: string }|null} other - The other key.
+ * @returns {boolean} True if both are set and equal.
+ */
+const isSameBallotKey = (publicKey, other) => Boolean(publicKey && other) && publicKey.n === other.n && publicKey.e === other.e;
 
 /**
  * Represents a single block in the blockchain.
  * Each block contains an index, timestamp, data (transactions),
  * a hash of the previous block, its own hash, and a nonce for proof-of-work.
+ * Blocks of transactions also carry the Merkle root of their transactions; the block hash then
+ * covers the root instead of the raw data, so a receipt can prove a transaction is in the block.
+ * Blocks mined before Merkle roots existed have `merkleRoot: null` and keep their original hash.
+ * New blocks also record the difficulty they were mined at, which the hash covers as well.
+ * In Proof-of-Authority mode a block is sealed instead of mined: the hash covers the `sealer`
+ * (the authority's ID) and `signature` is the authority's signature over the hash.
  */
 export class Block {
     /**
@@ -21,153 +168,482 @@ export class Block {
      * @param {string} previousHash - The hash of the previous block in the chain.
      * @param {number} nonce - The nonce value used for mining (default to 0 for new blocks).
      * @param {string} hash - The calculated hash of the block (default to null for new blocks).
+     * @param {string|null} merkleRoot - The Merkle root of the transactions (computed for new blocks of transactions).
+     * @param {number|null} difficulty - The proof-of-work difficulty (null for the genesis block, sealed blocks and older blocks).
+     * @param {string|null} sealer - The ID of the authority that sealed the block (Proof-of-Authority mode).
+     * @param {string|null} signature - The sealer's base64 signature over the block hash.
      */
-    constructor(index, timestamp, data, previousHash = '', nonce = 0, hash = null) {
+    constructor(index, timestamp, data, previousHash = '', nonce = 0, hash = null, merkleRoot = Array.isArray(data) ? computeMerkleRoot(data) : null, difficulty = null, sealer = null, signature = null) {
         this.index = index;
         this.timestamp = timestamp;
         this.data = data; // Array of transactions
         this.previousHash = previousHash;
+        this.merkleRoot = merkleRoot;
+        this.difficulty = difficulty;
+        this.sealer = sealer;
+        this.signature = signature;
         this.nonce = nonce;
         this.hash = hash || this.calculateHash();
     }
 
+    /**
+     * Rebuilds a block from its stored or transmitted form.
+     * @param {object} data - A plain block object.
+     * @returns {Block} The block.
+     * @throws {Error} If the object is not shaped like a block.
+     */
+    static fromData(data) {
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.index) || typeof data.hash !== 'string' || typeof data.previousHash !== 'string') {
+            throw new Error('Invalid block: index, previousHash and hash are required.');
+        }
+        // Only the genesis block has a date instead of a time in milliseconds
+        if (typeof data.timestamp !== 'string' || !(data.index === 0 ? data.timestamp !== '' : /^\d{1,15}$/.test(data.timestamp))) {
+            throw new Error(`Invalid block ${data.index}: the timestamp must be a time in milliseconds.`);
+        }
+        if (data.difficulty !== undefined && data.difficulty !== null && !(Number.isInteger(data.difficulty) && data.difficulty >= 0)) {
+            throw new Error(`Invalid block ${data.index}: the difficulty must be a whole number.`);
+        }
+        return new Block(data.index, data.timestamp, data.data, data.previousHash, data.nonce, data.hash, data.merkleRoot || null, data.difficulty ?? null, data.sealer || null, data.signature || null);
+    }
+
     /**
      * Calculates the cryptographic hash of the block's contents using SHA256.
      * @returns {string} The SHA256 hash of the block.
      */
     calculateHash() {
+        if (this.merkleRoot) {
+            return SHA256(this.index + this.previousHash + this.timestamp + this.merkleRoot + (this.difficulty ?? '') + (this.sealer ?? '') + this.nonce).toString();
+        }
         return SHA256(this.index + this.previousHash + this.timestamp + JSON.stringify(this.data) + this.nonce).toString();
     }
 
+    /**
+     * Whether the block is in the format of older versions: without a Merkle root, or mined without
+     * recording its difficulty. See Blockchain.legacyBlockHeight.
+     * @returns {boolean} True if the block is in the old format.
+     */
+    isLegacyFormat() {
+        return !this.merkleRoot || (this.difficulty === null && !this.sealer);
+    }
+
+    /**
+     * Checks that the stored Merkle root matches the block's transactions, none of which may appear twice.
+     * @returns {boolean} True if the root matches (or the block has no root).
+     */
+    hasValidMerkleRoot() {
+        return !this.merkleRoot || (Array.isArray(this.data) && !hasDuplicateTransactions(this.data) && computeMerkleRoot(this.data) === this.merkleRoot);
+    }
+
     /**
      * Mines the block by performing a Proof-of-Work.
      * It repeatedly increments the nonce and recalculates the hash until a hash
      * starting with `difficulty` number of leading zeros is found.
-     * @param {number} difficulty - The number of leading zeros required in the block's hash.
+     * This blocks the thread it runs on; the server mines in a worker thread (see Miner).
+     * @param {number} [difficulty] - The number of leading zeros required in the block's hash (defaults to the block's difficulty).
+     * @param {function(number): void} [onProgress] - Called with the number of hashes tried so far, every `progressInterval` hashes.
+     * @param {number} [progressInterval=50000] - How often onProgress is called.
      */
-    mineBlock(difficulty) {
-        console.log(`Mining block ${this.index} with difficulty ${difficulty}...`);
+    mineBlock(difficulty = this.difficulty, onProgress = null, progressInterval = 50000) {
         while (this.hash.substring(0, difficulty) !== Array(difficulty + 1).join("0")) {
             this.nonce++;
             this.hash = this.calculateHash();
+            if (onProgress && this.nonce % progressInterval === 0) {
+                onProgress(this.nonce);
+            }
         }
-        console.log(`Block ${this.index} mined: ${this.hash}`);
     }
 }
 
 /**
- * Represents the entire blockchain for the election system.
+ * Represents the blockchain of a single election.
  * Manages blocks, transactions (votes), prevents double voting, tracks voter registration,
- * manages election status, and integrates with Firestore for persistence.
+ * manages election status, and persists through a pluggable storage adapter.
+ * Each election has its own Blockchain instance; see ElectionRegistry.
  */
 export class Blockchain {
     /**
-     * Initializes the blockchain instance. It will load its state (chain, voted users, registered users, candidates, election status) from Firestore.
+     * Initializes the blockchain instance. It will load its state (chain, voted users, registered users, candidates, election status) from storage.
+     * @param {import('../storage/storageAdapter.js').StorageAdapter} storage - The backend used to persist blocks and election state, scoped to this election.
+     * @param {object} [options] - Optional settings.
+     * @param {string} [options.loadFailurePolicy='fail'] - 'fail' to re-throw load errors, 'fallback' to start from a fresh genesis block.
+     * @param {string} [options.name] - Display name of the election (overridden by stored state).
+     * @param {string} [options.description] - Description of the election (overridden by stored state).
+     * @param {Array<object>} [options.candidates] - Initial candidates (overridden by stored state).
+     * @param {string} [options.ballotMode='open'] - One of BALLOT_MODES (overridden by stored state).
+     * @param {boolean} [options.allowRevoting=false] - Whether voters may replace their vote, open ballots only (overridden by stored state).
+     * @param {string} [options.votingMethod='plurality'] - One of VOTING_METHODS (overridden by stored state).
+     * @param {number} [options.seats=1] - Seats to fill, for multi-seat voting methods (overridden by stored state).
+     * @param {object} [options.blockProduction] - Batching settings for the BlockProducer.
+     * @param {object} [options.mining] - Difficulty adjustment settings, see DEFAULT_MINING_SETTINGS.
+     * @param {object} [options.consensus] - { mode, authorities }: 'pow' (default) or 'poa' (see CONSENSUS_MODES),
+     * and the AuthoritySet whose members seal blocks in 'poa' mode.
+     * @param {KeyStore} [options.keyStore] - Where this node keeps the election's private keys; in memory by default.
      */
-    constructor() {
+    constructor(storage, { loadFailurePolicy = 'fail', name = 'General Election', description = '', candidates = DEFAULT_CANDIDATES, ballotMode = 'open', allowRevoting = false, votingMethod = 'plurality', seats = 1, blockProduction = {}, mining = {}, consensus = {}, keyStore = new KeyStore() } = {}) {
+        this.storage = storage;
+        this.loadFailurePolicy = loadFailurePolicy;
+
+        this.electionId = storage.electionId;
+        this.name = name;
+        this.description = description;
+
         this.chain = [];
-        this.difficulty = 3;
+        // Blocks below this index may be in the format of older versions (see Block.isLegacyFormat). It is
+        // recorded in the election state the first time this node loads the chain, so a peer cannot add more.
+        this.legacyBlockHeight = 1;
+        this.chainIndex = new ChainIndex(); // Block and transaction lookups, rebuilt whenever the chain is
+        this.miningSettings = { ...DEFAULT_MINING_SETTINGS, ...mining };
+        this.miner = new Miner();
+        this.consensusMode = consensus.mode || 'pow';
+        this.authorities = consensus.authorities || new AuthoritySet();
+        this.keyStore = keyStore;
         this.pendingTransactions = [];
         this.miningReward = 1; // Can be 0 for election systems
+        this.miningQueue = Promise.resolve(); // Blocks are mined, received from peers or replaced one update at a time
+        // 'blockAdded' (block, origin), 'transactionAdded' (transaction, id), 'chainReplaced' (chain),
+        // 'phaseChanged' (transition), 'votersChanged' (registeredVoterCount), 'settingsChanged' (setting)
+        this.events = new EventEmitter();
+        this.blockProducer = new BlockProducer(this, blockProduction);
 
+        this.isSetUp = false; // Whether the election setup is recorded on the chain or pending, see adminActions.js
         this.votedUsers = new Set();     // Stores unique voter IDs who have already cast a vote (from mined blocks)
-        this.registeredVoters = new Set(); // Stores unique voter IDs that are eligible to vote
-        this.candidates = [ // Pre-defined candidates. In a real system, these would be managed.
-            { id: 'candidateA', name: 'Alice Smith' },
-            { id: 'candidateB', name: 'Bob Johnson' },
-            { id: 'candidateC', name: 'Charlie Brown' }
-        ];
-        this.isElectionOpen = false; // Flag to control voting period
+        this.registeredVoters = new Map(); // Voter roll: voter ID -> { publicKey, attributes } for every registered voter
+        this.eligibility = {}; // Attribute name -> allowed values; registered voters outside them may not vote here
+        this.candidates = candidates.map(candidate => ({ ...candidate }));
+        this.phase = 'draft'; // Lifecycle phase, see ELECTION_PHASES; ballots are accepted only while 'voting'
+        this.phaseHistory = []; // Every phase transition: { from, to, by, at }
+        this.certificate = null; // Signed final result, set when the election is certified (see certificate.js)
+        this.schedule = { opensAt: null, closesAt: null, updatedBy: null, updatedAt: null }; // Applied by the ElectionScheduler
+        this.ballotMode = ballotMode;
+        this.allowRevoting = allowRevoting; // Whether a voter's later vote replaces their earlier one until voting closes
+        this.votingMethod = votingMethod; // How ballots are shaped and counted, see VOTING_METHODS
+        this.seats = seats;
+        this.ballotSigningKey = ballotMode === 'secret' ? generateBlindSigningKey() : null; // Signs blinded ballot tokens in secret-ballot mode
+        this.spentBallotTokens = new Set(); // Ballot tokens already used by mined anonymous ballots
 
         this.isLoaded = false; // Flag to indicate if chain and state are loaded from DB
     }
 
     /**
-     * Loads the entire blockchain and election state from Firestore.
+     * Loads the entire blockchain and election state from the storage backend.
+     * If loading fails, the configured load failure policy decides whether the error
+     * is re-thrown ('fail') or the node starts from a fresh genesis block ('fallback').
+     * @throws {Error} If loading fails and the load failure policy is 'fail'.
      */
     async loadChainAndElectionStateFromDatabase() {
-        if (!db || !blocksCollection || !electionStateDocRef) {
-            console.error("Firestore not initialized. Cannot load chain or election state.");
-            return;
-        }
-
-        console.log('Attempting to load blockchain and election state from Firestore...');
+        console.log(`Attempting to load blockchain and election state from ${this.storage.name} storage...`);
         try {
             // --- Load Blockchain Blocks ---
-            const querySnapshot = await getDocs(query(blocksCollection));
-            let loadedBlocksData = [];
-            if (querySnapshot.empty) {
-                console.log('No existing blocks found in Firestore, creating genesis block.');
+            const loadedBlocksData = await this.storage.loadBlocks();
+            if (loadedBlocksData.length === 0) {
+                console.log('No existing blocks found in storage, creating genesis block.');
                 const genesisBlock = this.createGenesisBlock();
-                this.chain.push(genesisBlock);
-                await setDoc(doc(blocksCollection, genesisBlock.hash), { ...genesisBlock });
-                console.log('Genesis block saved to Firestore.');
+                this.chain = [genesisBlock];
+                await this.storage.saveBlock(genesisBlock);
+                console.log('Genesis block saved to storage.');
             } else {
-                querySnapshot.forEach(doc => { loadedBlocksData.push(doc.data()); });
-                loadedBlocksData.sort((a, b) => a.index - b.index); // Sort blocks by index
-                this.chain = loadedBlocksData.map(data =>
-                    new Block(data.index, data.timestamp, data.data, data.previousHash, data.nonce, data.hash)
-                );
-                console.log(`Loaded ${this.chain.length} blocks from Firestore.`);
+                const { blocks, isMixed } = selectStoredChain(loadedBlocksData);
+                this.chain = blocks.map(data => Block.fromData(data));
+                console.log(`Loaded ${this.chain.length} blocks from storage.`);
+                if (isMixed) {
+                    console.warn(`Storage held the blocks of more than one chain (an interrupted switch to a peer's chain). Keeping the one with the most work, ${this.chain.length} blocks.`);
+                    await this.storage.replaceBlocks(this.chain);
+                }
             }
+            this.chainIndex.rebuild(this.chain);
+            this.spentBallotTokens = new Set(this.getTransactions('ballot').map(trans => trans.token));
 
             // --- Load Election State (Voted Users, Registered Voters, Candidates, Election Status) ---
-            const electionStateSnapshot = await getDoc(electionStateDocRef);
-            if (electionStateSnapshot.exists()) {
-                const state = electionStateSnapshot.data();
+            const state = await this.storage.loadElectionState();
+            if (state) {
+                if (typeof state.name === 'string') {
+                    this.name = state.name;
+                }
+                if (typeof state.description === 'string') {
+                    this.description = state.description;
+                }
                 if (state.votedUsers && Array.isArray(state.votedUsers)) {
                     this.votedUsers = new Set(state.votedUsers);
                     console.log(`Loaded ${this.votedUsers.size} voted users.`);
                 }
-                if (state.registeredVoters && Array.isArray(state.registeredVoters)) {
-                    this.registeredVoters = new Set(state.registeredVoters);
-                    console.log(`Loaded ${this.registeredVoters.size} registered voters.`);
+                if (ELECTION_PHASES.includes(state.phase)) {
+                    this.phase = state.phase;
+                    this.phaseHistory = Array.isArray(state.phaseHistory) ? state.phaseHistory : [];
+                    this.schedule = { ...this.schedule, ...state.schedule };
+                } else if (typeof state.isElectionOpen === 'boolean') {
+                    // State saved before the lifecycle existed: only an open/closed flag
+                    this.phase = getLegacyPhase(state.isElectionOpen, this.votedUsers.size > 0);
+                }
+                console.log(`Election phase: ${this.phase}`);
+                if (state.candidates && Array.isArray(state.candidates)) {
+                    this.candidates = state.candidates;
+                }
+                if (BALLOT_MODES.includes(state.ballotMode)) {
+                    this.ballotMode = state.ballotMode;
                 }
-                if (typeof state.isElectionOpen === 'boolean') {
-                    this.isElectionOpen = state.isElectionOpen;
-                    console.log(`Election status: ${this.isElectionOpen ? 'Open' : 'Closed'}`);
+                this.allowRevoting = state.allowRevoting === true;
+                if (VOTING_METHODS.includes(state.votingMethod)) {
+                    this.votingMethod = state.votingMethod;
+                    this.seats = state.seats || 1;
                 }
-                // Candidates are pre-defined but could be loaded from here if dynamic
-                // if (state.candidates && Array.isArray(state.candidates)) {
-                //     this.candidates = state.candidates;
-                // }
+                if (state.eligibility) {
+                    this.eligibility = state.eligibility;
+                }
+                this.certificate = state.certificate || null;
+                // Elections loaded for the first time since the height was recorded keep their old-format blocks
+                this.legacyBlockHeight = Number.isInteger(state.legacyBlockHeight) ? state.legacyBlockHeight : getLegacyBlockHeight(this.chain);
             } else {
-                console.log('No existing election state found in Firestore. Initializing empty state.');
+                console.log('No existing election state found in storage. Initializing empty state.');
                 await this.saveElectionStateToDatabase(); // Save initial empty state
             }
 
+            // --- Load the ballot signing key (its private half is in the key store) ---
+            await this.loadBallotSigningKey(state);
+
+            // --- Load the voter roll (one record per voter) ---
+            await this.loadVoterRoll(state);
+
+            // --- Rebuild voted users, roll, candidates, phase and settings from the chain and the write-ahead log ---
+            const cached = { votedUsers: this.votedUsers, registeredVoters: this.registeredVoters, candidates: this.candidates, phase: this.phase, settings: this.settings };
+            const { state: replayed, problems } = replayAdminActions(this.chain, this.authorities, this.electionId);
+            for (const { blockIndex, message } of problems) {
+                console.warn(`Block ${blockIndex}: admin action skipped: ${message}.`);
+            }
+            this.votedUsers = replayed.votedUsers;
+            if (replayed.isSetUp) {
+                this.adoptAdminState(replayed);
+            }
+            await this.replayPendingTransactions();
+            const differences = describeStateDifferences(cached, this);
+            if (differences.length > 0) {
+                console.warn(`The stored state of election '${this.electionId}' disagrees with its chain; using the chain. Differences: ${differences.join('; ')}.`);
+                await this.saveVoterRoll();
+                await this.saveElectionStateToDatabase();
+            } else if (state && !Number.isInteger(state.legacyBlockHeight)) {
+                await this.saveElectionStateToDatabase();
+            }
+            if (state && !this.isSetUp && this.canRecordAdminActions()) {
+                // Elections created before admin actions were recorded: their current setup starts the record
+                await this.recordAdminAction('setup', this.getSetupSnapshot(), MIGRATION_ACTOR);
+            }
+
             this.isLoaded = true;
             console.log('Blockchain and election state loaded successfully.');
         } catch (error) {
-            console.error('Error loading chain or election state from Firestore:', error);
-            console.log('Falling back to local genesis block and empty state due to Firestore error.');
+            console.error(`Error loading chain or election state from ${this.storage.name} storage:`, error);
+            if (this.loadFailurePolicy !== 'fallback') {
+                throw new Error(`Failed to load blockchain from ${this.storage.name} storage: ${error.message}`);
+            }
+            console.warn('LOAD_FAILURE_POLICY is "fallback": starting from a local genesis block and empty state.');
             this.chain = [this.createGenesisBlock()];
+            this.legacyBlockHeight = 1;
+            this.chainIndex.rebuild(this.chain);
             this.votedUsers = new Set();
-            this.registeredVoters = new Set();
-            this.isElectionOpen = false;
+            this.registeredVoters = new Map();
+            this.isSetUp = false;
+            this.eligibility = {};
+            this.phase = 'draft';
+            this.phaseHistory = [];
+            this.certificate = null;
+            this.spentBallotTokens = new Set();
+            this.pendingTransactions = [];
             this.isLoaded = true;
         }
     }
 
     /**
-     * Saves the current election state to Firestore.
+     * Re-queues the transactions left in the write-ahead log by a previous run (e.g. after a crash
+     * between accepting a vote and mining it). Each one is checked again against the loaded chain
+     * and state; transactions already mined or no longer valid are dropped from the log.
      */
-    async saveElectionStateToDatabase() {
-        if (!db || !electionStateDocRef) {
-            console.error("Firestore not initialized. Cannot save election state.");
+    async replayPendingTransactions() {
+        const entries = await this.storage.loadPendingTransactions();
+        if (entries.length === 0) {
             return;
         }
+        const minedIds = new Set(this.chain.flatMap(block => Array.isArray(block.data) ? block.data.map(hashTransaction) : []));
+        const droppedIds = [];
+        for (const { id, transaction } of entries) {
+            let problem = null;
+            if (minedIds.has(id)) {
+                problem = 'it is already in a block';
+            } else if (hashTransaction(transaction) !== id) {
+                problem = 'its ID does not match its contents';
+            } else {
+                problem = this.checkPendingTransaction(transaction);
+            }
+            if (problem) {
+                console.warn(`Dropping pending transaction ${id} from the write-ahead log: ${problem}.`);
+                droppedIds.push(id);
+            } else {
+                this.pendingTransactions.push(transaction);
+                if (transaction.type === 'admin') {
+                    applyAdminAction(this, transaction);
+                }
+            }
+        }
+        if (droppedIds.length > 0) {
+            await this.storage.removePendingTransactions(droppedIds);
+        }
+        console.log(`Replayed ${this.pendingTransactions.length} pending transaction(s) from the write-ahead log.`);
+    }
+
+    /**
+     * Re-checks a logged transaction before it is re-queued. The election may have closed since
+     * the transaction was accepted, so only the transaction itself is checked, not the election status.
+     * Admin actions are checked against the state they would change; the caller applies them.
+     * @param {object} transaction - The logged transaction.
+     * @returns {string|null} Why the transaction is no longer valid, or null if it is.
+     */
+    checkPendingTransaction(transaction) {
+        const { type, voterId } = transaction;
+        if (type === 'miningReward') {
+            return 'a mining reward is only created in the block that pays it';
+        }
+        if (type === 'transfer') {
+            return this.getTransferError(transaction);
+        }
+        if (type === 'admin') {
+            return getAdminActionError(this, transaction, this.authorities);
+        }
+        if (type === 'vote' || type === 'ballot') {
+            const problem = getBallotSelectionError(this.votingMethod, transaction, new Set(this.candidates.map(c => c.id)));
+            if (problem) {
+                return problem;
+            }
+        }
+        if (type === 'vote' || type === 'participation') {
+            const voter = this.registeredVoters.get(voterId);
+            if (!voter) {
+                return `voter '${voterId}' is not registered`;
+            }
+            const ineligible = getEligibilityError(this.eligibility, voter);
+            if (ineligible) {
+                return `voter '${voterId}' is not eligible (${ineligible})`;
+            }
+            if (type === 'vote' && Number(transaction.timestamp) > Date.now() + MAX_BALLOT_CLOCK_SKEW_MS) {
+                return 'the vote is signed with a time in the future';
+            }
+            if (type === 'vote' && this.allowRevoting) {
+                const previous = this.getLatestVoteTimestamp(voterId);
+                if (previous !== null && !(Number(transaction.timestamp) > previous)) {
+                    return `voter '${voterId}' has already cast a later vote`;
+                }
+            } else if (this.votedUsers.has(voterId) || this.hasPendingVote(voterId)) {
+                return `voter '${voterId}' has already voted`;
+            }
+            const verify = type === 'vote' ? verifyBallotSignature : verifyParticipationSignature;
+            return verify({ ...transaction, electionId: this.electionId }, voter.publicKey) ? null : 'the signature is invalid';
+        }
+        if (type === 'ballot') {
+            if (!this.ballotSigningKey || !verifyTokenSignature(transaction.token, transaction.tokenSignature, this.ballotSigningKey.publicKey)) {
+                return 'the ballot token signature is invalid';
+            }
+            const isSpent = this.spentBallotTokens.has(transaction.token)
+                || this.pendingTransactions.some(trans => trans.type === 'ballot' && trans.token === transaction.token);
+            return isSpent ? 'the ballot token was already used' : null;
+        }
+        return `unknown transaction type '${type}'`;
+    }
+
+    /**
+     * Adds an accepted transaction to the pending pool and records it in the write-ahead log,
+     * so it survives a restart. Only resolves once the log write is durable.
+     * @param {object} transaction - The transaction.
+     * @returns {Promise<string>} The transaction ID (its hash, also the vote receipt ID).
+     * @throws {Error} If the write-ahead log cannot be written; the transaction is then not accepted.
+     */
+    async addPendingTransaction(transaction) {
+        const id = hashTransaction(transaction);
+        this.pendingTransactions.push(transaction); // Added first so concurrent duplicates are caught
+        try {
+            await this.storage.appendPendingTransaction(id, transaction);
+        } catch (error) {
+            this.pendingTransactions = this.pendingTransactions.filter(trans => trans !== transaction);
+            console.error(`Error writing pending transaction to ${this.storage.name} storage:`, error);
+            throw new Error('Failed to record the transaction. Please try again.');
+        }
+        this.events.emit('transactionAdded', transaction, id);
+        return id;
+    }
+
+    /**
+     * Checks the pending pool again after the chain changed under it (a peer's block or chain),
+     * dropping transactions that are now mined or invalid, e.g. a second vote by a voter whose
+     * first vote a peer mined. Ballots and admin actions from blocks that left the chain can be put
+     * back in the pool, ahead of the pending ones. Voted users, and once admin actions are recorded
+     * the roll, candidates and phase, are rebuilt from the new chain and the remaining admin actions.
+     * @param {Array<object>} [orphaned] - Ballot and admin transactions from blocks no longer in the chain.
+     */
+    async recheckPendingTransactions(orphaned = []) {
+        const minedIds = new Set(this.chain.flatMap(block => Array.isArray(block.data) ? block.data.map(hashTransaction) : []));
+        const candidates = [...orphaned, ...this.pendingTransactions];
+        const logged = new Set(this.pendingTransactions);
+        const { state } = replayAdminActions(this.chain, this.authorities, this.electionId);
+        this.votedUsers = state.votedUsers;
+        if (state.isSetUp || candidates.some(trans => trans.type === 'admin')) {
+            this.adoptAdminState(state); // Pending admin actions are applied again below
+        }
+        this.pendingTransactions = [];
+        const keptIds = new Set();
+        const droppedIds = [];
+        for (const transaction of candidates) {
+            const id = hashTransaction(transaction);
+            if (keptIds.has(id)) continue;
+            const problem = minedIds.has(id) ? 'it is already in a block' : this.checkPendingTransaction(transaction);
+            if (problem) {
+                if (logged.has(transaction)) {
+                    console.warn(`Dropping pending transaction ${id}: ${problem}.`);
+                    droppedIds.push(id);
+                }
+                continue;
+            }
+            this.pendingTransactions.push(transaction);
+            keptIds.add(id);
+            if (transaction.type === 'admin') {
+                applyAdminAction(this, transaction);
+            }
+            if (!logged.has(transaction)) {
+                try {
+                    await this.storage.appendPendingTransaction(id, transaction);
+                } catch (error) {
+                    console.error(`Error writing pending transaction to ${this.storage.name} storage:`, error);
+                }
+            }
+        }
+        if (droppedIds.length > 0) {
+            await this.storage.removePendingTransactions(droppedIds);
+        }
+    }
+
+    /**
+     * Saves the current election state to the storage backend.
+     */
+    async saveElectionStateToDatabase() {
         try {
-            await setDoc(electionStateDocRef, {
+            await this.storage.saveElectionState({
+                electionId: this.electionId,
+                name: this.name,
+                description: this.description,
                 votedUsers: Array.from(this.votedUsers),
-                registeredVoters: Array.from(this.registeredVoters),
                 candidates: this.candidates,
-                isElectionOpen: this.isElectionOpen,
+                phase: this.phase,
+                phaseHistory: this.phaseHistory,
+                schedule: this.schedule,
+                isElectionOpen: this.isElectionOpen, // Kept for tools that predate phases
+                ballotMode: this.ballotMode,
+                ballotPublicKey: this.ballotSigningKey ? this.ballotSigningKey.publicKey : null, // The private half stays in the key store
+                allowRevoting: this.allowRevoting,
+                votingMethod: this.votingMethod,
+                seats: this.seats,
+                eligibility: this.eligibility,
+                certificate: this.certificate,
+                legacyBlockHeight: this.legacyBlockHeight,
                 lastUpdated: Date.now().toString()
             });
-            console.log('Election state saved to Firestore.');
+            console.log(`Election state saved to ${this.storage.name} storage.`);
         } catch (error) {
-            console.error('Error saving election state to Firestore:', error);
+            console.error(`Error saving election state to ${this.storage.name} storage:`, error);
         }
     }
 
@@ -176,7 +652,10 @@ export class Blockchain {
      * @returns {Block} The genesis block.
      */
     createGenesisBlock() {
-        return new Block(0, "2023-01-01", "Genesis Block (Election Start)", "0");
+        if (this.electionId === DEFAULT_ELECTION_ID) {
+            return new Block(0, "2023-01-01", "Genesis Block (Election Start)", "0");
+        }
+        return new Block(0, Date.now().toString(), `Genesis Block (Election Start: ${this.electionId})`, "0");
     }
 
     /**
@@ -189,187 +668,1659 @@ export class Blockchain {
 
     /**
      * Mines pending transactions (votes) and adds them to the blockchain as a new block.
-     * This method is asynchronous because it involves saving the block and election state to Firestore.
-     * @param {string} minerAddress - Optional: The address to send the mining reward to.
+     * Calls are queued and run one after another, so two blocks are never built on the same
+     * parent and no transaction is mined twice. Transactions added while a block is being
+     * mined stay pending for the next block.
+     * @param {string|null} [minerAddress=null] - The ledger address to send the mining reward to; no reward without one.
+     * @param {number} [maxTransactions=Infinity] - The most pending transactions to put in the block (oldest first).
+     * @returns {Promise<object>} An object indicating the outcome of the mining operation.
+     * @throws {Error} If the miner address is not a ledger address.
+     */
+    minePendingTransactions(minerAddress = null, maxTransactions = Infinity) {
+        if (minerAddress !== null && !isLedgerAddress(minerAddress)) {
+            return Promise.reject(new Error(`Invalid miner address '${minerAddress}': a ledger address is 64 lowercase hex characters.`));
+        }
+        return this.enqueueChainUpdate(() => this.mineNextBlock(minerAddress, maxTransactions));
+    }
+
+    /**
+     * Runs a change to the chain after every change queued before it.
+     * @param {Function} update - Async function changing the chain.
+     * @returns {Promise<any>} The update's result.
+     */
+    enqueueChainUpdate(update) {
+        const result = this.miningQueue.then(update);
+        this.miningQueue = result.catch(() => {}); // A failed update must not stall the queue
+        return result;
+    }
+
+    /**
+     * The oldest pending transactions that fit in one block: at most maxTransactions of them, and at
+     * most MAX_BLOCK_DATA_BYTES in total (but always at least one).
+     * @param {number} maxTransactions - The most transactions to take.
+     * @returns {Array<object>} The transactions.
+     */
+    getNextBlockTransactions(maxTransactions) {
+        const transactions = [];
+        let size = 0;
+        for (const transaction of this.pendingTransactions) {
+            size += Buffer.byteLength(JSON.stringify(transaction));
+            if (transactions.length >= maxTransactions || (transactions.length > 0 && size > MAX_BLOCK_DATA_BYTES)) {
+                break;
+            }
+            transactions.push(transaction);
+        }
+        return transactions;
+    }
+
+    /**
+     * The timestamp of the next block: now, or just after the latest block if that is dated later
+     * (blocks mined within the same millisecond, or a clock set back), since each block must be dated after the one before it.
+     * @returns {string} Milliseconds since epoch, as a string.
+     */
+    getNextBlockTimestamp() {
+        const latest = Number(this.getLatestBlock().timestamp); // NaN for the default election's genesis block
+        return String(latest >= Date.now() ? latest + 1 : Date.now());
+    }
+
+    /**
+     * Mines one block from the oldest pending transactions. Only called through the mining queue.
+     * @param {string|null} minerAddress - The address to send the mining reward to.
+     * @param {number} maxTransactions - The most pending transactions to put in the block.
      * @returns {Promise<object>} An object indicating the outcome of the mining operation.
      */
-    async minePendingTransactions(minerAddress = null) {
+    async mineNextBlock(minerAddress, maxTransactions) {
         if (this.pendingTransactions.length === 0) {
             console.log('No pending transactions (votes) to mine.');
             return { message: 'No pending transactions to mine.' };
         }
 
+        const timestamp = this.getNextBlockTimestamp();
+        const transactions = this.getNextBlockTransactions(maxTransactions);
+        if (minerAddress && this.miningReward > 0) {
+            // The reward is part of the block it pays for, so it is never pending and never mined on its own
+            transactions.unshift({
+                electionId: this.electionId,
+                fromAddress: null,
+                toAddress: minerAddress,
+                amount: this.miningReward,
+                blockIndex: this.chain.length,
+                timestamp,
+                type: 'miningReward'
+            });
+        }
+        const data = JSON.parse(JSON.stringify(transactions)); // Deep copy for immutability
         const newBlock = new Block(
             this.chain.length,
-            Date.now().toString(),
-            JSON.parse(JSON.stringify(this.pendingTransactions)), // Deep copy for immutability
-            this.getLatestBlock().hash
+            timestamp,
+            data,
+            this.getLatestBlock().hash,
+            0,
+            null,
+            computeMerkleRoot(data),
+            this.consensusMode === 'poa' ? null : this.getNextDifficulty()
         );
 
-        newBlock.mineBlock(this.difficulty);
-
-        this.chain.push(newBlock);
+        if (this.consensusMode === 'poa') {
+            this.authorities.seal(newBlock); // Throws if this node is not an active authority
+        } else {
+            await this.miner.mine(newBlock); // Throws if cancelled; the transactions then stay pending
+        }
+        await this.appendBlock(newBlock, 'local');
         console.log(`Block ${newBlock.index} successfully mined and added to chain.`);
+        return { message: 'Block successfully mined!', latestBlock: newBlock };
+    }
 
-        // Save the new block to Firestore
+    /**
+     * Adds a block that extends the chain (mined here or received from a peer) and updates the
+     * pending pool and election state to match. Only called through the chain update queue.
+     * @param {Block} block - The block, already validated.
+     * @param {string} origin - 'local' or 'peer'.
+     * @throws {Error} If the block cannot be saved; the chain is then unchanged.
+     */
+    async appendBlock(block, origin) {
+        // Save the new block to storage before it joins the chain, so a failed save leaves no trace
         try {
-            await setDoc(doc(blocksCollection, newBlock.hash), { ...newBlock });
-            console.log(`Block ${newBlock.index} saved to Firestore.`);
+            await this.storage.saveBlock(block);
+            console.log(`Block ${block.index} saved to ${this.storage.name} storage.`);
         } catch (error) {
-            console.error(`Error saving block ${newBlock.index} to Firestore:`, error);
+            console.error(`Error saving block ${block.index} to ${this.storage.name} storage:`, error);
             throw new Error('Failed to save block to database.');
         }
+        this.chain.push(block);
+        this.chainIndex.addBlock(block);
 
-        // Clear pending transactions
-        this.pendingTransactions = [];
-
-        // Add mining reward if applicable
-        if (minerAddress) {
-            this.pendingTransactions.push({
-                fromAddress: null,
-                toAddress: minerAddress,
-                amount: this.miningReward,
-                timestamp: Date.now().toString(),
-                type: 'miningReward'
-            });
+        // Remove the mined transactions; anything added meanwhile stays pending
+        const minedIds = Array.isArray(block.data) ? block.data.map(hashTransaction) : [];
+        this.pendingTransactions = this.pendingTransactions.filter(trans => !minedIds.includes(hashTransaction(trans)));
+        try {
+            await this.storage.removePendingTransactions(minedIds);
+        } catch (error) {
+            // Harmless: transactions already in a block are dropped when the log is replayed
+            console.error(`Error removing mined transactions from the ${this.storage.name} write-ahead log:`, error);
         }
 
-        // IMPORTANT: Update votedUsers from newly mined block
-        if (Array.isArray(newBlock.data)) {
-            newBlock.data.forEach(trans => {
-                if (trans.type === 'vote' && trans.voterId) {
+        // IMPORTANT: Update votedUsers (and spent ballot tokens) from the new block
+        if (Array.isArray(block.data)) {
+            block.data.forEach(trans => {
+                if ((trans.type === 'vote' || trans.type === 'participation') && trans.voterId) {
                     this.votedUsers.add(trans.voterId);
                 }
+                if (trans.type === 'ballot') {
+                    this.spentBallotTokens.add(trans.token);
+                }
             });
         }
+        if (origin === 'peer') {
+            await this.recheckPendingTransactions();
+            if (Array.isArray(block.data) && block.data.some(trans => trans.type === 'admin')) {
+                await this.saveVoterRoll();
+            }
+        }
 
         await this.saveElectionStateToDatabase(); // Save updated votedUsers and other state
-
-        return { message: 'Block successfully mined!', latestBlock: newBlock };
+        this.events.emit('blockAdded', block, origin);
     }
 
     /**
-     * Creates a new vote transaction and adds it to pending transactions.
-     * It enforces voter registration and prevents double voting.
-     * @param {object} voteTransaction - The vote transaction object ({ voterId, candidateId }).
-     * @returns {boolean} True if the vote was successfully added.
-     * @throws {Error} If the election is closed, voter is not registered, or voter has already voted.
+     * Adds a block announced by a peer, if it extends this chain and passes the audit.
+     * A block being mined here at the same height is cancelled: the peer was faster.
+     * @param {object} blockData - The block as sent by the peer.
+     * @returns {Promise<string>} 'added', 'known' (already in the chain) or 'unlinked'
+     * (it does not extend the latest block, so this node should resync from its peers).
+     * @throws {Error} If the block is malformed, breaks an audit rule or cannot be saved.
      */
-    createVote(voteTransaction) {
-        const { voterId, candidateId } = voteTransaction;
-
-        if (!this.isElectionOpen) {
-            throw new Error('Election is currently closed. Votes cannot be cast.');
-        }
-        if (!voterId || !candidateId) {
-            throw new Error('Invalid vote: voterId and candidateId are required.');
+    async receiveBlock(blockData) {
+        const block = Block.fromData(blockData);
+        const check = () => {
+            if (this.chain.some(existing => existing.hash === block.hash)) return 'known';
+            if (block.index !== this.chain.length || block.previousHash !== this.getLatestBlock().hash) return 'unlinked';
+            return null;
+        };
+        const outcome = check();
+        if (outcome) {
+            return outcome;
         }
-        if (!this.candidates.some(c => c.id === candidateId)) {
-            throw new Error(`Invalid vote: Candidate '${candidateId}' not found.`);
+        const errors = this.auditCandidateChain([...this.chain, block]).findings
+            .filter(finding => finding.severity === 'error' && finding.blockIndex === block.index);
+        if (errors.length > 0) {
+            throw new Error(`Block ${block.index} rejected: ${errors.map(finding => finding.message).join(' ')}`);
         }
 
-        if (!this.registeredVoters.has(voterId)) {
-            throw new Error(`Voter '${voterId}' is not registered or not eligible to vote.`);
+        await this.cancelMining();
+        return this.enqueueChainUpdate(async () => {
+            const latestOutcome = check(); // The chain may have moved on while waiting
+            if (latestOutcome) {
+                return latestOutcome;
+            }
+            await this.appendBlock(block, 'peer');
+            console.log(`Block ${block.index} received from a peer and added to chain.`);
+            return 'added';
+        });
+    }
+
+    /**
+     * Switches to a peer's chain if it holds more work than this one (see getChainWork) and passes
+     * the checks of getCandidateChainProblem. The roll, candidates, phase and settings are rebuilt from the
+     * chain's signed admin actions; only what the chain does not record comes from the peer's
+     * setup (see adoptPeerSetup). Ballots and admin actions in blocks that leave the chain go back
+     * to the pending pool.
+     * @param {Array<object>} blocksData - The peer's chain, genesis block first.
+     * @param {object} setup - The peer's election setup, see getPeerSetup.
+     * @returns {Promise<boolean>} True if this node switched to the peer's chain, false if it holds no more work.
+     * @throws {Error} If the chain or setup is malformed or the chain fails a check.
+     */
+    async replaceChain(blocksData, setup) {
+        if (!Array.isArray(blocksData)) {
+            return false;
         }
-        if (this.votedUsers.has(voterId)) {
-            throw new Error(`Voter '${voterId}' has already cast a vote.`);
+        const chain = blocksData.map(data => Block.fromData(data));
+        if (getChainWork(chain) <= getChainWork(this.chain)) {
+            return false;
+        }
+        if (!setup || typeof setup !== 'object') {
+            throw new Error('Invalid election setup.');
+        }
+        const problem = this.getCandidateChainProblem(chain);
+        if (problem) {
+            throw new Error(`Chain rejected: ${problem}`);
         }
 
-        const transaction = {
-            voterId: voterId,
-            candidateId: candidateId,
-            timestamp: Date.now().toString(),
-            type: 'vote'
-        };
-        this.pendingTransactions.push(transaction);
-        console.log('Vote added to pending list:', transaction);
-        return true;
+        await this.cancelMining();
+        return this.enqueueChainUpdate(async () => {
+            if (getChainWork(chain) <= getChainWork(this.chain)) {
+                return false; // This chain grew while waiting
+            }
+            const keptIds = new Set(chain.flatMap(block => Array.isArray(block.data) ? block.data.map(hashTransaction) : []));
+            const orphaned = this.chain.flatMap(block => Array.isArray(block.data) ? block.data : [])
+                .filter(trans => (BALLOT_TRANSACTION_TYPES.includes(trans.type) || trans.type === 'admin') && !keptIds.has(hashTransaction(trans)));
+
+            try {
+                await this.storage.replaceBlocks(chain);
+            } catch (error) {
+                console.error(`Error replacing blocks in ${this.storage.name} storage:`, error);
+                throw new Error('Failed to save block to database.');
+            }
+            this.chain = chain;
+            this.chainIndex.rebuild(chain);
+            this.adoptPeerSetup(setup);
+            this.spentBallotTokens = new Set(this.getTransactions('ballot').map(trans => trans.token));
+            await this.recheckPendingTransactions(orphaned);
+            await this.saveVoterRoll();
+            await this.saveElectionStateToDatabase();
+            console.log(`Switched to a peer's chain of ${chain.length} blocks (${orphaned.length} transaction(s) returned to the pending pool).`);
+            this.events.emit('chainReplaced', chain);
+            return true;
+        });
     }
 
     /**
-     * Adds a voter to the list of registered voters. This is an admin function.
-     * @param {string} voterId - The unique ID of the voter to register.
-     * @returns {boolean} True if successfully registered, false if already registered.
+     * Whether the election holds nothing yet: only a genesis block, no pending transactions and no voters.
+     * @returns {boolean} True if the election is blank.
      */
-    async registerVoter(voterId) {
-        if (!voterId) {
-            throw new Error('Voter ID cannot be empty.');
+    isBlank() {
+        return this.chain.length <= 1 && this.pendingTransactions.length === 0 && this.registeredVoters.size === 0;
+    }
+
+    /**
+     * Replaces this blank election with an archived one (see electionArchive.js). The archive passes
+     * the same checks as a peer's chain, and its setup must agree with the chain. The election is then
+     * loaded again from storage, so its state is rebuilt from the restored chain.
+     * @param {object} archive - An archive that passed readArchive.
+     * @throws {Error} If the election is not blank, or the archive fails a check or cannot be saved.
+     */
+    async restoreArchive(archive) {
+        const { setup, pendingTransactions } = archive;
+        const chain = archive.chain.map(data => Block.fromData(data));
+        const problem = this.getCandidateChainProblem(chain);
+        if (problem) {
+            throw new Error(`Archive rejected: ${problem}`);
         }
-        if (this.registeredVoters.has(voterId)) {
-            return false; // Already registered
+        const inconsistencies = getArchiveInconsistencies(archive, this.authorities, this.electionId);
+        if (inconsistencies.length > 0) {
+            throw new Error(`Archive rejected: ${inconsistencies.join('; ')}.`);
         }
-        this.registeredVoters.add(voterId);
-        await this.saveElectionStateToDatabase();
-        console.log(`Voter '${voterId}' registered.`);
-        return true;
+
+        return this.enqueueChainUpdate(async () => {
+            if (!this.isBlank()) {
+                throw new Error(`Election '${this.electionId}' already has blocks, voters or pending transactions on this node. Restore into a fresh node.`);
+            }
+            try {
+                await this.storage.replaceBlocks(chain);
+                for (const transaction of pendingTransactions) {
+                    await this.storage.appendPendingTransaction(hashTransaction(transaction), transaction);
+                }
+            } catch (error) {
+                console.error(`Error restoring election '${this.electionId}' to ${this.storage.name} storage:`, error);
+                throw new Error('Failed to save the restored chain.');
+            }
+            this.chain = chain;
+            this.chainIndex.rebuild(chain);
+            const { state } = replayAdminActions(chain, this.authorities, this.electionId);
+            this.votedUsers = state.votedUsers;
+            this.adoptAdminState(state);
+            this.adoptPeerSetup(setup);
+            await this.saveVoterRoll();
+            await this.saveElectionStateToDatabase();
+            await this.loadChainAndElectionStateFromDatabase();
+            console.log(`Election '${this.electionId}' restored from an archive (${chain.length} blocks, ${this.pendingTransactions.length} pending transaction(s)).`);
+            this.events.emit('chainReplaced', this.chain);
+        });
     }
 
     /**
-     * Sets the election status (open/closed). This is an admin function.
-     * @param {boolean} status - True to open, false to close.
+     * Audits a chain this node might adopt. Once the chain records the election setup, the audit
+     * takes the roll, candidates and settings from its admin actions; before that, from this election.
+     * @param {Array<Block>} chain - The chain to audit.
+     * @param {boolean} [fromChainOnly=false] - Trust nothing from this election's roll either, for a
+     * chain that does not extend this one (a peer's or an archive's).
+     * @returns {object} The audit report.
      */
-    async setElectionStatus(status) {
-        if (typeof status !== 'boolean') {
-            throw new Error('Status must be a boolean (true/false).');
+    auditCandidateChain(chain, fromChainOnly = false) {
+        const view = Object.create(this); // Reads everything else from this election
+        view.chain = chain;
+        if (fromChainOnly) {
+            view.registeredVoters = new Map();
+            view.candidates = [];
         }
-        this.isElectionOpen = status;
-        await this.saveElectionStateToDatabase();
-        console.log(`Election status set to: ${status ? 'Open' : 'Closed'}`);
+        return auditChain(view);
     }
 
     /**
-     * Retrieves the list of registered candidates.
-     * @returns {Array<object>} An array of candidate objects.
+     * Checks a whole chain from a peer or an archive before this node switches to it. It must pass
+     * the audit on its own and record an election setup signed by an authority, since the roll,
+     * candidates, phase and settings are taken from its admin actions. Once this election has blocks
+     * of its own, the chain must also start from the same genesis block.
+     * @param {Array<Block>} chain - The chain, genesis block first.
+     * @returns {string|null} Why the chain is rejected, or null if it is not.
      */
-    getCandidates() {
-        return this.candidates;
+    getCandidateChainProblem(chain) {
+        if (this.chain.length > 1 && (!chain[0] || chain[0].hash !== this.chain[0].hash)) {
+            return 'it starts from another genesis block.';
+        }
+        const report = this.auditCandidateChain(chain, true);
+        if (!report.valid) {
+            const firstError = report.findings.find(finding => finding.severity === 'error');
+            return `${firstError.blockIndex === null ? '' : `block ${firstError.blockIndex}: `}${firstError.message} (${firstError.rule})`;
+        }
+        if (!replayAdminActions(chain, this.authorities, this.electionId).state.isSetUp) {
+            return 'it records no election setup signed by an authority.';
+        }
+        return null;
     }
 
     /**
-     * Calculates the current election results by tallying votes from all blocks.
-     * @returns {object} An object where keys are candidate IDs and values are their vote counts.
+     * The election setup as this node has it, sent to peers and archived with the chain. Peers only
+     * take over what the chain does not record (see adoptPeerSetup). The ballot signing key's private
+     * half is never shared.
+     * @returns {object} { name, description, candidates, voterRoll, eligibility, phase, phaseHistory, schedule, isElectionOpen, ballotMode, ballotPublicKey, allowRevoting, votingMethod, seats, certificate }.
      */
-    getElectionResults() {
-        const results = {};
-        this.candidates.forEach(candidate => {
-            results[candidate.id] = { name: candidate.name, votes: 0 };
-        });
+    getPeerSetup() {
+        return {
+            name: this.name,
+            description: this.description,
+            candidates: this.candidates,
+            voterRoll: this.getVoterRecords(),
+            eligibility: this.eligibility,
+            phase: this.phase,
+            phaseHistory: this.phaseHistory,
+            schedule: this.schedule,
+            isElectionOpen: this.isElectionOpen,
+            ballotMode: this.ballotMode,
+            ballotPublicKey: this.ballotSigningKey ? this.ballotSigningKey.publicKey : null,
+            allowRevoting: this.allowRevoting,
+            votingMethod: this.votingMethod,
+            seats: this.seats,
+            certificate: this.certificate
+        };
+    }
 
-        for (const block of this.chain) {
-            if (Array.isArray(block.data)) {
-                for (const transaction of block.data) {
-                    if (transaction.type === 'vote' && results[transaction.candidateId]) {
-                        results[transaction.candidateId].votes++;
-                    }
-                }
+    /**
+     * Takes over the parts of a peer's election setup that its chain does not record, after
+     * switching to the chain: the name, description and schedule, which only inform, and a
+     * certificate if an authority signed it for a block on the chain (see getChainCertificateProblem).
+     * The roll, candidates, phase and settings come from the chain's admin actions instead.
+     * @param {object} setup - The peer's election setup, see getPeerSetup.
+     */
+    adoptPeerSetup(setup) {
+        if (typeof setup.name === 'string') {
+            this.name = setup.name;
+        }
+        if (typeof setup.description === 'string') {
+            this.description = setup.description;
+        }
+        if (setup.schedule && typeof setup.schedule === 'object') {
+            const { opensAt = null, closesAt = null, updatedBy = null, updatedAt = null } = setup.schedule;
+            this.schedule = { opensAt, closesAt, updatedBy, updatedAt };
+        }
+        if (setup.certificate) {
+            const problem = getChainCertificateProblem(setup.certificate, this.chain, this.authorities);
+            if (problem) {
+                console.warn(`The certificate of election '${this.electionId}' from the peer was not taken over: ${problem}.`);
+            } else {
+                this.certificate = setup.certificate;
             }
         }
-        return results;
     }
 
     /**
-     * Checks if the entire blockchain is valid.
-     * @returns {boolean} True if the blockchain is valid, false otherwise.
+     * Adds a voter's transaction or a credit transfer relayed by a peer to the pending pool, after
+     * the same checks the transaction passed on the node that accepted it.
+     * @param {object} transaction - The transaction as stored in blocks.
+     * @returns {Promise<string|null>} The transaction ID, or null if this node already has it.
+     * @throws {Error} If the transaction is not a voter's transaction or a transfer, a ballot arrives while the
+     * election is closed here, or it is invalid.
      */
-    isChainValid() {
-        if (this.chain.length === 0) {
-            console.log('Chain is empty.');
-            return false;
+    async acceptPeerTransaction(transaction) {
+        if (!transaction || typeof transaction !== 'object' || !PEER_TRANSACTION_TYPES.includes(transaction.type)) {
+            throw new Error(`Only ${PEER_TRANSACTION_TYPES.join(', ')} transactions are accepted from peers.`);
+        }
+        if (transaction.electionId !== this.electionId) {
+            throw new Error('The transaction belongs to another election.');
+        }
+        if (this.findTransaction(hashTransaction(transaction))) {
+            return null; // Already pending or mined
+        }
+        if (transaction.type !== 'transfer' && !this.isElectionOpen) {
+            throw new Error('Election is currently closed. Votes cannot be cast.');
+        }
+        const problem = (transaction.type === 'vote' && getBallotTimestampError(transaction.timestamp)) || this.checkPendingTransaction(transaction);
+        if (problem) {
+            throw new Error(`Transaction rejected: ${problem}.`);
         }
+        return this.addPendingTransaction(transaction);
+    }
 
-        for (let i = 1; i < this.chain.length; i++) {
-            const currentBlock = this.chain[i];
-            const previousBlock = this.chain[i - 1];
+    /**
+     * Whether this node can add blocks of its own: always with proof-of-work, and only as an
+     * active authority in Proof-of-Authority mode (other nodes relay their ballots to the authorities).
+     * @returns {boolean} True if this node can produce blocks.
+     */
+    canProduceBlocks() {
+        return this.consensusMode !== 'poa' || this.authorities.canSeal();
+    }
 
-            if (currentBlock.hash !== currentBlock.calculateHash()) {
-                console.log(`Chain invalid: Block ${currentBlock.index} hash mismatch.`);
-                return false;
-            }
-            if (currentBlock.previousHash !== previousBlock.hash) {
-                console.log(`Chain invalid: Block ${currentBlock.index} previous hash mismatch.`);
-                return false;
-            }
-        }
-        return true;
+    /**
+     * Whether this node can record admin actions, which an authority signs in either consensus mode.
+     * @returns {boolean} True if this node holds the key of an authority that is not revoked.
+     */
+    canRecordAdminActions() {
+        return this.authorities.canSeal();
+    }
+
+    /**
+     * Describes how blocks are produced and validated.
+     * @returns {object} { mode, authorities, localAuthority }: the consensus mode, the authorities
+     * (Proof-of-Authority mode) and the authority this node seals as, if any.
+     */
+    getConsensusInfo() {
+        return {
+            mode: this.consensusMode,
+            authorities: this.consensusMode === 'poa' ? this.authorities.list() : [],
+            localAuthority: this.consensusMode === 'poa' && this.authorities.canSeal() ? this.authorities.signer.id : null
+        };
+    }
+
+    /**
+     * The difficulty the next block must be mined at, adjusted from recent block times (see difficulty.js).
+     * @returns {number} The difficulty.
+     */
+    getNextDifficulty() {
+        return getExpectedDifficulty(this.chain, this.chain.length, this.miningSettings);
+    }
+
+    /**
+     * Reports mining activity: the block being mined, the last mined block, hash rates and difficulty.
+     * @returns {object} { consensusMode, isMining, currentDifficulty, targetBlockIntervalMs, pendingTransactionCount, currentJob, lastJob }.
+     * The difficulty is null in Proof-of-Authority mode, where blocks are not mined.
+     */
+    getMiningStatus() {
+        const { isMining, currentJob, lastJob } = this.miner.getStatus();
+        return {
+            consensusMode: this.consensusMode,
+            isMining,
+            currentDifficulty: this.consensusMode === 'poa' ? null : (currentJob ? currentJob.difficulty : this.getNextDifficulty()),
+            targetBlockIntervalMs: this.miningSettings.targetBlockIntervalMs,
+            pendingTransactionCount: this.pendingTransactions.length,
+            currentJob,
+            lastJob
+        };
+    }
+
+    /**
+     * Cancels the block being mined, if any. Its transactions stay pending for a later block.
+     * @returns {Promise<boolean>} True if a block was being mined.
+     */
+    async cancelMining() {
+        const cancelled = await this.miner.cancel();
+        if (cancelled) {
+            console.log(`Mining cancelled for election '${this.electionId}'.`);
+        }
+        return cancelled;
+    }
+
+    /**
+     * The pending transactions anyone may see. Anonymous ballots are left out until they are mined: listed next
+     * to the participation records arriving at the same time, their order would hint at who cast them.
+     * @returns {Array<object>} The pending transactions other than secret ballots, oldest first.
+     */
+    getPublicPendingTransactions() {
+        return this.pendingTransactions.filter(trans => trans.type !== 'ballot');
+    }
+
+    /**
+     * Whether a voter has a vote or ballot token request waiting in the pending pool.
+     * @param {string} voterId - The voter ID.
+     * @returns {boolean} True if the voter has a pending vote.
+     */
+    hasPendingVote(voterId) {
+        return this.pendingTransactions.some(trans => (trans.type === 'vote' || trans.type === 'participation') && trans.voterId === voterId);
+    }
+
+    /**
+     * When a voter last voted, for elections that allow revoting: a replacement vote must be signed later.
+     * @param {string} voterId - The voter ID.
+     * @returns {number|null} The latest timestamp among the voter's mined and pending votes, or null if none.
+     */
+    getLatestVoteTimestamp(voterId) {
+        const timestamps = this.getTransactions('vote', { includePending: true })
+            .filter(trans => trans.voterId === voterId)
+            .map(trans => Number(trans.timestamp));
+        return timestamps.length > 0 ? Math.max(...timestamps) : null;
+    }
+
+    /**
+     * Creates a new vote transaction and adds it to pending transactions.
+     * It enforces voter registration, checks the ballot signature against the voter's
+     * registered public key, and prevents double voting, including a second vote sent
+     * while the first one is still pending. If the election allows revoting, a later vote is
+     * accepted instead and replaces the voter's earlier one in the results; both stay on the chain.
+     * @param {object} voteTransaction - The signed vote ({ voterId, candidateId, timestamp, signature }), with
+     * `choices` instead of `candidateId` for approval and ranked voting methods (see getBallotSelectionError).
+     * @returns {Promise<string>} The vote's receipt ID (its transaction hash), see getReceipt.
+     * Resolves once the vote is recorded in the write-ahead log.
+     * @throws {Error} If the election is closed, the ballot does not fit the voting method, voter is not registered,
+     * the signature is invalid, the ballot was not signed within MAX_BALLOT_CLOCK_SKEW_MS of the server's time, or voter has
+     * already voted (or, with revoting, voted later than this ballot's timestamp).
+     */
+    async createVote(voteTransaction) {
+        const { voterId, timestamp, signature } = voteTransaction;
+
+        if (!this.isElectionOpen) {
+            throw new Error('Election is currently closed. Votes cannot be cast.');
+        }
+        if (this.ballotMode === 'secret') {
+            throw new Error('This election uses secret ballots: request a ballot token, then cast an anonymous ballot.');
+        }
+        if (!voterId) {
+            throw new Error('Invalid vote: voterId is required.');
+        }
+        const selection = this.getBallotSelection(voteTransaction);
+
+        this.assertVoterEligible(voterId);
+        if (!this.allowRevoting && this.votedUsers.has(voterId)) {
+            throw new Error(`Voter '${voterId}' has already cast a vote.`);
+        }
+        if (!this.allowRevoting && this.hasPendingVote(voterId)) {
+            throw new Error(`Voter '${voterId}' has already cast a vote that is waiting to be mined.`);
+        }
+
+        const { publicKey } = this.registeredVoters.get(voterId);
+        if (!publicKey) {
+            throw new Error(`Voter '${voterId}' has no voting credential. Please contact the registrar.`);
+        }
+        if (!timestamp || !signature) {
+            throw new Error('Invalid vote: the ballot must be signed (timestamp and signature are required).');
+        }
+        const timestampError = getBallotTimestampError(timestamp);
+        if (timestampError) {
+            throw new Error(`Invalid vote: ${timestampError}.`);
+        }
+        const transaction = {
+            electionId: this.electionId,
+            voterId: voterId,
+            ...selection,
+            timestamp: String(timestamp),
+            signature: signature,
+            type: 'vote'
+        };
+        if (!verifyBallotSignature(transaction, publicKey)) {
+            throw new Error('Invalid vote: the ballot signature does not match the voter\'s registered key.');
+        }
+        const previous = this.allowRevoting ? this.getLatestVoteTimestamp(voterId) : null;
+        if (previous !== null && !(Number(transaction.timestamp) > previous)) {
+            throw new Error(`Voter '${voterId}' has already cast a later vote. A replacement vote must be signed after the vote it replaces.`);
+        }
+
+        const receiptId = await this.addPendingTransaction(transaction);
+        console.log(previous === null ? 'Vote added to pending list:' : 'Replacement vote added to pending list:', transaction);
+        return receiptId;
+    }
+
+    /**
+     * Issues a blind signature on a ballot token (secret-ballot mode) and records the voter's
+     * participation. The signed request proves the voter asked for the token; the blinded token
+     * reveals nothing about the token the ballot will later carry.
+     * Repeating a request with the same blinded token returns the same signature, so a voter
+     * whose response got lost can retry without receiving a second token.
+     * @param {object} tokenRequest - The signed request ({ voterId, blindedMessage, timestamp, signature }).
+     * @returns {Promise<string>} The blind signature (hex), to be unblinded by the voter.
+     * @throws {Error} If the election is closed or not in secret-ballot mode, the voter is not eligible,
+     * the signature is invalid, or the voter already received a different token.
+     */
+    async issueBallotToken(tokenRequest) {
+        const { voterId, blindedMessage, timestamp, signature } = tokenRequest;
+
+        if (!this.isElectionOpen) {
+            throw new Error('Election is currently closed. Votes cannot be cast.');
+        }
+        if (this.ballotMode !== 'secret') {
+            throw new Error('This election does not use secret ballots.');
+        }
+        if (!this.ballotSigningKey || !this.ballotSigningKey.privateKey) {
+            throw new Error('This node does not hold the election\'s ballot signing key. Request ballot tokens from the node that does.');
+        }
+        if (!voterId || !blindedMessage) {
+            throw new Error('Invalid token request: voterId and blindedMessage are required.');
+        }
+        this.assertVoterEligible(voterId);
+        const { publicKey } = this.registeredVoters.get(voterId);
+        if (!publicKey) {
+            throw new Error(`Voter '${voterId}' has no voting credential. Please contact the registrar.`);
+        }
+
+        const previous = this.getTransactions('participation', { includePending: true }).find(trans => trans.voterId === voterId);
+        if (previous) {
+            if (previous.blindedMessage !== blindedMessage) {
+                throw new Error(`Voter '${voterId}' has already cast a vote.`);
+            }
+            return signBlindedMessage(blindedMessage, this.ballotSigningKey);
+        }
+
+        if (!timestamp || !signature) {
+            throw new Error('Invalid token request: the request must be signed (timestamp and signature are required).');
+        }
+        const transaction = {
+            electionId: this.electionId,
+            voterId: voterId,
+            blindedMessage: blindedMessage,
+            timestamp: String(timestamp),
+            signature: signature,
+            type: 'participation'
+        };
+        if (!verifyParticipationSignature(transaction, publicKey)) {
+            throw new Error('Invalid token request: the signature does not match the voter\'s registered key.');
+        }
+
+        const blindSignature = signBlindedMessage(blindedMessage, this.ballotSigningKey);
+        await this.addPendingTransaction(transaction);
+        console.log(`Ballot token issued to voter '${voterId}'.`);
+        return blindSignature;
+    }
+
+    /**
+     * Adds an anonymous ballot (secret-ballot mode). The ballot carries no voter ID, only a
+     * ballot token with the election's unblinded signature; each token can be spent once.
+     * @param {object} ballot - The ballot ({ token, tokenSignature, candidateId }), with `choices` instead of
+     * `candidateId` for approval and ranked voting methods.
+     * @returns {Promise<string>} The ballot's receipt ID (its transaction hash), see getReceipt.
+     * @throws {Error} If the election is closed or not in secret-ballot mode, the ballot does not fit the voting method,
+     * the token signature is invalid, or the token was already used.
+     */
+    async castAnonymousBallot(ballot) {
+        const { token, tokenSignature } = ballot;
+
+        if (!this.isElectionOpen) {
+            throw new Error('Election is currently closed. Votes cannot be cast.');
+        }
+        if (this.ballotMode !== 'secret') {
+            throw new Error('This election does not use secret ballots.');
+        }
+        if (!token || !tokenSignature) {
+            throw new Error('Invalid ballot: token and tokenSignature are required.');
+        }
+        if (typeof token !== 'string' || !BALLOT_TOKEN_PATTERN.test(token)) {
+            throw new Error('Invalid ballot: the token must be 32-128 hex characters.');
+        }
+        const selection = this.getBallotSelection(ballot);
+        if (!verifyTokenSignature(token, tokenSignature, this.ballotSigningKey.publicKey)) {
+            throw new Error('Invalid ballot: the token was not signed by this election.');
+        }
+        if (this.spentBallotTokens.has(token) || this.pendingTransactions.some(trans => trans.type === 'ballot' && trans.token === token)) {
+            throw new Error('This ballot token has already been used.');
+        }
+
+        const transaction = {
+            electionId: this.electionId,
+            token: token,
+            tokenSignature: tokenSignature,
+            ...selection,
+            type: 'ballot'
+        };
+        const receiptId = await this.addPendingTransaction(transaction);
+        console.log('Anonymous ballot added to pending list.');
+        return receiptId;
+    }
+
+    /**
+     * Returns the election's blind-signing public key, used by voters to blind and unblind ballot tokens.
+     * @returns {{ n: string, e: string }|null} The RSA public key (hex), or null in open-ballot mode.
+     */
+    getBallotPublicKey() {
+        return this.ballotMode === 'secret' && this.ballotSigningKey ? this.ballotSigningKey.publicKey : null;
+    }
+
+    /**
+     * Switches between open and secret ballots. Only possible while the candidate list is
+     * unlocked, i.e. before the election opens and before any vote is cast.
+     * @param {string} ballotMode - One of BALLOT_MODES.
+     * @param {string|null} [actor] - Who changed it, recorded on the chain.
+     * @throws {Error} If the mode is unknown, voting has already started or this node cannot record admin actions.
+     */
+    async setBallotMode(ballotMode, actor = null) {
+        if (!BALLOT_MODES.includes(ballotMode)) {
+            throw new Error(`Ballot mode must be one of: ${BALLOT_MODES.join(', ')}.`);
+        }
+        if (this.areCandidatesLocked()) {
+            throw new Error('The ballot mode is locked once the election has opened or votes have been cast.');
+        }
+        if (ballotMode === 'secret' && this.allowRevoting) {
+            throw new Error('Secret ballots cannot be replaced. Turn off revoting first.');
+        }
+        if (ballotMode === 'secret' && !(this.ballotSigningKey && this.ballotSigningKey.privateKey)) {
+            this.ballotSigningKey = generateBlindSigningKey();
+            await this.keyStore.save(this.electionId, BALLOT_SIGNING_KEY_NAME, this.ballotSigningKey);
+        }
+        await this.recordSettings({ ballotMode, ballotPublicKey: ballotMode === 'secret' ? this.ballotSigningKey.publicKey : null }, actor);
+        console.log(`Ballot mode set to: ${ballotMode}`);
+        this.events.emit('settingsChanged', 'ballotMode');
+    }
+
+    /**
+     * Allows or forbids revoting: voters replacing their vote with a later one until voting closes,
+     * so a voter pressured into a choice can change it in private. Only the last vote counts, and
+     * every vote stays on the chain. Open ballots only, since an anonymous ballot cannot be tied to
+     * the one it would replace. Like the ballot mode, locked once voting starts.
+     * @param {boolean} allowRevoting - Whether a later vote replaces a voter's earlier one.
+     * @param {string|null} [actor] - Who changed it, recorded on the chain.
+     * @throws {Error} If the value is not a boolean, the election uses secret ballots, voting has already started
+     * or this node cannot record admin actions.
+     */
+    async setAllowRevoting(allowRevoting, actor = null) {
+        if (typeof allowRevoting !== 'boolean') {
+            throw new Error('allowRevoting must be true or false.');
+        }
+        if (this.areCandidatesLocked()) {
+            throw new Error('The revoting setting is locked once the election has opened or votes have been cast.');
+        }
+        if (allowRevoting && this.ballotMode === 'secret') {
+            throw new Error('Revoting is only available with open ballots: secret ballots cannot be replaced.');
+        }
+        await this.recordSettings({ allowRevoting }, actor);
+        console.log(`Revoting ${allowRevoting ? 'allowed' : 'not allowed'} in election '${this.electionId}'.`);
+        this.events.emit('settingsChanged', 'allowRevoting');
+    }
+
+    /**
+     * Sets how ballots are shaped and counted. Like the ballot mode, only possible while the
+     * candidate list is unlocked, so every ballot on the chain follows the same method.
+     * @param {string} votingMethod - One of VOTING_METHODS.
+     * @param {number} [seats=1] - Seats to fill; more than one only for multi-seat methods.
+     * @param {string|null} [actor] - Who changed it, recorded on the chain.
+     * @throws {Error} If the method or seat count is invalid, voting has already started or this node cannot record admin actions.
+     */
+    async setVotingMethod(votingMethod, seats = 1, actor = null) {
+        validateVotingMethod(votingMethod, seats);
+        if (this.areCandidatesLocked()) {
+            throw new Error('The voting method is locked once the election has opened or votes have been cast.');
+        }
+        await this.recordSettings({ votingMethod, seats }, actor);
+        console.log(`Voting method set to: ${votingMethod} (${seats} seat${seats === 1 ? '' : 's'})`);
+        this.events.emit('settingsChanged', 'votingMethod');
+    }
+
+    /**
+     * Restricts voting to registered voters whose attributes match, e.g. { district: ['north'] }
+     * for a district contest. Like the voting method, only possible before the election opens.
+     * @param {object} eligibility - Attribute name -> allowed values; an empty object removes every restriction.
+     * @param {string|null} [actor] - Who changed them, recorded on the chain.
+     * @returns {Promise<object>} The saved rules.
+     * @throws {Error} If the rules are invalid, voting has already started or this node cannot record admin actions.
+     */
+    async setEligibility(eligibility, actor = null) {
+        const rules = normalizeEligibility(eligibility);
+        if (this.areCandidatesLocked()) {
+            throw new Error('Eligibility rules are locked once the election has opened or votes have been cast.');
+        }
+        await this.recordSettings({ eligibility: rules }, actor);
+        console.log(`Eligibility for election '${this.electionId}' set to: ${JSON.stringify(rules)}`);
+        this.events.emit('settingsChanged', 'eligibility');
+        return rules;
+    }
+
+    /**
+     * Picks the selection out of a submitted ballot and checks it against the voting method.
+     * @param {object} ballot - The submitted ballot, with `candidateId` or `choices`.
+     * @returns {object} { candidateId } for plurality ballots, { choices } otherwise.
+     * @throws {Error} If the selection does not fit the voting method or names an unknown candidate.
+     */
+    getBallotSelection({ candidateId, choices }) {
+        const problem = getBallotSelectionError(this.votingMethod, { candidateId, choices }, new Set(this.candidates.map(c => c.id)));
+        if (problem) {
+            throw new Error(`Invalid vote: ${problem}.`);
+        }
+        return this.votingMethod === 'plurality' ? { candidateId } : { choices: [...choices] };
+    }
+
+    /**
+     * Looks up a vote receipt: the transaction with the given hash, and once it is mined, the
+     * block holding it with a Merkle proof that links the transaction to the block's Merkle root.
+     * @param {string} receiptId - The receipt ID returned when the vote was cast.
+     * In elections that allow revoting, vote receipts also tell whether the voter has since cast a
+     * later vote that replaces this one (`superseded`).
+     * @returns {object|null} { receiptId, status: 'pending', transaction } or
+     * { receiptId, status: 'confirmed', transaction, block, proof }, or null if unknown.
+     */
+    getReceipt(receiptId) {
+        const location = this.chainIndex.getTransactionLocation(receiptId);
+        let receipt = null;
+        if (location && this.chain[location.blockIndex].merkleRoot) { // Blocks mined before Merkle roots cannot prove inclusion
+            const block = this.chain[location.blockIndex];
+            receipt = { receiptId, status: 'confirmed', transaction: block.data[location.position], block, proof: getMerkleProof(block.data, location.position) };
+        } else {
+            const pending = this.pendingTransactions.find(trans => hashTransaction(trans) === receiptId);
+            receipt = pending ? { receiptId, status: 'pending', transaction: pending } : null;
+        }
+        if (receipt && this.allowRevoting && receipt.transaction.type === 'vote') {
+            receipt.superseded = this.getLatestVoteTimestamp(receipt.transaction.voterId) > Number(receipt.transaction.timestamp);
+        }
+        return receipt;
+    }
+
+    /**
+     * Looks up a block by its hash.
+     * @param {string} hash - The block hash.
+     * @returns {Block|null} The block, or null if it is not on the chain.
+     */
+    getBlockByHash(hash) {
+        const height = this.chainIndex.getBlockHeight(hash);
+        return height === undefined ? null : this.chain[height];
+    }
+
+    /**
+     * One page of the chain for the block explorer, as block summaries (see summarizeBlock).
+     * @param {object} [options]
+     * @param {number|null} [options.from=null] - Index of the first block; null for the latest page.
+     * @param {number} [options.limit=20] - Most blocks to return, at most MAX_BLOCK_PAGE_SIZE.
+     * @returns {object} { chainLength, from, limit, blocks }, blocks oldest first.
+     * @throws {Error} If `from` or `limit` is not a whole number in range.
+     */
+    getBlockPage({ from = null, limit = 20 } = {}) {
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BLOCK_PAGE_SIZE) {
+            throw new Error(`limit must be a whole number from 1 to ${MAX_BLOCK_PAGE_SIZE}.`);
+        }
+        if (from !== null && (!Number.isInteger(from) || from < 0)) {
+            throw new Error('from must be a block index (a whole number, 0 or more).');
+        }
+        const start = from === null ? Math.max(0, this.chain.length - limit) : from;
+        return {
+            chainLength: this.chain.length,
+            from: start,
+            limit,
+            blocks: this.chain.slice(start, start + limit).map(summarizeBlock)
+        };
+    }
+
+    /**
+     * Looks up a transaction by its ID (see hashTransaction): where it was mined, or that it is pending.
+     * @param {string} transactionId - The transaction ID.
+     * @returns {object|null} { transactionId, status: 'pending', transaction } or
+     * { transactionId, status: 'confirmed', transaction, block, position } with the block's summary,
+     * or null if unknown.
+     */
+    findTransaction(transactionId) {
+        const location = this.chainIndex.getTransactionLocation(transactionId);
+        if (location) {
+            const block = this.chain[location.blockIndex];
+            return { transactionId, status: 'confirmed', transaction: block.data[location.position], block: summarizeBlock(block), position: location.position };
+        }
+        const pending = this.pendingTransactions.find(trans => hashTransaction(trans) === transactionId);
+        return pending ? { transactionId, status: 'pending', transaction: pending } : null;
+    }
+
+    /**
+     * An address's credits on the ledger (see ledger.js). Only mined transactions count towards the
+     * balance; credits promised by pending transfers cannot be spent again.
+     * @param {string} address - The ledger address (or a node's MINER_ADDRESS).
+     * @returns {object} { address, balance, pendingSent, pendingReceived, available }: `available` is
+     * the balance less pending outgoing transfers.
+     */
+    getBalance(address) {
+        const balance = computeBalances(this.chain).get(address) || 0;
+        const pending = this.pendingTransactions.filter(trans => LEDGER_TRANSACTION_TYPES.includes(trans.type));
+        const pendingSent = pending.filter(trans => trans.type === 'transfer' && trans.fromAddress === address)
+            .reduce((sum, trans) => sum + trans.amount, 0);
+        const pendingReceived = pending.filter(trans => trans.toAddress === address)
+            .reduce((sum, trans) => sum + trans.amount, 0);
+        return { address, balance, pendingSent, pendingReceived, available: balance - pendingSent };
+    }
+
+    /**
+     * Every mining reward and transfer that credits or debits an address.
+     * @param {string} address - The ledger address.
+     * @returns {Array<object>} The transactions, newest first, see getAddressHistory in ledger.js.
+     */
+    getAddressTransactions(address) {
+        return getAddressHistory(this.chain, this.pendingTransactions, address);
+    }
+
+    /**
+     * Checks a transfer against the ledger as it will be once the pending pool is mined: a
+     * transfer is accepted once, and only if the mined balance, less the sender's pending
+     * transfers, covers it.
+     * @param {object} transaction - The transfer transaction.
+     * @returns {string|null} Why the transfer is not allowed, or null if it is.
+     */
+    getTransferError(transaction) {
+        if (this.findTransaction(hashTransaction(transaction))) {
+            return 'the transfer was already submitted';
+        }
+        const balances = computeBalances(this.chain);
+        this.pendingTransactions.filter(trans => trans.type === 'transfer').forEach(trans => {
+            balances.set(trans.fromAddress, (balances.get(trans.fromAddress) || 0) - trans.amount);
+        });
+        return getLedgerTransactionError(transaction, balances, this);
+    }
+
+    /**
+     * Transfers credits from one ledger address to another. The transfer is signed with the key of the
+     * sending address and is mined like a ballot.
+     * @param {object} transfer - The signed transfer ({ fromAddress, toAddress, amount, timestamp, publicKey, signature }).
+     * @returns {Promise<string>} The transfer's transaction ID.
+     * @throws {Error} If the transfer is malformed, not signed by the sending address, already submitted,
+     * or more than the sender's available balance.
+     */
+    async createTransfer({ fromAddress, toAddress, amount, timestamp, publicKey, signature }) {
+        if (!timestamp || !signature) {
+            throw new Error('Invalid transfer: it must be signed (timestamp and signature are required).');
+        }
+        const transaction = {
+            electionId: this.electionId,
+            fromAddress,
+            toAddress,
+            amount,
+            timestamp: String(timestamp),
+            publicKey,
+            signature,
+            type: 'transfer'
+        };
+        const problem = this.getTransferError(transaction);
+        if (problem) {
+            throw new Error(`Transfer rejected: ${problem}.`);
+        }
+        const transactionId = await this.addPendingTransaction(transaction);
+        console.log(`Transfer of ${amount} credit(s) from ${fromAddress} to ${toAddress} added to pending list.`);
+        return transactionId;
+    }
+
+    /**
+     * Collects transactions of one type from the chain.
+     * @param {string} type - The transaction type ('vote', 'participation', 'ballot', ...).
+     * @param {object} [options] - Optional settings.
+     * @param {boolean} [options.includePending=false] - Also include pending transactions.
+     * @returns {Array<object>} The matching transactions, oldest first.
+     */
+    getTransactions(type, { includePending = false } = {}) {
+        const transactions = [];
+        for (const block of this.chain) {
+            if (Array.isArray(block.data)) {
+                transactions.push(...block.data.filter(trans => trans.type === type));
+            }
+        }
+        if (includePending) {
+            transactions.push(...this.pendingTransactions.filter(trans => trans.type === type));
+        }
+        return transactions;
+    }
+
+    /**
+     * The election setup as it is now, recorded as the first admin action (see adminActions.js).
+     * @returns {object} { candidates, voters, phase, phaseHistory, settings }.
+     */
+    getSetupSnapshot() {
+        return { candidates: this.candidates, voters: this.getVoterRecords(), phase: this.phase, phaseHistory: this.phaseHistory, settings: this.settings };
+    }
+
+    /**
+     * The settings recorded on the chain (see SETTINGS_FIELDS). Setting them, as replaying a
+     * 'setup' or 'update-settings' admin action does, keeps this node's ballot signing key if the
+     * recorded public key is its own.
+     * @type {object}
+     */
+    get settings() {
+        return {
+            ballotMode: this.ballotMode,
+            ballotPublicKey: this.getBallotPublicKey(),
+            allowRevoting: this.allowRevoting,
+            votingMethod: this.votingMethod,
+            seats: this.seats,
+            eligibility: this.eligibility
+        };
+    }
+
+    set settings({ ballotMode, ballotPublicKey, allowRevoting, votingMethod, seats, eligibility }) {
+        this.ballotMode = ballotMode;
+        this.allowRevoting = allowRevoting;
+        this.votingMethod = votingMethod;
+        this.seats = seats;
+        this.eligibility = eligibility;
+        if (ballotPublicKey && !(this.ballotSigningKey && isSameBallotKey(this.ballotSigningKey.publicKey, ballotPublicKey))) {
+            // Without the private half this node checks ballots but cannot issue ballot tokens
+            this.ballotSigningKey = { privateKey: null, publicKey: ballotPublicKey };
+        }
+    }
+
+    /**
+     * Records changed settings on the chain as an 'update-settings' admin action.
+     * @param {object} changes - The settings that change (see SETTINGS_FIELDS).
+     * @param {string|null} actor - Who changed them.
+     * @returns {Promise<void>}
+     * @throws {Error} If the action is rejected, see recordAdminAction.
+     */
+    async recordSettings(changes, actor) {
+        await this.recordAdminAction('update-settings', { settings: { ...this.settings, ...changes } }, actor);
+    }
+
+    /**
+     * Records an admin action as a pending 'admin' transaction and applies it at once; the
+     * transaction is mined like a ballot. The first action of an election is preceded by its setup.
+     * @param {string} action - One of ADMIN_ACTIONS.
+     * @param {object} details - The action's details (see ADMIN_ACTIONS); `at` defaults to now.
+     * @param {string|null} actor - Who took the action.
+     * @returns {Promise<object>} The recorded transaction.
+     * @throws {Error} If this node holds no authority key, the action breaks a rule or the write-ahead log cannot be written.
+     */
+    async recordAdminAction(action, details, actor) {
+        if (!this.canRecordAdminActions()) {
+            throw new Error('This node holds no active authority key, so it cannot record admin actions. Set AUTHORITY_ID and AUTHORITY_KEY_FILE.');
+        }
+        if (!this.isSetUp && action !== 'setup') {
+            await this.recordAdminAction('setup', this.getSetupSnapshot(), actor);
+        }
+        const transaction = JSON.parse(JSON.stringify({
+            electionId: this.electionId,
+            action,
+            by: actor || null,
+            at: new Date().toISOString(),
+            ...details,
+            type: 'admin'
+        })); // Deep copy: later changes to the election must not change the pending transaction
+        this.authorities.signTransaction(transaction);
+        const problem = getAdminActionError(this, transaction, this.authorities);
+        if (problem) {
+            throw new Error(`Admin action rejected: ${problem}.`);
+        }
+        // Applied before the write-ahead log write, so concurrent actions see it (like pending votes)
+        applyAdminAction(this, transaction);
+        try {
+            await this.addPendingTransaction(transaction);
+        } catch (error) {
+            if (action === 'setup') {
+                this.isSetUp = false; // The snapshot matches the state, so nothing else changed
+            } else {
+                await this.recheckPendingTransactions(); // Rebuilds the state without the action
+            }
+            throw error;
+        }
+        await this.saveAdminAction(transaction);
+        if (this.isLoaded) {
+            this.blockProducer.schedule();
+        }
+        return transaction;
+    }
+
+    /**
+     * Copies an applied admin action to the state cached in storage and tells listeners about it.
+     * @param {object} transaction - The admin transaction.
+     */
+    async saveAdminAction(transaction) {
+        const { action, voterId } = transaction;
+        try {
+            if (action === 'setup') {
+                await this.storage.replaceVoters(this.getVoterRecords());
+            } else if (action === 'register-voters') {
+                await this.storage.saveVoters(transaction.voters);
+            } else if (action === 'update-voter') {
+                await this.storage.saveVoters([{ voterId, ...this.registeredVoters.get(voterId) }]);
+            } else if (action === 'deregister-voter') {
+                await this.storage.removeVoters([voterId]);
+            }
+        } catch (error) {
+            // The chain holds the roll; the stored copy is rebuilt on the next load
+            console.error(`Error updating the voter roll in ${this.storage.name} storage:`, error);
+        }
+        await this.saveElectionStateToDatabase();
+
+        if (['setup', 'register-voters', 'deregister-voter'].includes(action)) {
+            this.events.emit('votersChanged', this.registeredVoters.size);
+        }
+        if (action === 'set-phase') {
+            this.events.emit('phaseChanged', this.phaseHistory[this.phaseHistory.length - 1]);
+        }
+        if (action.endsWith('-candidate')) {
+            this.events.emit('settingsChanged', 'candidates');
+        }
+    }
+
+    /**
+     * Takes over the roll, candidates, phase and settings rebuilt from the chain (see replayAdminActions).
+     * @param {object} state - The replayed state.
+     */
+    adoptAdminState({ isSetUp, candidates, registeredVoters, phase, phaseHistory, settings }) {
+        this.isSetUp = isSetUp;
+        this.candidates = candidates;
+        this.registeredVoters = registeredVoters;
+        this.phase = phase;
+        this.phaseHistory = phaseHistory;
+        if (settings) {
+            this.settings = settings;
+        }
+    }
+
+    /**
+     * Adds a voter to the list of registered voters. This is an admin function.
+     * If no public key is given, a key pair is generated and the private key is returned
+     * so it can be handed to the voter; it is never stored.
+     * @param {string} voterId - The unique ID of the voter to register.
+     * @param {string} [publicKey] - The voter's base64 SPKI ECDSA P-256 public key.
+     * @param {object} [attributes] - The voter's attributes, e.g. { district, precinct } (see eligibility).
+     * @param {string|null} [actor] - Who registered the voter, recorded on the chain.
+     * @returns {Promise<object|null>} The credential ({ voterId, publicKey, privateKey? }), or null if already registered.
+     * @throws {Error} If the voter ID is empty, registration has ended or the public key or attributes are invalid.
+     */
+    async registerVoter(voterId, publicKey = null, attributes = {}, actor = null) {
+        if (!voterId) {
+            throw new Error('Voter ID cannot be empty.');
+        }
+        this.assertRegistrationOpen();
+        if (this.registeredVoters.has(voterId)) {
+            return null; // Already registered
+        }
+        const voterAttributes = normalizeVoterAttributes(attributes);
+        const credential = this.createVoterCredential(voterId, publicKey);
+        await this.recordAdminAction('register-voters', { voters: [{ voterId, publicKey: credential.publicKey, attributes: voterAttributes }] }, actor);
+        console.log(`Voter '${voterId}' registered.`);
+        return credential;
+    }
+
+    /**
+     * Registers many voters at once, e.g. from a CSV file. Every row is checked on its own: rows
+     * with errors, duplicates within the upload and voters already on the roll are reported and
+     * skipped, the rest are recorded in 'register-voters' transactions of at most
+     * MAX_VOTERS_PER_TRANSACTION voters each. Voters imported without a public key need a credential
+     * (see issueVoterCredential) before they can vote.
+     * @param {Array<{ row: number, voterId: string|null, record: object|null, error: string|null }>} rows - The rows, see readVoterRows.
+     * @param {string|null} [actor] - Who imported the voters, recorded on the chain.
+     * @returns {Promise<{ importedCount: number, errors: Array<{ row: number, voterId: string|null, message: string }> }>}
+     * How many voters were added, and why each skipped row was skipped.
+     * @throws {Error} If registration has ended, or a transaction is rejected (the voters recorded before it stay registered).
+     */
+    async importVoters(rows, actor = null) {
+        this.assertRegistrationOpen();
+        const imported = new Map(); // voter ID -> row it was first seen on
+        const records = [];
+        const errors = [];
+        for (const { row, voterId, record, error } of rows) {
+            if (error) {
+                errors.push({ row, voterId, message: error });
+            } else if (this.registeredVoters.has(record.voterId)) {
+                errors.push({ row, voterId: record.voterId, message: `Voter '${record.voterId}' is already registered.` });
+            } else if (imported.has(record.voterId)) {
+                errors.push({ row, voterId: record.voterId, message: `Duplicate of row ${imported.get(record.voterId)}.` });
+            } else {
+                imported.set(record.voterId, row);
+                records.push(record);
+            }
+        }
+        for (let start = 0; start < records.length; start += MAX_VOTERS_PER_TRANSACTION) {
+            await this.recordAdminAction('register-voters', { voters: records.slice(start, start + MAX_VOTERS_PER_TRANSACTION) }, actor);
+        }
+        console.log(`Imported ${records.length} voter(s) into election '${this.electionId}' (${errors.length} row(s) skipped).`);
+        return { importedCount: records.length, errors };
+    }
+
+    /**
+     * Removes a voter from the roll. This is an admin function, only possible before voting opens.
+     * @param {string} voterId - The voter ID.
+     * @param {string|null} [actor] - Who removed the voter, recorded on the chain.
+     * @returns {Promise<boolean>} True if removed, false if the voter is not registered.
+     * @throws {Error} If voting has already opened.
+     */
+    async deregisterVoter(voterId, actor = null) {
+        if (!this.registeredVoters.has(voterId)) {
+            return false;
+        }
+        if (!SETUP_PHASES.includes(this.phase)) {
+            throw new Error(`Voters can only be removed before voting opens (the election is ${this.phase}).`);
+        }
+        await this.recordAdminAction('deregister-voter', { voterId }, actor);
+        console.log(`Voter '${voterId}' deregistered.`);
+        return true;
+    }
+
+    /**
+     * Every voter on the roll, for export and for peers.
+     * @returns {Array<object>} The records ({ voterId, publicKey, attributes }), in registration order.
+     */
+    getVoterRecords() {
+        return Array.from(this.registeredVoters, ([voterId, record]) => ({ voterId, ...record }));
+    }
+
+    /**
+     * Writes the whole voter roll to storage, after it was rebuilt from the chain. The stored roll is
+     * a copy of the chain's, so a failed write is only logged; the next load rebuilds it.
+     */
+    async saveVoterRoll() {
+        try {
+            await this.storage.replaceVoters(this.getVoterRecords());
+        } catch (error) {
+            console.error(`Error saving the voter roll to ${this.storage.name} storage:`, error);
+        }
+    }
+
+    /**
+     * Loads the secret-ballot signing key. Its private half is kept in the key store, never in the
+     * election state; state saved by older versions still holds it, and it is moved to the key store
+     * once. Nodes that did not generate the key only know its public half.
+     * @param {object|null} state - The loaded election state.
+     */
+    async loadBallotSigningKey(state) {
+        const legacyKey = state && state.ballotSigningKey && state.ballotSigningKey.privateKey ? state.ballotSigningKey : null;
+        const publicKey = state ? state.ballotPublicKey || (state.ballotSigningKey && state.ballotSigningKey.publicKey) || null : null;
+        let storedKey = await this.keyStore.load(this.electionId, BALLOT_SIGNING_KEY_NAME);
+        if (!storedKey && (legacyKey || (!state && this.ballotSigningKey))) {
+            storedKey = legacyKey || this.ballotSigningKey; // Keys of older versions, or of an election created in secret-ballot mode
+            await this.keyStore.save(this.electionId, BALLOT_SIGNING_KEY_NAME, storedKey);
+        }
+        if (storedKey && (!publicKey || isSameBallotKey(storedKey.publicKey, publicKey))) {
+            this.ballotSigningKey = storedKey;
+        } else {
+            this.ballotSigningKey = publicKey ? { privateKey: null, publicKey } : null;
+        }
+        if (legacyKey) {
+            await this.saveElectionStateToDatabase();
+            console.log('Moved the ballot signing key out of the election state.');
+        }
+    }
+
+    /**
+     * Loads the voter roll. Rolls saved inside the election state by older versions are moved to
+     * the per-voter store once, and the state is saved again without them.
+     * @param {object|null} state - The loaded election state.
+     */
+    async loadVoterRoll(state) {
+        let voters = await this.storage.loadVoters();
+        let legacyRoll = [];
+        if (state && Array.isArray(state.voterRoll)) {
+            legacyRoll = state.voterRoll;
+        } else if (state && Array.isArray(state.registeredVoters)) {
+            // State saved before voter credentials existed: these voters need a credential before they can vote
+            legacyRoll = state.registeredVoters.map(voterId => ({ voterId, publicKey: null }));
+        }
+        if (legacyRoll.length > 0) {
+            if (voters.length === 0) {
+                voters = legacyRoll.map(({ voterId, publicKey }) => ({ voterId, publicKey, attributes: {} }));
+                await this.storage.saveVoters(voters);
+                console.log(`Moved ${voters.length} registered voters out of the election state.`);
+            }
+            await this.saveElectionStateToDatabase();
+        }
+        this.registeredVoters = toVoterMap(voters);
+        console.log(`Loaded ${this.registeredVoters.size} registered voters.`);
+    }
+
+    /**
+     * Replaces a registered voter's credential, e.g. after a lost key. This is an admin function.
+     * @param {string} voterId - The voter ID.
+     * @param {string} [publicKey] - The new public key; generated (and the private key returned) if omitted.
+     * @param {string|null} [actor] - Who issued the credential, recorded on the chain.
+     * @returns {Promise<object|null>} The new credential, or null if the voter is not registered.
+     * @throws {Error} If registration has ended, the voter has already voted or the public key is invalid.
+     */
+    async issueVoterCredential(voterId, publicKey = null, actor = null) {
+        if (!this.registeredVoters.has(voterId)) {
+            return null;
+        }
+        this.assertRegistrationOpen();
+        if (this.votedUsers.has(voterId) || this.hasPendingVote(voterId)) {
+            throw new Error(`Voter '${voterId}' has already voted; the credential can no longer change.`);
+        }
+        const credential = this.createVoterCredential(voterId, publicKey);
+        await this.recordAdminAction('update-voter', { voterId, publicKey: credential.publicKey }, actor);
+        console.log(`New credential issued for voter '${voterId}'.`);
+        return credential;
+    }
+
+    /**
+     * Validates a supplied public key, or generates a key pair if none is supplied.
+     * @param {string} voterId - The voter ID.
+     * @param {string|null} publicKey - The supplied public key, if any.
+     * @returns {object} The credential ({ voterId, electionId, publicKey, privateKey? }).
+     */
+    createVoterCredential(voterId, publicKey) {
+        if (publicKey) {
+            parseVoterPublicKey(publicKey); // Throws if invalid
+            return { voterId, electionId: this.electionId, publicKey };
+        }
+        return { voterId, electionId: this.electionId, ...generateVoterKeyPair() };
+    }
+
+    /**
+     * Whether ballots are accepted: the election is in the voting phase and its scheduled
+     * closing time, if any, has not passed (the scheduler may not have closed it yet).
+     * @returns {boolean} True while voting is open.
+     */
+    get isElectionOpen() {
+        return this.phase === 'voting' && !(this.schedule.closesAt && Date.now() >= Date.parse(this.schedule.closesAt));
+    }
+
+    /**
+     * Throws unless voters can still be registered or given credentials.
+     * @throws {Error} If voting has started.
+     */
+    assertRegistrationOpen() {
+        if (!REGISTRATION_PHASES.includes(this.phase)) {
+            throw new Error(`Voter registration and credentials closed when voting started (the election is ${this.phase}).`);
+        }
+    }
+
+    /**
+     * Throws unless the voter is registered and their attributes meet the election's eligibility rules.
+     * @param {string} voterId - The voter ID.
+     * @throws {Error} If the voter is not registered or not eligible.
+     */
+    assertVoterEligible(voterId) {
+        const voter = this.registeredVoters.get(voterId);
+        if (!voter) {
+            throw new Error(`Voter '${voterId}' is not registered or not eligible to vote.`);
+        }
+        const ineligible = getEligibilityError(this.eligibility, voter);
+        if (ineligible) {
+            throw new Error(`Voter '${voterId}' is not eligible to vote in this election: ${ineligible}.`);
+        }
+    }
+
+    /**
+     * Moves the election to the next phase. This is an admin function. Moving to 'certified' freezes the
+     * result in a signed certificate (see createCertificate).
+     * @param {string} phase - The new phase; must follow the current one (see PHASE_TRANSITIONS).
+     * @param {string} actor - Who made the transition, recorded in the phase history.
+     * @returns {Promise<object>} The recorded transition ({ from, to, by, at }).
+     * @throws {Error} If the phase is unknown, does not follow the current one, or ballots are still being mined before tallying.
+     */
+    async transitionPhase(phase, actor) {
+        if (!ELECTION_PHASES.includes(phase)) {
+            throw new Error(`Phase must be one of: ${ELECTION_PHASES.join(', ')}.`);
+        }
+        if (!PHASE_TRANSITIONS[this.phase].includes(phase)) {
+            throw new Error(`The election cannot move from '${this.phase}' to '${phase}'.`);
+        }
+        if (phase === 'tallying' && this.pendingTransactions.some(trans => BALLOT_TRANSACTION_TYPES.includes(trans.type))) {
+            throw new Error('Ballots are still waiting to be mined. Tallying can start once every ballot is on the chain.');
+        }
+        const from = this.phase;
+        const at = new Date().toISOString();
+        if (phase === 'certified') {
+            this.certificate = this.createCertificate(actor, at);
+        }
+        try {
+            await this.recordAdminAction('set-phase', { from, to: phase, at }, actor);
+        } catch (error) {
+            if (phase === 'certified') {
+                this.certificate = null;
+            }
+            throw error;
+        }
+        console.log(`Election '${this.electionId}' moved from ${from} to ${phase} (by ${actor}).`);
+        return { from, to: phase, by: actor, at };
+    }
+
+    /**
+     * Moves the election forward to a later phase, through every phase in between.
+     * @param {string} phase - The target phase.
+     * @param {string} actor - Who made the transitions.
+     * @returns {Promise<Array<object>>} The recorded transitions.
+     * @throws {Error} If the phase is not ahead of the current one.
+     */
+    async advanceToPhase(phase, actor) {
+        const path = getPhasePath(this.phase, phase);
+        if (path.length === 0) {
+            throw new Error(`The election cannot move from '${this.phase}' to '${phase}'.`);
+        }
+        const transitions = [];
+        for (const next of path) {
+            transitions.push(await this.transitionPhase(next, actor));
+        }
+        return transitions;
+    }
+
+    /**
+     * Freezes the result: builds the certificate of the chain as it is now and signs it with this
+     * node's authority key, whose public half every node lists in its authorities file.
+     * @param {string} certifiedBy - Who certified the result.
+     * @param {string} certifiedAt - When (ISO date).
+     * @returns {object} The signed certificate.
+     * @throws {Error} If this node holds no active authority key.
+     */
+    createCertificate(certifiedBy, certifiedAt) {
+        const signer = this.authorities.getSigner();
+        if (!signer) {
+            throw new Error('This node holds no active authority key, so it cannot sign the certificate. Set AUTHORITY_ID and AUTHORITY_KEY_FILE.');
+        }
+        const certificate = signCertificate(buildCertificate(this, { certifiedBy, certifiedAt }), signer);
+        console.log(`Election '${this.electionId}' certified at block ${certificate.chainHeight - 1} (${certificate.finalBlockHash}), signed by ${signer.id}.`);
+        return certificate;
+    }
+
+    /**
+     * Opens or closes voting. Kept for clients of the former open/closed toggle: opening moves
+     * a draft or registration election to voting, closing moves a voting election to closed.
+     * @param {boolean} status - True to open, false to close.
+     * @param {string} actor - Who changed the status.
+     * @throws {Error} If the status is not a boolean or the election is in a phase it cannot leave that way.
+     */
+    async setElectionStatus(status, actor) {
+        if (typeof status !== 'boolean') {
+            throw new Error('Status must be a boolean (true/false).');
+        }
+        if (status) {
+            await this.advanceToPhase('voting', actor);
+        } else {
+            await this.transitionPhase('closed', actor);
+        }
+    }
+
+    /**
+     * Sets when voting opens and closes; the ElectionScheduler applies it. This is an admin function.
+     * The opening time can only change before voting starts, the closing time before voting ends.
+     * @param {object} times - The new times; empty values clear them.
+     * @param {string|null} [times.opensAt] - When voting opens (ISO date).
+     * @param {string|null} [times.closesAt] - When voting closes (ISO date).
+     * @param {string} actor - Who set the schedule.
+     * @returns {Promise<object>} The schedule.
+     * @throws {Error} If a time is invalid or in the past, closing is not after opening, or the phase no longer allows the change.
+     */
+    async setSchedule({ opensAt, closesAt }, actor) {
+        const schedule = { opensAt: parseScheduleTime(opensAt, 'opensAt'), closesAt: parseScheduleTime(closesAt, 'closesAt') };
+        if (schedule.opensAt !== this.schedule.opensAt && !SETUP_PHASES.includes(this.phase)) {
+            throw new Error(`The opening time can no longer change (the election is ${this.phase}).`);
+        }
+        if (schedule.closesAt !== this.schedule.closesAt && !SETUP_PHASES.includes(this.phase) && this.phase !== 'voting') {
+            throw new Error(`The closing time can no longer change (the election is ${this.phase}).`);
+        }
+        for (const field of ['opensAt', 'closesAt']) {
+            if (schedule[field] && schedule[field] !== this.schedule[field] && Date.parse(schedule[field]) <= Date.now()) {
+                throw new Error(`${field} must be in the future.`);
+            }
+        }
+        if (schedule.opensAt && schedule.closesAt && schedule.closesAt <= schedule.opensAt) {
+            throw new Error('closesAt must be after opensAt.');
+        }
+        this.schedule = { ...schedule, updatedBy: actor, updatedAt: new Date().toISOString() };
+        await this.saveElectionStateToDatabase();
+        console.log(`Election '${this.electionId}' scheduled to open at ${schedule.opensAt || '(not set)'} and close at ${schedule.closesAt || '(not set)'} (by ${actor}).`);
+        this.events.emit('settingsChanged', 'schedule');
+        return this.schedule;
+    }
+
+    /**
+     * Opens or closes voting if its scheduled time has come. Called periodically by the ElectionScheduler.
+     * Nodes without an authority key leave this to the authorities and take the phase change from their blocks.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<boolean>} True if the phase changed.
+     */
+    async applySchedule(now = Date.now()) {
+        const { opensAt, closesAt } = this.schedule;
+        let changed = false;
+        if (!this.canRecordAdminActions()) {
+            return changed;
+        }
+        if (opensAt && Date.parse(opensAt) <= now && SETUP_PHASES.includes(this.phase)) {
+            await this.advanceToPhase('voting', SCHEDULER_ACTOR);
+            changed = true;
+        }
+        if (closesAt && Date.parse(closesAt) <= now && this.phase === 'voting') {
+            await this.transitionPhase('closed', SCHEDULER_ACTOR);
+            changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * The election's lifecycle for display: phase, allowed next phases, schedule and history.
+     * @returns {object} { phase, nextPhases, schedule, phaseHistory }.
+     */
+    getLifecycle() {
+        return {
+            phase: this.phase,
+            nextPhases: PHASE_TRANSITIONS[this.phase],
+            schedule: this.schedule,
+            phaseHistory: this.phaseHistory
+        };
+    }
+
+    /**
+     * Returns a short description of the election for listings.
+     * @returns {object} The election ID, name, status and counters.
+     */
+    getSummary() {
+        return {
+            id: this.electionId,
+            name: this.name,
+            description: this.description,
+            phase: this.phase,
+            isElectionOpen: this.isElectionOpen,
+            opensAt: this.schedule.opensAt,
+            closesAt: this.schedule.closesAt,
+            ballotMode: this.ballotMode,
+            allowRevoting: this.allowRevoting,
+            votingMethod: this.votingMethod,
+            seats: this.seats,
+            eligibility: this.eligibility,
+            candidateCount: this.candidates.length,
+            candidatesLocked: this.areCandidatesLocked(),
+            registeredVoterCount: this.registeredVoters.size,
+            votedCount: this.votedUsers.size,
+            pendingTransactionCount: this.pendingTransactions.length,
+            chainLength: this.chain.length,
+            chainWork: getChainWork(this.chain)
+        };
+    }
+
+    /**
+     * Retrieves the list of registered candidates.
+     * @returns {Array<object>} An array of candidate objects.
+     */
+    getCandidates() {
+        return this.candidates;
+    }
+
+    /**
+     * Whether the candidate list can no longer change. It locks when voting starts and
+     * stays locked once any vote has been cast, so no ballot can point at a changed candidate.
+     * @returns {boolean} True if candidates are locked.
+     */
+    areCandidatesLocked() {
+        return !SETUP_PHASES.includes(this.phase)
+            || this.votedUsers.size > 0
+            || this.pendingTransactions.some(trans => BALLOT_TRANSACTION_TYPES.includes(trans.type));
+    }
+
+    /**
+     * Throws if the candidate list is locked.
+     * @throws {Error} If the candidates can no longer be changed.
+     */
+    assertCandidatesUnlocked() {
+        if (this.areCandidatesLocked()) {
+            throw new Error('Candidates are locked once the election has opened or votes have been cast.');
+        }
+    }
+
+    /**
+     * Adds a candidate. This is an admin function.
+     * @param {object} candidate - The candidate ({ id, name, party, description, photoUrl }).
+     * @param {string|null} [actor] - Who added the candidate, recorded on the chain.
+     * @returns {Promise<object>} The stored candidate.
+     * @throws {Error} If the candidates are locked, the details are invalid or the ID is taken.
+     */
+    async addCandidate(candidate, actor = null) {
+        this.assertCandidatesUnlocked();
+        const normalized = normalizeCandidate(candidate);
+        if (this.candidates.some(c => c.id === normalized.id)) {
+            throw new Error(`Candidate '${normalized.id}' already exists.`);
+        }
+        await this.recordAdminAction('add-candidate', { candidate: normalized }, actor);
+        console.log(`Candidate '${normalized.id}' added.`);
+        return normalized;
+    }
+
+    /**
+     * Updates a candidate's details. The candidate ID cannot change. This is an admin function.
+     * @param {string} candidateId - The ID of the candidate to update.
+     * @param {object} updates - The fields to change (name, party, description, photoUrl).
+     * @param {string|null} [actor] - Who updated the candidate, recorded on the chain.
+     * @returns {Promise<object|null>} The updated candidate, or null if no such candidate exists.
+     * @throws {Error} If the candidates are locked or the updated details are invalid.
+     */
+    async updateCandidate(candidateId, updates, actor = null) {
+        this.assertCandidatesUnlocked();
+        const index = this.candidates.findIndex(c => c.id === candidateId);
+        if (index === -1) {
+            return null;
+        }
+        // Fields left undefined keep their current value; an empty string clears an optional field.
+        const changes = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+        const updated = normalizeCandidate({ ...this.candidates[index], ...changes, id: candidateId });
+        await this.recordAdminAction('update-candidate', { candidate: updated }, actor);
+        console.log(`Candidate '${candidateId}' updated.`);
+        return updated;
+    }
+
+    /**
+     * Removes a candidate. This is an admin function.
+     * @param {string} candidateId - The ID of the candidate to remove.
+     * @param {string|null} [actor] - Who removed the candidate, recorded on the chain.
+     * @returns {Promise<boolean>} True if removed, false if no such candidate exists.
+     * @throws {Error} If the candidates are locked.
+     */
+    async removeCandidate(candidateId, actor = null) {
+        this.assertCandidatesUnlocked();
+        if (!this.candidates.some(c => c.id === candidateId)) {
+            return false;
+        }
+        await this.recordAdminAction('remove-candidate', { candidateId }, actor);
+        console.log(`Candidate '${candidateId}' removed.`);
+        return true;
+    }
+
+    /**
+     * Calculates the current election results by tallying votes (open mode) and anonymous
+     * ballots (secret mode) from all blocks with the election's voting method.
+     * @returns {object} The results, see countChainBallots.
+     */
+    getElectionResults() {
+        return countChainBallots(this.chain, this);
+    }
+
+    /**
+     * Audits the whole chain and reports every problem found (see chainAudit.js).
+     * @returns {object} The audit report.
+     */
+    audit() {
+        return auditChain(this);
+    }
+
+    /**
+     * Turnout, votes over time and per-attribute breakdowns (see turnoutAnalytics.js).
+     * @param {object} [options] - { bucketMinutes }: size of the votes-over-time buckets.
+     * @returns {object} The analytics report.
+     */
+    getAnalytics(options = {}) {
+        return computeTurnout(this, options);
+    }
+
+    /**
+     * Checks if the entire blockchain is valid, i.e. the audit finds no errors.
+     * The reasons are logged; use audit() for the full report.
+     * @returns {boolean} True if the blockchain is valid, false otherwise.
+     */
+    isChainValid() {
+        const report = this.audit();
+        for (const finding of report.findings) {
+            if (finding.severity === 'error') {
+                console.log(`Chain invalid: ${finding.blockIndex === null ? '' : `Block ${finding.blockIndex}: `}${finding.message} (${finding.rule})`);
+            }
+        }
+        return report.valid;
     }
 }
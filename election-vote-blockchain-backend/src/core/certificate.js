@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Results certificates: the official, frozen result of an election, created when it
+ * moves to 'certified'. A certificate records the tally together with the chain height and the hash
+ * of the last block counted, and is signed with the certifying node's authority key (Ed25519) so it
+ * can be checked offline against an exported chain and the authorities file (see the
+ * `verify-certificate` CLI command).
+ *
+ * The JSON signature covers `JSON.stringify` of the certificate without its `signature` field, in
+ * the order the fields appear. The CSV form is signed on its own: its signature covers every line
+ * before the `signature` row.
+ */
+
+import crypto from 'crypto';
+import { toCsvField } from './voterRoll.js';
+import { countChainBallots } from './votingMethods.js';
+
+// Formats a certificate can be downloaded in
+export const CERTIFICATE_FORMATS = ['json', 'csv'];
+
+const CERTIFICATE_TYPE = 'election-results-certificate';
+const CERTIFICATE_VERSION = 1;
+
+/**
+ * Builds the unsigned certificate of an election from its current chain.
+ * @param {import('./blockchain.js').Blockchain} blockchain - The election.
+ * @param {object} certification - Who certified the result and when.
+ * @param {string} certification.certifiedBy - Staff username.
+ * @param {string} certification.certifiedAt - ISO date.
+ * @returns {object} The certificate, without a signature.
+ */
+export const buildCertificate = (blockchain, { certifiedBy, certifiedAt }) => {
+    const { ballotCount, quota, results, rounds, winners } = blockchain.getElectionResults();
+    const finalBlock = blockchain.chain[blockchain.chain.length - 1];
+    return {
+        type: CERTIFICATE_TYPE,
+        version: CERTIFICATE_VERSION,
+        electionId: blockchain.electionId,
+        name: blockchain.name,
+        votingMethod: blockchain.votingMethod,
+        seats: blockchain.seats,
+        ballotMode: blockchain.ballotMode,
+        allowRevoting: blockchain.allowRevoting,
+        certifiedAt,
+        certifiedBy,
+        chainHeight: blockchain.chain.length,
+        finalBlockHash: finalBlock.hash,
+        registeredVoterCount: blockchain.registeredVoters.size,
+        votedCount: blockchain.votedUsers.size,
+        ballotCount,
+        quota,
+        candidates: blockchain.candidates.map(({ id, name }) => ({ id, name, votes: results[id].votes, elected: winners.includes(id) })),
+        winners,
+        rounds
+    };
+};
+
+/**
+ * Writes a certificate as CSV, without its signature rows: the election details as `field,value`
+ * rows, then one row per candidate with first-round votes. Counting rounds are only in the JSON form.
+ * @param {object} certificate - The certificate.
+ * @returns {string} The CSV text.
+ */
+export const formatCertificateCsv = (certificate) => {
+    const fields = ['type', 'version', 'electionId', 'name', 'votingMethod', 'seats', 'ballotMode', 'allowRevoting', 'certifiedAt', 'certifiedBy',
+        'chainHeight', 'finalBlockHash', 'registeredVoterCount', 'votedCount', 'ballotCount', 'quota'];
+    const lines = [['field', 'value'].join(',')];
+    for (const field of fields) {
+        lines.push([field, String(certificate[field] ?? '')].map(toCsvField).join(','));
+    }
+    lines.push(['candidateId', 'name', 'votes', 'elected'].join(','));
+    for (const { id, name, votes, elected } of certificate.candidates) {
+        lines.push([id, name, String(votes), elected ? 'yes' : 'no'].map(toCsvField).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * The exact text the JSON signature covers.
+ * @param {object} certificate - The certificate, with or without its signature.
+ * @returns {string} The signed text.
+ */
+const getSignedJson = ({ signature, ...certificate }) => JSON.stringify(certificate);
+
+/**
+ * Signs a certificate in both of its forms.
+ * @param {object} certificate - The unsigned certificate.
+ * @param {object} signer - The key: { id, publicKey, privateKey } (base64 DER or a KeyObject for the private key).
+ * @returns {object} The certificate with `signature`: { algorithm, signer, publicKey, value, csvValue }.
+ */
+export const signCertificate = (certificate, { id, publicKey, privateKey }) => {
+    const key = typeof privateKey === 'string'
+        ? crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' })
+        : privateKey;
+    const sign = (text) => crypto.sign(null, Buffer.from(text, 'utf8'), key).toString('base64');
+    return {
+        ...certificate,
+        signature: {
+            algorithm: 'Ed25519',
+            signer: id,
+            publicKey,
+            value: sign(getSignedJson(certificate)),
+            csvValue: sign(formatCertificateCsv(certificate))
+        }
+    };
+};
+
+/**
+ * Writes a signed certificate as CSV, with its signature rows last.
+ * @param {object} certificate - The signed certificate.
+ * @returns {string} The CSV text.
+ */
+export const formatSignedCertificateCsv = (certificate) => {
+    const { signer, publicKey, csvValue } = certificate.signature;
+    return formatCertificateCsv(certificate)
+        + [['signature', csvValue], ['signer', signer], ['publicKey', publicKey]].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Checks an Ed25519 signature.
+ * @param {string} text - The signed text.
+ * @param {string} signature - Base64 signature.
+ * @param {string} publicKey - Base64 DER (SPKI) public key.
+ * @returns {boolean} True if the signature is valid.
+ */
+const verifySignature = (text, signature, publicKey) => {
+    try {
+        const key = crypto.createPublicKey({ key: Buffer.from(String(publicKey), 'base64'), format: 'der', type: 'spki' });
+        return crypto.verify(null, Buffer.from(text, 'utf8'), key, Buffer.from(String(signature), 'base64'));
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Reads a downloaded certificate, in either form, and checks its signature.
+ * @param {string} text - The certificate file's contents (JSON or CSV).
+ * @returns {{ format: string, certificate: object, signatureValid: boolean }} The certificate (for CSV, only
+ * the fields needed to check it against a chain) and whether it is signed by its `publicKey`.
+ * @throws {Error} If the text is not a signed certificate.
+ */
+export const readCertificate = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    if (source.trimStart().startsWith('{')) {
+        const certificate = JSON.parse(source);
+        if (certificate.type !== CERTIFICATE_TYPE || !certificate.signature) {
+            throw new Error('The JSON file is not a signed results certificate.');
+        }
+        const { value, publicKey } = certificate.signature;
+        return { format: 'json', certificate, signatureValid: verifySignature(getSignedJson(certificate), value, publicKey) };
+    }
+
+    const signatureStart = source.indexOf('\r\nsignature,');
+    if (signatureStart === -1) {
+        throw new Error('The CSV file is not a signed results certificate (no signature row).');
+    }
+    const signedText = source.slice(0, signatureStart + 2);
+    const [header, ...rows] = signedText.trimEnd().split('\r\n');
+    const trailer = Object.fromEntries(source.slice(signatureStart + 2).trimEnd().split('\r\n').map(line => line.split(/,(.*)/s).slice(0, 2)));
+    const candidateStart = rows.findIndex(row => row.startsWith('candidateId,'));
+    if (header !== 'field,value' || candidateStart === -1) {
+        throw new Error('The CSV file is not a results certificate.');
+    }
+    // Only fields that cannot contain commas or quotes are read back; the signature covers the rest as written
+    const fields = Object.fromEntries(rows.slice(0, candidateStart).map(row => row.split(/,(.*)/s).slice(0, 2)));
+    const certificate = {
+        type: fields.type,
+        electionId: fields.electionId,
+        certifiedAt: fields.certifiedAt,
+        chainHeight: Number(fields.chainHeight),
+        finalBlockHash: fields.finalBlockHash,
+        ballotCount: Number(fields.ballotCount),
+        signature: { algorithm: 'Ed25519', signer: trailer.signer, publicKey: trailer.publicKey, csvValue: trailer.signature }
+    };
+    if (certificate.type !== CERTIFICATE_TYPE) {
+        throw new Error('The CSV file is not a results certificate.');
+    }
+    return { format: 'csv', certificate, signatureValid: verifySignature(signedText, trailer.signature, trailer.publicKey) };
+};
+
+/**
+ * Recounts the certified chain and compares the result with the certificate's.
+ * @param {object} certificate - The JSON certificate.
+ * @param {Array<object>} chain - The blocks up to the certified height.
+ * @returns {string|null} The first difference found, or null.
+ */
+export const getRecountProblem = (certificate, chain) => {
+    const recount = countChainBallots(chain, certificate);
+    if (recount.ballotCount !== certificate.ballotCount) {
+        return `The chain holds ${recount.ballotCount} ballots; the certificate counts ${certificate.ballotCount}.`;
+    }
+    for (const { id, votes } of certificate.candidates) {
+        if (recount.results[id].votes !== votes) {
+            return `Candidate '${id}' has ${recount.results[id].votes} votes on the chain; the certificate says ${votes}.`;
+        }
+    }
+    if (JSON.stringify(recount.winners) !== JSON.stringify(certificate.winners)) {
+        return `The chain elects ${recount.winners.join(', ') || 'nobody'}; the certificate says ${certificate.winners.join(', ') || 'nobody'}.`;
+    }
+    return null;
+};
+
+/**
+ * Checks a certificate that comes with a chain, from a peer or an archive: its signature, that a
+ * listed authority signed it, that the certified block is on the chain and that a recount agrees.
+ * @param {object} certificate - The JSON certificate.
+ * @param {Array<object>} chain - The chain it certifies.
+ * @param {import('./authority.js').AuthoritySet} authorities - The authorities allowed to sign certificates.
+ * @returns {string|null} The first problem found, or null.
+ */
+export const getChainCertificateProblem = (certificate, chain, authorities) => {
+    let signatureValid = false;
+    try {
+        signatureValid = readCertificate(JSON.stringify(certificate)).signatureValid;
+    } catch (error) {
+        return `the certificate is malformed: ${error.message}`;
+    }
+    if (!signatureValid) {
+        return 'the certificate signature does not match the certificate';
+    }
+    const signerProblem = authorities.checkSigner(certificate.signature.signer, certificate.signature.publicKey, Date.parse(certificate.certifiedAt));
+    if (signerProblem) {
+        return `the certificate is not signed by an authority: ${signerProblem}`;
+    }
+    const certifiedBlock = chain[certificate.chainHeight - 1];
+    if (!certifiedBlock || certifiedBlock.hash !== certificate.finalBlockHash) {
+        return `the certified block ${certificate.finalBlockHash} is not on the chain`;
+    }
+    const recountProblem = getRecountProblem(certificate, chain.slice(0, certificate.chainHeight));
+    return recountProblem ? `the certificate does not match the chain: ${recountProblem}` : null;
+};
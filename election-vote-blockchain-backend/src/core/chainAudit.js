@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Full audit of an election's chain, for observers and certification.
+ * Unlike a simple valid/invalid answer, the audit walks every block and transaction and
+ * reports each problem it finds with the block index, the transaction and the rule broken.
+ */
+
+import { MAX_BALLOT_CLOCK_SKEW_MS, verifyBallotSignature, verifyParticipationSignature } from './ballotSignature.js';
+import { verifyTokenSignature } from './blindSignature.js';
+import { getBlockDifficulty, getExpectedDifficulty } from './difficulty.js';
+import { getBallotChoices, getBallotSelectionError } from './votingMethods.js';
+import { createAdminState, getAdminActionError, applyAdminAction } from './adminActions.js';
+import { LEDGER_TRANSACTION_TYPES, getLedgerTransactionError, applyLedgerTransaction } from './ledger.js';
+import { hashTransaction, hasDuplicateTransactions } from './merkle.js';
+import { DEFAULT_ELECTION_ID } from '../storage/storageAdapter.js';
+
+/**
+ * How far a block's timestamp may be ahead of the auditing node's clock. A block dated far ahead
+ * would let the blocks after it be dated ahead too and skew the difficulty adjustment.
+ */
+export const MAX_BLOCK_CLOCK_DRIFT_MS = 2 * 60 * 1000;
+
+/**
+ * The rules checked by auditChain. Findings with severity 'error' make the chain invalid;
+ * 'warning' findings point at state that disagrees with the chain but does not break it.
+ */
+export const AUDIT_RULES = {
+    'genesis-integrity': { severity: 'error', description: 'The first block is the expected genesis block.' },
+    'index-continuity': { severity: 'error', description: 'Block indexes run 0, 1, 2, ... without gaps.' },
+    'hash-integrity': { severity: 'error', description: 'Each block hash matches its contents.' },
+    'previous-hash-link': { severity: 'error', description: 'Each block points at the hash of the block before it.' },
+    'block-timestamp': { severity: 'error', description: 'Each block is dated after the block before it (the genesis block aside) and at most 2 minutes ahead of this node\'s clock.' },
+    'block-format': { severity: 'error', description: 'Only blocks below the height this node recorded when it first loaded the chain may lack a Merkle root or a recorded difficulty.' },
+    'merkle-root': { severity: 'error', description: 'The Merkle root matches the block\'s transactions, and no transaction appears twice.' },
+    'proof-of-work': { severity: 'error', description: 'The block hash meets the difficulty the block was mined at (proof-of-work mode).' },
+    'difficulty-adjustment': { severity: 'error', description: 'Each block\'s difficulty follows from the times of the blocks before it (proof-of-work mode).' },
+    'authority-seal': { severity: 'error', description: 'Each block is signed by an authority that was not revoked at the time (Proof-of-Authority mode).' },
+    'ballot-signature': { severity: 'error', description: 'Each vote or token request is signed with the voter\'s registered key.' },
+    'registered-voter': { severity: 'error', description: 'Each vote or token request comes from a voter on the roll.' },
+    'admin-action': { severity: 'error', description: 'Each admin action (voter registration, candidate change, phase change, settings change) is signed by an authority and allowed at its point in the chain.' },
+    'duplicate-vote': { severity: 'error', description: 'Each voter takes part at most once; with revoting, each later vote is signed after the one it replaces.' },
+    'vote-timestamp': { severity: 'error', description: 'No vote is signed more than 5 minutes after the block that records it.' },
+    'ballot-token': { severity: 'error', description: 'Each anonymous ballot carries a token signed by the election, used once.' },
+    'ledger': { severity: 'error', description: 'Each mining reward pays the fixed reward as the first of other transactions in its block, and each credit transfer is signed by its sender, recorded once and covered by the sender\'s balance.' },
+    'known-candidate': { severity: 'warning', description: 'Each ballot names a candidate of the election.' },
+    'ballot-selection': { severity: 'warning', description: 'Each ballot has the shape the election\'s voting method expects.' },
+    'voted-users-state': { severity: 'warning', description: 'The stored list of voters who voted matches the chain.' }
+};
+
+/**
+ * Audits one election's chain.
+ * @param {import('./blockchain.js').Blockchain} blockchain - The election to audit.
+ * @returns {object} The report: { electionId, auditedAt, chainLength, valid, errorCount, warningCount, rules, findings }.
+ * Each finding is { rule, severity, blockIndex, transaction, message }.
+ */
+export const auditChain = (blockchain) => {
+    const findings = [];
+    const report = (rule, blockIndex, message, transaction = null) => {
+        findings.push({ rule, severity: AUDIT_RULES[rule].severity, blockIndex, transaction, message });
+    };
+
+    const { chain } = blockchain;
+    const genesis = chain[0];
+    if (!genesis) {
+        report('genesis-integrity', null, 'The chain is empty.');
+    } else {
+        const expected = blockchain.createGenesisBlock(); // Other elections' genesis timestamps vary, so only the default one is compared in full
+        if (genesis.index !== 0 || genesis.previousHash !== '0' || genesis.hash !== genesis.calculateHash()) {
+            report('genesis-integrity', 0, 'The genesis block is malformed or its hash does not match its contents.');
+        } else if (genesis.data !== expected.data || (blockchain.electionId === DEFAULT_ELECTION_ID && genesis.hash !== expected.hash)) {
+            report('genesis-integrity', 0, 'The genesis block differs from the expected genesis block.');
+        }
+    }
+
+    const voters = new Map(); // voterId -> index of the block that first recorded them
+    const adminState = createAdminState(blockchain.electionId); // Roll, candidates, phase and settings as recorded by admin actions so far
+    const spentTokens = new Set();
+    const voteTimestamps = new Map(); // voterId -> timestamp of their latest vote, for revoting
+    const balances = new Map(); // Ledger address -> credits, see ledger.js
+    const transferIds = new Set();
+    // Until the chain records the election setup, ballots are checked against the election's own settings and candidates
+    let settings = blockchain.settings;
+    let candidateIds = new Set(blockchain.candidates.map(candidate => candidate.id));
+    const now = Date.now();
+
+    for (let i = 1; i < chain.length; i++) {
+        const block = chain[i];
+        if (block.index !== i) {
+            report('index-continuity', block.index, `Block at position ${i} has index ${block.index}.`);
+        }
+        if (block.hash !== block.calculateHash()) {
+            report('hash-integrity', block.index, 'The block hash does not match its contents.');
+        }
+        if (block.previousHash !== chain[i - 1].hash) {
+            report('previous-hash-link', block.index, `The previous hash does not match block ${chain[i - 1].index}.`);
+        }
+        // The genesis block's timestamp is fixed, not the time it was created, so block 1 is not compared with it
+        const time = Number(block.timestamp);
+        if (!Number.isFinite(time)) {
+            report('block-timestamp', block.index, 'The block timestamp is not a time in milliseconds.');
+        } else if (i > 1 && !(time > Number(chain[i - 1].timestamp))) {
+            report('block-timestamp', block.index, `The block is not dated after block ${chain[i - 1].index}.`);
+        } else if (time > now + MAX_BLOCK_CLOCK_DRIFT_MS) {
+            report('block-timestamp', block.index, 'The block is dated more than 2 minutes ahead of this node\'s clock.');
+        }
+        if (i >= blockchain.legacyBlockHeight && block.isLegacyFormat()) {
+            report('block-format', block.index, `The block lacks a Merkle root or a recorded difficulty, which only blocks below height ${blockchain.legacyBlockHeight} may.`);
+        }
+        if (!block.hasValidMerkleRoot()) {
+            report('merkle-root', block.index, Array.isArray(block.data) && hasDuplicateTransactions(block.data)
+                ? 'The block holds the same transaction twice.'
+                : 'The Merkle root does not match the block\'s transactions.');
+        }
+        if (blockchain.consensusMode === 'poa') {
+            const problem = blockchain.authorities.checkSeal(block);
+            if (problem) {
+                report('authority-seal', block.index, problem);
+            }
+        } else {
+            const difficulty = getBlockDifficulty(block);
+            if (!block.hash.startsWith('0'.repeat(difficulty))) {
+                report('proof-of-work', block.index, `The block hash does not start with ${difficulty} zeros.`);
+            }
+            if (block.difficulty !== null && block.difficulty !== undefined) { // Older blocks did not record a difficulty
+                const expected = getExpectedDifficulty(chain, i, blockchain.miningSettings);
+                if (block.difficulty !== expected) {
+                    report('difficulty-adjustment', block.index, `The block was mined at difficulty ${block.difficulty}, expected ${expected}.`);
+                }
+            }
+        }
+        if (!Array.isArray(block.data)) continue;
+
+        for (const [position, transaction] of block.data.entries()) {
+            if (transaction.type === 'admin') {
+                const problem = getAdminActionError(adminState, transaction, blockchain.authorities);
+                if (problem) {
+                    report('admin-action', block.index, `The '${transaction.action}' admin action is not allowed: ${problem}.`, transaction);
+                } else {
+                    applyAdminAction(adminState, transaction);
+                    settings = adminState.settings;
+                    candidateIds = new Set(adminState.candidates.map(candidate => candidate.id));
+                }
+            }
+            if (LEDGER_TRANSACTION_TYPES.includes(transaction.type)) {
+                const transactionId = hashTransaction(transaction);
+                let problem = transferIds.has(transactionId) ? 'the transfer was already recorded' : null;
+                if (transaction.type === 'miningReward' && position !== 0) {
+                    problem = 'it must be the first transaction of its block';
+                } else if (transaction.type === 'miningReward' && block.data.length === 1) {
+                    problem = 'a block must not hold only a mining reward';
+                } else if (transaction.type === 'miningReward' && transaction.blockIndex !== block.index) {
+                    problem = `it pays for block ${transaction.blockIndex}`;
+                }
+                problem = problem || getLedgerTransactionError(transaction, balances, blockchain);
+                if (problem) {
+                    report('ledger', block.index, `The ${transaction.type === 'transfer' ? 'transfer' : 'mining reward'} is not allowed: ${problem}.`, transaction);
+                } else {
+                    applyLedgerTransaction(balances, transaction);
+                }
+                if (transaction.type === 'transfer') {
+                    transferIds.add(transactionId);
+                }
+            }
+            if (transaction.type === 'vote' || transaction.type === 'participation') {
+                const { voterId } = transaction;
+                // Votes from before the roll was recorded on the chain are checked against the current roll
+                const voter = (adminState.isSetUp ? adminState.registeredVoters : blockchain.registeredVoters).get(voterId);
+                if (!voter) {
+                    report('registered-voter', block.index, `Voter '${voterId}' is not on the voter roll.`, transaction);
+                } else {
+                    const verify = transaction.type === 'vote' ? verifyBallotSignature : verifyParticipationSignature;
+                    if (!verify({ ...transaction, electionId: blockchain.electionId }, voter.publicKey)) {
+                        report('ballot-signature', block.index, `The ${transaction.type} by '${voterId}' does not carry a valid signature.`, transaction);
+                    }
+                }
+                const previous = voteTimestamps.get(voterId);
+                if (settings.allowRevoting && transaction.type === 'vote' && previous !== undefined) {
+                    if (!(Number(transaction.timestamp) > previous)) {
+                        report('duplicate-vote', block.index, `Voter '${voterId}' replaced a vote with one not signed after it.`, transaction);
+                    }
+                } else if (voters.has(voterId)) {
+                    report('duplicate-vote', block.index, `Voter '${voterId}' already took part in block ${voters.get(voterId)}.`, transaction);
+                } else {
+                    voters.set(voterId, block.index);
+                    adminState.votedUsers.add(voterId);
+                }
+                if (transaction.type === 'vote' && Number(transaction.timestamp) > Number(block.timestamp) + MAX_BALLOT_CLOCK_SKEW_MS) {
+                    report('vote-timestamp', block.index, `The vote by '${voterId}' is signed more than 5 minutes after the block that records it.`, transaction);
+                }
+                if (transaction.type === 'vote') {
+                    voteTimestamps.set(voterId, Math.max(previous ?? -Infinity, Number(transaction.timestamp)));
+                }
+            }
+            if (transaction.type === 'ballot') {
+                if (!verifyTokenSignature(transaction.token, transaction.tokenSignature, settings.ballotPublicKey)) {
+                    report('ballot-token', block.index, 'The ballot token was not signed by this election.', transaction);
+                }
+                if (spentTokens.has(transaction.token)) {
+                    report('ballot-token', block.index, 'The ballot token was already used.', transaction);
+                }
+                spentTokens.add(transaction.token);
+            }
+            if (transaction.type === 'vote' || transaction.type === 'ballot') {
+                const unknown = getBallotChoices(transaction).filter(id => !candidateIds.has(id));
+                const problem = getBallotSelectionError(settings.votingMethod, transaction, candidateIds);
+                if (unknown.length > 0) {
+                    report('known-candidate', block.index, `Candidate '${unknown.join("', '")}' is not a candidate of this election.`, transaction);
+                } else if (problem) {
+                    report('ballot-selection', block.index, `The ballot does not fit the '${settings.votingMethod}' voting method: ${problem}.`, transaction);
+                }
+            }
+        }
+    }
+
+    const missing = Array.from(voters.keys()).filter(voterId => !blockchain.votedUsers.has(voterId));
+    const extra = Array.from(blockchain.votedUsers).filter(voterId => !voters.has(voterId));
+    if (missing.length > 0) {
+        report('voted-users-state', null, `Voters recorded on the chain but missing from the stored voted list: ${missing.join(', ')}.`);
+    }
+    if (extra.length > 0) {
+        report('voted-users-state', null, `Voters in the stored voted list with no vote on the chain: ${extra.join(', ')}.`);
+    }
+
+    const errorCount = findings.filter(finding => finding.severity === 'error').length;
+    return {
+        electionId: blockchain.electionId,
+        auditedAt: new Date().toISOString(),
+        chainLength: chain.length,
+        valid: errorCount === 0,
+        errorCount,
+        warningCount: findings.length - errorCount,
+        rules: AUDIT_RULES,
+        findings
+    };
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Lookup indexes over an election's chain for the block explorer and vote receipts:
+ * block hash to height, and transaction ID (see hashTransaction) to the block and position
+ * holding it. The Blockchain keeps its index in step with every change to its chain.
+ */
+
+import { hashTransaction } from './merkle.js';
+
+// Most blocks one page of GET /blocks returns
+export const MAX_BLOCK_PAGE_SIZE = 100;
+
+/**
+ * Indexes the blocks and transactions of one chain.
+ */
+export class ChainIndex {
+    constructor() {
+        this.blockHeights = new Map(); // block hash -> index
+        this.transactionLocations = new Map(); // transaction ID -> { blockIndex, position }
+    }
+
+    /**
+     * Indexes a whole chain, dropping whatever was indexed before.
+     * @param {Array<object>} chain - The blocks, genesis block first.
+     */
+    rebuild(chain) {
+        this.blockHeights.clear();
+        this.transactionLocations.clear();
+        chain.forEach(block => this.addBlock(block));
+    }
+
+    /**
+     * Indexes a block added to the end of the chain. A transaction already indexed keeps its first location.
+     * @param {object} block - The block.
+     */
+    addBlock(block) {
+        this.blockHeights.set(block.hash, block.index);
+        if (!Array.isArray(block.data)) return;
+        block.data.forEach((transaction, position) => {
+            const id = hashTransaction(transaction);
+            if (!this.transactionLocations.has(id)) {
+                this.transactionLocations.set(id, { blockIndex: block.index, position });
+            }
+        });
+    }
+
+    /**
+     * @param {string} hash - A block hash.
+     * @returns {number|undefined} The block's index, if it is on the chain.
+     */
+    getBlockHeight(hash) {
+        return this.blockHeights.get(hash);
+    }
+
+    /**
+     * @param {string} transactionId - A transaction ID.
+     * @returns {{ blockIndex: number, position: number }|undefined} Where the transaction is, if it is mined.
+     */
+    getTransactionLocation(transactionId) {
+        return this.transactionLocations.get(transactionId);
+    }
+}
+
+/**
+ * A block without its transactions, for block lists.
+ * @param {object} block - The block.
+ * @returns {object} { index, hash, previousHash, timestamp, merkleRoot, difficulty, sealer, nonce, transactionCount }.
+ */
+export const summarizeBlock = ({ index, hash, previousHash, timestamp, merkleRoot, difficulty, sealer, nonce, data }) => ({
+    index, hash, previousHash, timestamp, merkleRoot, difficulty, sealer, nonce,
+    transactionCount: Array.isArray(data) ? data.length : 0
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Proof-of-work difficulty adjustment.
+ * Every block records the difficulty it was mined at. The next difficulty follows from the
+ * chain alone, so any node can recompute and verify it: when recent blocks came faster than
+ * the target interval the difficulty goes up by one, when they came much slower it goes down by one.
+ */
+
+/**
+ * Difficulty of blocks mined before difficulty was recorded per block.
+ */
+export const LEGACY_DIFFICULTY = 3;
+
+/**
+ * Default adjustment settings. They are part of the chain's validity rules, so a deployment
+ * should not change them while an election is running.
+ */
+export const DEFAULT_MINING_SETTINGS = {
+    initialDifficulty: LEGACY_DIFFICULTY,
+    minDifficulty: 1,
+    maxDifficulty: 5,
+    targetBlockIntervalMs: 5000,
+    adjustmentWindow: 5 // Number of recent blocks whose timestamps are averaged
+};
+
+/**
+ * Returns the difficulty a block was mined at.
+ * @param {object} block - The block.
+ * @returns {number} The recorded difficulty, or LEGACY_DIFFICULTY for older blocks.
+ */
+export const getBlockDifficulty = (block) =>
+    typeof block.difficulty === 'number' ? block.difficulty : LEGACY_DIFFICULTY;
+
+/**
+ * Returns the work behind a chain: the sum of 2^difficulty over its blocks after the genesis block,
+ * so a block mined at one more difficulty counts twice. Nodes follow the chain with the most work,
+ * not the longest one, since a long chain of easy blocks is cheap to forge. Sealed
+ * (Proof-of-Authority) blocks record no difficulty and all count the same, so there this compares lengths.
+ * @param {Array<object>} chain - The chain, genesis block first.
+ * @returns {number} The chain's work.
+ */
+export const getChainWork = (chain) =>
+    chain.slice(1).reduce((work, block) => work + 2 ** getBlockDifficulty(block), 0);
+
+/**
+ * Computes the difficulty required for the block at `index`, from the blocks before it.
+ * @param {Array<object>} chain - The chain (only blocks before `index` are read).
+ * @param {number} index - The index of the block being mined or checked.
+ * @param {object} [settings] - Adjustment settings (see DEFAULT_MINING_SETTINGS).
+ * @returns {number} The required difficulty.
+ */
+export const getExpectedDifficulty = (chain, index, settings = DEFAULT_MINING_SETTINGS) => {
+    const { initialDifficulty, minDifficulty, maxDifficulty, targetBlockIntervalMs, adjustmentWindow } = settings;
+    if (index <= 1) {
+        return initialDifficulty; // The genesis block is not mined
+    }
+    const previousDifficulty = getBlockDifficulty(chain[index - 1]);
+
+    // The genesis block is skipped: its timestamp is fixed, not the time it was created
+    const recent = chain.slice(Math.max(1, index - adjustmentWindow), index);
+    if (recent.length < 2) {
+        return previousDifficulty;
+    }
+    const averageIntervalMs = (Number(recent[recent.length - 1].timestamp) - Number(recent[0].timestamp)) / (recent.length - 1);
+    let difficulty = previousDifficulty;
+    if (averageIntervalMs < targetBlockIntervalMs / 2) {
+        difficulty++;
+    } else if (averageIntervalMs > targetBlockIntervalMs * 2) {
+        difficulty--;
+    }
+    return Math.min(maxDifficulty, Math.max(minDifficulty, difficulty));
+};
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Election archives: one portable JSON file holding an election's whole chain, the
+ * election setup it is checked against (see Blockchain.getPeerSetup) and its pending transactions,
+ * for archiving, backups and independent recounts. The manifest records a SHA-256 hash of the
+ * contents, so an archive changed after export is refused. Private keys are never archived: a
+ * node restored from an archive checks and counts ballots but cannot issue secret-ballot tokens.
+ *
+ * The hash covers `JSON.stringify({ chain, setup, pendingTransactions })`, in that order.
+ */
+
+import crypto from 'crypto';
+import { replayAdminActions, getAdminActionError, applyAdminAction, describeStateDifferences } from './adminActions.js';
+import { getChainCertificateProblem } from './certificate.js';
+
+const ARCHIVE_TYPE = 'election-archive';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Hashes the archived contents.
+ * @param {object} archive - The archive (or its contents).
+ * @returns {string} The hex SHA-256 hash.
+ */
+const hashArchiveContents = ({ chain, setup, pendingTransactions }) =>
+    crypto.createHash('sha256').update(JSON.stringify({ chain, setup, pendingTransactions })).digest('hex');
+
+/**
+ * Builds the archive of an election as it is now.
+ * @param {import('./blockchain.js').Blockchain} blockchain - The election.
+ * @param {object} exportInfo - Who exported the archive and when.
+ * @param {string} exportInfo.exportedBy - Staff username (or 'cli').
+ * @param {string} exportInfo.exportedAt - ISO date.
+ * @returns {object} The archive: { manifest, chain, setup, pendingTransactions }.
+ */
+export const buildArchive = (blockchain, { exportedBy, exportedAt }) => {
+    // Copied through JSON so the hash covers exactly what is written to the file
+    const contents = JSON.parse(JSON.stringify({
+        chain: blockchain.chain,
+        setup: blockchain.getPeerSetup(),
+        pendingTransactions: blockchain.pendingTransactions
+    }));
+    const finalBlock = contents.chain[contents.chain.length - 1];
+    return {
+        manifest: {
+            type: ARCHIVE_TYPE,
+            version: ARCHIVE_VERSION,
+            electionId: blockchain.electionId,
+            name: blockchain.name,
+            exportedAt,
+            exportedBy,
+            chainLength: contents.chain.length,
+            finalBlockHash: finalBlock.hash,
+            pendingTransactionCount: contents.pendingTransactions.length,
+            contentHash: hashArchiveContents(contents)
+        },
+        ...contents
+    };
+};
+
+/**
+ * Checks that an archive is well formed and unchanged since export.
+ * @param {object} archive - The parsed archive file.
+ * @returns {object} The archive.
+ * @throws {Error} If the archive is malformed, its contents do not match the manifest hash, or the manifest does not describe the chain.
+ */
+export const readArchive = (archive) => {
+    const { manifest, chain, setup, pendingTransactions } = archive || {};
+    if (!manifest || manifest.type !== ARCHIVE_TYPE) {
+        throw new Error('The file is not an election archive.');
+    }
+    if (manifest.version !== ARCHIVE_VERSION) {
+        throw new Error(`Unsupported archive version ${manifest.version}; this node reads version ${ARCHIVE_VERSION}.`);
+    }
+    if (!Array.isArray(chain) || chain.length === 0 || !setup || !Array.isArray(setup.candidates) || !Array.isArray(setup.voterRoll) || !Array.isArray(pendingTransactions)) {
+        throw new Error('The archive is incomplete: chain, setup (with candidates and voterRoll) and pendingTransactions are required.');
+    }
+    if (hashArchiveContents(archive) !== manifest.contentHash) {
+        throw new Error('The archive does not match its manifest hash; it was changed after export.');
+    }
+    if (manifest.chainLength !== chain.length || manifest.finalBlockHash !== chain[chain.length - 1].hash) {
+        throw new Error('The manifest does not describe the archived chain.');
+    }
+    return archive;
+};
+
+/**
+ * Checks that the archived setup agrees with the chain: the roll, candidates and phase rebuilt from
+ * the chain's admin actions (and pending ones) match the setup, and a certificate, if any, is signed
+ * by an authority and matches the chain's count at the certified height.
+ * @param {object} archive - An archive that passed readArchive.
+ * @param {import('./authority.js').AuthoritySet} authorities - The authorities that sign admin actions and certificates.
+ * @param {string} electionId - The election the archive is restored into.
+ * @returns {Array<string>} Every inconsistency found; empty if there is none.
+ */
+export const getArchiveInconsistencies = ({ chain, setup, pendingTransactions }, authorities, electionId) => {
+    const problems = [];
+    const { state, problems: skipped } = replayAdminActions(chain, authorities, electionId);
+    problems.push(...skipped.map(({ blockIndex, message }) => `block ${blockIndex} holds an admin action that is not allowed: ${message}`));
+    for (const transaction of pendingTransactions.filter(trans => trans.type === 'admin')) {
+        const problem = getAdminActionError(state, transaction, authorities);
+        if (problem) {
+            problems.push(`a pending admin action is not allowed: ${problem}`);
+        } else {
+            applyAdminAction(state, transaction);
+        }
+    }
+    const archived = {
+        votedUsers: state.votedUsers,
+        registeredVoters: new Map(setup.voterRoll.map(({ voterId, ...record }) => [voterId, record])),
+        candidates: setup.candidates,
+        phase: setup.phase
+    };
+    problems.push(...describeStateDifferences(archived, state, 'archived'));
+
+    const certificateProblem = setup.certificate ? getChainCertificateProblem(setup.certificate, chain, authorities) : null;
+    if (certificateProblem) {
+        problems.push(certificateProblem);
+    }
+    return problems;
+};
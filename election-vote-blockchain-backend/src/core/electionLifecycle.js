@@ -0,0 +1,129 @@
+/**
+ * @fileoverview The phases an election moves through and the scheduler that opens and closes
+ * elections on time. Phases only move forward, one step at a time:
+ *
+ *   draft -> registration -> voting -> closed -> tallying -> certified
+ *
+ * Candidates and the ballot mode can change until voting starts, voters can be registered until
+ * voting ends, and ballots are only accepted while voting. Once closed, an election cannot reopen.
+ */
+
+/**
+ * Every election phase, in order.
+ */
+export const ELECTION_PHASES = ['draft', 'registration', 'voting', 'closed', 'tallying', 'certified'];
+
+/**
+ * The phases each phase may move to.
+ */
+export const PHASE_TRANSITIONS = {
+    draft: ['registration'],
+    registration: ['voting'],
+    voting: ['closed'],
+    closed: ['tallying'],
+    tallying: ['certified'],
+    certified: []
+};
+
+// Phases in which candidates and the ballot mode may still change
+export const SETUP_PHASES = ['draft', 'registration'];
+
+// Phases in which voters may still be registered or given a new credential. Both end when voting
+// starts, so a credential cannot be swapped for one the staff hold while ballots are being cast.
+export const REGISTRATION_PHASES = ['draft', 'registration'];
+
+// Actor recorded for transitions made by the scheduler
+export const SCHEDULER_ACTOR = 'scheduler';
+
+/**
+ * Lists the transitions needed to get from one phase to a later one.
+ * @param {string} from - The current phase.
+ * @param {string} to - The target phase.
+ * @returns {Array<string>} The phases to pass through, ending with `to`; empty if `to` is not ahead of `from`.
+ */
+export const getPhasePath = (from, to) => {
+    const fromIndex = ELECTION_PHASES.indexOf(from);
+    const toIndex = ELECTION_PHASES.indexOf(to);
+    return toIndex > fromIndex ? ELECTION_PHASES.slice(fromIndex + 1, toIndex + 1) : [];
+};
+
+/**
+ * The phase of an election saved before phases existed, when it only had an open/closed flag.
+ * A closed election with votes has been held; one without is still being prepared.
+ * @param {boolean} isElectionOpen - The saved flag.
+ * @param {boolean} hasVotes - Whether any vote has been cast.
+ * @returns {string} The phase.
+ */
+export const getLegacyPhase = (isElectionOpen, hasVotes) => {
+    if (isElectionOpen) return 'voting';
+    return hasVotes ? 'closed' : 'registration';
+};
+
+/**
+ * Parses a scheduled time.
+ * @param {string|number|null|undefined} value - An ISO date, a millisecond timestamp, or empty for none.
+ * @param {string} field - The field name, for error messages.
+ * @returns {string|null} The time as an ISO date, or null.
+ * @throws {Error} If the value is not a valid date.
+ */
+export const parseScheduleTime = (value, field) => {
+    if (value === null || value === undefined || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(String(value));
+    if (!Number.isFinite(time)) {
+        throw new Error(`${field} must be a valid date.`);
+    }
+    return new Date(time).toISOString();
+};
+
+/**
+ * Opens and closes elections at their scheduled times.
+ */
+export class ElectionScheduler {
+    /**
+     * @param {import('./electionRegistry.js').ElectionRegistry} registry - The elections of this node.
+     * @param {object} [options] - Scheduler settings.
+     * @param {number} [options.checkIntervalMs=1000] - How often schedules are checked.
+     */
+    constructor(registry, { checkIntervalMs = 1000 } = {}) {
+        this.registry = registry;
+        this.checkIntervalMs = checkIntervalMs;
+        this.timer = null;
+        this.isChecking = false; // A check is saving state; the next tick waits for it
+    }
+
+    /**
+     * Applies any schedule already due (e.g. times passed while the server was down), then checks periodically.
+     */
+    start() {
+        this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+        this.check();
+    }
+
+    /**
+     * Stops the periodic check.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Moves every election whose scheduled time has come to its next phase.
+     * @returns {Promise<void>}
+     */
+    async check() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+        try {
+            for (const election of this.registry.getElections()) {
+                try {
+                    await election.applySchedule();
+                } catch (error) {
+                    console.error(`Error applying the schedule of election '${election.electionId}':`, error.message);
+                }
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+}
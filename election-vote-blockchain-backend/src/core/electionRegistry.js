@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Keeps track of every election run by this node.
+ * Each election is a separate Blockchain instance with its own candidates, voter roll,
+ * status and vote ledger, persisted through its own scope of the storage backend.
+ */
+
+import { EventEmitter } from 'node:events';
+import { Blockchain, BALLOT_MODES, normalizeCandidate } from './blockchain.js';
+import { validateVotingMethod } from './votingMethods.js';
+import { readArchive } from './electionArchive.js';
+import { DEFAULT_ELECTION_ID } from '../storage/storageAdapter.js';
+
+const ELECTION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+/**
+ * Creates, loads and looks up elections.
+ */
+export class ElectionRegistry {
+    /**
+     * @param {import('../storage/storageAdapter.js').StorageAdapter} storage - The storage backend (any election scope).
+     * @param {object} [options] - Options passed to every Blockchain instance.
+     * @param {string} [options.loadFailurePolicy='fail'] - See Blockchain.
+     * @param {object} [options.blockProduction] - Batching settings, see BlockProducer.
+     * @param {object} [options.mining] - Difficulty adjustment settings, see DEFAULT_MINING_SETTINGS.
+     * @param {object} [options.consensus] - Consensus mode and authorities, see Blockchain.
+     * @param {import('../storage/keyStore.js').KeyStore} [options.keyStore] - Where private keys are kept, see Blockchain.
+     */
+    constructor(storage, { loadFailurePolicy = 'fail', blockProduction = {}, mining = {}, consensus = {}, keyStore = undefined } = {}) {
+        this.storage = storage;
+        this.loadFailurePolicy = loadFailurePolicy;
+        this.blockProduction = blockProduction;
+        this.mining = mining;
+        this.consensus = consensus;
+        this.keyStore = keyStore;
+        this.elections = new Map(); // electionId -> Blockchain
+        this.events = new EventEmitter(); // 'electionAdded' (election), for elections created after startup
+    }
+
+    /**
+     * Loads every election listed in the election index. The default election is
+     * always present, so single-election deployments keep working unchanged.
+     */
+    async loadElections() {
+        const electionIds = await this.storage.loadElectionIndex();
+        if (!electionIds.includes(DEFAULT_ELECTION_ID)) {
+            electionIds.unshift(DEFAULT_ELECTION_ID);
+            await this.storage.saveElectionIndex(electionIds);
+        }
+
+        for (const electionId of electionIds) {
+            const election = this.createBlockchain(electionId);
+            await election.loadChainAndElectionStateFromDatabase();
+            this.elections.set(electionId, election);
+        }
+        console.log(`Loaded ${this.elections.size} election(s): ${electionIds.join(', ')}`);
+    }
+
+    /**
+     * Creates a Blockchain instance bound to the storage scope of one election.
+     * @param {string} electionId - The election ID.
+     * @param {object} [details] - Initial name, description, candidates, ballot mode and voting method.
+     * @returns {Blockchain} The (not yet loaded) blockchain.
+     */
+    createBlockchain(electionId, details = {}) {
+        return new Blockchain(this.storage.forElection(electionId), {
+            loadFailurePolicy: this.loadFailurePolicy,
+            blockProduction: this.blockProduction,
+            mining: this.mining,
+            consensus: this.consensus,
+            keyStore: this.keyStore,
+            ...details
+        });
+    }
+
+    /**
+     * Creates and persists a new election.
+     * @param {object} details - The election details.
+     * @param {string} details.id - Unique election ID (lowercase letters, digits and dashes).
+     * @param {string} details.name - Display name.
+     * @param {string} [details.description] - Optional description.
+     * @param {Array<object>} [details.candidates] - Candidates ({ id, name, party, description, photoUrl }).
+     * @param {string} [details.ballotMode='open'] - 'open' or 'secret' (see BALLOT_MODES).
+     * @param {boolean} [details.allowRevoting=false] - Whether a voter's later vote replaces their earlier one (open ballots only).
+     * @param {string} [details.votingMethod='plurality'] - How ballots are shaped and counted (see VOTING_METHODS).
+     * @param {number} [details.seats=1] - Seats to fill, for multi-seat voting methods.
+     * @param {string|null} [createdBy] - Who created the election; its setup is then recorded on the chain at once.
+     * Elections copied from a peer have no creator here and take their setup from the peer's chain.
+     * @returns {Promise<Blockchain>} The new election.
+     * @throws {Error} If the details are invalid, the ID is already taken, or a creator is given and this
+     * node holds no authority key to sign the setup with.
+     */
+    async createElection({ id, name, description = '', candidates = [], ballotMode = 'open', allowRevoting = false, votingMethod = 'plurality', seats = 1 }, createdBy = null) {
+        if (createdBy && !(this.consensus.authorities && this.consensus.authorities.canSeal())) {
+            throw new Error('This node holds no active authority key, so it cannot create elections. Set AUTHORITY_ID and AUTHORITY_KEY_FILE.');
+        }
+        if (!id || !ELECTION_ID_PATTERN.test(id)) {
+            throw new Error('Election ID must be 1-63 lowercase letters, digits or dashes, starting with a letter or digit.');
+        }
+        if (this.elections.has(id)) {
+            throw new Error(`Election '${id}' already exists.`);
+        }
+        if (!name) {
+            throw new Error('Election name cannot be empty.');
+        }
+        if (!Array.isArray(candidates)) {
+            throw new Error('Candidates must be an array.');
+        }
+        if (!BALLOT_MODES.includes(ballotMode)) {
+            throw new Error(`Ballot mode must be one of: ${BALLOT_MODES.join(', ')}.`);
+        }
+        if (typeof allowRevoting !== 'boolean') {
+            throw new Error('allowRevoting must be true or false.');
+        }
+        if (allowRevoting && ballotMode === 'secret') {
+            throw new Error('Revoting is only available with open ballots: secret ballots cannot be replaced.');
+        }
+        validateVotingMethod(votingMethod, seats);
+        const normalizedCandidates = candidates.map(normalizeCandidate);
+        if (new Set(normalizedCandidates.map(c => c.id)).size !== normalizedCandidates.length) {
+            throw new Error('Candidate IDs must be unique.');
+        }
+
+        const election = this.createBlockchain(id, { name, description, candidates: normalizedCandidates, ballotMode, allowRevoting, votingMethod, seats });
+        await election.loadChainAndElectionStateFromDatabase();
+        if (createdBy) {
+            await election.recordAdminAction('setup', election.getSetupSnapshot(), createdBy);
+        }
+        this.elections.set(id, election);
+        await this.storage.saveElectionIndex(Array.from(this.elections.keys()));
+        console.log(`Election '${id}' created.`);
+        this.events.emit('electionAdded', election);
+        return election;
+    }
+
+    /**
+     * Restores an election from an archive (see electionArchive.js), as a new election or into a
+     * blank one, e.g. the default election of a fresh node. The archive is checked in full first.
+     * @param {object} archive - The parsed archive file.
+     * @returns {Promise<Blockchain>} The restored election.
+     * @throws {Error} If the archive is tampered with or inconsistent, or the election already has data here.
+     */
+    async importElection(archive) {
+        const { electionId } = readArchive(archive).manifest;
+        if (typeof electionId !== 'string' || !ELECTION_ID_PATTERN.test(electionId)) {
+            throw new Error('The archive names an invalid election ID.');
+        }
+        const existing = this.elections.get(electionId);
+        if (existing && !existing.isBlank()) {
+            throw new Error(`Election '${electionId}' already exists on this node with data of its own. Restore into a fresh node.`);
+        }
+        const election = existing || this.createBlockchain(electionId);
+        await election.restoreArchive(archive);
+        if (!existing) {
+            this.elections.set(electionId, election);
+            await this.storage.saveElectionIndex(Array.from(this.elections.keys()));
+            this.events.emit('electionAdded', election);
+        }
+        console.log(`Election '${electionId}' imported.`);
+        return election;
+    }
+
+    /**
+     * Adds an election this node lacks from a peer's chain. The chain must pass the same checks as
+     * any chain the node switches to (see Blockchain.replaceChain), and the election is only kept
+     * once it has, so a peer cannot make this node hold elections no authority set up.
+     * @param {string} electionId - The election ID.
+     * @param {Array<object>} blocksData - The peer's chain, genesis block first.
+     * @param {object} setup - The peer's election setup, see Blockchain.getPeerSetup.
+     * @returns {Promise<Blockchain>} The added election.
+     * @throws {Error} If the ID is invalid or taken, or the chain is rejected.
+     */
+    async addPeerElection(electionId, blocksData, setup) {
+        if (typeof electionId !== 'string' || !ELECTION_ID_PATTERN.test(electionId)) {
+            throw new Error('The peer names an invalid election ID.');
+        }
+        if (this.elections.has(electionId)) {
+            throw new Error(`Election '${electionId}' already exists.`);
+        }
+        const election = this.createBlockchain(electionId);
+        if (!await election.replaceChain(blocksData, setup)) {
+            throw new Error('The peer\'s chain holds no blocks.');
+        }
+        await election.loadChainAndElectionStateFromDatabase();
+        this.elections.set(electionId, election);
+        await this.storage.saveElectionIndex(Array.from(this.elections.keys()));
+        console.log(`Election '${electionId}' added from a peer.`);
+        this.events.emit('electionAdded', election);
+        return election;
+    }
+
+    /**
+     * Starts block production for every loaded election, so transactions replayed from the
+     * write-ahead log get mined. Only the server calls this; CLI tools load elections read-only.
+     */
+    startBlockProduction() {
+        for (const election of this.elections.values()) {
+            election.blockProducer.schedule();
+        }
+    }
+
+    /**
+     * Looks up an election.
+     * @param {string} electionId - The election ID.
+     * @returns {Blockchain|undefined} The election, if it exists.
+     */
+    getElection(electionId) {
+        return this.elections.get(electionId);
+    }
+
+    /**
+     * Returns the default election, used by the legacy single-election routes.
+     * @returns {Blockchain} The default election.
+     */
+    getDefaultElection() {
+        return this.elections.get(DEFAULT_ELECTION_ID);
+    }
+
+    /**
+     * Lists every election.
+     * @returns {Array<Blockchain>} All elections, in creation order.
+     */
+    getElections() {
+        return Array.from(this.elections.values());
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview The credit ledger of an election's chain. Every block mined by a node pays a
+ * `miningReward` to the node operator's address, as the block's first transaction (like a coinbase
+ * transaction, it is never pending on its own); operators move these participation credits with
+ * signed `transfer` transactions. An address is the hex SHA-256 of an ECDSA P-256 public key
+ * (base64 DER SPKI), so only the holder of the private key can spend from it. Balances are never
+ * stored: they are replayed from the chain, in chain order.
+ */
+
+import crypto from 'crypto';
+import { parseVoterPublicKey, verifyTransferSignature } from './ballotSignature.js';
+import { hashTransaction } from './merkle.js';
+
+/**
+ * Transaction types that move credits.
+ */
+export const LEDGER_TRANSACTION_TYPES = ['miningReward', 'transfer'];
+
+const ADDRESS_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Checks that a value has the form of a ledger address (see getLedgerAddress).
+ * @param {*} address - The value to check.
+ * @returns {boolean} True if it is 64 lowercase hex characters.
+ */
+export const isLedgerAddress = (address) => ADDRESS_PATTERN.test(String(address));
+
+/**
+ * Derives the ledger address of a public key.
+ * @param {string} publicKey - Base64 DER (SPKI) encoded ECDSA P-256 public key.
+ * @returns {string} The address: the hex SHA-256 of the key's DER bytes.
+ */
+export const getLedgerAddress = (publicKey) =>
+    crypto.createHash('sha256').update(Buffer.from(String(publicKey), 'base64')).digest('hex');
+
+/**
+ * Credits and debits one ledger transaction. Other transaction types are ignored.
+ * @param {Map<string, number>} balances - Address -> balance, updated in place.
+ * @param {object} transaction - The transaction.
+ */
+export const applyLedgerTransaction = (balances, { type, fromAddress, toAddress, amount }) => {
+    if (!LEDGER_TRANSACTION_TYPES.includes(type)) {
+        return;
+    }
+    if (type === 'transfer') {
+        balances.set(fromAddress, (balances.get(fromAddress) || 0) - amount);
+    }
+    balances.set(toAddress, (balances.get(toAddress) || 0) + amount);
+};
+
+/**
+ * Replays every ledger transaction of a chain.
+ * @param {Array<object>} chain - The blocks.
+ * @returns {Map<string, number>} Address -> balance, for every address that ever received credits.
+ */
+export const computeBalances = (chain) => {
+    const balances = new Map();
+    for (const block of chain) {
+        if (Array.isArray(block.data)) {
+            block.data.forEach(transaction => applyLedgerTransaction(balances, transaction));
+        }
+    }
+    return balances;
+};
+
+/**
+ * Checks a ledger transaction against the balances before it.
+ * @param {object} transaction - A `miningReward` or `transfer` transaction.
+ * @param {Map<string, number>} balances - Address -> spendable balance at the transaction's point in the chain.
+ * @param {object} election - The election's ledger settings.
+ * @param {string} election.electionId - The election ID, covered by transfer signatures.
+ * @param {number} election.miningReward - The credits each mining reward pays.
+ * @returns {string|null} Why the transaction is not allowed, or null if it is.
+ */
+export const getLedgerTransactionError = (transaction, balances, { electionId, miningReward }) => {
+    const { type, fromAddress, toAddress, amount, publicKey } = transaction;
+    if (type === 'miningReward') {
+        if (transaction.electionId !== electionId) {
+            return 'the mining reward belongs to another election';
+        }
+        if (fromAddress !== null || amount !== miningReward) {
+            return `a mining reward must pay ${miningReward} credit(s) from no address`;
+        }
+        return typeof toAddress === 'string' && isLedgerAddress(toAddress) ? null : 'the mining reward must pay an address of 64 hex characters (see getLedgerAddress)';
+    }
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+        return 'the amount must be a whole number of credits, more than 0';
+    }
+    if (!isLedgerAddress(toAddress)) {
+        return 'the receiving address must be 64 hex characters (see getLedgerAddress)';
+    }
+    try {
+        parseVoterPublicKey(publicKey);
+    } catch (error) {
+        return 'the public key must be a base64 ECDSA P-256 key';
+    }
+    if (fromAddress !== getLedgerAddress(publicKey)) {
+        return 'the sending address does not belong to the public key';
+    }
+    if (fromAddress === toAddress) {
+        return 'the sending and receiving addresses are the same';
+    }
+    if (!verifyTransferSignature({ ...transaction, electionId }, publicKey)) {
+        return 'the signature is invalid';
+    }
+    const available = balances.get(fromAddress) || 0;
+    return amount > available ? `insufficient funds: ${fromAddress} has ${available} credit(s) available, the transfer needs ${amount}` : null;
+};
+
+/**
+ * Lists every ledger transaction that credits or debits an address.
+ * @param {Array<object>} chain - The blocks.
+ * @param {Array<object>} pendingTransactions - Transactions waiting to be mined.
+ * @param {string} address - The address.
+ * @returns {Array<object>} { transactionId, status, blockIndex, blockHash, type, fromAddress, toAddress, amount, timestamp },
+ * newest first: pending transactions, then mined ones from the latest block back.
+ */
+export const getAddressHistory = (chain, pendingTransactions, address) => {
+    const involves = trans => LEDGER_TRANSACTION_TYPES.includes(trans.type) && (trans.fromAddress === address || trans.toAddress === address);
+    const describe = (trans, status, block = null) => ({
+        transactionId: hashTransaction(trans),
+        status,
+        blockIndex: block ? block.index : null,
+        blockHash: block ? block.hash : null,
+        type: trans.type,
+        fromAddress: trans.fromAddress,
+        toAddress: trans.toAddress,
+        amount: trans.amount,
+        timestamp: trans.timestamp
+    });
+    const history = pendingTransactions.filter(involves).reverse().map(trans => describe(trans, 'pending'));
+    for (let i = chain.length - 1; i >= 0; i--) {
+        const block = chain[i];
+        if (Array.isArray(block.data)) {
+            history.push(...block.data.filter(involves).reverse().map(trans => describe(trans, 'confirmed', block)));
+        }
+    }
+    return history;
+};
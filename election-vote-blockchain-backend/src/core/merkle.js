@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Merkle trees over a block's transactions.
+ * A block stores the Merkle root of its transactions, so a single transaction can be shown
+ * to be part of a block with a short proof instead of the whole block. Hashes are hex SHA-256
+ * strings: a leaf is the hash of the transaction's JSON, a parent is the hash of its two
+ * children's hex strings concatenated, and an odd node out is paired with itself.
+ * Pairing an odd node with itself gives [a, b, c] and [a, b, c, c] the same root (CVE-2012-2459), so a block
+ * may not hold the same transaction twice (see hasDuplicateTransactions).
+ * The browser verifier repeats exactly these steps.
+ */
+
+import SHA256 from 'crypto-js/sha256.js';
+
+/**
+ * Hashes a transaction. The hash doubles as the transaction's receipt ID.
+ * @param {object} transaction - The transaction as stored in the block.
+ * @returns {string} The hex SHA-256 hash.
+ */
+export const hashTransaction = (transaction) => SHA256(JSON.stringify(transaction)).toString();
+
+/**
+ * Hashes two sibling nodes into their parent.
+ * @param {string} left - The left child hash.
+ * @param {string} right - The right child hash.
+ * @returns {string} The parent hash.
+ */
+const hashPair = (left, right) => SHA256(left + right).toString();
+
+/**
+ * Computes the next level up of the tree.
+ * @param {Array<string>} level - The hashes of one level.
+ * @returns {Array<string>} The parent hashes.
+ */
+const nextLevel = (level) => {
+    const parents = [];
+    for (let i = 0; i < level.length; i += 2) {
+        parents.push(hashPair(level[i], i + 1 < level.length ? level[i + 1] : level[i]));
+    }
+    return parents;
+};
+
+/**
+ * Computes the Merkle root of a list of transactions.
+ * @param {Array<object>} transactions - The block's transactions.
+ * @returns {string} The root hash (the hash of an empty string for an empty list).
+ */
+export const computeMerkleRoot = (transactions) => {
+    let level = transactions.map(hashTransaction);
+    if (level.length === 0) {
+        return SHA256('').toString();
+    }
+    while (level.length > 1) {
+        level = nextLevel(level);
+    }
+    return level[0];
+};
+
+/**
+ * Whether a list holds the same transaction twice. Such a list can share its Merkle root with a shorter one.
+ * @param {Array<object>} transactions - The block's transactions.
+ * @returns {boolean} True if two transactions have the same hash.
+ */
+export const hasDuplicateTransactions = (transactions) =>
+    new Set(transactions.map(hashTransaction)).size !== transactions.length;
+
+/**
+ * Builds the proof that one transaction is part of a list.
+ * @param {Array<object>} transactions - The block's transactions.
+ * @param {number} index - The position of the transaction to prove.
+ * @returns {Array<{ position: string, hash: string }>} The sibling hashes from leaf to root;
+ * `position` says whether the sibling goes on the 'left' or the 'right'.
+ */
+export const getMerkleProof = (transactions, index) => {
+    const proof = [];
+    let level = transactions.map(hashTransaction);
+    while (level.length > 1) {
+        const isRight = index % 2 === 1;
+        const siblingIndex = isRight ? index - 1 : Math.min(index + 1, level.length - 1);
+        proof.push({ position: isRight ? 'left' : 'right', hash: level[siblingIndex] });
+        level = nextLevel(level);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Runs proof-of-work off the main thread.
+ * Each block is mined in its own worker thread (see miningWorker.js). The miner tracks the
+ * job's progress for the mining status endpoint and can cancel it by terminating the worker.
+ */
+
+import { Worker } from 'node:worker_threads';
+
+const WORKER_URL = new URL('./miningWorker.js', import.meta.url);
+
+/**
+ * Describes a mining job for status reports.
+ * @param {object|null} job - The job.
+ * @returns {object|null} { blockIndex, difficulty, hashes, hashRate, elapsedMs, outcome }.
+ */
+const describeJob = (job) => {
+    if (!job) {
+        return null;
+    }
+    const elapsedMs = (job.finishedAt || Date.now()) - job.startedAt;
+    return {
+        blockIndex: job.blockIndex,
+        difficulty: job.difficulty,
+        hashes: job.hashes,
+        hashRate: elapsedMs > 0 ? Math.round(job.hashes * 1000 / elapsedMs) : 0, // Hashes per second
+        elapsedMs,
+        outcome: job.outcome // null while running, then 'mined', 'cancelled' or 'failed'
+    };
+};
+
+/**
+ * Mines the blocks of one election, one at a time.
+ */
+export class Miner {
+    constructor() {
+        this.worker = null;
+        this.currentJob = null;
+        this.lastJob = null;
+    }
+
+    /**
+     * Whether a block is being mined.
+     * @returns {boolean} True while a worker is running.
+     */
+    isMining() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Finds the nonce of a block in a worker thread and stores it, with the resulting hash, on the block.
+     * @param {import('./blockchain.js').Block} block - The block to mine; its `difficulty` must be set.
+     * @returns {Promise<void>} Resolves once the block is mined.
+     * @throws {Error} If a block is already being mined, the worker fails, or mining is cancelled.
+     */
+    mine(block) {
+        if (this.worker) {
+            return Promise.reject(new Error('A block is already being mined.'));
+        }
+        const { index, timestamp, data, previousHash, merkleRoot, difficulty } = block;
+        const job = { blockIndex: index, difficulty, hashes: 0, startedAt: Date.now(), finishedAt: null, outcome: null };
+        const worker = new Worker(WORKER_URL, { workerData: { block: { index, timestamp, data, previousHash, merkleRoot, difficulty } } });
+        this.worker = worker;
+        this.currentJob = job;
+        console.log(`Mining block ${index} with difficulty ${difficulty} in a worker thread...`);
+
+        return new Promise((resolve, reject) => {
+            const finish = (outcome, error = null) => {
+                if (job.outcome) return; // Already settled (e.g. the exit that follows a result)
+                job.outcome = outcome;
+                job.finishedAt = Date.now();
+                this.worker = null;
+                this.currentJob = null;
+                this.lastJob = job;
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            worker.on('message', (message) => {
+                if (message.type === 'progress') {
+                    job.hashes = message.hashes;
+                } else if (message.type === 'mined') {
+                    job.hashes = message.hashes;
+                    block.nonce = message.nonce;
+                    block.hash = block.calculateHash();
+                    if (!block.hash.startsWith('0'.repeat(difficulty))) {
+                        finish('failed', new Error(`The mining worker returned an invalid nonce for block ${index}.`));
+                        return;
+                    }
+                    console.log(`Block ${index} mined: ${block.hash}`);
+                    finish('mined');
+                }
+            });
+            worker.on('error', (error) => finish('failed', error));
+            worker.on('exit', () => finish('cancelled', new Error(`Mining of block ${index} was cancelled.`)));
+        });
+    }
+
+    /**
+     * Cancels the block being mined. Its transactions stay pending.
+     * @returns {Promise<boolean>} True if a block was being mined, false otherwise.
+     */
+    async cancel() {
+        if (!this.worker) {
+            return false;
+        }
+        await this.worker.terminate();
+        return true;
+    }
+
+    /**
+     * Reports the current and the last finished mining job.
+     * @returns {object} { isMining, currentJob, lastJob }.
+     */
+    getStatus() {
+        return {
+            isMining: this.isMining(),
+            currentJob: describeJob(this.currentJob),
+            lastJob: describeJob(this.lastJob)
+        };
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Worker thread that searches for a block's proof-of-work nonce, so the
+ * Express event loop keeps serving requests while a block is mined. Started by Miner:
+ * it reports progress every PROGRESS_INTERVAL hashes and the nonce once it is found.
+ * Cancelling is done by terminating the worker.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { Block } from './blockchain.js';
+
+const PROGRESS_INTERVAL = 50000;
+
+const { index, timestamp, data, previousHash, merkleRoot, difficulty } = workerData.block;
+const block = new Block(index, timestamp, data, previousHash, 0, null, merkleRoot, difficulty);
+
+block.mineBlock(difficulty, (hashes) => parentPort.postMessage({ type: 'progress', hashes }), PROGRESS_INTERVAL);
+parentPort.postMessage({ type: 'mined', nonce: block.nonce, hashes: block.nonce + 1 });
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Turnout analytics for one election: how many eligible voters have voted, when
+ * the votes were recorded (from block timestamps), and turnout and results per voter attribute,
+ * such as precinct. Only mined blocks are counted; pending ballots are reported separately.
+ */
+
+import { getBallotChoices } from './votingMethods.js';
+import { getEligibilityError } from './voterRoll.js';
+
+// Bucket sizes for votes over time, in minutes; the smallest giving at most MAX_TIME_BUCKETS buckets is used
+const TIME_BUCKET_MINUTES = [1, 5, 15, 60, 360, 1440];
+const MAX_TIME_BUCKETS = 48;
+
+/**
+ * Share of voters who voted, rounded to four decimals.
+ * @param {number} voted - Voters who voted.
+ * @param {number} total - Voters who could vote.
+ * @returns {number|null} The share between 0 and 1, or null with no voters.
+ */
+const getRate = (voted, total) => (total === 0 ? null : Math.round((voted / total) * 10000) / 10000);
+
+/**
+ * Groups mined votes into time buckets.
+ * @param {Array<number>} times - When each vote was mined (ms since the epoch), in chain order.
+ * @param {number} [bucketMinutes] - Bucket size; picked from TIME_BUCKET_MINUTES when omitted.
+ * @returns {{ bucketMinutes: number, buckets: Array<{ start: string, votes: number, cumulative: number }> }}
+ * Every bucket from the first vote to the last, including empty ones.
+ */
+const getVotesOverTime = (times, bucketMinutes) => {
+    if (times.length === 0) {
+        return { bucketMinutes: bucketMinutes || TIME_BUCKET_MINUTES[0], buckets: [] };
+    }
+    const first = times.reduce((min, time) => Math.min(min, time)); // No spread: a large election has too many votes for it
+    const last = times.reduce((max, time) => Math.max(max, time));
+    const minutes = bucketMinutes
+        || TIME_BUCKET_MINUTES.find(size => (last - first) / (size * 60000) < MAX_TIME_BUCKETS)
+        || TIME_BUCKET_MINUTES[TIME_BUCKET_MINUTES.length - 1];
+    const size = minutes * 60000;
+    const start = Math.floor(first / size) * size;
+    const counts = new Array(Math.floor((last - start) / size) + 1).fill(0);
+    times.forEach(time => counts[Math.floor((time - start) / size)]++);
+    let cumulative = 0;
+    const buckets = counts.map((votes, i) => {
+        cumulative += votes;
+        return { start: new Date(start + i * size).toISOString(), votes, cumulative };
+    });
+    return { bucketMinutes: minutes, buckets };
+};
+
+/**
+ * Orders attribute groups by value (precinct 2 before precinct 10), voters without a value last.
+ * @param {object} a - A group.
+ * @param {object} b - Another group.
+ * @returns {number} The sort order.
+ */
+const compareGroups = (a, b) => {
+    if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null);
+    }
+    return a.value.localeCompare(b.value, undefined, { numeric: true });
+};
+
+/**
+ * Computes turnout analytics for an election.
+ * Results per attribute value come from open ballots only: a secret ballot carries no voter ID,
+ * so it cannot be placed in a precinct. Ranked ballots count their first choice, approval
+ * ballots every approved candidate.
+ * @param {import('./blockchain.js').Blockchain} blockchain - The election.
+ * @param {object} [options]
+ * @param {number} [options.bucketMinutes] - Size of the votes-over-time buckets; chosen automatically if omitted.
+ * @returns {object} { electionId, generatedAt, turnout, votesOverTime, breakdowns }:
+ * - turnout: { registered, eligible, voted, pending, rate } (rate = voted / eligible)
+ * - votesOverTime: { bucketMinutes, buckets: [{ start, votes, cumulative }] }
+ * - breakdowns: one { attribute, groups: [{ value, registered, voted, rate, votes }] } per voter attribute;
+ *   `value` is null for voters without the attribute and `votes` (candidate ID -> count) is null for secret ballots.
+ */
+export const computeTurnout = (blockchain, { bucketMinutes } = {}) => {
+    const voters = blockchain.getVoterRecords();
+    const eligibleVoters = voters.filter(voter => !getEligibilityError(blockchain.eligibility, voter));
+    const isOpenBallot = blockchain.ballotMode === 'open';
+    const countsEveryChoice = blockchain.votingMethod === 'approval';
+
+    // Every voter who voted, in chain order, with when their first vote was mined and (open ballots) the
+    // choices of the vote that counts: their last one when revoting is allowed
+    const votes = new Map();
+    for (const block of blockchain.chain) {
+        if (!Array.isArray(block.data)) continue;
+        for (const transaction of block.data) {
+            if (transaction.type !== 'vote' && transaction.type !== 'participation') continue;
+            const choices = transaction.type === 'vote' ? getBallotChoices(transaction) : [];
+            const counted = countsEveryChoice ? choices : choices.slice(0, 1);
+            if (!votes.has(transaction.voterId)) {
+                votes.set(transaction.voterId, { time: Number(block.timestamp), choices: counted });
+            } else if (blockchain.allowRevoting && transaction.type === 'vote') {
+                votes.get(transaction.voterId).choices = counted;
+            }
+        }
+    }
+    const pending = blockchain.pendingTransactions.filter(trans => trans.type === 'vote' || trans.type === 'participation').length;
+
+    const attributeNames = Array.from(new Set(voters.flatMap(voter => Object.keys(voter.attributes)))).sort();
+    const breakdowns = attributeNames.map(attribute => {
+        const groups = new Map();
+        for (const voter of eligibleVoters) {
+            const value = voter.attributes[attribute] ?? null;
+            if (!groups.has(value)) {
+                groups.set(value, { value, registered: 0, voted: 0, rate: null, votes: isOpenBallot ? {} : null });
+            }
+            const group = groups.get(value);
+            group.registered++;
+            const vote = votes.get(voter.voterId);
+            if (vote) {
+                group.voted++;
+                if (group.votes) {
+                    vote.choices.forEach(candidateId => { group.votes[candidateId] = (group.votes[candidateId] || 0) + 1; });
+                }
+            }
+        }
+        const sorted = Array.from(groups.values()).sort(compareGroups);
+        sorted.forEach(group => { group.rate = getRate(group.voted, group.registered); });
+        return { attribute, groups: sorted };
+    });
+
+    const voted = eligibleVoters.filter(voter => votes.has(voter.voterId)).length;
+    return {
+        electionId: blockchain.electionId,
+        generatedAt: new Date().toISOString(),
+        turnout: {
+            registered: voters.length,
+            eligible: eligibleVoters.length,
+            voted,
+            pending,
+            rate: getRate(voted, eligibleVoters.length)
+        },
+        votesOverTime: getVotesOverTime(Array.from(votes.values(), vote => vote.time), bucketMinutes),
+        breakdowns
+    };
+};
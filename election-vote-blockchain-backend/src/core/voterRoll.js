@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Voter roll records: checking imported rows, reading and writing the roll as CSV
+ * or JSON, and matching a voter's attributes against an election's eligibility rules.
+ *
+ * A voter record is { voterId, publicKey, attributes }. Attributes are free-form strings such as
+ * a district or precinct. In CSV files they are plain columns next to `voterId` and `publicKey`
+ * (`voterId,publicKey,district,precinct`); JSON imports accept them as top-level fields or in `attributes`.
+ */
+
+import { parseVoterPublicKey } from './ballotSignature.js';
+
+// Formats the roll can be exported in
+export const VOTER_ROLL_FORMATS = ['csv', 'json'];
+
+const RESERVED_COLUMNS = ['voterId', 'publicKey', 'attributes'];
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+
+/**
+ * Checks and cleans a voter's attributes. Values are kept as trimmed strings; empty values are dropped.
+ * @param {object} [attributes] - Attribute name -> value.
+ * @returns {Object<string, string>} The cleaned attributes.
+ * @throws {Error} If an attribute name is invalid or a value is not a string or number.
+ */
+export const normalizeVoterAttributes = (attributes = {}) => {
+    if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes)) {
+        throw new Error('Voter attributes must be an object of names and values.');
+    }
+    const normalized = {};
+    for (const [name, value] of Object.entries(attributes)) {
+        if (!ATTRIBUTE_NAME_PATTERN.test(name) || RESERVED_COLUMNS.includes(name)) {
+            throw new Error(`'${name}' is not a valid attribute name (letters, digits, '_' or '-', starting with a letter).`);
+        }
+        if (value === null || value === undefined) continue;
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw new Error(`Attribute '${name}' must be a string.`);
+        }
+        const text = String(value).trim();
+        if (text !== '') {
+            normalized[name] = text;
+        }
+    }
+    return normalized;
+};
+
+/**
+ * Turns one imported row into a voter record.
+ * @param {object} row - { voterId, publicKey?, attributes?, ...otherAttributes }.
+ * @returns {object} The record ({ voterId, publicKey, attributes }).
+ * @throws {Error} If the voter ID is missing or the public key or attributes are invalid.
+ */
+export const normalizeVoterRow = (row) => {
+    if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+        throw new Error('Each voter must be an object.');
+    }
+    const { voterId, publicKey, attributes = {}, ...columns } = row;
+    const id = typeof voterId === 'string' || typeof voterId === 'number' ? String(voterId).trim() : '';
+    if (!id) {
+        throw new Error('voterId is required.');
+    }
+    const key = typeof publicKey === 'string' && publicKey.trim() ? publicKey.trim() : null;
+    if (key) {
+        parseVoterPublicKey(key); // Throws if invalid
+    }
+    return { voterId: id, publicKey: key, attributes: normalizeVoterAttributes({ ...columns, ...attributes }) };
+};
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may hold commas, quotes and line breaks).
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows, blank lines skipped.
+ * @throws {Error} If a quoted field is not closed.
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a byte order mark
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('The CSV file ends inside a quoted field.');
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+};
+
+/**
+ * Reads an uploaded voter roll and checks every row on its own, so one bad row does not stop the rest.
+ * @param {string|Array<object>|object} input - CSV text with a header row, a JSON array of voters, or { voters: [...] }.
+ * @returns {Array<{ row: number, voterId: string|null, record: object|null, error: string|null }>} One entry per
+ * row (numbered from 1, header excluded), with the voter ID as far as it could be read.
+ * @throws {Error} If the input is neither CSV nor a list of voters, or the CSV has no voterId column.
+ */
+export const readVoterRows = (input) => {
+    let rows;
+    if (typeof input === 'string') {
+        const [header = [], ...lines] = parseCsv(input);
+        const columns = header.map(column => column.trim());
+        if (!columns.includes('voterId')) {
+            throw new Error('The CSV header must include a voterId column.');
+        }
+        rows = lines.map(fields => fields.length === columns.length
+            ? Object.fromEntries(columns.map((column, i) => [column, fields[i]]))
+            : new Error(`The row has ${fields.length} fields; the header has ${columns.length}.`));
+    } else if (Array.isArray(input) || (input && Array.isArray(input.voters))) {
+        rows = Array.isArray(input) ? input : input.voters;
+    } else {
+        throw new Error('Send the voter roll as CSV (Content-Type: text/csv) or as a JSON array of voters.');
+    }
+
+    return rows.map((fields, i) => {
+        const voterId = fields && typeof fields.voterId === 'string' ? fields.voterId.trim() || null : null;
+        try {
+            if (fields instanceof Error) throw fields;
+            const record = normalizeVoterRow(fields);
+            return { row: i + 1, voterId: record.voterId, record, error: null };
+        } catch (error) {
+            return { row: i + 1, voterId, record: null, error: error.message };
+        }
+    });
+};
+
+/**
+ * Quotes a CSV field if it holds a comma, quote or line break.
+ * @param {string} value - The field.
+ * @returns {string} The CSV-safe field.
+ */
+export const toCsvField = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Writes voter records as CSV, one column per attribute found on any voter.
+ * @param {Array<object>} voters - The records ({ voterId, publicKey, attributes }).
+ * @returns {string} The CSV text, header first.
+ */
+export const formatVoterCsv = (voters) => {
+    const attributeNames = Array.from(new Set(voters.flatMap(voter => Object.keys(voter.attributes)))).sort();
+    const lines = [['voterId', 'publicKey', ...attributeNames].join(',')];
+    for (const { voterId, publicKey, attributes } of voters) {
+        lines.push([voterId, publicKey || '', ...attributeNames.map(name => attributes[name] || '')].map(toCsvField).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Checks and cleans an election's eligibility rules: attribute name -> the values allowed to vote.
+ * An empty object lets every registered voter vote.
+ * @param {object} eligibility - The rules, e.g. { district: ['north', 'east'] }.
+ * @returns {Object<string, Array<string>>} The cleaned rules.
+ * @throws {Error} If a rule is not a non-empty list of values.
+ */
+export const normalizeEligibility = (eligibility) => {
+    if (typeof eligibility !== 'object' || eligibility === null || Array.isArray(eligibility)) {
+        throw new Error('Eligibility must be an object of attribute names and allowed values.');
+    }
+    const normalized = {};
+    for (const [name, values] of Object.entries(eligibility)) {
+        if (!ATTRIBUTE_NAME_PATTERN.test(name) || RESERVED_COLUMNS.includes(name)) {
+            throw new Error(`'${name}' is not a valid attribute name (letters, digits, '_' or '-', starting with a letter).`);
+        }
+        const allowed = Array.isArray(values) ? values.map(value => String(value).trim()).filter(Boolean) : [];
+        if (allowed.length === 0) {
+            throw new Error(`Eligibility for '${name}' must list at least one allowed value.`);
+        }
+        normalized[name] = Array.from(new Set(allowed));
+    }
+    return normalized;
+};
+
+/**
+ * Checks a voter's attributes against an election's eligibility rules.
+ * @param {Object<string, Array<string>>} eligibility - The election's rules.
+ * @param {object} voter - The voter's record.
+ * @returns {string|null} Why the voter may not vote in this election, or null if they may.
+ */
+export const getEligibilityError = (eligibility, voter) => {
+    const attributes = voter.attributes || {};
+    for (const [name, allowed] of Object.entries(eligibility)) {
+        if (!allowed.includes(attributes[name])) {
+            return `${name} must be one of: ${allowed.join(', ')}`;
+        }
+    }
+    return null;
+};
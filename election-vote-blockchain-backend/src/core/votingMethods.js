@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Voting methods: what a ballot looks like under each method and how ballots are
+ * counted. A plurality ballot names one candidate (`candidateId`); every other ballot lists
+ * candidate IDs in `choices`, as a set for approval voting and in order of preference for
+ * instant runoff and STV. Counting is deterministic so every node reaches the same result.
+ *
+ * Ties are broken the same way everywhere: between winners, the candidate listed first in the
+ * election wins; between candidates to eliminate, the one with fewer votes in the most recent
+ * earlier round where they differ goes first, and failing that the one listed last.
+ */
+
+/**
+ * Voting methods an election can use.
+ * - 'plurality': one candidate per ballot; the most votes win.
+ * - 'approval': any number of candidates per ballot; the most approvals win.
+ * - 'irv': ranked ballots, instant runoff; the last-placed candidate is eliminated until one has a majority.
+ * - 'stv': ranked ballots, single transferable vote for several seats (Droop quota, fractional surplus transfer).
+ */
+export const VOTING_METHODS = ['plurality', 'approval', 'irv', 'stv'];
+
+// Methods whose ballots list candidates in order of preference
+export const RANKED_METHODS = ['irv', 'stv'];
+
+// Methods that can fill more than one seat
+export const MULTI_SEAT_METHODS = ['approval', 'stv'];
+
+// Transfer values are kept exact while counting and rounded only for display
+const roundVotes = (votes) => Math.round(votes * 10000) / 10000;
+
+/**
+ * Checks a voting method and seat count.
+ * @param {string} votingMethod - One of VOTING_METHODS.
+ * @param {number} seats - The number of seats to fill.
+ * @throws {Error} If the method is unknown or the seat count does not fit it.
+ */
+export const validateVotingMethod = (votingMethod, seats) => {
+    if (!VOTING_METHODS.includes(votingMethod)) {
+        throw new Error(`Voting method must be one of: ${VOTING_METHODS.join(', ')}.`);
+    }
+    if (!Number.isInteger(seats) || seats < 1) {
+        throw new Error('Seats must be a positive integer.');
+    }
+    if (seats > 1 && !MULTI_SEAT_METHODS.includes(votingMethod)) {
+        throw new Error(`The '${votingMethod}' voting method fills a single seat. Use ${MULTI_SEAT_METHODS.join(' or ')} for more.`);
+    }
+};
+
+/**
+ * Checks that a ballot's selection has the shape its voting method expects.
+ * @param {string} votingMethod - The election's voting method.
+ * @param {object} ballot - The ballot or transaction, with `candidateId` or `choices`.
+ * @param {Set<string>} candidateIds - The election's candidate IDs.
+ * @returns {string|null} What is wrong with the selection, or null if it is valid.
+ */
+export const getBallotSelectionError = (votingMethod, { candidateId, choices }, candidateIds) => {
+    if (votingMethod === 'plurality') {
+        if (choices !== undefined) {
+            return 'plurality ballots name one candidate in candidateId, not a list of choices';
+        }
+        if (!candidateId) {
+            return 'candidateId is required';
+        }
+        return candidateIds.has(candidateId) ? null : `candidate '${candidateId}' not found`;
+    }
+    if (candidateId !== undefined) {
+        return `'${votingMethod}' ballots list candidates in choices, not candidateId`;
+    }
+    if (!Array.isArray(choices) || choices.length === 0) {
+        return RANKED_METHODS.includes(votingMethod)
+            ? 'choices must list at least one candidate, in order of preference'
+            : 'choices must list at least one approved candidate';
+    }
+    if (choices.some(choice => typeof choice !== 'string')) {
+        return 'choices must be candidate IDs';
+    }
+    const unknown = choices.find(choice => !candidateIds.has(choice));
+    if (unknown !== undefined) {
+        return `candidate '${unknown}' not found`;
+    }
+    if (new Set(choices).size !== choices.length) {
+        return 'choices must not name a candidate twice';
+    }
+    return null;
+};
+
+/**
+ * The candidates a recorded ballot selects.
+ * @param {object} transaction - A 'vote' or 'ballot' transaction.
+ * @returns {Array<string>} The candidate IDs, in order of preference for ranked ballots.
+ */
+export const getBallotChoices = (transaction) =>
+    Array.isArray(transaction.choices) ? transaction.choices : [transaction.candidateId];
+
+/**
+ * Counts one vote per ballot for its first choice, or one per approved candidate.
+ * @param {Array<Array<string>>} ballots - The ballots' choices.
+ * @param {Array<string>} candidateIds - Every candidate ID, in election order.
+ * @param {boolean} countsEveryChoice - True for approval voting.
+ * @returns {Object<string, number>} Votes per candidate.
+ */
+const countSingleRound = (ballots, candidateIds, countsEveryChoice) => {
+    const tallies = Object.fromEntries(candidateIds.map(id => [id, 0]));
+    for (const choices of ballots) {
+        for (const choice of countsEveryChoice ? choices : choices.slice(0, 1)) {
+            tallies[choice]++;
+        }
+    }
+    return tallies;
+};
+
+/**
+ * Picks the candidate to eliminate: the fewest votes now, then the fewest in the most recent
+ * earlier round where the tied candidates differ, then the one listed last.
+ * @param {Array<string>} continuing - Continuing candidate IDs, in election order.
+ * @param {Array<object>} rounds - The rounds so far, the current one last.
+ * @returns {string} The candidate ID.
+ */
+const pickElimination = (continuing, rounds) => {
+    let tied = [...continuing];
+    for (let r = rounds.length - 1; r >= 0 && tied.length > 1; r--) {
+        const lowest = Math.min(...tied.map(id => rounds[r].tallies[id]));
+        tied = tied.filter(id => rounds[r].tallies[id] === lowest);
+    }
+    return tied[tied.length - 1];
+};
+
+/**
+ * Assigns each ballot to its highest-ranked continuing candidate and sums the weights.
+ * @param {Array<object>} ballots - Ballots as { choices, weight }.
+ * @param {Set<string>} continuing - Continuing candidate IDs.
+ * @returns {{ tallies: Object<string, number>, exhausted: number, assignments: Array<string|null> }}
+ * Votes per continuing candidate, the weight of ballots with no continuing choice, and each ballot's candidate.
+ */
+const countPreferences = (ballots, continuing) => {
+    const tallies = Object.fromEntries(Array.from(continuing, id => [id, 0]));
+    let exhausted = 0;
+    const assignments = ballots.map(ballot => {
+        const choice = ballot.choices.find(id => continuing.has(id)) ?? null;
+        if (choice === null) {
+            exhausted += ballot.weight;
+        } else {
+            tallies[choice] += ballot.weight;
+        }
+        return choice;
+    });
+    return { tallies, exhausted, assignments };
+};
+
+/**
+ * Instant runoff: eliminates the last-placed candidate until one holds a majority of the ballots still in play.
+ * @param {Array<Array<string>>} ballots - The ranked ballots.
+ * @param {Array<string>} candidateIds - Every candidate ID, in election order.
+ * @returns {{ rounds: Array<object>, winners: Array<string> }} The rounds and the winner.
+ */
+const tallyInstantRunoff = (ballots, candidateIds) => {
+    const weighted = ballots.map(choices => ({ choices, weight: 1 }));
+    const continuing = new Set(candidateIds);
+    const rounds = [];
+    while (continuing.size > 0) {
+        const { tallies, exhausted } = countPreferences(weighted, continuing);
+        const round = { round: rounds.length + 1, tallies, exhausted, elected: [], eliminated: [] };
+        rounds.push(round);
+        const active = weighted.length - exhausted;
+        if (active === 0) {
+            break; // Every ballot is exhausted; no candidate can win
+        }
+        const order = candidateIds.filter(id => continuing.has(id));
+        const leader = order.reduce((best, id) => (tallies[id] > tallies[best] ? id : best));
+        if (tallies[leader] * 2 > active || continuing.size === 1) {
+            round.elected.push(leader);
+            return { rounds, winners: [leader] };
+        }
+        const eliminated = pickElimination(order, rounds);
+        round.eliminated.push(eliminated);
+        continuing.delete(eliminated);
+    }
+    return { rounds, winners: [] };
+};
+
+/**
+ * Single transferable vote: candidates reaching the Droop quota are elected and their surplus is
+ * passed on at a reduced weight; otherwise the last-placed candidate is eliminated and their
+ * ballots passed on at full weight.
+ * @param {Array<Array<string>>} ballots - The ranked ballots.
+ * @param {Array<string>} candidateIds - Every candidate ID, in election order.
+ * @param {number} seats - The number of seats.
+ * @returns {{ rounds: Array<object>, winners: Array<string>, quota: number }} The rounds, winners in order of election, and the quota.
+ */
+const tallySingleTransferableVote = (ballots, candidateIds, seats) => {
+    const weighted = ballots.map(choices => ({ choices, weight: 1 }));
+    const quota = Math.floor(ballots.length / (seats + 1)) + 1;
+    const continuing = new Set(candidateIds);
+    const winners = [];
+    const rounds = [];
+    while (winners.length < seats && continuing.size > 0) {
+        const { tallies, exhausted, assignments } = countPreferences(weighted, continuing);
+        const round = { round: rounds.length + 1, tallies, exhausted, elected: [], eliminated: [] };
+        rounds.push(round);
+        const order = candidateIds.filter(id => continuing.has(id));
+        const byVotes = [...order].sort((a, b) => tallies[b] - tallies[a]); // Stable: ties keep election order
+
+        if (continuing.size <= seats - winners.length) {
+            round.elected.push(...byVotes); // Every remaining candidate fills a remaining seat
+            winners.push(...byVotes);
+            break;
+        }
+        const reached = byVotes.filter(id => tallies[id] >= quota).slice(0, seats - winners.length);
+        if (reached.length > 0) {
+            for (const id of reached) {
+                const transferValue = (tallies[id] - quota) / tallies[id];
+                weighted.forEach((ballot, i) => {
+                    if (assignments[i] === id) ballot.weight *= transferValue;
+                });
+                continuing.delete(id);
+            }
+            round.elected.push(...reached);
+            winners.push(...reached);
+        } else {
+            const eliminated = pickElimination(order, rounds);
+            round.eliminated.push(eliminated);
+            continuing.delete(eliminated);
+        }
+    }
+    return { rounds, winners, quota };
+};
+
+/**
+ * Counts ballots with an election's voting method.
+ * @param {string} votingMethod - One of VOTING_METHODS.
+ * @param {Array<Array<string>>} ballots - Each ballot's choices (see getBallotChoices), valid candidates only.
+ * @param {Array<string>} candidateIds - Every candidate ID, in election order.
+ * @param {number} [seats=1] - The number of seats.
+ * @returns {{ rounds: Array<object>, winners: Array<string>, quota: number|null }} Every round as
+ * { round, tallies, exhausted, elected, eliminated }, the winners, and the STV quota (null for other methods).
+ */
+export const tallyBallots = (votingMethod, ballots, candidateIds, seats = 1) => {
+    const counted = ballots.filter(choices => choices.length > 0);
+    if (counted.length === 0) {
+        return { rounds: [], winners: [], quota: null };
+    }
+    let outcome;
+    if (votingMethod === 'irv') {
+        outcome = { ...tallyInstantRunoff(counted, candidateIds), quota: null };
+    } else if (votingMethod === 'stv') {
+        outcome = tallySingleTransferableVote(counted, candidateIds, seats);
+    } else {
+        const tallies = countSingleRound(counted, candidateIds, votingMethod === 'approval');
+        const winners = [...candidateIds].sort((a, b) => tallies[b] - tallies[a]).filter(id => tallies[id] > 0).slice(0, seats);
+        outcome = { rounds: [{ round: 1, tallies, exhausted: 0, elected: winners, eliminated: [] }], winners, quota: null };
+    }
+    for (const round of outcome.rounds) {
+        round.tallies = Object.fromEntries(Object.entries(round.tallies).map(([id, votes]) => [id, roundVotes(votes)]));
+        round.exhausted = roundVotes(round.exhausted);
+    }
+    return outcome;
+};
+
+/**
+ * Counts every ballot recorded on a chain: open votes and anonymous ballots, valid candidates only.
+ * Used for the live results and to recount a certified result from an exported chain.
+ * When revoting is allowed, only each voter's last vote on the chain counts; earlier ones stay on
+ * the chain as history.
+ * @param {Array<object>} chain - The blocks.
+ * @param {object} election - The election's setup.
+ * @param {Array<object>} election.candidates - The candidates ({ id, name }), in election order.
+ * @param {string} election.votingMethod - One of VOTING_METHODS.
+ * @param {number} election.seats - The number of seats.
+ * @param {boolean} [election.allowRevoting=false] - Whether a later vote replaces a voter's earlier one.
+ * @returns {object} { votingMethod, seats, ballotCount, quota, results, rounds, winners }: `results` maps
+ * candidate IDs to { name, votes } with first-round votes (approvals for approval voting), `rounds`
+ * lists every counting round (see tallyBallots) and `winners` the elected candidate IDs.
+ */
+export const countChainBallots = (chain, { candidates, votingMethod, seats, allowRevoting = false }) => {
+    const candidateIds = candidates.map(candidate => candidate.id);
+    const knownIds = new Set(candidateIds);
+    const transactions = chain.flatMap(block => (Array.isArray(block.data) ? block.data : []));
+    const votes = transactions.filter(trans => trans.type === 'vote');
+    const countedVotes = allowRevoting ? Array.from(new Map(votes.map(trans => [trans.voterId, trans])).values()) : votes;
+    const ballots = countedVotes
+        .concat(transactions.filter(trans => trans.type === 'ballot'))
+        .map(trans => [...new Set(getBallotChoices(trans))].filter(id => knownIds.has(id)))
+        .filter(choices => choices.length > 0);
+    const { rounds, winners, quota } = tallyBallots(votingMethod, ballots, candidateIds, seats);
+
+    const firstRound = rounds.length > 0 ? rounds[0].tallies : {};
+    const results = {};
+    candidates.forEach(candidate => {
+        results[candidate.id] = { name: candidate.name, votes: firstRound[candidate.id] || 0 };
+    });
+    return { votingMethod, seats, ballotCount: ballots.length, quota, results, rounds, winners };
+};
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Connects this node to other nodes running the same elections.
+ * A peer is another node's base URL. Blocks added to any election and ballots accepted by this
+ * node are broadcast to every peer. A node that receives a block it cannot attach, or that was
+ * offline, resyncs: it asks each peer how much work its chains hold and adopts any chain with
+ * more work that passes the audit (see Blockchain.replaceChain). Every request carries the shared peer secret,
+ * which peers require on their node-to-node routes.
+ */
+
+import { getChainWork } from '../core/difficulty.js';
+
+// Header carrying the shared peer secret on node-to-node requests
+export const PEER_SECRET_HEADER = 'X-Peer-Secret';
+
+// Only voters' transactions and credit transfers are relayed; every node creates its own mining rewards
+const RELAYED_TRANSACTION_TYPES = ['vote', 'participation', 'ballot', 'transfer'];
+
+/**
+ * Whether a peer's chain of an election holds more work than this node's, from the peer's summary
+ * of the election. Peers running a version without `chainWork` are compared by length.
+ * @param {object} summary - The peer's summary (see Blockchain.getSummary).
+ * @param {import('../core/blockchain.js').Blockchain} election - The local election.
+ * @returns {boolean} True if the peer's chain is worth downloading.
+ */
+const hasMoreWork = (summary, election) => Boolean(summary) && (typeof summary.chainWork === 'number'
+    ? summary.chainWork > getChainWork(election.chain)
+    : summary.chainLength > election.chain.length);
+
+/**
+ * Validates a peer URL and returns it without a trailing slash.
+ * @param {string} url - The peer's base URL, e.g. http://localhost:3002.
+ * @returns {string} The normalized URL.
+ * @throws {Error} If the URL is not an http(s) URL.
+ */
+export const normalizePeerUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (error) {
+        throw new Error(`Invalid peer URL '${url}'.`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Peer URL must start with http:// or https://.');
+    }
+    return parsed.origin + parsed.pathname.replace(/\/+$/, '');
+};
+
+/**
+ * Keeps the peer list, relays blocks and ballots, and resyncs elections from peers.
+ */
+export class PeerNetwork {
+    /**
+     * @param {import('../core/electionRegistry.js').ElectionRegistry} registry - The elections of this node.
+     * @param {object} [options] - Network settings.
+     * @param {string|null} [options.nodeUrl=null] - This node's own base URL, announced to peers so they connect back.
+     * @param {Array<string>} [options.peers=[]] - Peers to connect to at startup.
+     * @param {string|null} [options.peerSecret=null] - Secret shared by every node of the network (PEER_SECRET), sent with
+     * each request and required on this node's node-to-node routes.
+     * @param {number} [options.syncIntervalMs=30000] - How often to resync with every peer.
+     * @param {number} [options.requestTimeoutMs=5000] - Timeout of each request to a peer.
+     */
+    constructor(registry, { nodeUrl = null, peers = [], peerSecret = null, syncIntervalMs = 30000, requestTimeoutMs = 5000 } = {}) {
+        this.registry = registry;
+        this.nodeUrl = nodeUrl ? normalizePeerUrl(nodeUrl) : null;
+        this.peerSecret = peerSecret;
+        this.syncIntervalMs = syncIntervalMs;
+        this.requestTimeoutMs = requestTimeoutMs;
+        this.peers = new Map(); // url -> { url, addedAt, lastSeenAt, lastError }
+        this.syncs = new Map(); // electionId -> running sync, so a burst of stray blocks triggers one resync
+        this.syncTimer = null;
+        for (const url of peers) {
+            this.registerPeer(normalizePeerUrl(url));
+        }
+    }
+
+    /**
+     * Starts relaying every election's blocks and ballots, and resyncs now and then periodically.
+     */
+    start() {
+        this.registry.getElections().forEach(election => this.attach(election));
+        this.registry.events.on('electionAdded', election => this.attach(election));
+        this.syncTimer = setInterval(() => this.syncAll(), this.syncIntervalMs);
+        this.syncAll(); // Catch up on anything missed while this node was offline
+    }
+
+    /**
+     * Stops the periodic resync.
+     */
+    stop() {
+        clearInterval(this.syncTimer);
+        this.syncTimer = null;
+    }
+
+    /**
+     * Relays an election's new blocks and accepted ballots to every peer.
+     * @param {import('../core/blockchain.js').Blockchain} election - The election.
+     */
+    attach(election) {
+        const basePath = `/elections/${election.electionId}/peer`;
+        election.events.on('blockAdded', (block) => this.broadcast(`${basePath}/blocks`, { block }));
+        election.events.on('transactionAdded', (transaction) => {
+            if (RELAYED_TRANSACTION_TYPES.includes(transaction.type)) {
+                this.broadcast(`${basePath}/transactions`, { transaction });
+            }
+        });
+    }
+
+    /**
+     * Lists the known peers.
+     * @returns {Array<object>} { url, addedAt, lastSeenAt, lastError } for every peer.
+     */
+    getPeers() {
+        return Array.from(this.peers.values());
+    }
+
+    /**
+     * Adds a peer, announces this node to it and syncs with it.
+     * @param {string} url - The peer's base URL.
+     * @returns {boolean} True if the peer is new, false if it was already known.
+     * @throws {Error} If the URL is invalid or is this node's own URL.
+     */
+    addPeer(url) {
+        const peerUrl = normalizePeerUrl(url);
+        if (peerUrl === this.nodeUrl) {
+            throw new Error('A node cannot be its own peer.');
+        }
+        if (this.peers.has(peerUrl)) {
+            return false;
+        }
+        this.registerPeer(peerUrl);
+        this.syncWithPeer(peerUrl).catch(error => console.warn(`Sync with peer ${peerUrl} failed: ${error.message}`));
+        return true;
+    }
+
+    /**
+     * Records a peer in the peer list.
+     * @param {string} peerUrl - The normalized peer URL.
+     */
+    registerPeer(peerUrl) {
+        this.peers.set(peerUrl, { url: peerUrl, addedAt: new Date().toISOString(), lastSeenAt: null, lastError: null });
+        console.log(`Peer added: ${peerUrl}`);
+    }
+
+    /**
+     * Sends a request to a peer and records whether it answered.
+     * @param {string} peerUrl - The peer URL.
+     * @param {string} path - The path, starting with '/'.
+     * @param {object} [body] - JSON body; the request is a POST when given, a GET otherwise.
+     * @returns {Promise<{ ok: boolean, status: number, payload: any }|null>} The response, or null if the peer is unreachable.
+     */
+    async request(peerUrl, path, body = undefined) {
+        const peer = this.peers.get(peerUrl);
+        const headers = this.peerSecret ? { [PEER_SECRET_HEADER]: this.peerSecret } : {};
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        try {
+            const response = await fetch(peerUrl + path, {
+                method: body === undefined ? 'GET' : 'POST',
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(this.requestTimeoutMs)
+            });
+            const payload = await response.json().catch(() => null);
+            if (peer) {
+                peer.lastSeenAt = new Date().toISOString();
+                peer.lastError = response.ok ? null : `${response.status}: ${payload && payload.message}`;
+            }
+            return { ok: response.ok, status: response.status, payload };
+        } catch (error) {
+            if (peer) {
+                peer.lastError = error.message;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Posts the same message to every peer without waiting for the answers.
+     * @param {string} path - The path, starting with '/'.
+     * @param {object} body - The JSON body.
+     */
+    broadcast(path, body) {
+        for (const peerUrl of this.peers.keys()) {
+            this.request(peerUrl, path, body).then(response => {
+                if (!response) {
+                    console.warn(`Peer ${peerUrl} is unreachable (${path}).`);
+                } else if (!response.ok) {
+                    console.warn(`Peer ${peerUrl} rejected ${path}: ${response.payload && response.payload.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Resyncs every election with every peer. A failed sync with one peer is logged and the next peer is tried.
+     * @returns {Promise<void>} Never rejects.
+     */
+    async syncAll() {
+        for (const peerUrl of Array.from(this.peers.keys())) {
+            try {
+                await this.syncWithPeer(peerUrl);
+            } catch (error) {
+                console.warn(`Sync with peer ${peerUrl} failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Announces this node to a peer (so it connects back), then adopts any of the peer's
+     * elections this node lacks (if their chains pass the checks) and any chains with more work it has.
+     * @param {string} peerUrl - The peer URL.
+     * @returns {Promise<void>}
+     */
+    async syncWithPeer(peerUrl) {
+        if (this.nodeUrl) {
+            await this.request(peerUrl, '/peers', { url: this.nodeUrl });
+        }
+        const response = await this.request(peerUrl, '/elections');
+        if (!response || !response.ok || !Array.isArray(response.payload)) {
+            console.warn(`Could not list the elections of peer ${peerUrl}.`);
+            return;
+        }
+        for (const summary of response.payload) {
+            if (!summary || typeof summary.id !== 'string' || !summary.id) {
+                console.warn(`Peer ${peerUrl} listed an election without an ID.`);
+                continue;
+            }
+            const election = this.registry.getElection(summary.id);
+            if (!election) {
+                await this.addElectionFromPeer(summary.id, peerUrl);
+            } else if (hasMoreWork(summary, election)) {
+                await this.adoptChainFromPeer(election, peerUrl);
+            }
+        }
+    }
+
+    /**
+     * Downloads the chain and setup of an election this node lacks and adds the election if the chain passes the checks.
+     * @param {string} electionId - The election ID.
+     * @param {string} peerUrl - The peer URL.
+     * @returns {Promise<boolean>} True if the election was added.
+     */
+    async addElectionFromPeer(electionId, peerUrl) {
+        const response = await this.request(peerUrl, `/elections/${encodeURIComponent(electionId)}/peer/chain`);
+        if (!response || !response.ok || !response.payload) {
+            console.warn(`Could not download the chain of election '${electionId}' from peer ${peerUrl}.`);
+            return false;
+        }
+        try {
+            await this.registry.addPeerElection(electionId, response.payload.chain, response.payload.setup);
+            return true;
+        } catch (error) {
+            console.warn(`Could not add election '${electionId}' from peer ${peerUrl}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Resyncs one election with every peer, e.g. after receiving a block that does not extend
+     * this chain. Calls made while a resync of the election is running share it.
+     * @param {string} electionId - The election ID.
+     * @returns {Promise<void>} Never rejects: a failed resync is logged.
+     */
+    syncElection(electionId) {
+        if (!this.syncs.has(electionId)) {
+            const sync = (async () => {
+                const election = this.registry.getElection(electionId);
+                for (const peerUrl of Array.from(this.peers.keys())) {
+                    const response = await this.request(peerUrl, `/elections/${electionId}`);
+                    if (election && response && response.ok && hasMoreWork(response.payload, election)) {
+                        await this.adoptChainFromPeer(election, peerUrl);
+                    }
+                }
+            })()
+                .catch(error => console.warn(`Resync of election '${electionId}' failed: ${error.message}`))
+                .finally(() => this.syncs.delete(electionId));
+            this.syncs.set(electionId, sync);
+        }
+        return this.syncs.get(electionId);
+    }
+
+    /**
+     * Downloads a peer's chain and election setup and switches to them if the chain holds more work and is valid.
+     * @param {import('../core/blockchain.js').Blockchain} election - The local election.
+     * @param {string} peerUrl - The peer URL.
+     * @returns {Promise<boolean>} True if this node switched to the peer's chain.
+     */
+    async adoptChainFromPeer(election, peerUrl) {
+        const response = await this.request(peerUrl, `/elections/${election.electionId}/peer/chain`);
+        if (!response || !response.ok || !response.payload) {
+            console.warn(`Could not download the chain of election '${election.electionId}' from peer ${peerUrl}.`);
+            return false;
+        }
+        try {
+            const replaced = await election.replaceChain(response.payload.chain, response.payload.setup);
+            if (replaced) {
+                console.log(`Election '${election.electionId}' resynced from peer ${peerUrl}.`);
+            }
+            return replaced;
+        } catch (error) {
+            console.warn(`Chain of election '${election.electionId}' from peer ${peerUrl} rejected: ${error.message}`);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Local file implementation of the storage adapter.
+ * Blocks are appended to a JSON Lines file and only rewritten when the node adopts a
+ * peer's chain, which makes the store suitable for offline or air-gapped counting machines.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { StorageAdapter, DEFAULT_ELECTION_ID } from './storageAdapter.js';
+
+const BLOCKS_FILE = 'blocks.jsonl';
+const STATE_FILE = 'election_state.json';
+const INDEX_FILE = 'elections.json';
+const MEMPOOL_FILE = 'mempool.jsonl';
+const VOTERS_FILE = 'voters.jsonl';
+
+/**
+ * Stores blocks in `<directory>/blocks.jsonl` (one block per line, appended; rewritten atomically on a chain switch),
+ * the election state in `<directory>/election_state.json` and pending transactions in
+ * `<directory>/mempool.jsonl` (appended on accept, rewritten once mined) and the voter roll in
+ * `<directory>/voters.jsonl` (voter records and removals appended; the last line for a voter wins). The default election
+ * uses the root data directory; every other election gets `<root>/elections/<electionId>/`.
+ */
+export class FileStorage extends StorageAdapter {
+    /**
+     * @param {string} rootDirectory - The root data directory. Created if missing.
+     * @param {string} [electionId] - The election this adapter reads and writes.
+     */
+    constructor(rootDirectory, electionId = DEFAULT_ELECTION_ID) {
+        super('Local file', electionId);
+        this.rootDirectory = rootDirectory;
+        this.directory = electionId === DEFAULT_ELECTION_ID
+            ? rootDirectory
+            : path.join(rootDirectory, 'elections', electionId);
+        this.blocksPath = path.join(this.directory, BLOCKS_FILE);
+        this.statePath = path.join(this.directory, STATE_FILE);
+        this.indexPath = path.join(rootDirectory, INDEX_FILE);
+        this.mempoolPath = path.join(this.directory, MEMPOOL_FILE);
+        this.votersPath = path.join(this.directory, VOTERS_FILE);
+        this.mempoolWrites = Promise.resolve(); // Appends and rewrites of the mempool file run one at a time
+    }
+
+    forElection(electionId) {
+        return new FileStorage(this.rootDirectory, electionId);
+    }
+
+    async loadElectionIndex() {
+        const index = await this.readJson(this.indexPath);
+        return index ? index.electionIds : [];
+    }
+
+    async saveElectionIndex(electionIds) {
+        await this.writeJsonAtomically(this.indexPath, { electionIds });
+    }
+
+    async loadBlocks() {
+        return this.readJsonLines(this.blocksPath, 'block');
+    }
+
+    async saveBlock(block) {
+        await this.appendJsonLine(this.blocksPath, { ...block });
+    }
+
+    async replaceBlocks(blocks) {
+        await this.writeFileAtomically(this.blocksPath, blocks.map(block => JSON.stringify({ ...block }) + '\n').join(''));
+    }
+
+    async loadElectionState() {
+        return this.readJson(this.statePath);
+    }
+
+    async saveElectionState(state) {
+        await this.writeJsonAtomically(this.statePath, state);
+    }
+
+    async loadVoters() {
+        const voters = new Map();
+        for (const { voterId, removed, ...record } of await this.readJsonLines(this.votersPath, 'voter')) {
+            if (removed) {
+                voters.delete(voterId);
+            } else {
+                voters.set(voterId, { voterId, ...record });
+            }
+        }
+        return Array.from(voters.values());
+    }
+
+    async saveVoters(voters) {
+        await this.appendJsonLines(this.votersPath, voters);
+    }
+
+    async removeVoters(voterIds) {
+        await this.appendJsonLines(this.votersPath, voterIds.map(voterId => ({ voterId, removed: true })));
+    }
+
+    async replaceVoters(voters) {
+        await this.writeFileAtomically(this.votersPath, voters.map(voter => JSON.stringify(voter) + '\n').join(''));
+    }
+
+    async loadPendingTransactions() {
+        return this.readJsonLines(this.mempoolPath, 'pending transaction');
+    }
+
+    async appendPendingTransaction(id, transaction) {
+        await this.queueMempoolWrite(() => this.appendJsonLine(this.mempoolPath, { id, transaction }));
+    }
+
+    async removePendingTransactions(ids) {
+        await this.queueMempoolWrite(async () => {
+            const remaining = (await this.readJsonLines(this.mempoolPath, 'pending transaction')).filter(entry => !ids.includes(entry.id));
+            await this.writeFileAtomically(this.mempoolPath, remaining.map(entry => JSON.stringify(entry) + '\n').join(''));
+        });
+    }
+
+    /**
+     * Runs a mempool file write after the previous one, so a rewrite never drops a concurrent append.
+     * @param {Function} write - Async function performing the write.
+     * @returns {Promise<void>}
+     */
+    queueMempoolWrite(write) {
+        const result = this.mempoolWrites.then(write);
+        this.mempoolWrites = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Reads a JSON Lines file.
+     * @param {string} filePath - The file to read.
+     * @param {string} recordName - What a line holds (used in messages).
+     * @returns {Promise<Array<object>>} One object per line (empty if the file does not exist).
+     * @throws {Error} If a line other than the last one cannot be parsed.
+     */
+    async readJsonLines(filePath, recordName) {
+        let contents;
+        try {
+            contents = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const lines = contents.split('\n').filter(line => line.trim() !== '');
+        const records = [];
+        for (let i = 0; i < lines.length; i++) {
+            try {
+                records.push(JSON.parse(lines[i]));
+            } catch (error) {
+                // A torn final line means the process died mid-append; anything earlier is real corruption.
+                if (i === lines.length - 1) {
+                    console.warn(`Ignoring incomplete trailing ${recordName} record in ${filePath}.`);
+                    break;
+                }
+                throw new Error(`Corrupt ${recordName} record on line ${i + 1} of ${filePath}.`);
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Appends one JSON record to a JSON Lines file and flushes it to disk.
+     * @param {string} filePath - The file to append to.
+     * @param {object} value - The value to serialize.
+     * @returns {Promise<void>}
+     */
+    async appendJsonLine(filePath, value) {
+        await this.appendJsonLines(filePath, [value]);
+    }
+
+    /**
+     * Appends JSON records to a JSON Lines file in one write and flushes it to disk.
+     * @param {string} filePath - The file to append to.
+     * @param {Array<object>} values - The values to serialize, one per line.
+     * @returns {Promise<void>}
+     */
+    async appendJsonLines(filePath, values) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const handle = await fs.open(filePath, 'a');
+        try {
+            await handle.appendFile(values.map(value => JSON.stringify(value) + '\n').join(''), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Reads and parses a JSON file.
+     * @param {string} filePath - The file to read.
+     * @returns {Promise<object|null>} The parsed contents, or null if the file does not exist.
+     */
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Writes a JSON file through a temporary file and a rename, so a crash never leaves it half-written.
+     * @param {string} filePath - The file to write.
+     * @param {object} value - The value to serialize.
+     * @returns {Promise<void>}
+     */
+    async writeJsonAtomically(filePath, value) {
+        await this.writeFileAtomically(filePath, JSON.stringify(value, null, 2));
+    }
+
+    /**
+     * Writes a file through a temporary file and a rename, so a crash never leaves it half-written.
+     * @param {string} filePath - The file to write.
+     * @param {string} contents - The new contents.
+     * @returns {Promise<void>}
+     */
+    async writeFileAtomically(filePath, contents) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    }
+}
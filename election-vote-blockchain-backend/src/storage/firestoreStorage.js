@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Firestore implementation of the storage adapter.
+ * Uses the collections and documents set up by firebaseConfig.js.
+ */
+
+import { setDoc, getDocs, query, doc, getDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+import { db, blocksCollection, electionStateDocRef, electionIndexDocRef, mempoolCollection, votersCollection, getElectionRefs } from '../config/firebaseConfig.js';
+import { StorageAdapter, DEFAULT_ELECTION_ID } from './storageAdapter.js';
+
+// Firestore accepts at most 500 writes and 10 MiB per batch
+const MAX_BATCH_WRITES = 500;
+const MAX_BATCH_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Stores blocks as documents keyed by block hash, the election state as a single document,
+ * pending transactions as documents keyed by transaction ID and voters as documents keyed by voter ID.
+ * `initializeFirebaseAndFirestore()` must have completed before any method is called.
+ */
+export class FirestoreStorage extends StorageAdapter {
+    /**
+     * @param {string} [electionId] - The election this adapter reads and writes.
+     */
+    constructor(electionId = DEFAULT_ELECTION_ID) {
+        super('Firestore', electionId);
+    }
+
+    forElection(electionId) {
+        return new FirestoreStorage(electionId);
+    }
+
+    /**
+     * Resolves the Firestore references for this adapter's election.
+     * @returns {{ blocksCollection: object, electionStateDocRef: object, mempoolCollection: object, votersCollection: object }} The references.
+     * @throws {Error} If Firebase has not been initialized yet.
+     */
+    getRefs() {
+        if (!db || !blocksCollection || !electionStateDocRef) {
+            throw new Error('Firestore not initialized. Call initializeFirebaseAndFirestore() first.');
+        }
+        if (this.electionId === DEFAULT_ELECTION_ID) {
+            return { blocksCollection, electionStateDocRef, mempoolCollection, votersCollection };
+        }
+        return getElectionRefs(this.electionId);
+    }
+
+    async loadElectionIndex() {
+        this.getRefs();
+        const snapshot = await getDoc(electionIndexDocRef);
+        return snapshot.exists() ? snapshot.data().electionIds || [] : [];
+    }
+
+    async saveElectionIndex(electionIds) {
+        this.getRefs();
+        await setDoc(electionIndexDocRef, { electionIds, lastUpdated: Date.now().toString() });
+    }
+
+    async loadBlocks() {
+        const querySnapshot = await getDocs(query(this.getRefs().blocksCollection));
+        const blocks = [];
+        querySnapshot.forEach(snapshot => { blocks.push(snapshot.data()); });
+        return blocks;
+    }
+
+    async saveBlock(block) {
+        await setDoc(doc(this.getRefs().blocksCollection, block.hash), { ...block });
+    }
+
+    async replaceBlocks(blocks) {
+        const { blocksCollection: collectionRef } = this.getRefs();
+        const stored = await this.loadBlocks();
+        const storedHashes = new Set(stored.map(block => block.hash));
+        const newHashes = new Set(blocks.map(block => block.hash));
+        // Only the blocks that differ are written. A long chain takes several batches, so the new blocks
+        // go first and the old ones are deleted last: if the switch stops halfway, both chains are
+        // stored and the next load keeps the one with more work (see Blockchain.loadChainAndElectionStateFromDatabase).
+        await this.commitInBatches(
+            blocks.filter(block => !storedHashes.has(block.hash)),
+            (batch, block) => batch.set(doc(collectionRef, block.hash), { ...block }),
+            block => JSON.stringify(block).length
+        );
+        await this.commitInBatches(stored.filter(block => !newHashes.has(block.hash)), (batch, block) => batch.delete(doc(collectionRef, block.hash)));
+    }
+
+    async loadElectionState() {
+        const snapshot = await getDoc(this.getRefs().electionStateDocRef);
+        return snapshot.exists() ? snapshot.data() : null;
+    }
+
+    async saveElectionState(state) {
+        await setDoc(this.getRefs().electionStateDocRef, state);
+    }
+
+    async loadVoters() {
+        const querySnapshot = await getDocs(query(this.getRefs().votersCollection));
+        const voters = [];
+        querySnapshot.forEach(snapshot => { voters.push(snapshot.data()); });
+        return voters;
+    }
+
+    async saveVoters(voters) {
+        const { votersCollection: collectionRef } = this.getRefs();
+        await this.commitInBatches(voters, (batch, voter) => batch.set(doc(collectionRef, voter.voterId), voter));
+    }
+
+    async removeVoters(voterIds) {
+        const { votersCollection: collectionRef } = this.getRefs();
+        await this.commitInBatches(voterIds, (batch, voterId) => batch.delete(doc(collectionRef, voterId)));
+    }
+
+    async replaceVoters(voters) {
+        const newIds = new Set(voters.map(voter => voter.voterId));
+        const removed = (await this.loadVoters()).map(voter => voter.voterId).filter(voterId => !newIds.has(voterId));
+        await this.saveVoters(voters);
+        await this.removeVoters(removed);
+    }
+
+    /**
+     * Writes items in order, in batches of at most MAX_BATCH_WRITES documents and about MAX_BATCH_BYTES.
+     * @param {Array<*>} items - The items to write.
+     * @param {Function} write - Adds one item's write to a batch: (batch, item) => void.
+     * @param {Function} [getSize] - Estimated bytes of one item's write: (item) => number.
+     * @returns {Promise<void>}
+     */
+    async commitInBatches(items, write, getSize = () => 0) {
+        let batch = writeBatch(db);
+        let count = 0;
+        let size = 0;
+        for (const item of items) {
+            const itemSize = getSize(item);
+            if (count > 0 && (count >= MAX_BATCH_WRITES || size + itemSize > MAX_BATCH_BYTES)) {
+                await batch.commit();
+                batch = writeBatch(db);
+                count = 0;
+                size = 0;
+            }
+            write(batch, item);
+            count++;
+            size += itemSize;
+        }
+        if (count > 0) {
+            await batch.commit();
+        }
+    }
+
+    async loadPendingTransactions() {
+        const querySnapshot = await getDocs(query(this.getRefs().mempoolCollection));
+        const entries = [];
+        querySnapshot.forEach(snapshot => { entries.push(snapshot.data()); });
+        return entries.sort((a, b) => a.acceptedAt - b.acceptedAt);
+    }
+
+    async appendPendingTransaction(id, transaction) {
+        await setDoc(doc(this.getRefs().mempoolCollection, id), { id, transaction, acceptedAt: Date.now() });
+    }
+
+    async removePendingTransactions(ids) {
+        const { mempoolCollection: collectionRef } = this.getRefs();
+        await Promise.all(ids.map(id => deleteDoc(doc(collectionRef, id))));
+    }
+}
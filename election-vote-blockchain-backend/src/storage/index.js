@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Centralizes the available storage adapters and selects one from configuration.
+ */
+
+import { FirestoreStorage } from './firestoreStorage.js';
+import { FileStorage } from './fileStorage.js';
+import { MemoryStorage } from './memoryStorage.js';
+
+export { StorageAdapter, DEFAULT_ELECTION_ID } from './storageAdapter.js';
+export { KeyStore } from './keyStore.js';
+export { FirestoreStorage, FileStorage, MemoryStorage };
+
+/**
+ * Creates the storage adapter named by the configuration.
+ * @param {object} config - Storage configuration.
+ * @param {string} config.backend - One of 'firestore', 'file' or 'memory'.
+ * @param {string} [config.dataDir] - Directory used by the 'file' backend.
+ * @returns {import('./storageAdapter.js').StorageAdapter} The storage adapter instance.
+ * @throws {Error} If the backend name is unknown.
+ */
+export const createStorage = (config) => {
+    switch (config.backend) {
+        case 'firestore':
+            return new FirestoreStorage();
+        case 'file':
+            return new FileStorage(config.dataDir);
+        case 'memory':
+            return new MemoryStorage();
+        default:
+            throw new Error(`Unknown storage backend '${config.backend}'. Use 'firestore', 'file' or 'memory'.`);
+    }
+};
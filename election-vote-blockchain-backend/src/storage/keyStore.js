@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Local store for an election's private keys, kept apart from the storage backend.
+ * The election state is shared (on Firestore the web app can read it), so a private key in it
+ * would be public. Keys live instead in one file per election and key on the node's own disk,
+ * `<directory>/<electionId>.<name>.json`, readable only by the node's user. Only the node that
+ * generated a key holds it; other nodes know its public half from the chain.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Reads and writes private keys. Without a directory, keys are kept in process memory only,
+ * for tests and dry runs.
+ */
+export class KeyStore {
+    /**
+     * @param {string|null} [directory] - The key directory (SECRETS_DIR). Created with mode 0700 if missing.
+     */
+    constructor(directory = null) {
+        this.directory = directory;
+        this.keys = new Map();
+    }
+
+    /**
+     * Path of a key's file.
+     * @param {string} electionId - The election ID.
+     * @param {string} name - The key name, e.g. 'ballot-signing-key'.
+     * @returns {string} The file path.
+     */
+    getKeyPath(electionId, name) {
+        return path.join(this.directory, `${electionId}.${name}.json`);
+    }
+
+    /**
+     * Loads a key.
+     * @param {string} electionId - The election ID.
+     * @param {string} name - The key name.
+     * @returns {Promise<object|null>} The key, or null if this node does not hold it.
+     */
+    async load(electionId, name) {
+        if (!this.directory) {
+            const key = this.keys.get(`${electionId}.${name}`);
+            return key ? structuredClone(key) : null;
+        }
+        try {
+            return JSON.parse(await fs.readFile(this.getKeyPath(electionId, name), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Saves a key, readable only by this node's user.
+     * @param {string} electionId - The election ID.
+     * @param {string} name - The key name.
+     * @param {object} key - The key.
+     * @returns {Promise<void>}
+     */
+    async save(electionId, name, key) {
+        if (!this.directory) {
+            this.keys.set(`${electionId}.${name}`, structuredClone(key));
+            return;
+        }
+        await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        const keyPath = this.getKeyPath(electionId, name);
+        const temporaryPath = `${keyPath}.tmp`;
+        await fs.writeFile(temporaryPath, JSON.stringify(key), { mode: 0o600 });
+        await fs.rename(temporaryPath, keyPath);
+    }
+}
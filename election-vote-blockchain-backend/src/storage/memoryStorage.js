@@ -0,0 +1,85 @@
+/**
+ * @fileoverview In-memory implementation of the storage adapter.
+ * Nothing survives a restart; intended for tests, demos and CI runs.
+ */
+
+import { StorageAdapter, DEFAULT_ELECTION_ID } from './storageAdapter.js';
+
+/**
+ * Keeps blocks and election state in process memory.
+ * Values are deep-copied on the way in and out so callers cannot mutate stored data.
+ */
+export class MemoryStorage extends StorageAdapter {
+    /**
+     * @param {string} [electionId] - The election this adapter reads and writes.
+     * @param {object} [shared] - Data shared by every election scope of this store.
+     */
+    constructor(electionId = DEFAULT_ELECTION_ID, shared = { elections: new Map(), electionIds: [] }) {
+        super('In-memory', electionId);
+        this.shared = shared;
+        if (!shared.elections.has(electionId)) {
+            shared.elections.set(electionId, { blocks: [], electionState: null, mempool: [], voters: new Map() });
+        }
+        this.data = shared.elections.get(electionId);
+    }
+
+    forElection(electionId) {
+        return new MemoryStorage(electionId, this.shared);
+    }
+
+    async loadElectionIndex() {
+        return [...this.shared.electionIds];
+    }
+
+    async saveElectionIndex(electionIds) {
+        this.shared.electionIds = [...electionIds];
+    }
+
+    async loadBlocks() {
+        return this.data.blocks.map(block => structuredClone(block));
+    }
+
+    async saveBlock(block) {
+        this.data.blocks.push(structuredClone({ ...block }));
+    }
+
+    async replaceBlocks(blocks) {
+        this.data.blocks = blocks.map(block => structuredClone({ ...block }));
+    }
+
+    async loadElectionState() {
+        return this.data.electionState ? structuredClone(this.data.electionState) : null;
+    }
+
+    async saveElectionState(state) {
+        this.data.electionState = structuredClone(state);
+    }
+
+    async loadVoters() {
+        return Array.from(this.data.voters.values(), voter => structuredClone(voter));
+    }
+
+    async saveVoters(voters) {
+        voters.forEach(voter => this.data.voters.set(voter.voterId, structuredClone(voter)));
+    }
+
+    async removeVoters(voterIds) {
+        voterIds.forEach(voterId => this.data.voters.delete(voterId));
+    }
+
+    async replaceVoters(voters) {
+        this.data.voters = new Map(voters.map(voter => [voter.voterId, structuredClone(voter)]));
+    }
+
+    async loadPendingTransactions() {
+        return this.data.mempool.map(entry => structuredClone(entry));
+    }
+
+    async appendPendingTransaction(id, transaction) {
+        this.data.mempool.push(structuredClone({ id, transaction }));
+    }
+
+    async removePendingTransactions(ids) {
+        this.data.mempool = this.data.mempool.filter(entry => !ids.includes(entry.id));
+    }
+}
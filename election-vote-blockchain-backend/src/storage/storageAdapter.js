@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Defines the storage adapter interface used by the Blockchain class.
+ * Concrete adapters (Firestore, local file, in-memory) extend this class so the
+ * blockchain core never talks to a specific database directly.
+ */
+
+/**
+ * ID of the election that existed before multi-election support. Its data stays at the
+ * original single-election locations of every backend.
+ */
+export const DEFAULT_ELECTION_ID = 'default';
+
+/**
+ * Base class for blockchain persistence backends.
+ * Every adapter instance is scoped to one election: blocks are append-only and the
+ * election state is a single document that is replaced on save. The election index
+ * (the list of election IDs) is shared by all scopes of the same backend.
+ * Accepted but not yet mined transactions are kept in a write-ahead log (the mempool)
+ * until the block that holds them has been saved. The voter roll is stored one record per
+ * voter, so registering or importing voters writes only the records that changed.
+ */
+export class StorageAdapter {
+    /**
+     * @param {string} name - A short, human-readable name for the backend (used in logs).
+     * @param {string} [electionId] - The election this adapter reads and writes.
+     */
+    constructor(name, electionId = DEFAULT_ELECTION_ID) {
+        this.name = name;
+        this.electionId = electionId;
+    }
+
+    /**
+     * Returns an adapter of the same backend scoped to another election.
+     * @param {string} electionId - The election ID.
+     * @returns {StorageAdapter} The scoped adapter.
+     */
+    forElection(electionId) {
+        throw new Error(`${this.name} storage does not implement forElection().`);
+    }
+
+    /**
+     * Loads the IDs of every election known to this backend.
+     * @returns {Promise<Array<string>>} The election IDs (empty if none have been saved).
+     */
+    async loadElectionIndex() {
+        throw new Error(`${this.name} storage does not implement loadElectionIndex().`);
+    }
+
+    /**
+     * Replaces the list of election IDs.
+     * @param {Array<string>} electionIds - Every election ID.
+     * @returns {Promise<void>}
+     */
+    async saveElectionIndex(electionIds) {
+        throw new Error(`${this.name} storage does not implement saveElectionIndex().`);
+    }
+
+    /**
+     * Loads every persisted block.
+     * @returns {Promise<Array<object>>} Plain block objects, in any order.
+     */
+    async loadBlocks() {
+        throw new Error(`${this.name} storage does not implement loadBlocks().`);
+    }
+
+    /**
+     * Persists a single block. Blocks are never updated once saved.
+     * @param {object} block - The block to persist.
+     * @returns {Promise<void>}
+     */
+    async saveBlock(block) {
+        throw new Error(`${this.name} storage does not implement saveBlock().`);
+    }
+
+    /**
+     * Replaces every persisted block, when the node adopts a peer's chain. If the
+     * backend cannot do this in one write, it must store the new blocks before deleting the old ones.
+     * @param {Array<object>} blocks - The new chain, genesis block first.
+     * @returns {Promise<void>}
+     */
+    async replaceBlocks(blocks) {
+        throw new Error(`${this.name} storage does not implement replaceBlocks().`);
+    }
+
+    /**
+     * Loads the election state document.
+     * @returns {Promise<object|null>} The stored state, or null if none has been saved yet.
+     */
+    async loadElectionState() {
+        throw new Error(`${this.name} storage does not implement loadElectionState().`);
+    }
+
+    /**
+     * Replaces the election state document.
+     * @param {object} state - The full election state to store.
+     * @returns {Promise<void>}
+     */
+    async saveElectionState(state) {
+        throw new Error(`${this.name} storage does not implement saveElectionState().`);
+    }
+
+    /**
+     * Loads the voter roll.
+     * @returns {Promise<Array<object>>} One record per voter ({ voterId, publicKey, attributes }), in any order.
+     */
+    async loadVoters() {
+        throw new Error(`${this.name} storage does not implement loadVoters().`);
+    }
+
+    /**
+     * Adds or replaces voter records.
+     * @param {Array<object>} voters - The records to write ({ voterId, publicKey, attributes }).
+     * @returns {Promise<void>}
+     */
+    async saveVoters(voters) {
+        throw new Error(`${this.name} storage does not implement saveVoters().`);
+    }
+
+    /**
+     * Removes voters from the roll.
+     * @param {Array<string>} voterIds - The IDs of the voters to remove.
+     * @returns {Promise<void>}
+     */
+    async removeVoters(voterIds) {
+        throw new Error(`${this.name} storage does not implement removeVoters().`);
+    }
+
+    /**
+     * Replaces the whole voter roll, when the node adopts a peer's election setup.
+     * @param {Array<object>} voters - Every voter record.
+     * @returns {Promise<void>}
+     */
+    async replaceVoters(voters) {
+        throw new Error(`${this.name} storage does not implement replaceVoters().`);
+    }
+
+    /**
+     * Loads the pending transactions recorded in the write-ahead log.
+     * @returns {Promise<Array<{ id: string, transaction: object }>>} The logged transactions, oldest first.
+     */
+    async loadPendingTransactions() {
+        throw new Error(`${this.name} storage does not implement loadPendingTransactions().`);
+    }
+
+    /**
+     * Durably records an accepted transaction before it is acknowledged.
+     * @param {string} id - The transaction ID (its hash).
+     * @param {object} transaction - The transaction.
+     * @returns {Promise<void>}
+     */
+    async appendPendingTransaction(id, transaction) {
+        throw new Error(`${this.name} storage does not implement appendPendingTransaction().`);
+    }
+
+    /**
+     * Drops transactions from the write-ahead log, e.g. once they have been mined.
+     * @param {Array<string>} ids - The IDs of the transactions to drop.
+     * @returns {Promise<void>}
+     */
+    async removePendingTransactions(ids) {
+        throw new Error(`${this.name} storage does not implement removePendingTransactions().`);
+    }
+}
@@ -0,0 +1,77 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeStateDifferences, replayAdminActions } from '../src/core/adminActions.js';
+import { MemoryStorage } from '../src/storage/index.js';
+import { createElection, openElection, signVote, sealForgedBlock, stopElections } from './support.js';
+
+describe('admin actions', () => {
+    let election;
+    let credentials;
+
+    // A node restarting on the same storage
+    const restart = () => createElection({ storage: election.storage, authorities: election.authorities });
+
+    beforeEach(async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+    });
+
+    after(stopElections);
+
+    it('rebuilds the roll, candidates and phase by replaying the chain', () => {
+        const { state, problems } = replayAdminActions(election.chain, election.authorities, election.electionId);
+        assert.deepEqual(problems, []);
+        assert.deepEqual(Array.from(state.registeredVoters.keys()), ['v1', 'v2']);
+        assert.deepEqual(state.candidates, election.candidates);
+        assert.equal(state.phase, 'voting');
+        assert.deepEqual(state.phaseHistory.map(({ from, to, by }) => ({ from, to, by })),
+            [{ from: 'draft', to: 'registration', by: 'officer' }, { from: 'registration', to: 'voting', by: 'officer' }]);
+        assert.deepEqual(Array.from(state.votedUsers), ['v1']);
+        assert.deepEqual(describeStateDifferences(election, state), []);
+    });
+
+    it('skips admin actions that break the rules', () => {
+        const action = { electionId: election.electionId, action: 'remove-candidate', candidateId: 'candidateB', by: 'officer', at: new Date().toISOString(), type: 'admin' };
+        election.authorities.signTransaction(action);
+        sealForgedBlock(election, [action]);
+        const { state, problems } = replayAdminActions(election.chain, election.authorities, election.electionId);
+        assert.deepEqual(problems.map(({ blockIndex, message }) => ({ blockIndex, message })), [{ blockIndex: 2, message: 'the candidates are locked' }]);
+        assert.ok(state.candidates.some(candidate => candidate.id === 'candidateB'));
+    });
+
+    it('skips and refuses an action signed for another election', () => {
+        const action = { electionId: 'other', action: 'set-phase', from: 'voting', to: 'closed', by: 'officer', at: new Date().toISOString(), type: 'admin' };
+        election.authorities.signTransaction(action);
+        assert.match(election.checkPendingTransaction(action), /belongs to election 'other'/);
+
+        sealForgedBlock(election, [action]);
+        const { state, problems } = replayAdminActions(election.chain, election.authorities, election.electionId);
+        assert.deepEqual(problems.map(({ blockIndex, message }) => ({ blockIndex, message })), [{ blockIndex: 2, message: 'the action belongs to election \'other\'' }]);
+        assert.equal(state.phase, 'voting');
+    });
+
+    it('trusts the chain over a stored roll that disagrees with it', async () => {
+        await election.storage.removeVoters(['v2']);
+        await election.storage.saveElectionState({ ...(await election.storage.loadElectionState()), phase: 'registration' });
+
+        const restarted = await restart();
+        assert.equal(restarted.registeredVoters.has('v2'), true);
+        assert.equal(restarted.phase, 'voting');
+        assert.deepEqual((await restarted.storage.loadVoters()).map(voter => voter.voterId).sort(), ['v1', 'v2']);
+    });
+
+    it('records the setup of an election saved before admin actions were recorded', async () => {
+        const storage = new MemoryStorage();
+        await storage.saveElectionState({ isElectionOpen: false, votedUsers: [], candidates: [{ id: 'yes', name: 'Yes' }] });
+        await storage.saveVoters([{ voterId: 'v1', publicKey: credentials.get('v1').publicKey }]);
+
+        const legacy = await createElection({ storage });
+        const [setup] = legacy.pendingTransactions;
+        assert.equal(setup.action, 'setup');
+        assert.equal(setup.by, 'migration');
+        assert.deepEqual(setup.voters.map(voter => voter.voterId), ['v1']);
+        assert.deepEqual(setup.candidates, [{ id: 'yes', name: 'Yes' }]);
+    });
+});
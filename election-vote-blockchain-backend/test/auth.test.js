@@ -0,0 +1,105 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import './support.js';
+import { AdminUserStore, hashPassword, verifyPassword } from '../src/auth/adminUserStore.js';
+import { TokenService } from '../src/auth/tokenService.js';
+import { ROLES } from '../src/auth/roles.js';
+import { createAuthRoutes } from '../src/api/authRoutes.js';
+import { authenticate, authenticatePeer, requireRole } from '../src/api/middleware.js';
+import { PEER_SECRET_HEADER } from '../src/network/peerNetwork.js';
+
+describe('passwords', () => {
+    it('checks a password against its scrypt hash', () => {
+        const hash = hashPassword('correct horse');
+        assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.equal(verifyPassword('correct horse', hash), true);
+        assert.equal(verifyPassword('wrong', hash), false);
+        assert.equal(verifyPassword('correct horse', 'plain'), false);
+    });
+
+    it('refuses users with unknown roles', () => {
+        assert.throws(() => new AdminUserStore([{ username: 'a', passwordHash: hashPassword('p'), roles: ['root'] }]), /unknown role\(s\): root/);
+    });
+});
+
+describe('TokenService', () => {
+    const tokens = new TokenService('secret');
+
+    it('verifies the tokens it issued', () => {
+        const { token, expiresAt } = tokens.issueToken({ username: 'ann', roles: [ROLES.AUDITOR] });
+        assert.deepEqual(tokens.verifyToken(token), { username: 'ann', roles: [ROLES.AUDITOR], expiresAt });
+    });
+
+    it('rejects tampered, foreign and expired tokens', () => {
+        const { token } = tokens.issueToken({ username: 'ann', roles: [ROLES.AUDITOR] });
+        const [, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ sub: 'ann', roles: Object.values(ROLES), exp: Date.now() + 60000 })).toString('base64url');
+        assert.equal(tokens.verifyToken(`${forged}.${signature}`), null);
+        assert.equal(new TokenService('other').verifyToken(token), null);
+        const expired = new TokenService('secret', -1);
+        assert.equal(expired.verifyToken(expired.issueToken({ username: 'ann', roles: [] }).token), null);
+        assert.equal(tokens.verifyToken(undefined), null);
+    });
+});
+
+describe('auth routes', () => {
+    const tokens = new TokenService('secret');
+    let server;
+    let baseUrl;
+
+    const request = (path, { token, body } = {}) => fetch(`${baseUrl}${path}`, {
+        method: body === undefined ? 'GET' : 'POST',
+        headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    before(async () => {
+        const users = new AdminUserStore([{ username: 'reg', passwordHash: hashPassword('pw'), roles: [ROLES.REGISTRAR] }]);
+        const app = express();
+        app.use(express.json());
+        app.use('/auth', createAuthRoutes(users, tokens));
+        app.get('/officers-only', authenticate(tokens), requireRole(ROLES.ELECTION_OFFICER), (req, res) => res.json({ ok: true }));
+        app.get('/registrars', authenticate(tokens), requireRole(ROLES.REGISTRAR, ROLES.ELECTION_OFFICER), (req, res) => res.json({ ok: true }));
+        app.get('/peers', authenticatePeer('network secret'), (req, res) => res.json({ ok: true }));
+        app.get('/lonely/peers', authenticatePeer(null), (req, res) => res.json({ ok: true }));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('logs in with the right password only', async () => {
+        assert.equal((await request('/auth/login', { body: { username: 'reg', password: 'nope' } })).status, 401);
+        assert.equal((await request('/auth/login', { body: { username: 'reg' } })).status, 400);
+
+        const response = await request('/auth/login', { body: { username: 'reg', password: 'pw' } });
+        assert.equal(response.status, 200);
+        const { token, roles } = await response.json();
+        assert.deepEqual(roles, [ROLES.REGISTRAR]);
+        assert.equal((await (await request('/auth/me', { token })).json()).username, 'reg');
+    });
+
+    it('answers a login without a JSON body or with non-string credentials with 400', async () => {
+        assert.equal((await fetch(`${baseUrl}/auth/login`, { method: 'POST' })).status, 400);
+        assert.equal((await fetch(`${baseUrl}/auth/login`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'reg:pw' })).status, 400);
+        assert.equal((await request('/auth/login', { body: { username: { $ne: '' }, password: ['pw'] } })).status, 400);
+    });
+
+    it('allows a route only to the roles it names', async () => {
+        const { token } = tokens.issueToken({ username: 'reg', roles: [ROLES.REGISTRAR] });
+        assert.equal((await request('/registrars')).status, 401);
+        assert.equal((await request('/registrars', { token: 'garbage' })).status, 401);
+        assert.equal((await request('/registrars', { token })).status, 200);
+        assert.equal((await request('/officers-only', { token })).status, 403);
+    });
+
+    it('allows node-to-node routes only to peers holding the shared secret', async () => {
+        const asPeer = (path, secret) => fetch(`${baseUrl}${path}`, { headers: secret ? { [PEER_SECRET_HEADER]: secret } : {} });
+        assert.equal((await asPeer('/peers')).status, 401);
+        assert.equal((await asPeer('/peers', 'guess')).status, 401);
+        assert.equal((await asPeer('/peers', 'network secret')).status, 200);
+        assert.equal((await asPeer('/lonely/peers', 'network secret')).status, 403);
+    });
+});
@@ -0,0 +1,71 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthorities, createElection, openElection, signVote, sealForgedBlock, getErrorRules, AUTHORITY_ID, stopElections } from './support.js';
+import { AuthoritySet, generateAuthorityKeyPair } from '../src/core/authority.js';
+import { auditChain } from '../src/core/chainAudit.js';
+
+after(stopElections);
+
+describe('authority set', () => {
+    it('accepts a signer only with the key listed for it', () => {
+        const listed = generateAuthorityKeyPair();
+        const other = generateAuthorityKeyPair();
+        assert.throws(() => new AuthoritySet([{ id: 'a', publicKey: listed.publicKey }], { id: 'a', privateKey: other.privateKey }), /does not match/);
+        assert.throws(() => new AuthoritySet([{ id: 'a', publicKey: listed.publicKey }], { id: 'b', privateKey: listed.privateKey }), /not in the authorities file/);
+        assert.throws(() => new AuthoritySet([{ id: 'a', publicKey: listed.publicKey }, { id: 'a', publicKey: other.publicKey }]), /listed twice/);
+        assert.throws(() => new AuthoritySet([{ id: 'a', publicKey: 'bad key' }]), /SPKI/);
+    });
+});
+
+describe('Proof-of-Authority', () => {
+    let election;
+    let credentials;
+
+    beforeEach(async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+    });
+
+    it('seals blocks with the local authority key instead of mining them', () => {
+        const [, block] = election.chain;
+        assert.equal(block.sealer, AUTHORITY_ID);
+        assert.equal(block.difficulty, null);
+        assert.equal(auditChain(election).valid, true);
+        assert.equal(election.getConsensusInfo().localAuthority, AUTHORITY_ID);
+    });
+
+    it('does not produce blocks on a node that is not an authority', async () => {
+        const authorities = new AuthoritySet(election.authorities.list());
+        const follower = await createElection({ authorities });
+        assert.equal(follower.canProduceBlocks(), false);
+        assert.equal(await follower.replaceChain(election.chain, election.getPeerSetup()), true);
+        await follower.createVote(signVote(follower.electionId, credentials.get('v2'), { candidateId: 'candidateB' }));
+        await assert.rejects(follower.minePendingTransactions(), /not an active block authority/);
+    });
+
+    it('reports blocks sealed by an unknown authority or with a changed seal', () => {
+        const outsider = createAuthorities('outsider');
+        const block = sealForgedBlock(election, []);
+        outsider.seal(block);
+        assert.deepEqual(getErrorRules(auditChain(election)), ['authority-seal']);
+
+        election.authorities.seal(block);
+        block.signature = election.chain[1].signature;
+        assert.match(auditChain(election).findings[0].message, /seal signature .* is invalid/);
+    });
+
+    it('rejects seals made after an authority was revoked but keeps its earlier blocks', async () => {
+        const [{ publicKey }] = election.authorities.list();
+        const revokedAt = new Date(Date.now() + 1000).toISOString();
+        const revoked = new AuthoritySet([{ id: AUTHORITY_ID, publicKey, revokedAt }]);
+        const block = sealForgedBlock(election, []);
+        block.timestamp = String(Date.parse(revokedAt));
+        election.authorities.seal(block);
+
+        const follower = await createElection({ authorities: revoked });
+        await assert.rejects(follower.replaceChain(election.chain, election.getPeerSetup()), /was revoked/);
+        assert.equal(await follower.replaceChain(election.chain.slice(0, 2), election.getPeerSetup()), true);
+    });
+});
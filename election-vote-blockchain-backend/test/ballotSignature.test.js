@@ -0,0 +1,74 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+import { generateVoterKeyPair, parseVoterPublicKey, verifyBallotSignature } from '../src/core/ballotSignature.js';
+
+describe('ballot signatures', () => {
+    it('verify only the ballot and key they were made for', () => {
+        const credential = { voterId: 'v1', ...generateVoterKeyPair() };
+        const ballot = { electionId: 'default', ...signVote('default', credential, { candidateId: 'candidateA' }) };
+        assert.equal(verifyBallotSignature(ballot, credential.publicKey), true);
+        assert.equal(verifyBallotSignature({ ...ballot, candidateId: 'candidateB' }, credential.publicKey), false);
+        assert.equal(verifyBallotSignature({ ...ballot, electionId: 'other' }, credential.publicKey), false);
+        assert.equal(verifyBallotSignature(ballot, generateVoterKeyPair().publicKey), false);
+    });
+
+    it('accept only ECDSA P-256 public keys', () => {
+        assert.throws(() => parseVoterPublicKey('not a key'), /base64-encoded SPKI/);
+        assert.doesNotThrow(() => parseVoterPublicKey(generateVoterKeyPair().publicKey));
+    });
+});
+
+describe('signed voting', () => {
+    let election;
+    let credentials;
+
+    beforeEach(async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2']);
+    });
+
+    after(stopElections);
+
+    it('accepts a ballot signed with the voter\'s registered key', async () => {
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+        assert.equal(election.getElectionResults().results.candidateA.votes, 1);
+        assert.equal(election.isChainValid(), true);
+    });
+
+    it('rejects unsigned ballots and ballots signed with another voter\'s key', async () => {
+        await assert.rejects(election.createVote({ voterId: 'v1', candidateId: 'candidateA' }), /must be signed/);
+        const forged = { ...signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateA' }), voterId: 'v1' };
+        await assert.rejects(election.createVote(forged), /does not match the voter's registered key/);
+    });
+
+    it('registers a supplied public key without returning a private key', async () => {
+        const draft = await createElection();
+        const { publicKey } = generateVoterKeyPair();
+        assert.deepEqual(await draft.registerVoter('v3', publicKey), { voterId: 'v3', electionId: 'default', publicKey });
+        assert.equal(await draft.registerVoter('v3'), null);
+        await assert.rejects(draft.registerVoter('v4', 'bad key'), /SPKI/);
+    });
+
+    it('replaces a credential only until voting starts', async () => {
+        const draft = await createElection();
+        const credential = await draft.registerVoter('v1', null, {}, 'registrar');
+        const replacement = await draft.issueVoterCredential('v1');
+        assert.equal(await draft.issueVoterCredential('nobody'), null);
+        await draft.advanceToPhase('voting', 'officer');
+
+        await assert.rejects(draft.createVote(signVote(draft.electionId, credential, { candidateId: 'candidateA' })), /does not match/);
+        await draft.createVote(signVote(draft.electionId, replacement, { candidateId: 'candidateA' }));
+        await assert.rejects(draft.issueVoterCredential('v1'), /closed when voting started/);
+    });
+
+    it('finds a chain invalid if a mined vote was changed, even with the block hash recomputed', async () => {
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+        const [block] = election.chain.slice(1);
+        block.data.find(trans => trans.type === 'vote').candidateId = 'candidateB';
+        block.hash = block.calculateHash();
+        assert.equal(election.isChainValid(), false);
+    });
+});
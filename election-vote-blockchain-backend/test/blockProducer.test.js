@@ -0,0 +1,141 @@
+import { after, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+
+const MINER_ADDRESS = 'a'.repeat(64);
+
+describe('block production', () => {
+    let election;
+    let credentials;
+    let openedLength; // Chain length once the election's setup is mined
+
+    // Opens an election, mines its admin actions, then batches ballots with the given settings
+    const createBatchingElection = async (blockProduction) => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2', 'v3']);
+        election.blockProducer.stop();
+        await election.minePendingTransactions();
+        openedLength = election.chain.length;
+        Object.assign(election.blockProducer, { minerAddress: MINER_ADDRESS }, blockProduction);
+    };
+    const vote = async (voterId, candidateId = 'candidateA') => {
+        await election.createVote(signVote(election.electionId, credentials.get(voterId), { candidateId }));
+        election.blockProducer.schedule();
+    };
+    // Waits for the producer's timers to mine the given number of ballot blocks
+    const waitForBlocks = async (count) => {
+        for (let waited = 0; election.chain.length < openedLength + count && waited < 2000; waited += 10) {
+            await sleep(10);
+        }
+        await election.miningQueue;
+    };
+
+    after(stopElections);
+
+    describe('batching', () => {
+        beforeEach(() => createBatchingElection({ maxBatchSize: 2, batchIntervalMs: 20 }));
+
+        it('mines a full batch at once', async () => {
+            await vote('v1');
+            await vote('v2');
+            await election.miningQueue;
+            assert.equal(election.chain.length, openedLength + 1);
+            assert.deepEqual(election.getLatestBlock().data.map(trans => trans.type), ['miningReward', 'vote', 'vote']);
+        });
+
+        it('mines a partial batch once the interval has passed', async () => {
+            await vote('v1');
+            assert.equal(election.chain.length, openedLength);
+            await waitForBlocks(1);
+            assert.equal(election.chain.length, openedLength + 1);
+            assert.equal(election.blockProducer.getPendingBatchCount(), 0);
+        });
+
+        it('pays no mining reward when no miner address is set', async () => {
+            election.blockProducer.minerAddress = null;
+            await vote('v1');
+            await vote('v2');
+            await election.miningQueue;
+            assert.deepEqual(election.getLatestBlock().data.map(trans => trans.type), ['vote', 'vote']);
+        });
+
+        it('batches admin actions with ballots', async () => {
+            await vote('v1');
+            await election.transitionPhase('closed', 'officer');
+            await election.miningQueue;
+            assert.deepEqual(election.getLatestBlock().data.map(trans => trans.type), ['miningReward', 'vote', 'admin']);
+        });
+
+        it('puts a whole backlog in one block', async () => {
+            await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+            await election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateA' }));
+            await election.createVote(signVote(election.electionId, credentials.get('v3'), { candidateId: 'candidateA' }));
+            election.blockProducer.schedule();
+            await waitForBlocks(1);
+            assert.deepEqual(election.chain.slice(openedLength).map(block => block.data.filter(trans => trans.type === 'vote').length), [3]);
+        });
+
+        it('puts at most maxBlockTransactions in one block', async () => {
+            election.blockProducer.maxBlockTransactions = 2;
+            await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+            await election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateA' }));
+            await election.createVote(signVote(election.electionId, credentials.get('v3'), { candidateId: 'candidateA' }));
+            election.blockProducer.schedule();
+            await waitForBlocks(2);
+            const ballotCounts = election.chain.slice(openedLength).map(block => block.data.filter(trans => trans.type === 'vote').length);
+            assert.deepEqual(ballotCounts, [2, 1]);
+        });
+    });
+
+    describe('failures', () => {
+        beforeEach(() => createBatchingElection({ maxBatchSize: 2, batchIntervalMs: 20 }));
+
+        it('waits longer after each failed attempt and logs the error once', async () => {
+            const attempts = mock.method(election, 'minePendingTransactions', async () => {
+                throw new Error('Storage unavailable');
+            });
+            const errors = mock.method(console, 'error', () => {});
+            try {
+                await vote('v1');
+                await vote('v2');
+                await sleep(0);
+                assert.equal(attempts.mock.callCount(), 1);
+                // A new ballot does not bring the retry forward
+                await vote('v3');
+                assert.equal(attempts.mock.callCount(), 1);
+                // Retries after 20, 40 and 80 ms, then waits 160 ms
+                await sleep(200);
+                assert.ok(attempts.mock.callCount() >= 2 && attempts.mock.callCount() <= 4, `${attempts.mock.callCount()} attempts`);
+                assert.equal(errors.mock.callCount(), 1);
+                assert.match(errors.mock.calls[0].arguments.join(' '), /Storage unavailable/);
+            } finally {
+                attempts.mock.restore();
+                errors.mock.restore();
+            }
+            await waitForBlocks(1);
+            assert.equal(election.blockProducer.getPendingBatchCount(), 0);
+            assert.equal(election.blockProducer.failedAttempts, 0);
+        });
+    });
+
+    describe('mining queue', () => {
+        beforeEach(() => createBatchingElection({ maxBatchSize: 10, batchIntervalMs: 60 * 60 * 1000 }));
+
+        it('builds concurrent blocks one on top of the other', async () => {
+            await vote('v1');
+            await vote('v2');
+            election.blockProducer.stop();
+            await Promise.all([election.minePendingTransactions(null, 1), election.minePendingTransactions(null, 1)]);
+            assert.equal(election.chain.length, openedLength + 2);
+            assert.equal(election.chain[openedLength + 1].previousHash, election.chain[openedLength].hash);
+            assert.equal(election.isChainValid(), true);
+        });
+
+        it('rejects a second vote while the first is still pending', async () => {
+            await vote('v1');
+            await assert.rejects(vote('v1', 'candidateB'), /waiting to be mined/);
+            election.blockProducer.stop();
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+import { normalizeCandidate } from '../src/core/blockchain.js';
+
+describe('normalizeCandidate', () => {
+    it('keeps the known fields, trimmed', () => {
+        assert.deepEqual(normalizeCandidate({ id: ' a ', name: ' Alice ', party: '', photoUrl: 'https://example.org/a.png', extra: 1 }),
+            { id: 'a', name: 'Alice', photoUrl: 'https://example.org/a.png' });
+    });
+
+    it('rejects missing names, wrong types and non-web photo URLs', () => {
+        assert.throws(() => normalizeCandidate({ id: '', name: 'A' }), /ID cannot be empty/);
+        assert.throws(() => normalizeCandidate({ id: 'a' }), /name cannot be empty/);
+        assert.throws(() => normalizeCandidate({ id: 'a', name: 'A', party: 3 }), /party must be a string/);
+        assert.throws(() => normalizeCandidate({ id: 'a', name: 'A', photoUrl: 'javascript:alert(1)' }), /http/);
+    });
+});
+
+describe('candidate management', () => {
+    let election;
+
+    beforeEach(async () => {
+        election = await createElection();
+    });
+
+    after(stopElections);
+
+    it('adds, updates and removes candidates and saves them', async () => {
+        await election.addCandidate({ id: 'candidateD', name: 'Dana', party: 'Green' });
+        await assert.rejects(election.addCandidate({ id: 'candidateD', name: 'Dan' }), /already exists/);
+        assert.deepEqual(await election.updateCandidate('candidateD', { name: 'Dana White', party: '' }), { id: 'candidateD', name: 'Dana White' });
+        assert.equal(await election.updateCandidate('nobody', { name: 'X' }), null);
+        assert.equal(await election.removeCandidate('candidateA'), true);
+        assert.equal(await election.removeCandidate('candidateA'), false);
+
+        const reloaded = await createElection({ storage: election.storage, authorities: election.authorities });
+        assert.deepEqual(reloaded.getCandidates().map(candidate => candidate.id), ['candidateB', 'candidateC', 'candidateD']);
+    });
+
+    it('locks the candidates while the election is open and once votes are cast', async () => {
+        const credentials = await openElection(election, ['v1']);
+        assert.equal(election.areCandidatesLocked(), true);
+        await assert.rejects(election.addCandidate({ id: 'late', name: 'Late' }), /locked/);
+
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+        await election.transitionPhase('closed', 'officer');
+        await assert.rejects(election.removeCandidate('candidateA'), /locked/);
+    });
+});
@@ -0,0 +1,88 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuthorities, createElection, openElection, signVote, AUTHORITY_ID, stopElections } from './support.js';
+import { AuthoritySet } from '../src/core/authority.js';
+import { run as verifyCertificate } from '../src/cli/verifyCertificateCommand.js';
+import { formatSignedCertificateCsv, readCertificate } from '../src/core/certificate.js';
+
+after(stopElections);
+
+describe('results certificates', () => {
+    let election;
+    let directory;
+
+    // Writes the certificate and chain to files and runs the verify-certificate command on them
+    const verify = async (certificateText, chain, ...options) => {
+        const certificatePath = path.join(directory, 'certificate');
+        const chainPath = path.join(directory, 'chain.json');
+        await fs.writeFile(certificatePath, certificateText);
+        await fs.writeFile(chainPath, JSON.stringify(chain));
+        return verifyCertificate(['--certificate', certificatePath, '--chain', chainPath, ...options]);
+    };
+
+    before(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'election-certificate-'));
+        election = await createElection();
+        const credentials = await openElection(election, ['v1', 'v2', 'v3']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateB' }));
+        await election.createVote(signVote(election.electionId, credentials.get('v3'), { candidateId: 'candidateB' }));
+        await election.minePendingTransactions();
+        await election.advanceToPhase('certified', 'officer');
+    });
+
+    after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    it('freezes the result, signed by the local authority', () => {
+        const { certificate } = election;
+        assert.equal(certificate.certifiedBy, 'officer');
+        assert.equal(certificate.chainHeight, election.chain.length);
+        assert.equal(certificate.finalBlockHash, election.getLatestBlock().hash);
+        assert.deepEqual(certificate.winners, ['candidateB']);
+        assert.equal(certificate.signature.signer, AUTHORITY_ID);
+        assert.equal(certificate.signature.publicKey, election.authorities.list()[0].publicKey);
+    });
+
+    it('checks the signature of both forms', () => {
+        const json = JSON.stringify(election.certificate);
+        assert.equal(readCertificate(json).signatureValid, true);
+        assert.equal(readCertificate(formatSignedCertificateCsv(election.certificate)).signatureValid, true);
+        assert.equal(readCertificate(json.replace('"ballotCount":3', '"ballotCount":4')).signatureValid, false);
+        assert.throws(() => readCertificate('field,value\r\n'), /no signature row/);
+    });
+
+    it('verifies a certificate offline against the exported chain', async () => {
+        const { publicKey } = election.certificate.signature;
+        assert.equal(await verify(JSON.stringify(election.certificate), election.chain, '--public-key', publicKey), 0);
+        assert.equal(await verify(formatSignedCertificateCsv(election.certificate), election.chain), 0);
+    });
+
+    it('fails a certificate whose chain or signing key does not match', async () => {
+        const json = JSON.stringify(election.certificate);
+        const tampered = structuredClone(election.chain);
+        tampered[tampered.length - 1].data.find(trans => trans.type === 'vote').candidateId = 'candidateC';
+        assert.equal(await verify(json, tampered), 2);
+        assert.equal(await verify(json, election.chain.slice(0, -1)), 2);
+        assert.equal(await verify(json, election.chain, '--public-key', 'another-key'), 2);
+    });
+
+    it('checks the signer against an authorities file', async () => {
+        const json = JSON.stringify(election.certificate);
+        const authoritiesPath = path.join(directory, 'authorities.json');
+        await fs.writeFile(authoritiesPath, JSON.stringify(election.authorities.list()));
+        assert.equal(await verify(json, election.chain, '--authorities', authoritiesPath), 0);
+
+        await fs.writeFile(authoritiesPath, JSON.stringify(createAuthorities().list()));
+        assert.equal(await verify(json, election.chain, '--authorities', authoritiesPath), 2);
+    });
+
+    it('cannot be created by a node without an authority key', async () => {
+        const other = await createElection();
+        await openElection(other, ['v1']);
+        other.authorities = new AuthoritySet(other.authorities.list());
+        assert.throws(() => other.createCertificate('officer', new Date().toISOString()), /holds no active authority key/);
+    });
+});
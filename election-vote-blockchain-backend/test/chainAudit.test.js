@@ -0,0 +1,152 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditChain } from '../src/core/chainAudit.js';
+import { AuthoritySet, generateAuthorityKeyPair } from '../src/core/authority.js';
+import { computeMerkleRoot } from '../src/core/merkle.js';
+import { createElection, openElection, signVote, sealForgedBlock, getErrorRules, stopElections, AUTHORITY_ID } from './support.js';
+
+describe('chain audit', () => {
+    let election;
+    let credentials;
+
+    beforeEach(async () => {
+        election = await createElection({ consensusMode: 'pow' }); // Proof-of-work, so mining can be audited
+        credentials = await openElection(election, ['v1', 'v2']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+    });
+
+    after(stopElections);
+
+    it('finds no problem in an honest chain', () => {
+        const report = auditChain(election);
+        assert.equal(report.valid, true);
+        assert.deepEqual(report.findings, []);
+    });
+
+    it('reports a vote changed after its block was mined', () => {
+        election.chain[1].data.find(trans => trans.type === 'vote').candidateId = 'candidateB';
+        const report = auditChain(election);
+        assert.equal(report.valid, false);
+        assert.ok(getErrorRules(report).includes('merkle-root'));
+    });
+
+    it('reports a block rebuilt around a changed vote', () => {
+        const block = election.chain[1];
+        block.data.find(trans => trans.type === 'vote').candidateId = 'candidateB';
+        block.merkleRoot = computeMerkleRoot(block.data);
+        block.nonce = 0;
+        block.hash = block.calculateHash();
+        block.mineBlock();
+        assert.deepEqual(getErrorRules(auditChain(election)), ['ballot-signature']);
+    });
+
+    it('reports a block whose hash misses the difficulty', () => {
+        const block = sealForgedBlock(election, []);
+        block.nonce += 1;
+        block.hash = block.calculateHash();
+        if (block.hash.startsWith('0'.repeat(block.difficulty))) return; // A few nonces still meet it
+        assert.deepEqual(getErrorRules(auditChain(election)), ['proof-of-work']);
+    });
+
+    it('reports a block dated before the block it follows or ahead of the clock', () => {
+        sealForgedBlock(election, [], Number(election.chain[1].timestamp) - 1);
+        assert.deepEqual(getErrorRules(auditChain(election)), ['block-timestamp']);
+        election.chain.pop();
+
+        sealForgedBlock(election, [], Date.now() + 10 * 60 * 1000);
+        const report = auditChain(election);
+        assert.deepEqual(getErrorRules(report), ['block-timestamp']);
+        assert.match(report.findings[0].message, /ahead of this node's clock/);
+    });
+
+    it('reports a second vote by the same voter', () => {
+        const vote = election.chain[1].data.find(trans => trans.type === 'vote');
+        sealForgedBlock(election, [{ ...vote }]);
+        assert.deepEqual(getErrorRules(auditChain(election)), ['duplicate-vote']);
+    });
+
+    it('reports a vote by a voter who is not on the roll', () => {
+        const vote = { ...signVote(election.electionId, { ...credentials.get('v2'), voterId: 'intruder' }, { candidateId: 'candidateB' }), electionId: election.electionId, type: 'vote' };
+        sealForgedBlock(election, [vote]);
+        assert.deepEqual(getErrorRules(auditChain(election)), ['registered-voter']);
+    });
+
+    it('reports a vote signed after the block that records it', () => {
+        const vote = { ...signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateB' }, Date.now() + 10 * 60 * 1000), electionId: election.electionId, type: 'vote' };
+        sealForgedBlock(election, [vote]);
+        assert.deepEqual(getErrorRules(auditChain(election)), ['vote-timestamp']);
+    });
+
+    it('warns when the stored voted list disagrees with the chain', () => {
+        election.votedUsers.add('v2');
+        const report = auditChain(election);
+        assert.equal(report.valid, true);
+        assert.deepEqual(report.findings.map(finding => finding.rule), ['voted-users-state']);
+    });
+
+    describe('admin actions', () => {
+        // An admin action signed by the given authorities; this node's authority by default
+        const adminAction = (action, details, signer = election.authorities) => {
+            const transaction = { electionId: election.electionId, action, by: 'officer', at: new Date().toISOString(), ...details, type: 'admin' };
+            signer.signTransaction(transaction);
+            return transaction;
+        };
+        const addCandidate = (signer) => adminAction('add-candidate', { candidate: { id: 'late', name: 'Late' } }, signer);
+
+        it('finds the setup, registrations and phase changes of an honest chain', () => {
+            const actions = election.chain[1].data.filter(trans => trans.type === 'admin').map(trans => trans.action);
+            assert.deepEqual(actions, ['setup', 'register-voters', 'register-voters', 'set-phase', 'set-phase']);
+            assert.ok(election.chain[1].data.filter(trans => trans.type === 'admin').every(trans => trans.signer === AUTHORITY_ID && trans.signature));
+        });
+
+        it('reports an admin action signed by a key that is not an authority', () => {
+            const { publicKey, privateKey } = generateAuthorityKeyPair();
+            sealForgedBlock(election, [addCandidate(new AuthoritySet([{ id: 'outsider', publicKey }], { id: 'outsider', privateKey }))]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['admin-action']);
+            assert.match(report.findings[0].message, /not a known authority/);
+        });
+
+        it('reports an admin action claiming an authority without its key', () => {
+            const { publicKey, privateKey } = generateAuthorityKeyPair();
+            sealForgedBlock(election, [addCandidate(new AuthoritySet([{ id: AUTHORITY_ID, publicKey }], { id: AUTHORITY_ID, privateKey }))]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['admin-action']);
+            assert.match(report.findings[0].message, /signature .* is invalid/);
+        });
+
+        it('reports an unsigned admin action and one changed after it was signed', () => {
+            const unsigned = addCandidate();
+            delete unsigned.signer;
+            delete unsigned.signature;
+            const changed = addCandidate();
+            changed.candidate.name = 'Someone else';
+            sealForgedBlock(election, [unsigned, changed]);
+            assert.deepEqual(getErrorRules(auditChain(election)), ['admin-action', 'admin-action']);
+        });
+
+        it('reports an admin action signed for another election', () => {
+            const closeOther = { ...adminAction('set-phase', { from: 'voting', to: 'closed' }), electionId: 'other' };
+            election.authorities.signTransaction(closeOther);
+            sealForgedBlock(election, [closeOther]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['admin-action']);
+            assert.match(report.findings[0].message, /belongs to election 'other'/);
+        });
+
+        it('reports an admin action its phase does not allow', () => {
+            sealForgedBlock(election, [addCandidate()]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['admin-action']);
+            assert.match(report.findings[0].message, /candidates are locked/);
+        });
+
+        it('reports an admin action that contradicts the recorded state', () => {
+            sealForgedBlock(election, [adminAction('set-phase', { from: 'voting', to: 'closed' }), adminAction('set-phase', { from: 'voting', to: 'closed', by: 'admin' })]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['admin-action']);
+            assert.match(report.findings[0].message, /the election is closed, not voting/);
+        });
+    });
+});
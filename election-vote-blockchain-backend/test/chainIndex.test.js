@@ -0,0 +1,57 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_BLOCK_PAGE_SIZE } from '../src/core/chainIndex.js';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+
+describe('chain lookups', () => {
+    let election;
+    let credentials;
+
+    beforeEach(async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2']);
+        await election.minePendingTransactions();
+    });
+
+    after(stopElections);
+
+    it('pages through the chain, latest page by default', async () => {
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+
+        const latest = election.getBlockPage({ limit: 2 });
+        assert.deepEqual(latest.blocks.map(block => block.index), [1, 2]);
+        assert.equal(latest.chainLength, 3);
+        assert.equal(latest.blocks[1].transactionCount, 1);
+        assert.equal(latest.blocks[1].data, undefined);
+        assert.deepEqual(election.getBlockPage({ from: 0, limit: 1 }).blocks.map(block => block.index), [0]);
+        assert.throws(() => election.getBlockPage({ limit: MAX_BLOCK_PAGE_SIZE + 1 }), /limit must be a whole number/);
+        assert.throws(() => election.getBlockPage({ from: -1 }), /from must be a block index/);
+    });
+
+    it('finds blocks by hash', () => {
+        assert.equal(election.getBlockByHash(election.chain[1].hash), election.chain[1]);
+        assert.equal(election.getBlockByHash('0'.repeat(64)), null);
+    });
+
+    it('follows a transaction from pending to its block', async () => {
+        const transactionId = await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        assert.equal(election.findTransaction(transactionId).status, 'pending');
+        await election.minePendingTransactions();
+
+        const { status, block, position, transaction } = election.findTransaction(transactionId);
+        assert.equal(status, 'confirmed');
+        assert.equal(block.index, 2);
+        assert.equal(election.chain[2].data[position], transaction);
+        assert.equal(election.findTransaction('0'.repeat(64)), null);
+    });
+
+    it('indexes the chain it reloads', async () => {
+        const transactionId = await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+
+        const restarted = await createElection({ storage: election.storage, authorities: election.authorities });
+        assert.equal(restarted.findTransaction(transactionId).block.index, 2);
+        assert.equal(restarted.getBlockByHash(election.chain[2].hash).index, 2);
+    });
+});
@@ -0,0 +1,74 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, openElection, signVote, sealForgedBlock, getErrorRules, stopElections } from './support.js';
+import { auditChain } from '../src/core/chainAudit.js';
+import { DEFAULT_MINING_SETTINGS, getExpectedDifficulty, LEGACY_DIFFICULTY } from '../src/core/difficulty.js';
+
+// A genesis block followed by blocks mined `intervalMs` apart at the given difficulty
+const chainOf = (length, intervalMs, difficulty = 3) => Array.from({ length }, (_, index) =>
+    ({ index, timestamp: String(1000000 + index * intervalMs), difficulty: index === 0 ? null : difficulty }));
+
+describe('difficulty adjustment', () => {
+    const { targetBlockIntervalMs, maxDifficulty, minDifficulty } = DEFAULT_MINING_SETTINGS;
+
+    it('starts at the initial difficulty', () => {
+        assert.equal(getExpectedDifficulty(chainOf(1, 0), 1), DEFAULT_MINING_SETTINGS.initialDifficulty);
+    });
+
+    it('raises the difficulty when blocks come fast and lowers it when they come slow', () => {
+        assert.equal(getExpectedDifficulty(chainOf(4, targetBlockIntervalMs), 4), 3);
+        assert.equal(getExpectedDifficulty(chainOf(4, targetBlockIntervalMs / 4), 4), 4);
+        assert.equal(getExpectedDifficulty(chainOf(4, targetBlockIntervalMs * 4), 4), 2);
+    });
+
+    it('stays within the configured bounds', () => {
+        assert.equal(getExpectedDifficulty(chainOf(4, 1, maxDifficulty), 4), maxDifficulty);
+        assert.equal(getExpectedDifficulty(chainOf(4, targetBlockIntervalMs * 4, minDifficulty), 4), minDifficulty);
+    });
+
+    it('treats blocks without a recorded difficulty as legacy blocks', () => {
+        const chain = chainOf(3, targetBlockIntervalMs).map(block => ({ ...block, difficulty: undefined }));
+        assert.equal(getExpectedDifficulty(chain, 3), LEGACY_DIFFICULTY);
+    });
+});
+
+describe('mining', () => {
+    after(stopElections);
+
+    it('mines in a worker thread at the expected difficulty', async () => {
+        const election = await createElection({ consensusMode: 'pow' });
+        const credentials = await openElection(election, ['v1']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+
+        const [, block] = election.chain;
+        assert.equal(block.difficulty, DEFAULT_MINING_SETTINGS.initialDifficulty);
+        assert.ok(block.hash.startsWith('0'.repeat(block.difficulty)));
+        assert.equal(election.getMiningStatus().lastJob.outcome, 'mined');
+    });
+
+    it('keeps the transactions pending when mining is cancelled', async () => {
+        const election = await createElection({ consensusMode: 'pow', mining: { initialDifficulty: 8, maxDifficulty: 8 } });
+        const credentials = await openElection(election, ['v1']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+
+        const mining = election.minePendingTransactions();
+        while (!election.miner.isMining()) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        assert.equal(await election.cancelMining(), true);
+        await assert.rejects(mining, /cancelled/);
+        assert.equal(election.chain.length, 1);
+        assert.equal(election.hasPendingVote('v1'), true);
+    });
+
+    it('audits a block mined below the expected difficulty', async () => {
+        const election = await createElection({ consensusMode: 'pow' });
+        const block = sealForgedBlock(election, []);
+        block.difficulty = 1;
+        block.nonce = 0;
+        block.hash = block.calculateHash();
+        block.mineBlock();
+        assert.deepEqual(getErrorRules(auditChain(election)), ['difficulty-adjustment']);
+    });
+});
@@ -0,0 +1,80 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditChain } from '../src/core/chainAudit.js';
+import { buildArchive, readArchive } from '../src/core/electionArchive.js';
+import { signCertificate } from '../src/core/certificate.js';
+import { createAuthorities, createElection, openElection, signVote, stopElections } from './support.js';
+
+describe('election archives', () => {
+    let election;
+    let archive;
+
+    beforeEach(async () => {
+        election = await createElection();
+        const credentials = await openElection(election, ['v1', 'v2', 'v3']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateB' }));
+        await election.minePendingTransactions();
+        await election.createVote(signVote(election.electionId, credentials.get('v3'), { candidateId: 'candidateA' }));
+        // As written to and read back from the archive file
+        archive = JSON.parse(JSON.stringify(buildArchive(election, { exportedBy: 'admin', exportedAt: new Date().toISOString() })));
+    });
+
+    after(stopElections);
+
+    it('restores the chain, roll, results and pending transactions into a blank election', async () => {
+        const restored = await createElection({ authorities: election.authorities });
+        await restored.restoreArchive(readArchive(archive));
+
+        assert.deepEqual(restored.chain.map(block => block.hash), election.chain.map(block => block.hash));
+        assert.deepEqual(restored.getVoterRecords(), election.getVoterRecords());
+        assert.equal(restored.phase, 'voting');
+        assert.deepEqual(restored.pendingTransactions, election.pendingTransactions);
+        assert.deepEqual(restored.getElectionResults(), election.getElectionResults());
+        assert.equal(auditChain(restored).valid, true);
+
+        await restored.minePendingTransactions();
+        assert.equal(restored.getElectionResults().results.candidateA.votes, 2);
+    });
+
+    it('refuses an archive changed after export', () => {
+        archive.chain[1].data.find(trans => trans.type === 'vote').candidateId = 'candidateB';
+        assert.throws(() => readArchive(archive), /does not match its manifest hash/);
+    });
+
+    it('refuses a manifest that does not describe the chain', () => {
+        archive.manifest.chainLength += 1;
+        assert.throws(() => readArchive(archive), /does not describe the archived chain/);
+    });
+
+    it('rejects a setup that disagrees with the chain', async () => {
+        archive.setup.voterRoll = archive.setup.voterRoll.filter(({ voterId }) => voterId !== 'v3');
+        const restored = await createElection({ authorities: election.authorities });
+        await assert.rejects(restored.restoreArchive(archive), /missing from the archived roll: v3/);
+        assert.equal(restored.isBlank(), true);
+    });
+
+    it('rejects an archive whose blocks no authority of this node sealed', async () => {
+        const restored = await createElection();
+        await assert.rejects(restored.restoreArchive(readArchive(archive)), /Archive rejected: .*seal signature/);
+        assert.equal(restored.isBlank(), true);
+    });
+
+    it('rejects a certificate not signed by one of this node\'s authorities', async () => {
+        await election.minePendingTransactions();
+        await election.advanceToPhase('certified', 'officer');
+        const { signature, ...certificate } = election.certificate;
+        election.certificate = signCertificate(certificate, createAuthorities().getSigner());
+        const forged = JSON.parse(JSON.stringify(buildArchive(election, { exportedBy: 'admin', exportedAt: new Date().toISOString() })));
+
+        const restored = await createElection({ authorities: election.authorities });
+        await assert.rejects(restored.restoreArchive(readArchive(forged)), /not signed by an authority: the key is not the one listed for 'test-authority'/);
+        assert.equal(restored.isBlank(), true);
+    });
+
+    it('restores only into a blank election', async () => {
+        const other = await createElection({ authorities: election.authorities });
+        await openElection(other, ['someone']);
+        await assert.rejects(other.restoreArchive(readArchive(archive)), /already has blocks, voters or pending transactions/);
+    });
+});
@@ -0,0 +1,87 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthorities, openElection, signVote } from './support.js';
+import { ElectionRegistry } from '../src/core/electionRegistry.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+describe('ElectionRegistry', () => {
+    const candidates = [{ id: 'yes', name: 'Yes' }, { id: 'no', name: 'No' }];
+    const registries = [];
+
+    // Batching never mines on its own; the tests mine with minePendingTransactions
+    const createRegistry = async (storage = new MemoryStorage(), authorities = createAuthorities()) => {
+        const registry = new ElectionRegistry(storage, {
+            consensus: { authorities }, // Proof-of-work; the authority signs admin actions
+            blockProduction: { maxBatchSize: Infinity, batchIntervalMs: 60 * 60 * 1000 }
+        });
+        await registry.loadElections();
+        registries.push(registry);
+        return registry;
+    };
+
+    after(() => registries.flatMap(registry => registry.getElections()).forEach(election => election.blockProducer.stop()));
+
+    it('always has the default election', async () => {
+        const registry = await createRegistry();
+        assert.equal(registry.getDefaultElection().electionId, 'default');
+        assert.deepEqual(registry.getElections().map(election => election.electionId), ['default']);
+    });
+
+    it('keeps each election\'s chain, roll and candidates apart', async () => {
+        const registry = await createRegistry();
+        const referendum = await registry.createElection({ id: 'referendum', name: 'Referendum', candidates });
+        const credentials = await openElection(referendum, ['v1']);
+        await referendum.createVote(signVote('referendum', credentials.get('v1'), { candidateId: 'yes' }));
+        await referendum.minePendingTransactions();
+
+        const general = registry.getDefaultElection();
+        assert.equal(general.chain.length, 1);
+        assert.equal(general.registeredVoters.has('v1'), false);
+        await assert.rejects(general.createVote(signVote('default', credentials.get('v1'), { candidateId: 'yes' })), /closed/);
+        assert.notEqual(referendum.chain[0].hash, general.chain[0].hash);
+        const { id, candidateCount, registeredVoterCount, votedCount, chainLength } = referendum.getSummary();
+        assert.deepEqual({ id, candidateCount, registeredVoterCount, votedCount, chainLength },
+            { id: 'referendum', candidateCount: 2, registeredVoterCount: 1, votedCount: 1, chainLength: 2 });
+    });
+
+    it('loads every election it created from storage', async () => {
+        const storage = new MemoryStorage();
+        const registry = await createRegistry(storage);
+        await registry.createElection({ id: 'board', name: 'Board', candidates });
+
+        const reloaded = await createRegistry(storage);
+        assert.deepEqual(reloaded.getElections().map(election => election.electionId), ['default', 'board']);
+        assert.equal(reloaded.getElection('board').name, 'Board');
+        assert.deepEqual(reloaded.getElection('board').candidates, candidates);
+    });
+
+    it('adds a peer\'s election only from a chain its own authorities signed', async () => {
+        const authorities = createAuthorities();
+        const peer = await createRegistry(new MemoryStorage(), authorities);
+        const board = await peer.createElection({ id: 'board', name: 'Board', candidates });
+        await openElection(board, ['v1']);
+        await board.minePendingTransactions();
+        const chain = JSON.parse(JSON.stringify(board.chain));
+
+        const registry = await createRegistry(new MemoryStorage(), authorities);
+        const added = await registry.addPeerElection('board', chain, board.getPeerSetup());
+        assert.equal(added.name, 'Board');
+        assert.equal(added.phase, 'voting');
+        assert.equal(added.registeredVoters.has('v1'), true);
+        assert.deepEqual(added.candidates, candidates);
+
+        const stranger = await createRegistry();
+        await assert.rejects(stranger.addPeerElection('board', chain, board.getPeerSetup()), /admin action signature of 'test-authority' is invalid/);
+        assert.equal(stranger.getElection('board'), undefined);
+        await assert.rejects(registry.addPeerElection('board', chain, board.getPeerSetup()), /already exists/);
+    });
+
+    it('rejects invalid or duplicate elections', async () => {
+        const registry = await createRegistry();
+        await assert.rejects(registry.createElection({ id: 'Not Valid', name: 'X' }), /lowercase letters/);
+        await assert.rejects(registry.createElection({ id: 'default', name: 'X' }), /already exists/);
+        await assert.rejects(registry.createElection({ id: 'x', name: '' }), /name cannot be empty/);
+        await assert.rejects(registry.createElection({ id: 'x', name: 'X', candidates: [...candidates, candidates[0]] }), /must be unique/);
+        assert.equal(registry.getElection('x'), undefined);
+    });
+});
@@ -0,0 +1,86 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAuthorities, openElection, signVote } from './support.js';
+import { createEventRoutes } from '../src/api/eventRoutes.js';
+import { ElectionRegistry } from '../src/core/electionRegistry.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+describe('event stream', () => {
+    let registry;
+    let server;
+    let baseUrl;
+
+    /**
+     * Opens a stream and collects events until `count` have arrived.
+     * @param {string} query - The query string.
+     * @param {number} count - The number of events to wait for.
+     * @param {Function} trigger - Makes the events happen once the stream is open.
+     * @returns {Promise<Array<{ event: string, data: object }>>} The events.
+     */
+    const collectEvents = async (query, count, trigger) => {
+        const controller = new AbortController();
+        const response = await fetch(`${baseUrl}/events${query}`, { signal: controller.signal });
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        const events = [];
+        let text = '';
+        await trigger();
+        while (events.length < count) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            text += value;
+            const messages = text.split('\n\n');
+            text = messages.pop();
+            for (const message of messages) {
+                const event = /^event: (.*)$/m.exec(message);
+                const data = /^data: (.*)$/m.exec(message);
+                if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+            }
+        }
+        controller.abort();
+        return events;
+    };
+
+    before(async () => {
+        registry = new ElectionRegistry(new MemoryStorage(), {
+            consensus: { mode: 'poa', authorities: createAuthorities() },
+            blockProduction: { maxBatchSize: Infinity, batchIntervalMs: 60 * 60 * 1000 }
+        });
+        await registry.loadElections();
+        const app = express();
+        app.use('/events', createEventRoutes(registry));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => {
+        registry.getElections().forEach(election => election.blockProducer.stop());
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    it('announces accepted votes and mined blocks without voter IDs', async () => {
+        const election = registry.getDefaultElection();
+        const credentials = await openElection(election, ['v1']);
+        await election.minePendingTransactions();
+        const events = await collectEvents('?electionId=default', 2, async () => {
+            await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+            await election.minePendingTransactions();
+        });
+        assert.deepEqual(events.map(({ event }) => event), ['vote-accepted', 'block-mined']);
+        assert.deepEqual(events[0].data, { electionId: 'default', type: 'vote', pendingTransactionCount: 1 });
+        assert.ok(!JSON.stringify(events).includes('v1'));
+    });
+
+    it('announces new elections to streams of every election', async () => {
+        const [event] = await collectEvents('', 1, () => registry.createElection({ id: 'board', name: 'Board', candidates: [{ id: 'x', name: 'X' }] }));
+        assert.equal(event.event, 'election-added');
+        assert.equal(event.data.election.name, 'Board');
+    });
+
+    it('refuses a stream for an unknown election', async () => {
+        assert.equal((await fetch(`${baseUrl}/events?electionId=nope`)).status, 404);
+    });
+});
@@ -0,0 +1,168 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthorities, createElection, openElection, signVote, sealForgedBlock, stopElections } from './support.js';
+import { Block } from '../src/core/blockchain.js';
+import { DEFAULT_MINING_SETTINGS, getChainWork, getExpectedDifficulty } from '../src/core/difficulty.js';
+import { computeMerkleRoot } from '../src/core/merkle.js';
+
+// Proof-of-work nodes, which follow the valid chain with the most work; one authority signs the admin actions of all of them
+const authorities = createAuthorities();
+const createNode = () => createElection({ consensusMode: 'pow', authorities });
+
+describe('peer sync', () => {
+    let nodeA;
+    let nodeB;
+    let credentials;
+
+    const vote = (node, voterId, candidateId = 'candidateA') =>
+        node.createVote(signVote(node.electionId, credentials.get(voterId), { candidateId }));
+
+    beforeEach(async () => {
+        nodeA = await createNode();
+        credentials = await openElection(nodeA, ['v1', 'v2', 'v3']);
+        await vote(nodeA, 'v1');
+        await nodeA.minePendingTransactions();
+        nodeB = await createNode();
+        assert.equal(await nodeB.replaceChain(nodeA.chain, nodeA.getPeerSetup()), true);
+    });
+
+    after(stopElections);
+
+    it('takes over a longer valid chain with its election setup', () => {
+        assert.deepEqual(nodeB.chain.map(block => block.hash), nodeA.chain.map(block => block.hash));
+        assert.equal(nodeB.registeredVoters.size, 3);
+        assert.equal(nodeB.votedUsers.has('v1'), true);
+        assert.equal(nodeB.isChainValid(), true);
+    });
+
+    it('keeps its chain when the peer\'s is not longer', async () => {
+        assert.equal(await nodeB.replaceChain(nodeA.chain.slice(0, 1), nodeA.getPeerSetup()), false);
+        assert.equal(nodeB.chain.length, 2);
+    });
+
+    it('follows the chain with the most work, not the longest one', async () => {
+        // A fork of empty blocks dated 15 seconds apart, so the difficulty drops to the minimum
+        const fork = nodeA.chain.slice(0, 2);
+        for (let i = 1; i <= 6; i++) {
+            const block = new Block(fork.length, String(Number(fork[1].timestamp) + i * 15000), [], fork[fork.length - 1].hash,
+                0, null, computeMerkleRoot([]), getExpectedDifficulty(fork, fork.length, DEFAULT_MINING_SETTINGS));
+            block.mineBlock();
+            fork.push(block);
+        }
+        // Blocks mined back to back, so the difficulty rises
+        await vote(nodeA, 'v2');
+        await nodeA.minePendingTransactions();
+        await vote(nodeA, 'v3');
+        await nodeA.minePendingTransactions();
+        assert.ok(fork.length > nodeA.chain.length && getChainWork(fork) < getChainWork(nodeA.chain));
+
+        assert.equal(await nodeA.replaceChain(fork, nodeB.getPeerSetup()), false);
+        assert.equal(nodeA.chain.length, 4);
+        assert.equal(await nodeB.replaceChain(fork, nodeB.getPeerSetup()), true);
+        assert.equal(await nodeB.replaceChain(nodeA.chain, nodeA.getPeerSetup()), true);
+        assert.deepEqual(nodeB.chain.map(block => block.hash), nodeA.chain.map(block => block.hash));
+    });
+
+    it('refuses a block dated too far ahead', async () => {
+        const block = sealForgedBlock(nodeA, [], Date.now() + 10 * 60 * 1000);
+        await assert.rejects(nodeB.receiveBlock(block), /Block 2 rejected: .*ahead of this node's clock/);
+    });
+
+    it('accepts blocks without a Merkle root or difficulty only below the height it recorded', async () => {
+        // A block mined by an older version, which recorded neither
+        const legacy = new Block(2, String(Date.now()), [], nodeA.chain[1].hash, 0, null, null, null);
+        legacy.mineBlock(3);
+        await assert.rejects(nodeB.replaceChain([...nodeA.chain, legacy], nodeA.getPeerSetup()), /Chain rejected: .*lacks a Merkle root or a recorded difficulty/);
+
+        // The same block stored by an older version of this node, whose election state has no height
+        await nodeB.storage.saveBlock(legacy);
+        const { legacyBlockHeight, ...state } = await nodeB.storage.loadElectionState();
+        assert.equal(legacyBlockHeight, 1);
+        await nodeB.storage.saveElectionState(state);
+        const restarted = await createElection({ consensusMode: 'pow', authorities, storage: nodeB.storage });
+        assert.equal(restarted.chain.length, 3);
+        assert.equal(restarted.legacyBlockHeight, 3);
+        assert.equal((await nodeB.storage.loadElectionState()).legacyBlockHeight, 3);
+        assert.equal(restarted.isChainValid(), true);
+    });
+
+    it('refuses a block whose timestamp is not a time in milliseconds', async () => {
+        const block = { ...sealForgedBlock(nodeA, []), timestamp: '2024-05-01T10:00:00Z' };
+        await assert.rejects(nodeB.receiveBlock(block), /Invalid block 2: the timestamp must be a time in milliseconds/);
+    });
+
+    it('refuses a longer chain that fails the audit', async () => {
+        await vote(nodeA, 'v2');
+        await nodeA.minePendingTransactions();
+        const tampered = structuredClone(nodeA.chain);
+        tampered[2].data[0].candidateId = 'candidateB';
+        await assert.rejects(nodeB.replaceChain(tampered, nodeA.getPeerSetup()), /Chain rejected/);
+        assert.equal(nodeB.chain.length, 2);
+    });
+
+    it('keeps the chain with the most work when a switch to it stopped before the old blocks were deleted', async () => {
+        await vote(nodeA, 'v2');
+        await nodeA.minePendingTransactions();
+        await vote(nodeA, 'v3');
+        await nodeA.minePendingTransactions();
+        await vote(nodeB, 'v2', 'candidateB');
+        await nodeB.minePendingTransactions();
+        // The new blocks were stored, the old one was not deleted yet
+        await nodeB.storage.saveBlock(nodeA.chain[2]);
+        await nodeB.storage.saveBlock(nodeA.chain[3]);
+
+        const restarted = await createElection({ consensusMode: 'pow', authorities, storage: nodeB.storage });
+        assert.deepEqual(restarted.chain.map(block => block.hash), nodeA.chain.map(block => block.hash));
+        assert.deepEqual((await nodeB.storage.loadBlocks()).map(block => block.hash).sort(), nodeA.chain.map(block => block.hash).sort());
+    });
+
+    it('adds a block that extends its chain and drops the ballots it holds', async () => {
+        await vote(nodeA, 'v2');
+        await nodeB.acceptPeerTransaction(nodeA.pendingTransactions[0]);
+        await nodeA.minePendingTransactions();
+
+        assert.equal(await nodeB.receiveBlock(nodeA.chain[2]), 'added');
+        assert.equal(await nodeB.receiveBlock(nodeA.chain[2]), 'known');
+        assert.equal(nodeB.hasPendingVote('v2'), false);
+        assert.equal(nodeB.votedUsers.has('v2'), true);
+    });
+
+    it('rejects a block that breaks an audit rule and reports one it cannot link', async () => {
+        await vote(nodeA, 'v2');
+        await nodeA.minePendingTransactions();
+        await vote(nodeA, 'v3');
+        await nodeA.minePendingTransactions();
+        assert.equal(await nodeB.receiveBlock(nodeA.chain[3]), 'unlinked');
+
+        const forged = structuredClone(nodeA.chain[2]);
+        forged.data[0].candidateId = 'candidateB';
+        await assert.rejects(nodeB.receiveBlock(forged), /Block 2 rejected/);
+    });
+
+    it('rejects a block holding an admin action no authority signed', async () => {
+        const transaction = { electionId: nodeA.electionId, action: 'deregister-voter', voterId: 'v2', by: 'officer', at: new Date().toISOString(), type: 'admin' };
+        const block = sealForgedBlock(nodeA, [transaction]);
+        await assert.rejects(nodeB.receiveBlock(block), /Block 2 rejected: .*not signed/);
+        assert.equal(nodeB.registeredVoters.has('v2'), true);
+    });
+
+    it('rejects a block holding an admin action signed for another election', async () => {
+        const transaction = { electionId: 'other', action: 'set-phase', from: 'voting', to: 'closed', by: 'officer', at: new Date().toISOString(), type: 'admin' };
+        authorities.signTransaction(transaction);
+        const block = sealForgedBlock(nodeA, [transaction]);
+        await assert.rejects(nodeB.receiveBlock(block), /Block 2 rejected: .*belongs to election 'other'/);
+        assert.equal(nodeB.phase, 'voting');
+    });
+
+    it('returns the ballots of a dropped fork to the pending pool', async () => {
+        await vote(nodeB, 'v2');
+        await nodeB.minePendingTransactions(); // B's fork: one block with v2's vote
+        await vote(nodeA, 'v3');
+        await nodeA.minePendingTransactions();
+        sealForgedBlock(nodeA, []); // An empty block makes A's chain longer
+
+        assert.equal(await nodeB.replaceChain(nodeA.chain, nodeA.getPeerSetup()), true);
+        assert.equal(nodeB.hasPendingVote('v2'), true);
+        assert.equal(nodeB.votedUsers.has('v3'), true);
+    });
+});
@@ -0,0 +1,145 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditChain } from '../src/core/chainAudit.js';
+import { generateVoterKeyPair } from '../src/core/ballotSignature.js';
+import { getLedgerAddress } from '../src/core/ledger.js';
+import { createElection, openElection, signVote, signTransfer, sealForgedBlock, getErrorRules, stopElections } from './support.js';
+
+/**
+ * Creates a ledger wallet.
+ * @returns {object} { address, publicKey, privateKey }.
+ */
+const createWallet = () => {
+    const { publicKey, privateKey } = generateVoterKeyPair();
+    return { address: getLedgerAddress(publicKey), publicKey, privateKey };
+};
+
+describe('ledger', () => {
+    let election;
+    let credentials;
+    let miner;
+    let recipient;
+
+    const castVote = (voterId) =>
+        election.createVote(signVote(election.electionId, credentials.get(voterId), { candidateId: 'candidateA' }));
+
+    const miningReward = (overrides = {}) => ({
+        electionId: election.electionId,
+        fromAddress: null,
+        toAddress: miner.address,
+        amount: election.miningReward,
+        blockIndex: election.chain.length,
+        timestamp: Date.now().toString(),
+        type: 'miningReward',
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2', 'v3']);
+        miner = createWallet();
+        recipient = createWallet();
+        await election.minePendingTransactions(miner.address);
+    });
+
+    after(stopElections);
+
+    it('pays the mining reward as the first transaction of the block it mines', async () => {
+        await castVote('v1');
+        await election.minePendingTransactions(miner.address);
+        for (const block of election.chain.slice(1)) {
+            assert.deepEqual(block.data.filter(trans => trans.type === 'miningReward'), [block.data[0]]);
+            assert.equal(block.data[0].blockIndex, block.index);
+        }
+        assert.equal(election.getBalance(miner.address).balance, 2);
+        assert.equal(election.pendingTransactions.length, 0);
+        assert.deepEqual(auditChain(election).findings, []);
+    });
+
+    it('refuses to mine for a miner address that is not a ledger address', async () => {
+        await castVote('v1');
+        await assert.rejects(election.minePendingTransactions('election-authority'), /Invalid miner address/);
+        assert.equal(election.pendingTransactions.length, 1);
+    });
+
+    it('mines no block for the reward alone', async () => {
+        await election.minePendingTransactions(miner.address);
+        assert.equal(election.chain.length, 2);
+    });
+
+    it('moves credits with a signed transfer and rejects spending more than the balance', async () => {
+        await castVote('v1');
+        await election.minePendingTransactions(miner.address);
+        await election.createTransfer(signTransfer(election.electionId, miner, recipient.address, 2));
+        assert.equal(election.getBalance(miner.address).available, 0);
+        await assert.rejects(election.createTransfer(signTransfer(election.electionId, miner, recipient.address, 1)), /insufficient funds/);
+
+        await election.minePendingTransactions();
+        assert.equal(election.getBalance(miner.address).balance, 0);
+        assert.equal(election.getBalance(recipient.address).balance, 2);
+        assert.equal(election.getAddressTransactions(recipient.address).length, 1);
+        assert.equal(auditChain(election).valid, true);
+    });
+
+    it('rejects a transfer not signed by the sending address', async () => {
+        const transfer = { ...signTransfer(election.electionId, recipient, miner.address, 1), fromAddress: miner.address };
+        await assert.rejects(election.createTransfer(transfer), /does not belong to the public key/);
+        const altered = { ...signTransfer(election.electionId, miner, recipient.address, 1), toAddress: createWallet().address };
+        await assert.rejects(election.createTransfer(altered), /signature is invalid/);
+    });
+
+    it('never accepts a mining reward as a pending transaction', async () => {
+        await assert.rejects(election.acceptPeerTransaction(miningReward()), /are accepted from peers/);
+        assert.match(election.checkPendingTransaction(miningReward()), /only created in the block that pays it/); // As replayed from the log
+    });
+
+    describe('audit', () => {
+        const vote = (voterId) => ({ ...signVote(election.electionId, credentials.get(voterId), { candidateId: 'candidateB' }), electionId: election.electionId, type: 'vote' });
+
+        it('reports a mining reward that is not the first transaction of its block', () => {
+            sealForgedBlock(election, [vote('v2'), miningReward()]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['ledger']);
+            assert.match(report.findings[0].message, /must be the first transaction/);
+        });
+
+        it('reports a block holding only a mining reward', () => {
+            sealForgedBlock(election, [miningReward()]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['ledger']);
+            assert.match(report.findings[0].message, /only a mining reward/);
+        });
+
+        it('reports a mining reward of the wrong amount', () => {
+            sealForgedBlock(election, [miningReward({ amount: 50 }), vote('v2')]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['ledger']);
+            assert.match(report.findings[0].message, /must pay 1 credit/);
+        });
+
+        it('reports a mining reward paid to a name instead of a ledger address', () => {
+            sealForgedBlock(election, [miningReward({ toAddress: 'election-authority-miner' }), vote('v2')]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['ledger']);
+            assert.match(report.findings[0].message, /must pay an address of 64 hex characters/);
+        });
+
+        it('reports a transfer of credits the sender does not have', () => {
+            const transfer = { ...signTransfer(election.electionId, miner, recipient.address, 5), electionId: election.electionId, type: 'transfer' };
+            sealForgedBlock(election, [vote('v2'), transfer]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['ledger']);
+            assert.match(report.findings[0].message, /insufficient funds/);
+        });
+
+        it('reports a transfer recorded twice', async () => {
+            await election.createTransfer(signTransfer(election.electionId, miner, recipient.address, 1));
+            const [transfer] = election.pendingTransactions;
+            await election.minePendingTransactions();
+            sealForgedBlock(election, [vote('v2'), { ...transfer }]);
+            const report = auditChain(election);
+            assert.deepEqual(getErrorRules(report), ['ledger']);
+            assert.match(report.findings[0].message, /already recorded/);
+        });
+    });
+});
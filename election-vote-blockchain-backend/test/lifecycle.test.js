@@ -0,0 +1,71 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+import { getLegacyPhase, getPhasePath } from '../src/core/electionLifecycle.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+after(stopElections);
+
+describe('election lifecycle', () => {
+    let election;
+
+    beforeEach(async () => {
+        election = await createElection();
+    });
+
+    it('moves forward one phase at a time and records each step', async () => {
+        assert.equal(election.phase, 'draft');
+        await assert.rejects(election.transitionPhase('voting', 'officer'), /cannot move from 'draft' to 'voting'/);
+        await election.advanceToPhase('voting', 'officer');
+        assert.deepEqual(election.phaseHistory.map(({ from, to, by }) => [from, to, by]), [
+            ['draft', 'registration', 'officer'],
+            ['registration', 'voting', 'officer']
+        ]);
+        await assert.rejects(election.advanceToPhase('registration', 'officer'), /cannot move/);
+        assert.deepEqual(getPhasePath('voting', 'certified'), ['closed', 'tallying', 'certified']);
+    });
+
+    it('accepts ballots only while voting and voters only until voting starts', async () => {
+        const credentials = await openElection(election, ['v1', 'v2']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.transitionPhase('closed', 'officer');
+        await assert.rejects(election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateA' })), /closed/);
+        await assert.rejects(election.registerVoter('late'), /closed when voting started/);
+    });
+
+    it('starts tallying only once every ballot is on the chain', async () => {
+        const credentials = await openElection(election, ['v1']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.transitionPhase('closed', 'officer');
+        await assert.rejects(election.transitionPhase('tallying', 'officer'), /still waiting to be mined/);
+        await election.minePendingTransactions();
+        await election.transitionPhase('tallying', 'officer');
+    });
+
+    it('opens and closes voting on schedule', async () => {
+        const opensAt = new Date(Date.now() + 60000).toISOString();
+        const closesAt = new Date(Date.now() + 120000).toISOString();
+        await assert.rejects(election.setSchedule({ opensAt: closesAt, closesAt: opensAt }, 'officer'), /closesAt must be after opensAt/);
+        await assert.rejects(election.setSchedule({ opensAt: '2000-01-01T00:00:00Z' }, 'officer'), /must be in the future/);
+        await election.setSchedule({ opensAt, closesAt }, 'officer');
+
+        assert.equal(await election.applySchedule(), false);
+        assert.equal(await election.applySchedule(Date.parse(opensAt)), true);
+        assert.equal(election.phase, 'voting');
+        assert.equal(await election.applySchedule(Date.parse(closesAt)), true);
+        assert.equal(election.phase, 'closed');
+        assert.deepEqual(election.phaseHistory.map(transition => transition.by), ['scheduler', 'scheduler', 'scheduler']);
+    });
+
+    it('keeps the phase across a restart and reads the phase of older saved state', async () => {
+        await election.advanceToPhase('voting', 'officer');
+        const restarted = await createElection({ storage: election.storage, authorities: election.authorities });
+        assert.equal(restarted.phase, 'voting');
+        assert.equal(restarted.isElectionOpen, true);
+
+        const storage = new MemoryStorage();
+        await storage.saveElectionState({ isElectionOpen: false, votedUsers: [], candidates: [] });
+        assert.equal((await createElection({ storage })).phase, 'registration');
+        assert.equal(getLegacyPhase(false, true), 'closed');
+    });
+});
@@ -0,0 +1,76 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SHA256 from 'crypto-js/sha256.js';
+import { createElection, getErrorRules, openElection, sealForgedBlock, signVote, stopElections } from './support.js';
+import { Block } from '../src/core/blockchain.js';
+import { computeMerkleRoot, getMerkleProof, hashTransaction } from '../src/core/merkle.js';
+import { auditChain } from '../src/core/chainAudit.js';
+
+// Walks a proof from the leaf to the root, as the verify-my-vote page does
+const rootFromProof = (leaf, proof) => proof.reduce((hash, step) =>
+    SHA256(step.position === 'left' ? step.hash + hash : hash + step.hash).toString(), leaf);
+
+describe('merkle trees', () => {
+    const transactions = ['a', 'b', 'c', 'd', 'e'].map(candidateId => ({ candidateId, type: 'vote' }));
+
+    it('proves every transaction of a list against its root', () => {
+        const root = computeMerkleRoot(transactions);
+        transactions.forEach((transaction, index) => {
+            assert.equal(rootFromProof(hashTransaction(transaction), getMerkleProof(transactions, index)), root);
+        });
+    });
+
+    it('changes the root when a transaction changes', () => {
+        const changed = transactions.map((trans, index) => index === 2 ? { ...trans, candidateId: 'x' } : trans);
+        assert.notEqual(computeMerkleRoot(changed), computeMerkleRoot(transactions));
+    });
+
+    it('rejects a block that repeats its last transaction to match the root of a shorter list', () => {
+        // An odd node is paired with itself, so both lists have the same root (CVE-2012-2459)
+        const block = new Block(1, 1000, transactions.slice(0, 3), '0');
+        block.data = [...block.data, block.data[2]];
+        assert.equal(computeMerkleRoot(block.data), block.merkleRoot);
+        assert.equal(block.hasValidMerkleRoot(), false);
+    });
+
+    it('covers the Merkle root in the block hash', () => {
+        const block = new Block(1, 1000, transactions, '0');
+        assert.ok(block.hasValidMerkleRoot());
+        block.data = transactions.slice(1);
+        assert.equal(block.hasValidMerkleRoot(), false);
+    });
+});
+
+describe('vote receipts', () => {
+    after(stopElections);
+
+    it('reports a mined block altered to repeat its last transaction', async () => {
+        const election = await createElection();
+        const credentials = await openElection(election, ['v1', 'v2', 'v3']);
+        await election.minePendingTransactions();
+        const votes = ['v1', 'v2', 'v3'].map(voterId =>
+            ({ ...signVote(election.electionId, credentials.get(voterId), { candidateId: 'candidateA' }), electionId: election.electionId, type: 'vote' }));
+        const block = sealForgedBlock(election, votes);
+        block.data.push(block.data[2]);
+        assert.equal(block.hash, block.calculateHash());
+        const report = auditChain(election);
+        assert.ok(getErrorRules(report).includes('merkle-root'));
+        assert.ok(report.findings.some(finding => /holds the same transaction twice/.test(finding.message)));
+    });
+
+    it('follows a vote from pending to confirmed with a proof', async () => {
+        const election = await createElection();
+        const credentials = await openElection(election, ['v1', 'v2']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        const receiptId = await election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateB' }));
+
+        assert.equal(election.getReceipt(receiptId).status, 'pending');
+        await election.minePendingTransactions();
+
+        const receipt = election.getReceipt(receiptId);
+        assert.equal(receipt.status, 'confirmed');
+        assert.equal(receipt.transaction.voterId, 'v2');
+        assert.equal(rootFromProof(receiptId, receipt.proof), receipt.block.merkleRoot);
+        assert.equal(election.getReceipt('0'.repeat(64)), null);
+    });
+});
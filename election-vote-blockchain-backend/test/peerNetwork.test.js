@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElectionRegistry } from '../src/core/electionRegistry.js';
+import { PeerNetwork } from '../src/network/peerNetwork.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+describe('PeerNetwork', () => {
+    const peers = ['http://peer-a:3001', 'http://peer-b:3001'];
+    let registry;
+    let network;
+    let warnings;
+
+    beforeEach(async () => {
+        registry = new ElectionRegistry(new MemoryStorage(), { blockProduction: { maxBatchSize: Infinity, batchIntervalMs: 60 * 60 * 1000 } });
+        await registry.loadElections();
+        network = new PeerNetwork(registry, { peers });
+        warnings = mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        registry.getElections().forEach(election => election.blockProducer.stop());
+    });
+
+    it('skips elections a peer lists without an ID', async () => {
+        const requests = mock.method(network, 'request', async (peerUrl, path) => (path === '/elections'
+            ? { ok: true, status: 200, payload: [null, { name: 'No ID' }, { id: '', chainLength: 5 }, { id: 'default', chainLength: 1, chainWork: 0 }] }
+            : null));
+        await network.syncWithPeer(peers[0]);
+        assert.deepEqual(requests.mock.calls.map(call => call.arguments[1]), ['/elections']);
+        assert.equal(warnings.mock.callCount(), 3);
+        assert.match(warnings.mock.calls[0].arguments[0], /listed an election without an ID/);
+    });
+
+    it('syncs with the other peers when the sync with one fails', async () => {
+        const synced = [];
+        mock.method(network, 'syncWithPeer', async (peerUrl) => {
+            if (peerUrl === peers[0]) {
+                throw new Error('Unexpected answer');
+            }
+            synced.push(peerUrl);
+        });
+        await network.syncAll();
+        assert.deepEqual(synced, [peers[1]]);
+        assert.match(warnings.mock.calls[0].arguments[0], /Sync with peer http:\/\/peer-a:3001 failed: Unexpected answer/);
+    });
+
+    it('logs a failed resync of an election instead of rejecting', async () => {
+        mock.method(registry, 'getElection', () => {
+            throw new Error('Registry unavailable');
+        });
+        await network.syncElection('default');
+        assert.equal(network.syncs.size, 0);
+        assert.match(warnings.mock.calls[0].arguments[0], /Resync of election 'default' failed: Registry unavailable/);
+    });
+});
@@ -0,0 +1,70 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditChain } from '../src/core/chainAudit.js';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+
+describe('revoting', () => {
+    let election;
+    let credentials;
+
+    const vote = (voterId, candidateId, timestamp) =>
+        election.createVote(signVote(election.electionId, credentials.get(voterId), { candidateId }, timestamp));
+
+    beforeEach(async () => {
+        election = await createElection();
+        await election.setAllowRevoting(true, 'officer');
+        credentials = await openElection(election, ['v1', 'v2']);
+    });
+
+    after(stopElections);
+
+    it('counts only a voter\'s latest vote and marks the earlier receipt superseded', async () => {
+        const first = await vote('v1', 'candidateA', Date.now() - 1000);
+        await election.minePendingTransactions();
+        const second = await vote('v1', 'candidateB');
+        await vote('v2', 'candidateB');
+        await election.minePendingTransactions();
+
+        const { results, ballotCount } = election.getElectionResults();
+        assert.equal(ballotCount, 2);
+        assert.equal(results.candidateA.votes, 0);
+        assert.equal(results.candidateB.votes, 2);
+        assert.equal(election.getReceipt(first).superseded, true);
+        assert.equal(election.getReceipt(second).superseded, false);
+        assert.deepEqual(auditChain(election).findings, []);
+    });
+
+    it('replaces a vote that is still waiting to be mined', async () => {
+        await vote('v1', 'candidateA', Date.now() - 1000);
+        await vote('v1', 'candidateB');
+        await election.minePendingTransactions();
+        assert.deepEqual(election.getElectionResults().winners, ['candidateB']);
+        assert.equal(auditChain(election).valid, true);
+    });
+
+    it('rejects a replacement signed before the vote it replaces', async () => {
+        const now = Date.now();
+        await vote('v1', 'candidateA', now);
+        await election.minePendingTransactions();
+        await assert.rejects(vote('v1', 'candidateB', now - 1000), /already cast a later vote/);
+    });
+
+    it('rejects a vote signed too far from the node\'s time', async () => {
+        await assert.rejects(vote('v1', 'candidateA', Date.now() + 10 * 60 * 1000), /more than 5 minutes away from the server's time/);
+        await assert.rejects(vote('v1', 'candidateA', Date.now() - 10 * 60 * 1000), /more than 5 minutes away/);
+        assert.equal(election.pendingTransactions.some(trans => trans.type === 'vote'), false);
+    });
+
+    it('rejects a second vote when revoting is not allowed', async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1']);
+        await vote('v1', 'candidateA', Date.now() - 1000);
+        await assert.rejects(vote('v1', 'candidateB'), /waiting to be mined/);
+        await election.minePendingTransactions();
+        await assert.rejects(vote('v1', 'candidateB'), /already cast a vote/);
+    });
+
+    it('cannot be changed once voting has started', async () => {
+        await assert.rejects(election.setAllowRevoting(false, 'officer'), /locked/);
+    });
+});
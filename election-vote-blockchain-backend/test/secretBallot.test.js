@@ -0,0 +1,102 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, getBallotToken, openElection, stopElections } from './support.js';
+import { generateBlindSigningKey, signBlindedMessage, verifyTokenSignature } from '../src/core/blindSignature.js';
+
+describe('blind signatures', () => {
+    let signingKey;
+
+    before(() => {
+        signingKey = generateBlindSigningKey();
+    });
+
+    it('rejects a token signature made for another token', () => {
+        const signature = signBlindedMessage('1234abcd', signingKey);
+        assert.equal(verifyTokenSignature('a'.repeat(64), signature, signingKey.publicKey), false);
+        assert.equal(verifyTokenSignature('a'.repeat(64), 'zz', signingKey.publicKey), false);
+    });
+
+    it('refuses to sign values outside the modulus', () => {
+        assert.throws(() => signBlindedMessage('0', signingKey), /out of range/);
+        assert.throws(() => signBlindedMessage(`f${signingKey.publicKey.n}`, signingKey), /out of range/);
+        assert.throws(() => signBlindedMessage('xyz', signingKey), /hex string/);
+    });
+});
+
+describe('secret ballots', () => {
+    let election;
+    let credentials;
+
+    beforeEach(async () => {
+        election = await createElection();
+        await election.setBallotMode('secret');
+        credentials = await openElection(election, ['v1', 'v2']);
+    });
+
+    after(stopElections);
+
+    it('records who took part apart from an anonymous ballot that counts', async () => {
+        const { token, tokenSignature } = await getBallotToken(election, credentials.get('v1'));
+        await election.castAnonymousBallot({ token, tokenSignature, candidateId: 'candidateB' });
+        await election.minePendingTransactions();
+
+        const [participation, ballot] = election.chain[1].data.filter(trans => trans.type !== 'admin');
+        assert.equal(participation.type, 'participation');
+        assert.equal(participation.voterId, 'v1');
+        assert.equal(participation.candidateId, undefined);
+        assert.deepEqual(Object.keys(ballot).sort(), ['candidateId', 'electionId', 'token', 'tokenSignature', 'type']);
+        assert.equal(election.getElectionResults().results.candidateB.votes, 1);
+    });
+
+    it('keeps anonymous ballots out of the public pending list until they are mined', async () => {
+        const { token, tokenSignature } = await getBallotToken(election, credentials.get('v1'));
+        await election.castAnonymousBallot({ token, tokenSignature, candidateId: 'candidateB' });
+        assert.deepEqual(election.getPublicPendingTransactions().map(trans => trans.type).filter(type => type !== 'admin'), ['participation']);
+        assert.equal(election.pendingTransactions.some(trans => trans.type === 'ballot'), true);
+    });
+
+    it('spends each token once', async () => {
+        const { token, tokenSignature } = await getBallotToken(election, credentials.get('v1'));
+        await election.castAnonymousBallot({ token, tokenSignature, candidateId: 'candidateA' });
+        await assert.rejects(election.castAnonymousBallot({ token, tokenSignature, candidateId: 'candidateB' }), /already been used/);
+        await election.minePendingTransactions();
+        await assert.rejects(election.castAnonymousBallot({ token, tokenSignature, candidateId: 'candidateB' }), /already been used/);
+    });
+
+    it('gives each voter one token', async () => {
+        await getBallotToken(election, credentials.get('v1'));
+        await assert.rejects(getBallotToken(election, credentials.get('v1')), /already cast a vote/);
+    });
+
+    it('rejects a token the election did not sign', async () => {
+        const { tokenSignature } = await getBallotToken(election, credentials.get('v1'));
+        await assert.rejects(election.castAnonymousBallot({ token: 'b'.repeat(64), tokenSignature, candidateId: 'candidateA' }), /not signed by this election/);
+    });
+
+    it('keeps the signing key out of the stored election state', async () => {
+        const state = await election.storage.loadElectionState();
+        assert.equal(state.ballotSigningKey, undefined);
+        assert.deepEqual(state.ballotPublicKey, election.getBallotPublicKey());
+
+        const restarted = await createElection({ storage: election.storage, authorities: election.authorities, keyStore: election.keyStore });
+        await getBallotToken(restarted, credentials.get('v1'));
+        const withoutKey = await createElection({ storage: election.storage, authorities: election.authorities });
+        assert.equal(withoutKey.ballotSigningKey.privateKey, null);
+        assert.deepEqual(withoutKey.getBallotPublicKey(), election.getBallotPublicKey());
+    });
+
+    it('moves a signing key saved in the election state by older versions to the key store', async () => {
+        const { ballotPublicKey, ...state } = await election.storage.loadElectionState();
+        const ballotSigningKey = await election.keyStore.load(election.electionId, 'ballot-signing-key');
+        await election.storage.saveElectionState({ ...state, ballotSigningKey });
+
+        const upgraded = await createElection({ storage: election.storage, authorities: election.authorities });
+        assert.deepEqual(await upgraded.keyStore.load(election.electionId, 'ballot-signing-key'), ballotSigningKey);
+        assert.equal((await election.storage.loadElectionState()).ballotSigningKey, undefined);
+        await getBallotToken(upgraded, credentials.get('v1'));
+    });
+
+    it('locks the ballot mode once the election is open', async () => {
+        await assert.rejects(election.setBallotMode('open'), /locked/);
+    });
+});
@@ -0,0 +1,80 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAuthorities } from './support.js';
+import { createApiRouter } from '../src/api/index.js';
+import { AdminUserStore, hashPassword } from '../src/auth/adminUserStore.js';
+import { TokenService } from '../src/auth/tokenService.js';
+import { ROLES } from '../src/auth/roles.js';
+import { run as simulate } from '../src/cli/simulateCommand.js';
+import { Blockchain } from '../src/core/blockchain.js';
+import { ElectionRegistry } from '../src/core/electionRegistry.js';
+import { PeerNetwork } from '../src/network/peerNetwork.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+describe('simulate', () => {
+    let registry;
+    let server;
+    let url;
+
+    before(async () => {
+        registry = new ElectionRegistry(new MemoryStorage(), {
+            consensus: { mode: 'poa', authorities: createAuthorities() },
+            blockProduction: { maxBatchSize: 10, batchIntervalMs: 20 }
+        });
+        await registry.loadElections();
+        const userStore = new AdminUserStore([{ username: 'admin', passwordHash: hashPassword('pw'), roles: Object.values(ROLES) }]);
+        const app = express();
+        app.use(express.json());
+        app.use('/', createApiRouter(registry, { userStore, tokenService: new TokenService('secret') }, new PeerNetwork(registry)));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => new Promise(resolve => {
+        registry.getElections().forEach(election => election.blockProducer.stop());
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    it('runs a synthetic election and finds the results it expected', async () => {
+        const printed = [];
+        mock.method(console, 'log', (text) => printed.push(text));
+        const exitCode = await simulate(['--url', url, '--voters', '12', '--spread', '2,1', '--election', 'sim',
+            '--username', 'admin', '--password', 'pw', '--settle-timeout', '30', '--json']);
+
+        const report = JSON.parse(printed.at(-1)); // The node logs to the console too
+        assert.equal(exitCode, 0);
+        assert.equal(report.results.passed, true);
+        assert.equal(registry.getElection('sim').getElectionResults().results['candidate-1'].votes, 8);
+    });
+
+    it('fails when a valid vote is rejected, even though the accepted votes were counted', async () => {
+        const createVote = Blockchain.prototype.createVote;
+        let calls = 0;
+        const rejectFirstVote = mock.method(Blockchain.prototype, 'createVote', function (...args) {
+            calls += 1;
+            return calls === 1 ? Promise.reject(new Error('Invalid vote: rejected by the test.')) : createVote.apply(this, args);
+        });
+        const printed = [];
+        mock.method(console, 'log', (text) => printed.push(text));
+        try {
+            const exitCode = await simulate(['--url', url, '--voters', '6', '--election', 'sim-rejected',
+                '--username', 'admin', '--password', 'pw', '--settle-timeout', '30', '--json']);
+            const report = JSON.parse(printed.at(-1));
+            assert.equal(exitCode, 2);
+            assert.equal(report.voting.rejected, 1);
+            assert.equal(report.results.ballotCount, 5);
+            assert.equal(report.results.passed, false);
+        } finally {
+            rejectFirstVote.mock.restore();
+        }
+    });
+
+    it('refuses settings out of range', async () => {
+        await assert.rejects(simulate(['--url', url, '--voters', '0', '--username', 'admin', '--password', 'pw']), /--voters must be a whole number/);
+        await assert.rejects(simulate(['--url', url, '--spread', '5', '--username', 'admin', '--password', 'pw']), /--spread must list/);
+    });
+});
@@ -0,0 +1,153 @@
+import { after, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+import { Blockchain } from '../src/core/blockchain.js';
+import { createStorage, FileStorage, KeyStore, MemoryStorage } from '../src/storage/index.js';
+
+const directories = [];
+
+/**
+ * Creates an empty data directory, removed after the tests.
+ * @returns {Promise<string>} The directory.
+ */
+const createDataDirectory = async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'election-storage-'));
+    directories.push(directory);
+    return directory;
+};
+
+after(() => Promise.all(directories.map(directory => fs.rm(directory, { recursive: true, force: true }))));
+
+describe('MemoryStorage', () => {
+    it('copies blocks and state on the way in and out', async () => {
+        const storage = new MemoryStorage();
+        const block = { index: 0, data: ['a'] };
+        await storage.saveBlock(block);
+        block.data.push('b');
+        const [loaded] = await storage.loadBlocks();
+        assert.deepEqual(loaded.data, ['a']);
+        loaded.data.push('c');
+        assert.deepEqual((await storage.loadBlocks())[0].data, ['a']);
+
+        assert.equal(await storage.loadElectionState(), null);
+        await storage.saveElectionState({ registeredVoters: ['v1'] });
+        (await storage.loadElectionState()).registeredVoters.push('v2');
+        assert.deepEqual(await storage.loadElectionState(), { registeredVoters: ['v1'] });
+    });
+});
+
+describe('FileStorage', () => {
+    it('appends blocks and replaces the state', async () => {
+        const directory = await createDataDirectory();
+        const storage = new FileStorage(directory);
+        assert.deepEqual(await storage.loadBlocks(), []);
+        assert.equal(await storage.loadElectionState(), null);
+
+        await storage.saveBlock({ index: 0, hash: 'a' });
+        await storage.saveBlock({ index: 1, hash: 'b' });
+        await storage.saveElectionState({ isElectionOpen: false });
+        await storage.saveElectionState({ isElectionOpen: true });
+        assert.deepEqual(await new FileStorage(directory).loadBlocks(), [{ index: 0, hash: 'a' }, { index: 1, hash: 'b' }]);
+        assert.deepEqual(await new FileStorage(directory).loadElectionState(), { isElectionOpen: true });
+        assert.deepEqual(await fs.readdir(directory), ['blocks.jsonl', 'election_state.json']);
+    });
+
+    it('ignores a torn last block record but not a corrupt earlier one', async () => {
+        const directory = await createDataDirectory();
+        const blocksPath = path.join(directory, 'blocks.jsonl');
+        await fs.writeFile(blocksPath, '{"index":0}\n{"index":1,"ha');
+        assert.deepEqual(await new FileStorage(directory).loadBlocks(), [{ index: 0 }]);
+
+        await fs.writeFile(blocksPath, '{"index":0\n{"index":1}\n');
+        await assert.rejects(new FileStorage(directory).loadBlocks(), /Corrupt block record on line 1/);
+    });
+
+    it('keeps a write-ahead log of pending transactions', async () => {
+        const directory = await createDataDirectory();
+        const storage = new FileStorage(directory);
+        await Promise.all([
+            storage.appendPendingTransaction('a', { type: 'vote' }),
+            storage.appendPendingTransaction('b', { type: 'ballot' }),
+            storage.removePendingTransactions(['a'])
+        ]);
+        await storage.appendPendingTransaction('c', { type: 'vote' });
+        assert.deepEqual(await new FileStorage(directory).loadPendingTransactions(), [
+            { id: 'b', transaction: { type: 'ballot' } },
+            { id: 'c', transaction: { type: 'vote' } }
+        ]);
+    });
+
+    it('keeps other elections in their own directories and lists them in an index', async () => {
+        const directory = await createDataDirectory();
+        const storage = new FileStorage(directory);
+        await storage.forElection('board').saveBlock({ index: 0, hash: 'b' });
+        await storage.saveElectionIndex(['default', 'board']);
+        assert.deepEqual(await storage.loadBlocks(), []);
+        assert.deepEqual(await new FileStorage(directory, 'board').loadBlocks(), [{ index: 0, hash: 'b' }]);
+        assert.deepEqual(await new FileStorage(directory).forElection('board').loadElectionIndex(), ['default', 'board']);
+        assert.deepEqual(await fs.readdir(path.join(directory, 'elections')), ['board']);
+    });
+});
+
+describe('KeyStore', () => {
+    it('keeps each key in its own file readable only by its owner', async () => {
+        const directory = path.join(await createDataDirectory(), 'secrets');
+        const keys = new KeyStore(directory);
+        assert.equal(await keys.load('board', 'ballot-signing-key'), null);
+        await keys.save('board', 'ballot-signing-key', { privateKey: 'secret' });
+
+        assert.deepEqual(await new KeyStore(directory).load('board', 'ballot-signing-key'), { privateKey: 'secret' });
+        assert.equal(await new KeyStore(directory).load('default', 'ballot-signing-key'), null);
+        assert.equal((await fs.stat(path.join(directory, 'board.ballot-signing-key.json'))).mode & 0o777, 0o600);
+    });
+
+    it('keeps keys in memory without a directory', async () => {
+        const keys = new KeyStore();
+        const key = { privateKey: 'secret' };
+        await keys.save('default', 'ballot-signing-key', key);
+        key.privateKey = 'changed';
+        assert.deepEqual(await keys.load('default', 'ballot-signing-key'), { privateKey: 'secret' });
+    });
+});
+
+describe('createStorage', () => {
+    it('creates the configured backend', () => {
+        assert.ok(createStorage({ backend: 'memory' }) instanceof MemoryStorage);
+        assert.ok(createStorage({ backend: 'file', dataDir: './data' }) instanceof FileStorage);
+        assert.throws(() => createStorage({ backend: 'postgres' }), /Unknown storage backend 'postgres'/);
+    });
+});
+
+describe('Blockchain storage', () => {
+    after(stopElections);
+
+    it('reloads the chain and election state it saved', async () => {
+        const storage = new MemoryStorage();
+        const election = await createElection({ storage });
+        const credentials = await openElection(election, ['v1']);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.minePendingTransactions();
+
+        const reloaded = await createElection({ storage, authorities: election.authorities });
+        assert.deepEqual(reloaded.chain.map(block => block.hash), election.chain.map(block => block.hash));
+        assert.equal(reloaded.isChainValid(), true);
+        assert.equal(reloaded.isElectionOpen, true);
+        assert.equal(reloaded.votedUsers.has('v1'), true);
+        assert.equal(reloaded.getElectionResults().results.candidateA.votes, 1);
+    });
+
+    it('starts from a genesis block when loading fails and the policy is fallback', async () => {
+        const storage = new MemoryStorage();
+        storage.loadBlocks = async () => { throw new Error('unavailable'); };
+        mock.method(console, 'error', () => {});
+        await assert.rejects(new Blockchain(storage).loadChainAndElectionStateFromDatabase(), /Failed to load blockchain from In-memory storage: unavailable/);
+
+        const election = new Blockchain(storage, { loadFailurePolicy: 'fallback' });
+        await election.loadChainAndElectionStateFromDatabase();
+        assert.equal(election.chain.length, 1);
+        assert.equal(election.isLoaded, true);
+    });
+});
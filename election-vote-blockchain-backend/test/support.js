@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Helpers shared by the backend tests. Elections made by createElection run on
+ * in-memory storage in Proof-of-Authority mode, so blocks are sealed at once by a test authority
+ * instead of being mined in worker threads, and batching never mines on its own: tests mine with
+ * minePendingTransactions.
+ */
+
+import crypto from 'crypto';
+import { mock } from 'node:test';
+import { getBallotSigningPayload, getParticipationSigningPayload, getTransferSigningPayload } from '../src/core/ballotSignature.js';
+import { hashTokenToInt } from '../src/core/blindSignature.js';
+import { AuthoritySet, generateAuthorityKeyPair } from '../src/core/authority.js';
+import { Block, Blockchain } from '../src/core/blockchain.js';
+import { computeMerkleRoot } from '../src/core/merkle.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+// The nodes' progress messages would drown the test report
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+export const AUTHORITY_ID = 'test-authority';
+
+// Elections created by createElection, so stopElections can clear their batch timers
+const elections = [];
+
+/**
+ * Creates a set of one authority whose key this node holds.
+ * @param {string} [id] - The authority ID.
+ * @returns {AuthoritySet} The authorities.
+ */
+export const createAuthorities = (id = AUTHORITY_ID) => {
+    const { publicKey, privateKey } = generateAuthorityKeyPair();
+    return new AuthoritySet([{ id, publicKey }], { id, privateKey });
+};
+
+/**
+ * Creates and loads an election.
+ * @param {object} [options] - Blockchain options, plus:
+ * @param {MemoryStorage} [options.storage] - The storage; a new one by default.
+ * @param {AuthoritySet} [options.authorities] - The authorities; a new test authority by default.
+ * @param {string} [options.consensusMode='poa'] - The consensus mode; `authorities` sign admin actions in either mode.
+ * @returns {Promise<Blockchain>} The loaded election.
+ */
+export const createElection = async ({ storage = new MemoryStorage(), authorities = createAuthorities(), consensusMode = 'poa', ...options } = {}) => {
+    const election = new Blockchain(storage, {
+        ...options,
+        consensus: { mode: consensusMode, authorities },
+        blockProduction: { maxBatchSize: Infinity, batchIntervalMs: 60 * 60 * 1000 }
+    });
+    await election.loadChainAndElectionStateFromDatabase();
+    elections.push(election);
+    return election;
+};
+
+/**
+ * Stops the batch timers of every election created so far, so the test process can exit.
+ */
+export const stopElections = () => {
+    elections.splice(0).forEach(election => election.blockProducer.stop());
+};
+
+/**
+ * Registers voters with generated credentials and opens voting.
+ * @param {import('../src/core/blockchain.js').Blockchain} election - The loaded election.
+ * @param {Array<string>} voterIds - The voters to register.
+ * @returns {Promise<Map<string, object>>} Voter ID -> credential ({ voterId, publicKey, privateKey }).
+ */
+export const openElection = async (election, voterIds) => {
+    const credentials = new Map();
+    for (const voterId of voterIds) {
+        credentials.set(voterId, await election.registerVoter(voterId, null, {}, 'registrar'));
+    }
+    await election.advanceToPhase('voting', 'officer');
+    return credentials;
+};
+
+/**
+ * Signs a payload with a voter or wallet key, as the browser does.
+ * @param {string} privateKey - Base64 DER (PKCS#8) ECDSA P-256 private key.
+ * @param {string} payload - The signed payload.
+ * @returns {string} The base64 IEEE P1363 signature.
+ */
+const signPayload = (privateKey, payload) => {
+    const key = crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+    return crypto.sign('sha256', Buffer.from(payload, 'utf8'), { key, dsaEncoding: 'ieee-p1363' }).toString('base64');
+};
+
+/**
+ * Signs a ballot the way the vote form does.
+ * @param {string} electionId - The election ID.
+ * @param {object} credential - The voter's credential ({ voterId, privateKey }).
+ * @param {object} selection - { candidateId } or { choices }.
+ * @param {number} [timestamp] - The signing time.
+ * @returns {object} The vote request body ({ voterId, candidateId or choices, timestamp, signature }).
+ */
+export const signVote = (electionId, { voterId, privateKey }, selection, timestamp = Date.now()) => {
+    const ballot = { voterId, ...selection, timestamp: String(timestamp) };
+    return { ...ballot, signature: signPayload(privateKey, getBallotSigningPayload({ electionId, ...ballot })) };
+};
+
+/**
+ * Signs a credit transfer the way the transfer form does.
+ * @param {string} electionId - The election ID.
+ * @param {object} wallet - The sender's wallet ({ address, publicKey, privateKey }).
+ * @param {string} toAddress - The receiving address.
+ * @param {number} amount - The credits to send.
+ * @returns {object} The transfer request body ({ fromAddress, toAddress, amount, timestamp, publicKey, signature }).
+ */
+export const signTransfer = (electionId, { address, publicKey, privateKey }, toAddress, amount) => {
+    const transfer = { fromAddress: address, toAddress, amount, timestamp: String(Date.now()) };
+    return { ...transfer, publicKey, signature: signPayload(privateKey, getTransferSigningPayload({ electionId, ...transfer })) };
+};
+
+/**
+ * Computes base^exponent mod modulus.
+ */
+const modPow = (base, exponent, modulus) => {
+    let result = 1n;
+    base %= modulus;
+    for (; exponent > 0n; exponent >>= 1n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+    }
+    return result;
+};
+
+/**
+ * Computes the inverse of a modulo m (extended Euclid).
+ */
+const modInverse = (a, m) => {
+    let [oldR, r, oldS, s] = [a % m, m, 1n, 0n];
+    while (r !== 0n) {
+        const quotient = oldR / r;
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+    return ((oldS % m) + m) % m;
+};
+
+/**
+ * Gets a blind-signed ballot token the way the vote form does: blinds a random token, has the
+ * election sign it with a signed request, and unblinds the signature.
+ * @param {import('../src/core/blockchain.js').Blockchain} election - A secret-ballot election.
+ * @param {object} credential - The voter's credential ({ voterId, privateKey }).
+ * @returns {Promise<object>} { token, tokenSignature, blindedMessage }.
+ */
+export const getBallotToken = async (election, { voterId, privateKey }) => {
+    const { n: modulus, e } = election.getBallotPublicKey();
+    const n = BigInt(`0x${modulus}`);
+    const token = crypto.randomBytes(32).toString('hex');
+    const blindingFactor = BigInt(`0x${crypto.randomBytes(64).toString('hex')}`) % n;
+    const blindedMessage = ((hashTokenToInt(token, n) * modPow(blindingFactor, BigInt(`0x${e}`), n)) % n).toString(16);
+    const request = { voterId, blindedMessage, timestamp: String(Date.now()) };
+    const signature = signPayload(privateKey, getParticipationSigningPayload({ electionId: election.electionId, ...request }));
+    const blindSignature = BigInt(`0x${await election.issueBallotToken({ ...request, signature })}`);
+    return { token, tokenSignature: ((blindSignature * modInverse(blindingFactor, n)) % n).toString(16), blindedMessage };
+};
+
+/**
+ * Mines (proof-of-work) or seals (Proof-of-Authority) a block of raw transactions onto an
+ * election's chain, skipping every check a node makes before mining, as a dishonest miner would.
+ * @param {import('../src/core/blockchain.js').Blockchain} election - The election.
+ * @param {Array<object>} transactions - The block's transactions.
+ * @param {string} [timestamp] - The block's timestamp; by default the one an honest node would use.
+ * @returns {Block} The new block.
+ */
+export const sealForgedBlock = (election, transactions, timestamp = election.getNextBlockTimestamp()) => {
+    const block = new Block(election.chain.length, String(timestamp), transactions, election.getLatestBlock().hash,
+        0, null, computeMerkleRoot(transactions), election.consensusMode === 'poa' ? null : election.getNextDifficulty());
+    if (election.consensusMode === 'poa') {
+        election.authorities.seal(block);
+    } else {
+        block.mineBlock();
+    }
+    election.chain.push(block);
+    return block;
+};
+
+/**
+ * Lists the rules of an audit's error findings.
+ * @param {object} report - The audit report.
+ * @returns {Array<string>} The rules, one per error finding.
+ */
+export const getErrorRules = (report) =>
+    report.findings.filter(finding => finding.severity === 'error').map(finding => finding.rule);
@@ -0,0 +1,45 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+
+after(stopElections);
+
+describe('turnout analytics', () => {
+    it('breaks turnout and open-ballot results down by voter attribute', async () => {
+        const election = await createElection();
+        await election.setEligibility({ precinct: ['2', '10'] });
+        const credentials = new Map();
+        for (const [voterId, precinct] of [['v1', '10'], ['v2', '2'], ['v3', '2'], ['v4', undefined], ['out', '3']]) {
+            credentials.set(voterId, await election.registerVoter(voterId, null, precinct ? { precinct } : {}));
+        }
+        await openElection(election, []);
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        await election.createVote(signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateB' }));
+        await election.minePendingTransactions();
+        await election.createVote(signVote(election.electionId, credentials.get('v3'), { candidateId: 'candidateB' }));
+
+        const { turnout, votesOverTime, breakdowns } = election.getAnalytics({ bucketMinutes: 60 });
+        assert.deepEqual(turnout, { registered: 5, eligible: 3, voted: 2, pending: 1, rate: 0.6667 });
+        assert.equal(votesOverTime.buckets.length, 1);
+        assert.equal(votesOverTime.buckets[0].cumulative, 2);
+        assert.deepEqual(breakdowns, [{
+            attribute: 'precinct',
+            groups: [
+                { value: '2', registered: 2, voted: 1, rate: 0.5, votes: { candidateB: 1 } },
+                { value: '10', registered: 1, voted: 1, rate: 1, votes: { candidateA: 1 } }
+            ]
+        }]);
+    });
+
+    it('reports no results per group for secret ballots', async () => {
+        const election = await createElection();
+        await election.setBallotMode('secret');
+        await election.registerVoter('v1', null, { precinct: '1' });
+        await openElection(election, []);
+
+        const { turnout, votesOverTime, breakdowns } = election.getAnalytics();
+        assert.equal(turnout.rate, 0);
+        assert.deepEqual(votesOverTime.buckets, []);
+        assert.deepEqual(breakdowns[0].groups, [{ value: '1', registered: 1, voted: 0, rate: 0, votes: null }]);
+    });
+});
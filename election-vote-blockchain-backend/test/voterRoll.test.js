@@ -0,0 +1,94 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+import { generateVoterKeyPair } from '../src/core/ballotSignature.js';
+import { formatVoterCsv, normalizeEligibility, readVoterRows } from '../src/core/voterRoll.js';
+
+after(stopElections);
+
+describe('voter roll files', () => {
+    it('reads CSV rows with quoted fields and reports bad rows on their own', () => {
+        const rows = readVoterRows('\uFEFFvoterId,district,note\r\nv1,north,"a, ""quoted"" note"\r\n,south,x\r\nv3,east\r\n');
+        assert.deepEqual(rows[0], { row: 1, voterId: 'v1', record: { voterId: 'v1', publicKey: null, attributes: { district: 'north', note: 'a, "quoted" note' } }, error: null });
+        assert.match(rows[1].error, /voterId is required/);
+        assert.match(rows[2].error, /has 2 fields; the header has 3/);
+        assert.throws(() => readVoterRows('id,district\nv1,north\n'), /voterId column/);
+    });
+
+    it('writes CSV that reads back to the same records', () => {
+        const { publicKey } = generateVoterKeyPair();
+        const voters = [
+            { voterId: 'v1', publicKey, attributes: { district: 'north, upper' } },
+            { voterId: 'v2', publicKey: null, attributes: { precinct: '7' } }
+        ];
+        assert.deepEqual(readVoterRows(formatVoterCsv(voters)).map(row => row.record), [
+            { voterId: 'v1', publicKey, attributes: { district: 'north, upper' } },
+            { voterId: 'v2', publicKey: null, attributes: { precinct: '7' } }
+        ]);
+    });
+
+    it('rejects eligibility rules without allowed values', () => {
+        assert.deepEqual(normalizeEligibility({ district: [' north ', 'north', 'east'] }), { district: ['north', 'east'] });
+        assert.throws(() => normalizeEligibility({ district: [] }), /at least one allowed value/);
+        assert.throws(() => normalizeEligibility({ voterId: ['v1'] }), /not a valid attribute name/);
+    });
+});
+
+describe('voter registration', () => {
+    let election;
+
+    beforeEach(async () => {
+        election = await createElection();
+    });
+
+    it('records a large import in several transactions, each mined in a block of bounded size', async () => {
+        const note = 'x'.repeat(500);
+        const rows = Array.from({ length: 2500 }, (_, i) => ({ row: i + 1, voterId: `v${i}`, record: { voterId: `v${i}`, publicKey: null, attributes: { note } }, error: null }));
+        assert.equal((await election.importVoters(rows)).importedCount, 2500);
+        const imports = election.pendingTransactions.filter(trans => trans.action === 'register-voters');
+        assert.deepEqual(imports.map(trans => trans.voters.length), [1000, 1000, 500]);
+
+        await election.minePendingTransactions();
+        await election.minePendingTransactions();
+        const mined = election.chain.slice(1).map(block => block.data.filter(trans => trans.action === 'register-voters').length);
+        assert.deepEqual(mined, [1, 1]);
+        assert.equal(election.pendingTransactions.length, 1);
+    });
+
+    it('imports the good rows and lists why the others were skipped', async () => {
+        await election.registerVoter('v1');
+        const { importedCount, errors } = await election.importVoters(readVoterRows([
+            { voterId: 'v1' }, { voterId: 'v2', district: 'north' }, { voterId: 'v2' }, { district: 'south' }
+        ]));
+        assert.equal(importedCount, 1);
+        assert.deepEqual(errors.map(({ row, message }) => [row, message]), [
+            [1, 'Voter \'v1\' is already registered.'],
+            [3, 'Duplicate of row 2.'],
+            [4, 'voterId is required.']
+        ]);
+
+        const restarted = await createElection({ storage: election.storage, authorities: election.authorities });
+        assert.deepEqual(restarted.getVoterRecords().map(record => record.voterId), ['v1', 'v2']);
+        assert.deepEqual(restarted.registeredVoters.get('v2').attributes, { district: 'north' });
+    });
+
+    it('lets only eligible voters vote', async () => {
+        await election.setEligibility({ district: ['north'] });
+        const [north, south] = await Promise.all([
+            election.registerVoter('north-voter', null, { district: 'north' }),
+            election.registerVoter('south-voter', null, { district: 'south' })
+        ]);
+        await openElection(election, []);
+        await election.createVote(signVote(election.electionId, north, { candidateId: 'candidateA' }));
+        await assert.rejects(election.createVote(signVote(election.electionId, south, { candidateId: 'candidateA' })), /not eligible to vote in this election: district must be one of: north/);
+    });
+
+    it('removes voters only until voting opens', async () => {
+        await election.registerVoter('v1');
+        await election.registerVoter('v2');
+        assert.equal(await election.deregisterVoter('v1'), true);
+        assert.equal(await election.deregisterVoter('v1'), false);
+        await openElection(election, []);
+        await assert.rejects(election.deregisterVoter('v2'), /voting/);
+    });
+});
@@ -0,0 +1,162 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tallyBallots, countChainBallots, getBallotSelectionError, validateVotingMethod } from '../src/core/votingMethods.js';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+
+after(stopElections);
+
+const CANDIDATES = ['a', 'b', 'c'];
+
+/**
+ * Repeats a ballot.
+ * @param {number} count - How many voters cast it.
+ * @param {Array<string>} choices - The ballot's choices.
+ * @returns {Array<Array<string>>} The ballots.
+ */
+const cast = (count, choices) => Array.from({ length: count }, () => [...choices]);
+
+describe('tallyBallots', () => {
+    it('elects the plurality leader in one round', () => {
+        const { rounds, winners, quota } = tallyBallots('plurality', [...cast(2, ['a']), ...cast(1, ['b'])], CANDIDATES);
+        assert.deepEqual(winners, ['a']);
+        assert.deepEqual(rounds, [{ round: 1, tallies: { a: 2, b: 1, c: 0 }, exhausted: 0, elected: ['a'], eliminated: [] }]);
+        assert.equal(quota, null);
+    });
+
+    it('counts every approval and fills every seat', () => {
+        const ballots = [['a', 'b'], ['b'], ['b', 'c'], ['c']];
+        const { rounds, winners } = tallyBallots('approval', ballots, CANDIDATES, 2);
+        assert.deepEqual(rounds[0].tallies, { a: 1, b: 3, c: 2 });
+        assert.deepEqual(winners, ['b', 'c']);
+    });
+
+    it('returns no rounds and no winner without ballots', () => {
+        assert.deepEqual(tallyBallots('irv', [[]], CANDIDATES), { rounds: [], winners: [], quota: null });
+    });
+
+    describe('instant runoff', () => {
+        it('transfers the last-placed candidate\'s ballots until a majority is reached', () => {
+            const ballots = [...cast(4, ['a']), ...cast(3, ['b', 'a']), ...cast(2, ['c', 'b'])];
+            const { rounds, winners } = tallyBallots('irv', ballots, CANDIDATES);
+            assert.deepEqual(rounds.map(({ tallies, eliminated, elected }) => ({ tallies, eliminated, elected })), [
+                { tallies: { a: 4, b: 3, c: 2 }, eliminated: ['c'], elected: [] },
+                { tallies: { a: 4, b: 5 }, eliminated: [], elected: ['b'] }
+            ]);
+            assert.deepEqual(winners, ['b']);
+        });
+
+        it('needs a majority of the ballots still in play, not of all ballots', () => {
+            const ballots = [...cast(2, ['a']), ['b'], ['c']];
+            const { rounds, winners } = tallyBallots('irv', ballots, CANDIDATES);
+            assert.deepEqual(rounds[0].eliminated, ['c']); // b and c tie; the one listed last goes
+            assert.equal(rounds[1].exhausted, 1);
+            assert.deepEqual(winners, ['a']);
+        });
+
+        it('breaks a tie for last place by the earlier rounds', () => {
+            const candidates = ['a', 'b', 'c', 'd'];
+            const ballots = [...cast(5, ['a']), ...cast(3, ['b']), ...cast(4, ['c']), ...cast(1, ['d', 'b'])];
+            const { rounds } = tallyBallots('irv', ballots, candidates);
+            assert.deepEqual(rounds[0].eliminated, ['d']);
+            assert.deepEqual(rounds[1].tallies, { a: 5, b: 4, c: 4 });
+            assert.deepEqual(rounds[1].eliminated, ['b']); // Tied with c, but had fewer votes in round 1
+        });
+    });
+
+    describe('single transferable vote', () => {
+        it('uses the Droop quota and elects the remaining candidate to the last seat', () => {
+            const ballots = [...cast(6, ['a', 'b']), ...cast(2, ['b']), ...cast(4, ['c'])];
+            const { rounds, winners, quota } = tallyBallots('stv', ballots, CANDIDATES, 2);
+            assert.equal(quota, 5);
+            assert.deepEqual(rounds[0].elected, ['a']);
+            assert.deepEqual(rounds[1].tallies, { b: 3, c: 4 }); // b gets 6 ballots at a transfer value of 1/6
+            assert.deepEqual(rounds[1].eliminated, ['b']);
+            assert.deepEqual(winners, ['a', 'c']);
+        });
+
+        it('passes an elected candidate\'s surplus on at a reduced weight', () => {
+            const ballots = [...cast(8, ['a', 'b']), ...cast(1, ['b']), ...cast(3, ['c'])];
+            const { rounds, winners } = tallyBallots('stv', ballots, CANDIDATES, 2);
+            assert.deepEqual(rounds[1].tallies, { b: 4, c: 3 }); // 1 + 8 ballots at (8 - 5) / 8
+            assert.deepEqual(rounds[1].eliminated, ['c']);
+            assert.deepEqual(winners, ['a', 'b']);
+        });
+
+        it('rounds fractional tallies for display only', () => {
+            const ballots = [...cast(4, ['a', 'b']), ...cast(3, ['a', 'c']), ...cast(3, ['b']), ...cast(2, ['c'])];
+            const { rounds } = tallyBallots('stv', ballots, CANDIDATES, 2);
+            assert.deepEqual(rounds[1].tallies, { b: 4.1429, c: 2.8571 }); // a's 7 ballots move on at (7 - 5) / 7
+        });
+    });
+});
+
+describe('countChainBallots', () => {
+    const candidates = CANDIDATES.map(id => ({ id, name: id.toUpperCase() }));
+    const chain = (...transactions) => [{ index: 0, data: 'Genesis Block' }, { index: 1, data: transactions }];
+
+    it('counts open votes and anonymous ballots and skips unknown candidates', () => {
+        const result = countChainBallots(chain(
+            { type: 'vote', voterId: 'v1', candidateId: 'a' },
+            { type: 'ballot', token: 't1', candidateId: 'b' },
+            { type: 'vote', voterId: 'v2', candidateId: 'removed' },
+            { type: 'participation', voterId: 'v3' }
+        ), { candidates, votingMethod: 'plurality', seats: 1 });
+        assert.equal(result.ballotCount, 2);
+        assert.deepEqual(result.results, { a: { name: 'A', votes: 1 }, b: { name: 'B', votes: 1 }, c: { name: 'C', votes: 0 } });
+    });
+
+    it('counts ranked ballots with the election\'s method', () => {
+        const result = countChainBallots(chain(
+            { type: 'vote', voterId: 'v1', choices: ['c', 'b'] },
+            { type: 'vote', voterId: 'v2', choices: ['b'] },
+            { type: 'vote', voterId: 'v3', choices: ['a'] },
+            { type: 'vote', voterId: 'v4', choices: ['a', 'b'] },
+            { type: 'vote', voterId: 'v5', choices: ['b', 'a'] }
+        ), { candidates, votingMethod: 'irv', seats: 1 });
+        assert.equal(result.rounds.length, 2);
+        assert.deepEqual(result.winners, ['b']);
+    });
+});
+
+describe('ballot checks', () => {
+    const ids = new Set(CANDIDATES);
+
+    it('accepts a ballot of the shape its method expects', () => {
+        assert.equal(getBallotSelectionError('plurality', { candidateId: 'a' }, ids), null);
+        assert.equal(getBallotSelectionError('irv', { choices: ['b', 'a'] }, ids), null);
+    });
+
+    it('rejects a ballot of the wrong shape or naming a candidate twice', () => {
+        assert.match(getBallotSelectionError('plurality', { choices: ['a'] }, ids), /not a list of choices/);
+        assert.match(getBallotSelectionError('stv', { candidateId: 'a' }, ids), /in choices/);
+        assert.match(getBallotSelectionError('irv', { choices: ['a', 'x'] }, ids), /'x' not found/);
+        assert.match(getBallotSelectionError('irv', { choices: ['a', 'a'] }, ids), /twice/);
+    });
+
+    it('allows several seats only for multi-seat methods', () => {
+        assert.doesNotThrow(() => validateVotingMethod('stv', 3));
+        assert.throws(() => validateVotingMethod('irv', 2), /fills a single seat/);
+        assert.throws(() => validateVotingMethod('borda', 1), /must be one of/);
+    });
+});
+
+describe('ranked elections', () => {
+    it('accepts signed rankings and reports the rounds of the count', async () => {
+        const election = await createElection();
+        await election.setVotingMethod('irv');
+        const credentials = await openElection(election, ['v1', 'v2', 'v3']);
+        await assert.rejects(election.setVotingMethod('plurality'), /voting has started|locked/);
+        await assert.rejects(election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' })), /in choices/);
+
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { choices: ['candidateC', 'candidateB'] }));
+        await election.createVote(signVote(election.electionId, credentials.get('v2'), { choices: ['candidateB'] }));
+        await election.createVote(signVote(election.electionId, credentials.get('v3'), { choices: ['candidateA'] }));
+        await election.minePendingTransactions();
+
+        const { votingMethod, ballotCount, rounds, winners } = election.getElectionResults();
+        assert.equal(votingMethod, 'irv');
+        assert.equal(ballotCount, 3);
+        assert.equal(rounds.length, 2);
+        assert.deepEqual(winners, ['candidateB']);
+    });
+});
@@ -0,0 +1,84 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditChain } from '../src/core/chainAudit.js';
+import { hashTransaction } from '../src/core/merkle.js';
+import { createElection, openElection, signVote, stopElections } from './support.js';
+
+describe('write-ahead log replay', () => {
+    let election;
+    let credentials;
+
+    // A node restarting on the same storage, as after a crash
+    const restart = () => createElection({ storage: election.storage, authorities: election.authorities });
+
+    beforeEach(async () => {
+        election = await createElection();
+        credentials = await openElection(election, ['v1', 'v2']);
+        await election.minePendingTransactions(); // Only the ballots cast by each test stay pending
+    });
+
+    after(stopElections);
+
+    it('re-queues a vote accepted but not yet mined', async () => {
+        const receiptId = await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        const restarted = await restart();
+        assert.deepEqual(restarted.pendingTransactions.map(hashTransaction), [receiptId]);
+        await assert.rejects(restarted.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateB' })), /waiting to be mined/);
+
+        await restarted.minePendingTransactions();
+        assert.equal(restarted.getElectionResults().results.candidateA.votes, 1);
+        assert.deepEqual(await restarted.storage.loadPendingTransactions(), []);
+    });
+
+    it('re-applies an admin action accepted but not yet mined', async () => {
+        const other = await createElection({ authorities: election.authorities });
+        await other.registerVoter('late', null, {}, 'registrar');
+        election = other; // restart() reopens this one
+        const restarted = await restart();
+        assert.equal(restarted.registeredVoters.has('late'), true);
+        assert.equal(restarted.pendingTransactions.filter(trans => trans.type === 'admin').length, 2); // setup and register-voters
+
+        await restarted.minePendingTransactions();
+        assert.equal(auditChain(restarted).valid, true);
+    });
+
+    it('drops a logged transaction that is already in a block', async () => {
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        const [{ id, transaction }] = await election.storage.loadPendingTransactions();
+        await election.minePendingTransactions();
+        await election.storage.appendPendingTransaction(id, transaction); // As if the removal after mining was lost
+
+        const restarted = await restart();
+        assert.deepEqual(restarted.pendingTransactions, []);
+        assert.deepEqual(await restarted.storage.loadPendingTransactions(), []);
+        assert.equal(restarted.getElectionResults().results.candidateA.votes, 1);
+    });
+
+    it('drops a logged transaction whose ID does not match its contents', async () => {
+        await election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' }));
+        const [entry] = await election.storage.loadPendingTransactions();
+        await election.storage.removePendingTransactions([entry.id]);
+        await election.storage.appendPendingTransaction(entry.id, { ...entry.transaction, candidateId: 'candidateB' });
+
+        const restarted = await restart();
+        assert.deepEqual(restarted.pendingTransactions, []);
+        assert.deepEqual(await restarted.storage.loadPendingTransactions(), []);
+    });
+
+    it('drops a logged vote that no longer passes its checks', async () => {
+        const vote = { ...signVote(election.electionId, credentials.get('v2'), { candidateId: 'candidateA' }), electionId: election.electionId, type: 'vote' };
+        const forged = { ...vote, voterId: 'v1' }; // Signed by v2's key
+        await election.storage.appendPendingTransaction(hashTransaction(forged), forged);
+
+        const restarted = await restart();
+        assert.deepEqual(restarted.pendingTransactions, []);
+        assert.equal(restarted.hasPendingVote('v1'), false);
+    });
+
+    it('refuses a vote it cannot record', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        election.storage.appendPendingTransaction = async () => { throw new Error('disk full'); };
+        await assert.rejects(election.createVote(signVote(election.electionId, credentials.get('v1'), { candidateId: 'candidateA' })), /Failed to record/);
+        assert.deepEqual(election.pendingTransactions, []);
+    });
+});
@@ -1,46 +1,175 @@
 import { Component, OnInit } from '@angular/core';
-import { BlockchainService } from '../blockchain.service';
-import { interval, Subscription } from 'rxjs'; // For auto-refresh
+import { BallotMode, BlockchainService, Candidate, Eligibility, ElectionPhase, ElectionSchedule, PhaseTransition, VOTING_METHOD_LABELS, VoterImportError, VotingMethod } from '../blockchain.service';
+import { interval, Subscription } from 'rxjs'; // For the countdown clock
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
+import { TurnoutAnalyticsComponent } from '../turnout-analytics/turnout-analytics.component';
+import { AuthService } from '../auth.service';
+import { VoterCredential, VoterCredentialService } from '../voter-credential.service';
+
+// Button labels for moving into each phase
+const PHASE_ACTIONS: Partial<Record<ElectionPhase, string>> = {
+  registration: 'Start Registration',
+  voting: 'Open Voting',
+  closed: 'Close Voting',
+  tallying: 'Start Tallying',
+  certified: 'Certify Results'
+};
 
 @Component({
   selector: 'app-admin-dashboard',
   templateUrl: './admin-dashboard.component.html',
   styleUrls: ['./admin-dashboard.component.css'],
-  imports: [ CommonModule, FormsModule ]
+  imports: [ CommonModule, FormsModule, ElectionPickerComponent, TurnoutAnalyticsComponent ]
 })
 export class AdminDashboardComponent implements OnInit {
+  electionId: string = '';
   newVoterId: string = '';
+  newVoterPublicKey: string = ''; // Optional: key generated by the voter
+  newVoterAttributes: string = ''; // Optional: "district=north, precinct=12"
+  issuedCredential: VoterCredential | null = null; // Shown once so it can be handed to the voter
   registerVoterMessage: string = '';
   electionStatusMessage: string = '';
-  currentElectionStatus: boolean = false;
+  phase: ElectionPhase = 'draft';
+  nextPhases: ElectionPhase[] = [];
+  phaseHistory: PhaseTransition[] = [];
+  schedule: ElectionSchedule = { opensAt: null, closesAt: null };
+  now: number = Date.now(); // Ticks every second for the countdown
+
+  // Schedule form (datetime-local values, in the browser's time zone)
+  scheduleOpensAt: string = '';
+  scheduleClosesAt: string = '';
+  private scheduleFormLoaded: boolean = false; // Filled once per election so refreshes don't overwrite edits
+  ballotMode: BallotMode = 'open';
+  allowRevoting: boolean = false; // Whether a voter's later vote replaces their earlier one
+  votingMethod: VotingMethod = 'plurality';
+  seats: number = 1;
+  votingMethodForm: VotingMethod = 'plurality';
+  seatsForm: number = 1;
+  readonly votingMethodLabels = VOTING_METHOD_LABELS;
+  readonly votingMethods = Object.keys(VOTING_METHOD_LABELS) as VotingMethod[];
+  pendingTransactionCount: number = 0; // Accepted transactions not yet mined (kept in the write-ahead log)
   registeredVoters: string[] = [];
-  votedUsers: string[] = []; // For visibility
+  voterImportMessage: string = '';
+  voterImportErrors: VoterImportError[] = [];
+
+  // Eligibility rules, one "attribute: value, value" line per attribute
+  eligibility: Eligibility = {};
+  eligibilityForm: string = '';
+
+  // Candidate editor
+  candidates: Candidate[] = [];
+  candidatesLocked: boolean = false;
+  candidateForm: Candidate = this.emptyCandidate();
+  editingCandidateId: string | null = null; // Set while an existing candidate is being edited
+  candidateMessage: string = '';
+
+  // New election form
+  newElectionId: string = '';
+  newElectionName: string = '';
+  newElectionCandidates: string = ''; // One "id: name" pair per line
+  newElectionSecretBallot: boolean = false;
+  newElectionAllowRevoting: boolean = false;
+  newElectionVotingMethod: VotingMethod = 'plurality';
+  newElectionSeats: number = 1;
+  createElectionMessage: string = '';
 
   private refreshSubscription: Subscription | undefined;
+  private clockSubscription: Subscription | undefined;
+  private electionSubscription: Subscription | undefined;
 
-  constructor(private blockchainService: BlockchainService) { }
+  constructor(
+    private blockchainService: BlockchainService,
+    public authService: AuthService,
+    private credentialService: VoterCredentialService
+  ) { }
 
   ngOnInit(): void {
-    this.startAutoRefresh();
+    this.electionSubscription = this.blockchainService.selectedElectionId$.subscribe(electionId => {
+      this.electionId = electionId;
+      this.registerVoterMessage = '';
+      this.issuedCredential = null;
+      this.electionStatusMessage = '';
+      this.candidateMessage = '';
+      this.scheduleFormLoaded = false;
+      this.voterImportMessage = '';
+      this.voterImportErrors = [];
+      this.cancelCandidateEdit();
+      this.refresh();
+    });
+    this.listenForUpdates();
+    this.clockSubscription = interval(1000).subscribe(() => {
+      this.now = Date.now();
+    });
   }
 
   ngOnDestroy(): void {
     if (this.refreshSubscription) {
       this.refreshSubscription.unsubscribe();
     }
+    if (this.electionSubscription) {
+      this.electionSubscription.unsubscribe();
+    }
+    if (this.clockSubscription) {
+      this.clockSubscription.unsubscribe();
+    }
+  }
+
+  get isElectionOfficer(): boolean {
+    return this.authService.hasRole('election-officer');
+  }
+
+  get isRegistrar(): boolean {
+    return this.authService.hasRole('registrar');
+  }
+
+  // Refresh when the server reports a change to the selected election
+  listenForUpdates(): void {
+    this.refreshSubscription = this.blockchainService.selectedElectionEvents(
+      ['block-mined', 'chain-replaced', 'vote-accepted', 'status-changed', 'voters-changed', 'settings-changed']
+    ).subscribe(() => {
+      this.refresh();
+    });
   }
 
-  startAutoRefresh(): void {
+  refresh(): void {
     this.fetchElectionStatus();
     this.fetchRegisteredVoters();
-    this.fetchVotedUsers();
-    this.refreshSubscription = interval(5000).subscribe(() => {
-      this.fetchElectionStatus();
-      this.fetchRegisteredVoters();
-      this.fetchVotedUsers();
-    });
+    this.fetchCandidates();
+  }
+
+  createElection(): void {
+    const candidates = this.newElectionCandidates
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line !== '')
+      .map(line => {
+        const separator = line.indexOf(':');
+        return separator === -1
+          ? { id: line, name: line }
+          : { id: line.slice(0, separator).trim(), name: line.slice(separator + 1).trim() };
+      });
+    const ballotMode: BallotMode = this.newElectionSecretBallot ? 'secret' : 'open';
+    const allowRevoting = !this.newElectionSecretBallot && this.newElectionAllowRevoting;
+    const votingMethod = this.newElectionVotingMethod;
+    const seats = this.isMultiSeat(votingMethod) ? this.newElectionSeats : 1;
+    this.blockchainService.createElection({ id: this.newElectionId, name: this.newElectionName, candidates, ballotMode, allowRevoting, votingMethod, seats }).subscribe(
+      response => {
+        this.createElectionMessage = response.message;
+        this.blockchainService.selectElection(this.newElectionId); // Switch to the new election
+        this.newElectionId = '';
+        this.newElectionName = '';
+        this.newElectionCandidates = '';
+        this.newElectionSecretBallot = false;
+        this.newElectionAllowRevoting = false;
+        this.newElectionVotingMethod = 'plurality';
+        this.newElectionSeats = 1;
+      },
+      error => {
+        this.createElectionMessage = 'Error creating election: ' + (error.error.message || error.message);
+      }
+    );
   }
 
   registerVoter(): void {
@@ -48,42 +177,311 @@ export class AdminDashboardComponent implements OnInit {
       this.registerVoterMessage = 'Voter ID cannot be empty.';
       return;
     }
-    this.blockchainService.registerVoter(this.newVoterId).subscribe(
+    const attributes = this.parseAttributes(this.newVoterAttributes);
+    this.blockchainService.registerVoter(this.electionId, this.newVoterId, this.newVoterPublicKey, attributes).subscribe(
       response => {
         this.registerVoterMessage = response.message;
+        this.issuedCredential = response.credential;
         this.newVoterId = ''; // Clear input
+        this.newVoterPublicKey = '';
+        this.newVoterAttributes = '';
         this.fetchRegisteredVoters(); // Refresh list
       },
       error => {
+        this.issuedCredential = null;
         this.registerVoterMessage = 'Error registering voter: ' + (error.error.message || error.message);
       }
     );
   }
 
-  toggleElectionStatus(): void {
-    const newStatus = !this.currentElectionStatus;
-    this.blockchainService.setElectionStatus(newStatus).subscribe(
+  // Replace a lost or compromised credential for an already registered voter
+  reissueCredential(): void {
+    if (!this.newVoterId) {
+      this.registerVoterMessage = 'Voter ID cannot be empty.';
+      return;
+    }
+    this.blockchainService.issueVoterCredential(this.electionId, this.newVoterId, this.newVoterPublicKey).subscribe(
+      response => {
+        this.registerVoterMessage = response.message;
+        this.issuedCredential = response.credential;
+        this.newVoterId = '';
+        this.newVoterPublicKey = '';
+      },
+      error => {
+        this.issuedCredential = null;
+        this.registerVoterMessage = 'Error issuing credential: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  // Reads "name=value, name=value" into voter attributes
+  private parseAttributes(text: string): Record<string, string> {
+    const attributes: Record<string, string> = {};
+    for (const pair of text.split(',')) {
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        attributes[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+    }
+    return attributes;
+  }
+
+  // Whether voters can still be removed from the roll
+  get canDeregister(): boolean {
+    return this.phase === 'draft' || this.phase === 'registration';
+  }
+
+  // Import a CSV or JSON voter roll chosen in the file input
+  importVoters(event: Event): void {
+    const input = event.target as HTMLInputElement;
+    const file = input.files && input.files[0];
+    if (!file) {
+      return;
+    }
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    this.voterImportMessage = `Importing ${file.name}...`;
+    this.voterImportErrors = [];
+    file.text().then(contents => {
+      this.blockchainService.importVoters(this.electionId, contents, format).subscribe(
+        response => {
+          this.voterImportMessage = response.message;
+          this.voterImportErrors = response.errors;
+          this.fetchRegisteredVoters();
+        },
+        error => {
+          this.voterImportMessage = 'Error importing voters: ' + (error.error.message || error.message);
+        }
+      );
+      input.value = ''; // Allow importing the same file again after fixing it
+    });
+  }
+
+  exportVoters(format: 'csv' | 'json'): void {
+    this.blockchainService.exportVoters(this.electionId, format).subscribe(
+      blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.electionId}-voters.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      },
+      error => {
+        this.voterImportMessage = 'Error exporting voters: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+
+  deregisterVoter(voterId: string): void {
+    if (!confirm(`Remove voter '${voterId}' from the roll?`)) {
+      return;
+    }
+    this.blockchainService.deregisterVoter(this.electionId, voterId).subscribe(
+      response => {
+        this.registerVoterMessage = response.message;
+        this.fetchRegisteredVoters();
+      },
+      error => {
+        this.registerVoterMessage = 'Error removing voter: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  // Turns saved rules into editor lines, and editor lines back into rules
+  private formatEligibility(eligibility: Eligibility): string {
+    return Object.entries(eligibility).map(([name, values]) => `${name}: ${values.join(', ')}`).join('\n');
+  }
+
+  private parseEligibility(text: string): Eligibility {
+    const eligibility: Eligibility = {};
+    for (const line of text.split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        eligibility[line.slice(0, separator).trim()] = line.slice(separator + 1).split(',').map(value => value.trim()).filter(Boolean);
+      }
+    }
+    return eligibility;
+  }
+
+  saveEligibility(): void {
+    this.blockchainService.setEligibility(this.electionId, this.parseEligibility(this.eligibilityForm)).subscribe(
+      response => {
+        this.electionStatusMessage = response.message;
+        this.scheduleFormLoaded = false; // Show the saved rules
+        this.fetchElectionStatus();
+      },
+      error => {
+        this.electionStatusMessage = 'Error setting eligibility: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  get eligibilitySummary(): string {
+    const rules = Object.entries(this.eligibility);
+    return rules.length === 0 ? 'every registered voter' : rules.map(([name, values]) => `${name} is ${values.join(' or ')}`).join(' and ');
+  }
+
+  downloadIssuedCredential(): void {
+    if (this.issuedCredential) {
+      this.credentialService.downloadCredential(this.issuedCredential);
+    }
+  }
+
+  phaseAction(phase: ElectionPhase): string {
+    return PHASE_ACTIONS[phase] || phase;
+  }
+
+  setPhase(phase: ElectionPhase): void {
+    this.blockchainService.setPhase(this.electionId, phase).subscribe(
       response => {
         this.electionStatusMessage = response.message;
         this.fetchElectionStatus(); // Refresh status
       },
       error => {
-        this.electionStatusMessage = 'Error setting election status: ' + (error.error.message || error.message);
+        this.electionStatusMessage = 'Error changing election phase: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  saveSchedule(): void {
+    const schedule = {
+      opensAt: this.fromLocalInput(this.scheduleOpensAt, this.schedule.opensAt),
+      closesAt: this.fromLocalInput(this.scheduleClosesAt, this.schedule.closesAt)
+    };
+    this.blockchainService.setSchedule(this.electionId, schedule).subscribe(
+      response => {
+        this.electionStatusMessage = response.message;
+        this.scheduleFormLoaded = false; // Show the saved times
+        this.fetchElectionStatus();
+      },
+      error => {
+        this.electionStatusMessage = 'Error saving schedule: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  get canEditOpeningTime(): boolean {
+    return this.phase === 'draft' || this.phase === 'registration';
+  }
+
+  get canEditClosingTime(): boolean {
+    return this.canEditOpeningTime || this.phase === 'voting';
+  }
+
+  // The next scheduled event and the time left until it, or null if nothing is scheduled
+  get countdown(): { label: string, remaining: string } | null {
+    if (this.canEditOpeningTime && this.schedule.opensAt) {
+      return { label: 'Voting opens in', remaining: this.formatRemaining(this.schedule.opensAt) };
+    }
+    if (this.phase === 'voting' && this.schedule.closesAt) {
+      return { label: 'Voting closes in', remaining: this.formatRemaining(this.schedule.closesAt) };
+    }
+    return null;
+  }
+
+  private formatRemaining(time: string): string {
+    const seconds = Math.max(0, Math.floor((Date.parse(time) - this.now) / 1000));
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return (days > 0 ? `${days}d ` : '') + `${pad(hours)}:${pad(minutes)}:${pad(seconds % 60)}`;
+  }
+
+  // Converts an ISO date to a datetime-local input value in the browser's time zone
+  private toLocalInput(time: string | null): string {
+    if (!time) {
+      return '';
+    }
+    const date = new Date(time);
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  // Converts a datetime-local input value to an ISO date; an unchanged value keeps the saved time exactly
+  private fromLocalInput(value: string, saved: string | null): string | null {
+    if (!value) {
+      return null;
+    }
+    return value === this.toLocalInput(saved) ? saved : new Date(value).toISOString();
+  }
+
+  // Switch between open and secret ballots (only before the election opens)
+  toggleBallotMode(): void {
+    const newMode: BallotMode = this.ballotMode === 'secret' ? 'open' : 'secret';
+    this.blockchainService.setBallotMode(this.electionId, newMode).subscribe(
+      response => {
+        this.electionStatusMessage = response.message;
+        this.fetchElectionStatus();
+      },
+      error => {
+        this.electionStatusMessage = 'Error setting ballot mode: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  // Allow or forbid replacing a vote with a later one (open ballots, only before the election opens)
+  toggleRevoting(): void {
+    this.blockchainService.setAllowRevoting(this.electionId, !this.allowRevoting).subscribe(
+      response => {
+        this.electionStatusMessage = response.message;
+        this.fetchElectionStatus();
+      },
+      error => {
+        this.electionStatusMessage = 'Error setting revoting: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  // Approval voting and STV can fill several seats; the other methods elect one winner
+  isMultiSeat(votingMethod: VotingMethod): boolean {
+    return votingMethod === 'approval' || votingMethod === 'stv';
+  }
+
+  // Choose how ballots are shaped and counted (only before the election opens)
+  saveVotingMethod(): void {
+    const seats = this.isMultiSeat(this.votingMethodForm) ? this.seatsForm : 1;
+    this.blockchainService.setVotingMethod(this.electionId, this.votingMethodForm, seats).subscribe(
+      response => {
+        this.electionStatusMessage = response.message;
+        this.scheduleFormLoaded = false; // Show the saved method
+        this.fetchElectionStatus();
+      },
+      error => {
+        this.electionStatusMessage = 'Error setting voting method: ' + (error.error.message || error.message);
       }
     );
   }
 
   fetchElectionStatus(): void {
-    this.blockchainService.getElectionStatus().subscribe(
+    this.blockchainService.getElectionStatus(this.electionId).subscribe(
       data => {
-        this.currentElectionStatus = data.isElectionOpen;
+        this.phase = data.phase;
+        this.nextPhases = data.nextPhases;
+        this.phaseHistory = data.phaseHistory;
+        this.schedule = data.schedule;
+        if (!this.scheduleFormLoaded) {
+          this.scheduleOpensAt = this.toLocalInput(data.schedule.opensAt);
+          this.scheduleClosesAt = this.toLocalInput(data.schedule.closesAt);
+          this.votingMethodForm = data.votingMethod;
+          this.seatsForm = data.seats;
+          this.eligibilityForm = this.formatEligibility(data.eligibility);
+          this.scheduleFormLoaded = true;
+        }
+        this.candidatesLocked = data.candidatesLocked;
+        this.ballotMode = data.ballotMode;
+        this.allowRevoting = data.allowRevoting;
+        this.votingMethod = data.votingMethod;
+        this.seats = data.seats;
+        this.eligibility = data.eligibility;
+        this.pendingTransactionCount = data.pendingTransactionCount;
       },
       error => console.error('Error fetching election status:', error)
     );
   }
 
   fetchRegisteredVoters(): void {
-    this.blockchainService.getRegisteredVoters().subscribe(
+    this.blockchainService.getRegisteredVoters(this.electionId).subscribe(
       data => {
         this.registeredVoters = data;
       },
@@ -91,12 +489,62 @@ export class AdminDashboardComponent implements OnInit {
     );
   }
 
-  fetchVotedUsers(): void {
-    this.blockchainService.getVotedUsers().subscribe(
+  fetchCandidates(): void {
+    this.blockchainService.getCandidates(this.electionId).subscribe(
       data => {
-        this.votedUsers = data;
+        this.candidates = data;
       },
-      error => console.error('Error fetching voted users:', error)
+      error => console.error('Error fetching candidates:', error)
     );
   }
+
+  editCandidate(candidate: Candidate): void {
+    this.editingCandidateId = candidate.id;
+    this.candidateForm = { ...this.emptyCandidate(), ...candidate };
+    this.candidateMessage = '';
+  }
+
+  cancelCandidateEdit(): void {
+    this.editingCandidateId = null;
+    this.candidateForm = this.emptyCandidate();
+  }
+
+  saveCandidate(): void {
+    if (!this.candidateForm.id || !this.candidateForm.name) {
+      this.candidateMessage = 'Candidate ID and name are required.';
+      return;
+    }
+    const request = this.editingCandidateId
+      ? this.blockchainService.updateCandidate(this.electionId, this.candidateForm)
+      : this.blockchainService.addCandidate(this.electionId, this.candidateForm);
+    request.subscribe(
+      response => {
+        this.candidateMessage = response.message;
+        this.cancelCandidateEdit();
+        this.fetchCandidates();
+      },
+      error => {
+        this.candidateMessage = 'Error saving candidate: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  deleteCandidate(candidate: Candidate): void {
+    this.blockchainService.deleteCandidate(this.electionId, candidate.id).subscribe(
+      response => {
+        this.candidateMessage = response.message;
+        if (this.editingCandidateId === candidate.id) {
+          this.cancelCandidateEdit();
+        }
+        this.fetchCandidates();
+      },
+      error => {
+        this.candidateMessage = 'Error removing candidate: ' + (error.error.message || error.message);
+      }
+    );
+  }
+
+  private emptyCandidate(): Candidate {
+    return { id: '', name: '', party: '', description: '', photoUrl: '' };
+  }
 }
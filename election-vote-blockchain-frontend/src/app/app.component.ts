@@ -1,15 +1,31 @@
-import { Component } from '@angular/core';
-import { RouterOutlet } from '@angular/router';
-import { VoteFormComponent } from './vote-form/vote-form.component';
-import { ElectionResultsComponent } from './election-results/election-results.component';
-import { AdminDashboardComponent } from './admin-dashboard/admin-dashboard.component';
+import { Component, OnDestroy } from '@angular/core';
+import { Router, RouterLink, RouterLinkActive, RouterOutlet } from '@angular/router';
+import { CommonModule } from '@angular/common';
+import { Subscription } from 'rxjs';
+import { LoginComponent } from './login/login.component';
+import { AuthService } from './auth.service';
 
 @Component({
   selector: 'app-root',
-  imports: [RouterOutlet, VoteFormComponent, ElectionResultsComponent, AdminDashboardComponent  ],
+  imports: [RouterOutlet, RouterLink, RouterLinkActive, CommonModule, LoginComponent ],
   templateUrl: './app.component.html',
   styleUrl: './app.component.css'
 })
-export class AppComponent {
+export class AppComponent implements OnDestroy {
   title = 'my-blockchain-frontend';
+
+  private sessionSubscription: Subscription;
+
+  constructor(public authService: AuthService, private router: Router) {
+    // Leave the admin page when the session ends (logout, expiry or a rejected token)
+    this.sessionSubscription = this.authService.session$.subscribe(session => {
+      if (!session && this.router.url.startsWith('/admin')) {
+        this.router.navigateByUrl('/vote');
+      }
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.sessionSubscription.unsubscribe();
+  }
 }
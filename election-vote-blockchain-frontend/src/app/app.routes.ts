@@ -1,3 +1,25 @@
 import { Routes } from '@angular/router';
+import { VoteFormComponent } from './vote-form/vote-form.component';
+import { ElectionResultsComponent } from './election-results/election-results.component';
+import { ReceiptVerifierComponent } from './receipt-verifier/receipt-verifier.component';
+import { AdminDashboardComponent } from './admin-dashboard/admin-dashboard.component';
+import { BlockchainViewerComponent } from './blockchain-viewer/blockchain-viewer.component';
+import { BlockDetailComponent } from './block-detail/block-detail.component';
+import { TransactionDetailComponent } from './transaction-detail/transaction-detail.component';
+import { BalanceCheckerComponent } from './balance-checker/balance-checker.component';
+import { TransactionFormComponent } from './transaction-form/transaction-form.component';
+import { staffGuard } from './staff.guard';
 
-export const routes: Routes = [];
+export const routes: Routes = [
+  { path: '', pathMatch: 'full', redirectTo: 'vote' },
+  { path: 'vote', component: VoteFormComponent, title: 'Vote' },
+  { path: 'results', component: ElectionResultsComponent, title: 'Results' },
+  { path: 'receipts', component: ReceiptVerifierComponent, title: 'Verify My Vote' },
+  { path: 'admin', component: AdminDashboardComponent, canActivate: [staffGuard], title: 'Admin' },
+  { path: 'explorer', component: BlockchainViewerComponent, title: 'Block Explorer' },
+  { path: 'explorer/blocks/:hash', component: BlockDetailComponent, title: 'Block' },
+  { path: 'explorer/transactions/:id', component: TransactionDetailComponent, title: 'Transaction' },
+  { path: 'ledger', component: BalanceCheckerComponent, title: 'Ledger' },
+  { path: 'ledger/transfer', component: TransactionFormComponent, title: 'Transfer Credits' },
+  { path: '**', redirectTo: 'vote' }
+];
@@ -0,0 +1,24 @@
+// src/app/auth.interceptor.ts
+import { HttpErrorResponse, HttpInterceptorFn } from '@angular/common/http';
+import { inject } from '@angular/core';
+import { catchError, throwError } from 'rxjs';
+import { AuthService } from './auth.service';
+
+/**
+ * Attaches the staff session token to API requests and ends the session
+ * when the backend reports that the token is no longer valid.
+ */
+export const authInterceptor: HttpInterceptorFn = (req, next) => {
+  const authService = inject(AuthService);
+  const token = authService.token;
+  const request = token ? req.clone({ setHeaders: { Authorization: `Bearer ${token}` } }) : req;
+
+  return next(request).pipe(
+    catchError((error: unknown) => {
+      if (token && error instanceof HttpErrorResponse && error.status === 401) {
+        authService.logout();
+      }
+      return throwError(() => error);
+    })
+  );
+};
@@ -0,0 +1,82 @@
+// src/app/auth.service.ts
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { BehaviorSubject, Observable, tap } from 'rxjs';
+
+export type StaffRole = 'registrar' | 'election-officer' | 'auditor';
+
+export interface AuthSession {
+  token: string;
+  expiresAt: number;
+  username: string;
+  roles: StaffRole[];
+}
+
+const SESSION_STORAGE_KEY = 'electionAdminSession';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthService {
+  private apiUrl = 'http://localhost:3001'; // Ensure this matches your Node.js server port
+
+  private sessionSubject = new BehaviorSubject<AuthSession | null>(this.restoreSession());
+  session$ = this.sessionSubject.asObservable();
+
+  constructor(private http: HttpClient) { }
+
+  /**
+   * Logs in with a staff username and password and keeps the session token.
+   * @param username The staff username.
+   * @param password The password.
+   */
+  login(username: string, password: string): Observable<AuthSession> {
+    return this.http.post<AuthSession>(`${this.apiUrl}/auth/login`, { username, password }).pipe(
+      tap(session => {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        this.sessionSubject.next(session);
+      })
+    );
+  }
+
+  logout(): void {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    this.sessionSubject.next(null);
+  }
+
+  get session(): AuthSession | null {
+    const session = this.sessionSubject.value;
+    if (session && session.expiresAt <= Date.now()) {
+      this.logout();
+      return null;
+    }
+    return session;
+  }
+
+  get token(): string | null {
+    return this.session?.token ?? null;
+  }
+
+  get isLoggedIn(): boolean {
+    return this.session !== null;
+  }
+
+  /**
+   * Whether the logged-in user holds at least one of the given roles.
+   * @param roles The roles to check.
+   */
+  hasRole(...roles: StaffRole[]): boolean {
+    const session = this.session;
+    return !!session && roles.some(role => session.roles.includes(role));
+  }
+
+  private restoreSession(): AuthSession | null {
+    try {
+      const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+      const session: AuthSession | null = stored ? JSON.parse(stored) : null;
+      return session && session.expiresAt > Date.now() ? session : null;
+    } catch {
+      return null;
+    }
+  }
+}
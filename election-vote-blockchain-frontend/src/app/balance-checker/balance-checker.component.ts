@@ -1,11 +1,93 @@
-import { Component } from '@angular/core';
+// src/app/balance-checker/balance-checker.component.ts
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { BlockchainService, LedgerBalance, LedgerEntry } from '../blockchain.service';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
 
+/**
+ * Ledger page (/ledger?election=&address=): an address's credit balance in the picked election,
+ * and every mining reward and transfer that moved it. Refreshes when a block is mined.
+ */
 @Component({
   selector: 'app-balance-checker',
-  imports: [],
   templateUrl: './balance-checker.component.html',
-  styleUrl: './balance-checker.component.css'
+  styleUrls: ['./balance-checker.component.css'],
+  imports: [ CommonModule, FormsModule, RouterLink, ElectionPickerComponent ]
 })
-export class BalanceCheckerComponent {
+export class BalanceCheckerComponent implements OnInit, OnDestroy {
+  electionId: string = '';
+  address: string = '';
+  checkedAddress: string = '';
+  balance: LedgerBalance | null = null;
+  history: LedgerEntry[] = [];
+  message: string = '';
 
+  private subscriptions = new Subscription();
+
+  constructor(private blockchainService: BlockchainService, private route: ActivatedRoute) { }
+
+  ngOnInit(): void {
+    // Opened from the transfer form with ?election=&address=
+    const { election, address } = this.route.snapshot.queryParams;
+    if (election) {
+      this.blockchainService.selectElection(election);
+    }
+    if (address) {
+      this.address = address;
+    }
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionId$.subscribe(electionId => {
+        this.electionId = electionId;
+        this.checkBalance();
+      })
+    );
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionEvents(['block-mined', 'chain-replaced']).subscribe(() => {
+        if (this.checkedAddress) {
+          this.fetchLedger(this.checkedAddress);
+        }
+      })
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  checkBalance(): void {
+    this.balance = null;
+    this.history = [];
+    this.message = '';
+    this.checkedAddress = this.address.trim();
+    if (this.checkedAddress) {
+      this.fetchLedger(this.checkedAddress);
+    }
+  }
+
+  fetchLedger(address: string): void {
+    this.blockchainService.getBalance(this.electionId, address).subscribe(
+      balance => this.balance = balance,
+      error => this.message = 'Error fetching balance: ' + (error.error?.message || error.message)
+    );
+    this.blockchainService.getAddressTransactions(this.electionId, address).subscribe(
+      data => this.history = data.transactions,
+      error => this.message = 'Error fetching transactions: ' + (error.error?.message || error.message)
+    );
+  }
+
+  // The signed change an entry makes to the checked address's balance
+  change(entry: LedgerEntry): number {
+    return entry.toAddress === this.checkedAddress ? entry.amount : -entry.amount;
+  }
+
+  // The other side of an entry, from the checked address's point of view
+  counterparty(entry: LedgerEntry): string {
+    if (entry.type === 'miningReward') {
+      return 'Mining reward';
+    }
+    return entry.toAddress === this.checkedAddress ? `From ${entry.fromAddress}` : `To ${entry.toAddress}`;
+  }
 }
@@ -0,0 +1,16 @@
+import { TestBed } from '@angular/core/testing';
+
+import { BallotTokenService } from './ballot-token.service';
+
+describe('BallotTokenService', () => {
+  let service: BallotTokenService;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(BallotTokenService);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+});
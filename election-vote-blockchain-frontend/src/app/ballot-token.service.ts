@@ -0,0 +1,132 @@
+// src/app/ballot-token.service.ts
+import { Injectable } from '@angular/core';
+
+/**
+ * The election's RSA public key for ballot tokens, as hex strings.
+ */
+export interface BallotPublicKey {
+  n: string;
+  e: string;
+}
+
+/**
+ * A ballot token while it is being signed. `blindingFactor` must stay in the browser:
+ * anyone holding it can link the token to the voter's signed request.
+ */
+export interface BlindedBallotToken {
+  token: string;
+  blindedMessage: string;
+  blindingFactor: string;
+}
+
+/**
+ * A ballot token carrying the election's (unblinded) signature, ready to be spent on an anonymous ballot.
+ */
+export interface SignedBallotToken {
+  token: string;
+  tokenSignature: string;
+}
+
+/**
+ * Client side of the blind-signature scheme used by secret-ballot elections (see blindSignature.js
+ * on the server). The voter picks a random token, blinds it, has the election sign the blinded
+ * value, then unblinds the signature. The election never sees the token until it is spent.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class BallotTokenService {
+
+  /**
+   * Creates a random ballot token and blinds it for the election's key.
+   * @param publicKey The election's ballot public key.
+   */
+  async blindToken(publicKey: BallotPublicKey): Promise<BlindedBallotToken> {
+    const n = this.toBigInt(publicKey.n);
+    const e = this.toBigInt(publicKey.e);
+    const token = this.toHex(crypto.getRandomValues(new Uint8Array(32)));
+    let blindingFactor: bigint;
+    do {
+      blindingFactor = this.randomBelow(n);
+    } while (this.gcd(blindingFactor, n) !== 1n);
+    const blinded = (await this.hashTokenToInt(token, n)) * this.modPow(blindingFactor, e, n) % n;
+    return { token, blindedMessage: blinded.toString(16), blindingFactor: blindingFactor.toString(16) };
+  }
+
+  /**
+   * Removes the blinding from the election's signature and checks the result.
+   * @param publicKey The election's ballot public key.
+   * @param blindedToken The token returned by blindToken.
+   * @param blindSignature The election's signature on the blinded token (hex).
+   */
+  async unblindSignature(publicKey: BallotPublicKey, blindedToken: BlindedBallotToken, blindSignature: string): Promise<SignedBallotToken> {
+    const n = this.toBigInt(publicKey.n);
+    const e = this.toBigInt(publicKey.e);
+    const signature = this.toBigInt(blindSignature) * this.modInverse(this.toBigInt(blindedToken.blindingFactor), n) % n;
+    if (this.modPow(signature, e, n) !== await this.hashTokenToInt(blindedToken.token, n)) {
+      throw new Error('The election returned an invalid signature for the ballot token.');
+    }
+    return { token: blindedToken.token, tokenSignature: signature.toString(16) };
+  }
+
+  /**
+   * Full-domain hash of a token modulo n. Must match `hashTokenToInt` on the server:
+   * SHA-256(token || uint32 counter) blocks, truncated to the byte length of n.
+   */
+  private async hashTokenToInt(token: string, n: bigint): Promise<bigint> {
+    const byteLength = Math.ceil(n.toString(16).length / 2);
+    const tokenBytes = new TextEncoder().encode(token);
+    const output = new Uint8Array(Math.ceil(byteLength / 32) * 32);
+    for (let counter = 0; counter * 32 < byteLength; counter++) {
+      const input = new Uint8Array(tokenBytes.length + 4);
+      input.set(tokenBytes);
+      new DataView(input.buffer).setUint32(tokenBytes.length, counter);
+      output.set(new Uint8Array(await crypto.subtle.digest('SHA-256', input)), counter * 32);
+    }
+    return this.toBigInt(this.toHex(output.subarray(0, byteLength))) % n;
+  }
+
+  private randomBelow(n: bigint): bigint {
+    const bytes = crypto.getRandomValues(new Uint8Array(Math.ceil(n.toString(16).length / 2) + 16));
+    return this.toBigInt(this.toHex(bytes)) % n;
+  }
+
+  private modPow(base: bigint, exponent: bigint, modulus: bigint): bigint {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+      if (exponent & 1n) {
+        result = result * base % modulus;
+      }
+      base = base * base % modulus;
+      exponent >>= 1n;
+    }
+    return result;
+  }
+
+  private modInverse(value: bigint, modulus: bigint): bigint {
+    let [oldR, r] = [value % modulus, modulus];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+      const quotient = oldR / r;
+      [oldR, r] = [r, oldR - quotient * r];
+      [oldS, s] = [s, oldS - quotient * s];
+    }
+    return (oldS % modulus + modulus) % modulus;
+  }
+
+  private gcd(a: bigint, b: bigint): bigint {
+    while (b !== 0n) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+
+  private toBigInt(hex: string): bigint {
+    return BigInt('0x' + hex);
+  }
+
+  private toHex(bytes: Uint8Array): string {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { BlockDetailComponent } from './block-detail.component';
+
+describe('BlockDetailComponent', () => {
+  let component: BlockDetailComponent;
+  let fixture: ComponentFixture<BlockDetailComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [BlockDetailComponent]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(BlockDetailComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
@@ -0,0 +1,119 @@
+// src/app/block-detail/block-detail.component.ts
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+import { combineLatest, Subscription } from 'rxjs';
+import { Block, BlockAuthority, BlockchainService } from '../blockchain.service';
+
+/**
+ * Block explorer detail page (/explorer/blocks/:hash?election=): one block with its header, links to
+ * the blocks before and after it, and its transactions with their IDs.
+ */
+@Component({
+  selector: 'app-block-detail',
+  templateUrl: './block-detail.component.html',
+  styleUrls: ['./block-detail.component.css'],
+  imports: [ CommonModule, RouterLink ]
+})
+export class BlockDetailComponent implements OnInit, OnDestroy {
+  electionId: string = '';
+  block: Block | null = null;
+  transactions: { id: string, transaction: any }[] = [];
+  nextBlockHash: string | null = null;
+  authorities: BlockAuthority[] = [];
+  message: string = '';
+
+  private routeSubscription: Subscription | undefined;
+
+  constructor(private route: ActivatedRoute, private blockchainService: BlockchainService) { }
+
+  ngOnInit(): void {
+    this.routeSubscription = combineLatest([this.route.paramMap, this.route.queryParamMap]).subscribe(([params, queryParams]) => {
+      this.electionId = queryParams.get('election') || this.blockchainService.selectedElectionId;
+      this.blockchainService.selectElection(this.electionId);
+      this.fetchBlock(params.get('hash') || '');
+    });
+  }
+
+  ngOnDestroy(): void {
+    if (this.routeSubscription) {
+      this.routeSubscription.unsubscribe();
+    }
+  }
+
+  fetchBlock(hash: string): void {
+    this.block = null;
+    this.transactions = [];
+    this.nextBlockHash = null;
+    this.message = '';
+    this.blockchainService.getBlock(this.electionId, hash).subscribe(
+      block => {
+        this.block = block;
+        this.listTransactions(block).catch(error => console.error('Error hashing transactions:', error));
+        this.fetchNextBlock(block.index + 1);
+        this.fetchConsensus();
+      },
+      error => {
+        this.message = error.status === 404
+          ? `No block '${hash}' was found in election '${this.electionId}'.`
+          : 'Error fetching block: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+
+  fetchNextBlock(index: number): void {
+    this.blockchainService.getBlocks(this.electionId, index, 1).subscribe(
+      page => this.nextBlockHash = page.blocks.length > 0 ? page.blocks[0].hash : null,
+      error => console.error('Error fetching the next block:', error)
+    );
+  }
+
+  fetchConsensus(): void {
+    this.blockchainService.getConsensus(this.electionId).subscribe(
+      data => this.authorities = data.authorities,
+      error => console.error('Error fetching consensus settings:', error)
+    );
+  }
+
+  // Display name of the authority that sealed a block (Proof-of-Authority mode)
+  sealerName(sealerId: string): string {
+    const authority = this.authorities.find(a => a.id === sealerId);
+    return authority ? authority.name : sealerId;
+  }
+
+  // A one-line description of a transaction for the list
+  describe(transaction: any): string {
+    switch (transaction.type) {
+      case 'vote':
+        return `Vote by ${transaction.voterId}` + (transaction.candidateId ? ` for ${transaction.candidateId}` : ` choosing ${(transaction.choices || []).join(', ')}`);
+      case 'ballot':
+        return 'Anonymous ballot';
+      case 'participation':
+        return `${transaction.voterId} took a ballot token`;
+      case 'admin':
+        return `Admin action '${transaction.action}' by ${transaction.by}`;
+      case 'miningReward':
+        return `Mining reward of ${transaction.amount} to ${transaction.toAddress}`;
+      case 'transfer':
+        return `Transfer of ${transaction.amount} from ${transaction.fromAddress} to ${transaction.toAddress}`;
+      default:
+        return transaction.type || 'Transaction';
+    }
+  }
+
+  // Transaction IDs are the SHA-256 of each transaction's JSON, as the server computes them (see merkle.js)
+  private async listTransactions(block: Block): Promise<void> {
+    if (!Array.isArray(block.data)) {
+      return;
+    }
+    this.transactions = await Promise.all(block.data.map(async transaction => ({
+      id: await this.sha256(JSON.stringify(transaction)),
+      transaction
+    })));
+  }
+
+  private async sha256(text: string): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -1,43 +1,147 @@
-// src/app/blockchain-viewer/blockchain-viewer.component.ts (Example)
-import { Component, OnInit } from '@angular/core';
-import { BlockchainService } from '../blockchain.service';
+// src/app/blockchain-viewer/blockchain-viewer.component.ts
+import { Component, OnDestroy, OnInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Router, RouterLink } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { BlockAuthority, BlockPage, BlockSummary, BlockchainService } from '../blockchain.service';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
 
+const PAGE_SIZE = 10;
+
+/**
+ * Block explorer: the selected election's chain page by page, newest block first, with search by
+ * block height, block hash or transaction ID (the same as a vote receipt ID).
+ */
 @Component({
   selector: 'app-blockchain-viewer',
   templateUrl: './blockchain-viewer.component.html',
   styleUrls: ['./blockchain-viewer.component.css'],
-  imports: [ CommonModule ]
+  imports: [ CommonModule, FormsModule, RouterLink, ElectionPickerComponent ]
 })
-export class BlockchainViewerComponent implements OnInit {
-  blockchain: any[] = [];
+export class BlockchainViewerComponent implements OnInit, OnDestroy {
+  electionId: string = '';
+  page: BlockPage | null = null;
+  blocks: BlockSummary[] = []; // The page, newest first
   pendingTransactions: any[] = [];
-  minerAddress: string = 'address-miner'; // Example miner address
+  authorities: BlockAuthority[] = [];
+  query: string = '';
+  searchMessage: string = '';
+
+  private subscriptions = new Subscription();
 
-  constructor(private blockchainService: BlockchainService) { }
+  constructor(private blockchainService: BlockchainService, private router: Router) { }
 
   ngOnInit(): void {
-    this.fetchBlockchain();
-    this.fetchPendingTransactions();
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionId$.subscribe(electionId => {
+        this.electionId = electionId;
+        this.searchMessage = '';
+        this.fetchPage(null);
+        this.fetchPendingTransactions();
+        this.fetchConsensus();
+      })
+    );
+    // New blocks only show on the latest page; older pages stay where the reader left them
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionEvents(['block-mined', 'chain-replaced', 'vote-accepted']).subscribe(event => {
+        if (event.type !== 'vote-accepted' && this.isLatestPage) {
+          this.fetchPage(null);
+        }
+        this.fetchPendingTransactions();
+      })
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  get isLatestPage(): boolean {
+    return !this.page || this.page.from + this.page.blocks.length >= this.page.chainLength;
+  }
+
+  /**
+   * Shows the page starting at a block index.
+   * @param from Index of the first block, or null for the latest page.
+   */
+  fetchPage(from: number | null): void {
+    this.blockchainService.getBlocks(this.electionId, from, PAGE_SIZE).subscribe(
+      page => {
+        this.page = page;
+        this.blocks = [...page.blocks].reverse();
+      },
+      error => console.error('Error fetching blocks:', error)
+    );
+  }
+
+  newerPage(): void {
+    if (this.page) {
+      const from = this.page.from + PAGE_SIZE;
+      this.fetchPage(from >= this.page.chainLength - PAGE_SIZE ? null : from); // Up to the end: the latest page
+    }
+  }
+
+  olderPage(): void {
+    if (this.page) {
+      this.fetchPage(Math.max(0, this.page.from - PAGE_SIZE));
+    }
+  }
+
+  fetchPendingTransactions(): void {
+    this.blockchainService.getPendingTransactions(this.electionId).subscribe(
+      data => this.pendingTransactions = data,
+      error => console.error('Error fetching pending transactions:', error)
+    );
+  }
+
+  fetchConsensus(): void {
+    this.blockchainService.getConsensus(this.electionId).subscribe(
+      data => this.authorities = data.authorities,
+      error => console.error('Error fetching consensus settings:', error)
+    );
   }
 
-  fetchBlockchain() {
-    this.blockchainService.getBlockchain().subscribe(data => {
-      this.blockchain = data;
-    }, error => console.error('Error fetching blockchain:', error));
+  // Display name of the authority that sealed a block (Proof-of-Authority mode)
+  sealerName(sealerId: string): string {
+    const authority = this.authorities.find(a => a.id === sealerId);
+    return authority ? authority.name : sealerId;
   }
 
-  fetchPendingTransactions() {
-    this.blockchainService.getPendingTransactions().subscribe(data => {
-        this.pendingTransactions = data;
-    }, error => console.error('Error fetching pending transactions:', error));
+  /**
+   * Opens the block or transaction the query names: a block height, a block hash, or a transaction ID.
+   */
+  search(): void {
+    const query = this.query.trim();
+    this.searchMessage = '';
+    if (!query) {
+      return;
+    }
+    if (/^\d+$/.test(query)) {
+      this.blockchainService.getBlocks(this.electionId, Number(query), 1).subscribe(
+        page => {
+          if (page.blocks.length > 0) {
+            this.openBlock(page.blocks[0].hash);
+          } else {
+            this.searchMessage = `The chain has no block #${query} yet (it has ${page.chainLength} blocks).`;
+          }
+        },
+        error => this.searchMessage = 'Search failed: ' + (error.error?.message || error.message)
+      );
+      return;
+    }
+    this.blockchainService.getBlock(this.electionId, query).subscribe(
+      () => this.openBlock(query),
+      () => this.blockchainService.getTransaction(this.electionId, query).subscribe(
+        () => this.router.navigate(['/explorer/transactions', query], { queryParams: { election: this.electionId } }),
+        error => this.searchMessage = error.status === 404
+          ? `No block or transaction '${query}' was found in this election.`
+          : 'Search failed: ' + (error.error?.message || error.message)
+      )
+    );
   }
 
-  mineTransactions() {
-    this.blockchainService.mineBlock(this.minerAddress).subscribe(response => {
-      console.log(response.message);
-      this.fetchBlockchain(); // Refresh chain after mining
-      this.fetchPendingTransactions(); // Clear pending transactions
-    }, error => console.error('Error mining block:', error));
+  private openBlock(hash: string): void {
+    this.router.navigate(['/explorer/blocks', hash], { queryParams: { election: this.electionId } });
   }
-}
\ No newline at end of file
+}
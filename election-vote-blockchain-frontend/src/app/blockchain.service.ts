@@ -1,7 +1,247 @@
 // src/app/blockchain.service.ts
 import { Injectable } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
-import { Observable } from 'rxjs';
+import { auditTime, BehaviorSubject, filter, Observable, share } from 'rxjs';
+import { BallotSelection, BallotTokenRequest, SignedBallot, SignedTransfer, VoterCredential } from './voter-credential.service';
+import { BallotPublicKey, SignedBallotToken } from './ballot-token.service';
+
+export type BallotMode = 'open' | 'secret';
+
+export type VotingMethod = 'plurality' | 'approval' | 'irv' | 'stv';
+
+export const VOTING_METHOD_LABELS: Record<VotingMethod, string> = {
+  plurality: 'Plurality (one choice)',
+  approval: 'Approval (any number of choices)',
+  irv: 'Ranked choice (instant runoff)',
+  stv: 'Single transferable vote (multi-seat)'
+};
+
+export type ElectionPhase = 'draft' | 'registration' | 'voting' | 'closed' | 'tallying' | 'certified';
+
+export interface ElectionSchedule {
+  opensAt: string | null;
+  closesAt: string | null;
+  updatedBy?: string | null;
+  updatedAt?: string | null;
+}
+
+export interface PhaseTransition {
+  from: ElectionPhase;
+  to: ElectionPhase;
+  by: string; // Staff username, or 'scheduler'
+  at: string;
+}
+
+// Which registered voters may vote: attribute name -> allowed values, e.g. { district: ['north'] }
+export type Eligibility = Record<string, string[]>;
+
+export interface VoterImportError {
+  row: number; // Numbered from 1, header excluded
+  voterId: string | null;
+  message: string;
+}
+
+export interface VoterImportResult {
+  message: string;
+  importedCount: number;
+  errors: VoterImportError[];
+}
+
+export interface TurnoutGroup {
+  value: string | null; // null for voters without the attribute
+  registered: number;
+  voted: number;
+  rate: number | null;
+  votes: Record<string, number> | null; // First choices per candidate; null for secret ballots
+}
+
+export interface ElectionAnalytics {
+  electionId: string;
+  generatedAt: string;
+  turnout: { registered: number, eligible: number, voted: number, pending: number, rate: number | null };
+  votesOverTime: { bucketMinutes: number, buckets: { start: string, votes: number, cumulative: number }[] };
+  breakdowns: { attribute: string, groups: TurnoutGroup[] }[];
+}
+
+export interface ElectionStatus {
+  phase: ElectionPhase;
+  nextPhases: ElectionPhase[];
+  schedule: ElectionSchedule;
+  phaseHistory: PhaseTransition[];
+  isElectionOpen: boolean;
+  candidatesLocked: boolean;
+  ballotMode: BallotMode;
+  allowRevoting: boolean;
+  votingMethod: VotingMethod;
+  seats: number;
+  eligibility: Eligibility;
+  pendingTransactionCount: number;
+}
+
+export interface ElectionSummary {
+  id: string;
+  name: string;
+  description: string;
+  phase: ElectionPhase;
+  isElectionOpen: boolean;
+  opensAt: string | null;
+  closesAt: string | null;
+  ballotMode: BallotMode;
+  allowRevoting: boolean;
+  votingMethod: VotingMethod;
+  seats: number;
+  eligibility: Eligibility;
+  candidateCount: number;
+  registeredVoterCount: number;
+  votedCount: number;
+  pendingTransactionCount: number;
+  chainLength: number;
+}
+
+export interface Candidate {
+  id: string;
+  name: string;
+  party?: string;
+  description?: string;
+  photoUrl?: string;
+}
+
+export interface TallyRound {
+  round: number;
+  tallies: { [candidateId: string]: number }; // Continuing candidates only
+  exhausted: number; // Ballots with no continuing choice left
+  elected: string[];
+  eliminated: string[];
+}
+
+export interface ElectionResults {
+  votingMethod: VotingMethod;
+  seats: number;
+  ballotCount: number;
+  quota: number | null; // STV only
+  results: { [candidateId: string]: { name: string, votes: number } }; // First-round votes
+  rounds: TallyRound[];
+  winners: string[];
+}
+
+// Signed final result of a certified election; the signature can be checked offline (verify-certificate CLI command)
+export interface ResultsCertificate {
+  type: 'election-results-certificate';
+  version: number;
+  electionId: string;
+  name: string;
+  votingMethod: VotingMethod;
+  seats: number;
+  ballotMode: BallotMode;
+  allowRevoting?: boolean; // Certificates from before revoting existed leave it out
+  certifiedAt: string;
+  certifiedBy: string;
+  chainHeight: number;
+  finalBlockHash: string;
+  registeredVoterCount: number;
+  votedCount: number;
+  ballotCount: number;
+  quota: number | null;
+  candidates: { id: string, name: string, votes: number, elected: boolean }[];
+  winners: string[];
+  rounds: TallyRound[];
+  signature: { algorithm: 'Ed25519', signer: string, publicKey: string, value: string, csvValue: string };
+}
+
+export interface MerkleProofStep {
+  position: 'left' | 'right';
+  hash: string;
+}
+
+export interface VoteReceipt {
+  receiptId: string;
+  status: 'pending' | 'confirmed';
+  transaction: any;
+  block?: { index: number, timestamp: string, previousHash: string, merkleRoot: string, difficulty: number | null, sealer: string | null, nonce: number, hash: string, data: any[] };
+  proof?: MerkleProofStep[];
+  superseded?: boolean; // Revoting elections: the voter has since cast a later vote, which counts instead
+}
+
+// A block without its transactions, as listed by the block explorer
+export interface BlockSummary {
+  index: number;
+  hash: string;
+  previousHash: string;
+  timestamp: string;
+  merkleRoot: string | null;
+  difficulty: number | null;
+  sealer: string | null;
+  nonce: number;
+  transactionCount: number;
+}
+
+export interface Block extends Omit<BlockSummary, 'transactionCount'> {
+  data: any[] | string; // The genesis block holds a string
+  signature: string | null;
+}
+
+export interface BlockPage {
+  chainLength: number;
+  from: number;
+  limit: number;
+  blocks: BlockSummary[]; // Oldest first
+}
+
+export interface TransactionLookup {
+  transactionId: string;
+  status: 'pending' | 'confirmed';
+  transaction: any;
+  block?: BlockSummary;
+  position?: number;
+}
+
+// An address's credits on the election's ledger; only mined transactions count towards `balance`
+export interface LedgerBalance {
+  address: string;
+  balance: number;
+  pendingSent: number;
+  pendingReceived: number;
+  available: number; // balance - pendingSent: what a new transfer can spend
+}
+
+export interface LedgerEntry {
+  transactionId: string;
+  status: 'pending' | 'confirmed';
+  blockIndex: number | null;
+  blockHash: string | null;
+  type: 'miningReward' | 'transfer';
+  fromAddress: string | null; // null for mining rewards
+  toAddress: string;
+  amount: number;
+  timestamp: string;
+}
+
+export interface BlockAuthority {
+  id: string;
+  name: string;
+  publicKey: string;
+  revokedAt: string | null;
+}
+
+export interface ConsensusInfo {
+  mode: 'pow' | 'poa';
+  authorities: BlockAuthority[];
+  localAuthority: string | null;
+}
+
+// Live updates pushed by the server; 'reconnected' is sent by this service after the stream drops and comes back
+export type ElectionEventType = 'election-added' | 'block-mined' | 'chain-replaced' | 'vote-accepted'
+  | 'status-changed' | 'voters-changed' | 'settings-changed' | 'reconnected';
+
+const SERVER_EVENT_TYPES: ElectionEventType[] = [
+  'election-added', 'block-mined', 'chain-replaced', 'vote-accepted', 'status-changed', 'voters-changed', 'settings-changed'
+];
+
+export interface ElectionEvent {
+  type: ElectionEventType;
+  electionId: string | null; // null for 'reconnected', which concerns every election
+  [field: string]: any; // Event details, e.g. the block index for 'block-mined'
+}
 
 @Injectable({
   providedIn: 'root'
@@ -9,71 +249,427 @@ import { Observable } from 'rxjs';
 export class BlockchainService {
   private apiUrl = 'http://localhost:3001'; // Ensure this matches your Node.js server port
 
+  // The election the UI is currently working with, shared by all components
+  private selectedElectionIdSubject = new BehaviorSubject<string>('default');
+  selectedElectionId$ = this.selectedElectionIdSubject.asObservable();
+
+  // Every live update from the server. One connection is shared by all subscribers and closed when the last one leaves.
+  readonly events$: Observable<ElectionEvent> = new Observable<ElectionEvent>(subscriber => {
+    const source = new EventSource(`${this.apiUrl}/events`);
+    let disconnected = false;
+    SERVER_EVENT_TYPES.forEach(type => source.addEventListener(type, event => {
+      subscriber.next({ ...JSON.parse((event as MessageEvent).data), type });
+    }));
+    // EventSource reconnects by itself; anything missed meanwhile is caught up by a 'reconnected' event
+    source.onerror = () => disconnected = true;
+    source.onopen = () => {
+      if (disconnected) {
+        disconnected = false;
+        subscriber.next({ type: 'reconnected', electionId: null });
+      }
+    };
+    return () => source.close();
+  }).pipe(share());
+
   constructor(private http: HttpClient) { }
 
-  // Existing methods (ensure they are present from previous steps)
-  getBlockchain(): Observable<any> {
-    return this.http.get(`${this.apiUrl}/blockchain`);
+  /**
+   * Live updates of the selected election, for refreshing a view when its data changes.
+   * Bursts (e.g. many votes in a row) are coalesced into at most one event per second.
+   * @param types The event types to listen for; 'reconnected' is always included.
+   */
+  selectedElectionEvents(types: ElectionEventType[]): Observable<ElectionEvent> {
+    return this.events$.pipe(
+      filter(event => event.type === 'reconnected'
+        || (types.includes(event.type) && event.electionId === this.selectedElectionId)),
+      auditTime(1000)
+    );
   }
 
-  getPendingTransactions(): Observable<any> {
-    return this.http.get(`${this.apiUrl}/transactions/pending`);
+  get selectedElectionId(): string {
+    return this.selectedElectionIdSubject.value;
   }
 
-  mineBlock(minerAddress?: string): Observable<any> {
-    // minerAddress is optional for general use, but can be provided for clarity
-    return this.http.post(`${this.apiUrl}/mine`, { minerAddress });
+  selectElection(electionId: string): void {
+    if (electionId !== this.selectedElectionIdSubject.value) {
+      this.selectedElectionIdSubject.next(electionId);
+    }
   }
 
-  isChainValid(): Observable<any> {
-    return this.http.get(`${this.apiUrl}/blockchain/isvalid`);
+  private electionUrl(electionId: string): string {
+    return `${this.apiUrl}/elections/${encodeURIComponent(electionId)}`;
   }
 
-  getCandidates(): Observable<any[]> {
-    return this.http.get<any[]>(`${this.apiUrl}/candidates`);
+  private adminElectionUrl(electionId: string): string {
+    return `${this.apiUrl}/admin/elections/${encodeURIComponent(electionId)}`;
   }
 
-  castVote(voterId: string, candidateId: string): Observable<any> {
-    return this.http.post(`${this.apiUrl}/vote`, { voterId, candidateId });
+  // --- ELECTIONS ---
+
+  getElections(): Observable<ElectionSummary[]> {
+    return this.http.get<ElectionSummary[]>(`${this.apiUrl}/elections`);
   }
 
-  getElectionResults(): Observable<any> {
-    return this.http.get(`${this.apiUrl}/election/results`);
+  /**
+   * Creates a new election.
+   * @param election The election ID, name, description, candidates, ballot mode, revoting setting and voting method.
+   */
+  createElection(election: { id: string, name: string, description?: string, candidates: { id: string, name: string }[], ballotMode?: BallotMode, allowRevoting?: boolean, votingMethod?: VotingMethod, seats?: number }): Observable<any> {
+    return this.http.post(`${this.apiUrl}/admin/elections`, election);
   }
 
-  getVotedUsers(): Observable<string[]> {
-    return this.http.get<string[]>(`${this.apiUrl}/voted-users`);
+  // --- PER-ELECTION METHODS ---
+
+  getBlockchain(electionId: string): Observable<any> {
+    return this.http.get(`${this.electionUrl(electionId)}/blockchain`);
+  }
+
+  /**
+   * Gets one page of block summaries.
+   * @param electionId The election ID.
+   * @param from Index of the first block, or null for the latest page.
+   * @param limit Most blocks on the page (1 to 100).
+   */
+  getBlocks(electionId: string, from: number | null, limit: number): Observable<BlockPage> {
+    const params: Record<string, number> = from === null ? { limit } : { from, limit };
+    return this.http.get<BlockPage>(`${this.electionUrl(electionId)}/blocks`, { params });
+  }
+
+  getBlock(electionId: string, hash: string): Observable<Block> {
+    return this.http.get<Block>(`${this.electionUrl(electionId)}/blocks/${encodeURIComponent(hash)}`);
+  }
+
+  /**
+   * Looks up a transaction by ID (the same as a vote receipt ID), mined or pending.
+   * @param electionId The election ID.
+   * @param transactionId The transaction ID.
+   */
+  getTransaction(electionId: string, transactionId: string): Observable<TransactionLookup> {
+    return this.http.get<TransactionLookup>(`${this.electionUrl(electionId)}/transactions/${encodeURIComponent(transactionId)}`);
+  }
+
+  /**
+   * Gets an address's ledger balance (mining rewards and transfers).
+   * @param electionId The election whose ledger to read.
+   * @param address The ledger address.
+   */
+  getBalance(electionId: string, address: string): Observable<LedgerBalance> {
+    return this.http.get<LedgerBalance>(`${this.electionUrl(electionId)}/balance/${encodeURIComponent(address)}`);
+  }
+
+  /**
+   * Gets every mining reward and transfer of an address, newest first.
+   * @param electionId The election whose ledger to read.
+   * @param address The ledger address.
+   */
+  getAddressTransactions(electionId: string, address: string): Observable<{ address: string, transactions: LedgerEntry[] }> {
+    return this.http.get<{ address: string, transactions: LedgerEntry[] }>(`${this.electionUrl(electionId)}/addresses/${encodeURIComponent(address)}/transactions`);
+  }
+
+  /**
+   * Submits a credit transfer signed with the sending address's key (see VoterCredentialService.signTransfer).
+   * @param electionId The election whose ledger the credits are on.
+   * @param transfer The signed transfer.
+   */
+  sendTransfer(electionId: string, transfer: SignedTransfer): Observable<{ message: string, transactionId: string }> {
+    return this.http.post<{ message: string, transactionId: string }>(`${this.electionUrl(electionId)}/transactions`, transfer);
+  }
+
+  getPendingTransactions(electionId: string): Observable<any> {
+    return this.http.get(`${this.electionUrl(electionId)}/transactions/pending`);
+  }
+
+  mineBlock(electionId: string, minerAddress?: string): Observable<any> {
+    // minerAddress is a ledger address (64 hex characters) credited with the reward; without one the block pays none
+    return this.http.post(`${this.electionUrl(electionId)}/mine`, { minerAddress });
+  }
+
+  /**
+   * How blocks are produced: proof-of-work, or Proof-of-Authority with the list of authorities.
+   */
+  getConsensus(electionId: string): Observable<ConsensusInfo> {
+    return this.http.get<ConsensusInfo>(`${this.electionUrl(electionId)}/consensus`);
+  }
+
+  isChainValid(electionId: string): Observable<any> {
+    return this.http.get(`${this.electionUrl(electionId)}/blockchain/isvalid`);
+  }
+
+  getCandidates(electionId: string): Observable<Candidate[]> {
+    return this.http.get<Candidate[]>(`${this.electionUrl(electionId)}/candidates`);
+  }
+
+  /**
+   * Submits a ballot signed with the voter's private key (see VoterCredentialService.signBallot).
+   * @param electionId The election to vote in.
+   * @param ballot The signed ballot.
+   */
+  castVote(electionId: string, ballot: SignedBallot): Observable<any> {
+    return this.http.post(`${this.electionUrl(electionId)}/vote`, ballot);
+  }
+
+  /**
+   * Gets the ballot mode and, for secret-ballot elections, the key used to blind ballot tokens.
+   * @param electionId The election to query.
+   */
+  getBallotKey(electionId: string): Observable<{ballotMode: BallotMode, publicKey: BallotPublicKey | null}> {
+    return this.http.get<{ballotMode: BallotMode, publicKey: BallotPublicKey | null}>(`${this.electionUrl(electionId)}/ballot-key`);
+  }
+
+  /**
+   * Secret ballots, step 1: exchanges a signed request for a blind signature on the voter's ballot token.
+   * @param electionId The election to vote in.
+   * @param request The signed token request (see VoterCredentialService.signTokenRequest).
+   */
+  requestBallotToken(electionId: string, request: BallotTokenRequest): Observable<{message: string, blindSignature: string}> {
+    return this.http.post<{message: string, blindSignature: string}>(`${this.electionUrl(electionId)}/ballot-tokens`, request);
+  }
+
+  /**
+   * Secret ballots, step 2: casts an anonymous ballot with an unblinded token. No voter ID is sent.
+   * @param electionId The election to vote in.
+   * @param token The signed ballot token.
+   * @param selection The chosen candidate, or the list of choices.
+   */
+  castAnonymousBallot(electionId: string, token: SignedBallotToken, selection: BallotSelection): Observable<any> {
+    return this.http.post(`${this.electionUrl(electionId)}/ballots`, { ...token, ...selection });
+  }
+
+  /**
+   * Looks up a vote receipt. Once the vote is mined the response holds the block and a Merkle proof;
+   * while it is pending the server answers 202 with `status: 'pending'`.
+   * @param electionId The election the vote was cast in.
+   * @param receiptId The receipt ID returned when the vote was cast.
+   */
+  getReceipt(electionId: string, receiptId: string): Observable<VoteReceipt> {
+    return this.http.get<VoteReceipt>(`${this.electionUrl(electionId)}/receipts/${encodeURIComponent(receiptId)}`);
+  }
+
+  /**
+   * Gets the results counted with the election's voting method, round by round.
+   * @param electionId The election to query.
+   */
+  getElectionResults(electionId: string): Observable<ElectionResults> {
+    return this.http.get<ElectionResults>(`${this.electionUrl(electionId)}/results`);
+  }
+
+  /**
+   * Gets the signed certificate of a certified election (404 until it is certified).
+   * @param electionId The election to query.
+   */
+  getCertificate(electionId: string): Observable<ResultsCertificate> {
+    return this.http.get<ResultsCertificate>(`${this.electionUrl(electionId)}/certificate`);
+  }
+
+  /**
+   * Downloads the signed certificate as a file.
+   * @param electionId The election to query.
+   * @param format 'json' (with every counting round) or 'csv'.
+   */
+  downloadCertificate(electionId: string, format: 'json' | 'csv'): Observable<Blob> {
+    return this.http.get(`${this.electionUrl(electionId)}/certificate`, { params: { format }, responseType: 'blob' });
+  }
+
+  /**
+   * Gets whether the election is open, its phase, its voting schedule and its ballot format (public; no login needed).
+   * @param electionId The election to query.
+   */
+  getPublicElectionStatus(electionId: string): Observable<{isElectionOpen: boolean, phase: ElectionPhase, opensAt: string | null, closesAt: string | null, ballotMode: BallotMode, allowRevoting: boolean, votingMethod: VotingMethod, seats: number}> {
+    return this.http.get<{isElectionOpen: boolean, phase: ElectionPhase, opensAt: string | null, closesAt: string | null, ballotMode: BallotMode, allowRevoting: boolean, votingMethod: VotingMethod, seats: number}>(`${this.electionUrl(electionId)}/election/status`);
+  }
+
+  /**
+   * Gets one voter's registration and voting status (public; no login needed).
+   * @param electionId The election to query.
+   * @param voterId The voter ID.
+   */
+  getVoterStatus(electionId: string, voterId: string): Observable<{voterId: string, isRegistered: boolean, hasCredential: boolean, hasVoted: boolean, hasPendingVote: boolean}> {
+    return this.http.get<{voterId: string, isRegistered: boolean, hasCredential: boolean, hasVoted: boolean, hasPendingVote: boolean}>(
+      `${this.electionUrl(electionId)}/voters/${encodeURIComponent(voterId)}/status`
+    );
+  }
+
+  /**
+   * Gets the IDs of voters whose votes have been mined. Requires a staff login.
+   * @param electionId The election to query.
+   */
+  getVotedUsers(electionId: string): Observable<string[]> {
+    return this.http.get<string[]>(`${this.electionUrl(electionId)}/voted-users`);
   }
 
   // --- NEW ADMIN METHODS ---
 
   /**
    * Registers a voter ID with the backend.
+   * Without a public key the backend generates a key pair and returns the private key once.
+   * @param electionId The election to register the voter for.
    * @param voterId The ID of the voter to register.
+   * @param publicKey Optional base64 SPKI public key generated by the voter.
+   * @param attributes Optional voter attributes such as district or precinct.
+   */
+  registerVoter(electionId: string, voterId: string, publicKey?: string, attributes?: Record<string, string>): Observable<{message: string, credential: VoterCredential}> {
+    return this.http.post<{message: string, credential: VoterCredential}>(
+      `${this.adminElectionUrl(electionId)}/register-voter`, { voterId, publicKey: publicKey || undefined, attributes }
+    );
+  }
+
+  /**
+   * Imports voters in bulk. Rows with errors are skipped and reported; the others are registered.
+   * @param electionId The election to import into.
+   * @param contents The file contents: CSV with a voterId column, or a JSON array of voters.
+   * @param format 'csv' or 'json'.
+   */
+  importVoters(electionId: string, contents: string, format: 'csv' | 'json'): Observable<VoterImportResult> {
+    return this.http.post<VoterImportResult>(
+      `${this.adminElectionUrl(electionId)}/voters/import`, contents,
+      { headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' } }
+    );
+  }
+
+  /**
+   * Downloads the voter roll.
+   * @param electionId The election to export.
+   * @param format 'csv' or 'json'.
    */
-  registerVoter(voterId: string): Observable<any> {
-    return this.http.post(`${this.apiUrl}/admin/register-voter`, { voterId });
+  exportVoters(electionId: string, format: 'csv' | 'json'): Observable<Blob> {
+    return this.http.get(`${this.adminElectionUrl(electionId)}/voters/export`, { params: { format }, responseType: 'blob' });
   }
 
   /**
-   * Sets the election status (open/closed).
+   * Removes a voter from the roll (only possible before voting opens).
+   * @param electionId The election the voter is registered for.
+   * @param voterId The voter ID.
+   */
+  deregisterVoter(electionId: string, voterId: string): Observable<any> {
+    return this.http.delete(`${this.adminElectionUrl(electionId)}/voters/${encodeURIComponent(voterId)}`);
+  }
+
+  /**
+   * Restricts voting to voters with matching attributes. Only possible before voting starts.
+   * @param electionId The election to change.
+   * @param eligibility Attribute name -> allowed values; empty to let every registered voter vote.
+   */
+  setEligibility(electionId: string, eligibility: Eligibility): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/eligibility`, { eligibility });
+  }
+
+  /**
+   * Replaces a voter's credential (only possible before they vote).
+   * @param electionId The election the voter is registered for.
+   * @param voterId The voter ID.
+   * @param publicKey Optional new public key; generated by the backend if omitted.
+   */
+  issueVoterCredential(electionId: string, voterId: string, publicKey?: string): Observable<{message: string, credential: VoterCredential}> {
+    return this.http.post<{message: string, credential: VoterCredential}>(
+      `${this.adminElectionUrl(electionId)}/voters/${encodeURIComponent(voterId)}/credential`, { publicKey: publicKey || undefined }
+    );
+  }
+
+  /**
+   * Sets the election status (open/closed). Opening moves the election to 'voting', closing to 'closed'.
+   * @param electionId The election to open or close.
    * @param isOpen True to open the election, false to close.
    */
-  setElectionStatus(isOpen: boolean): Observable<any> {
-    return this.http.post(`${this.apiUrl}/admin/set-election-status`, { isOpen });
+  setElectionStatus(electionId: string, isOpen: boolean): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/set-election-status`, { isOpen });
+  }
+
+  /**
+   * Moves the election to its next phase. Only the phases listed in `nextPhases` are allowed.
+   * @param electionId The election to change.
+   * @param phase The new phase.
+   */
+  setPhase(electionId: string, phase: ElectionPhase): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/phase`, { phase });
+  }
+
+  /**
+   * Schedules when voting opens and closes; the server applies the schedule automatically.
+   * @param electionId The election to schedule.
+   * @param schedule The opening and closing times (ISO dates, or null for none).
+   */
+  setSchedule(electionId: string, schedule: { opensAt: string | null, closesAt: string | null }): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/schedule`, schedule);
+  }
+
+  /**
+   * Gets the election phase, allowed next phases, schedule and transition history, whether candidates
+   * can still be edited, the ballot mode, and how many accepted transactions are waiting to be mined.
+   * @param electionId The election to query.
+   */
+  getElectionStatus(electionId: string): Observable<ElectionStatus> {
+    return this.http.get<ElectionStatus>(`${this.adminElectionUrl(electionId)}/election-status`);
+  }
+
+  /**
+   * Switches between open and secret ballots. Only possible before voting starts.
+   * @param electionId The election to change.
+   * @param ballotMode The new ballot mode.
+   */
+  setBallotMode(electionId: string, ballotMode: BallotMode): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/ballot-mode`, { ballotMode });
+  }
+
+  /**
+   * Allows or forbids voters to replace their vote with a later one (open ballots). Only possible before voting starts.
+   * @param electionId The election to change.
+   * @param allowRevoting Whether a voter's later vote replaces their earlier one.
+   */
+  setAllowRevoting(electionId: string, allowRevoting: boolean): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/revoting`, { allowRevoting });
+  }
+
+  /**
+   * Sets how ballots are shaped and counted. Only possible before voting starts.
+   * @param electionId The election to change.
+   * @param votingMethod The new voting method.
+   * @param seats Seats to fill (more than one for approval and STV only).
+   */
+  setVotingMethod(electionId: string, votingMethod: VotingMethod, seats: number): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/voting-method`, { votingMethod, seats });
+  }
+
+  /**
+   * Adds a candidate. Fails once the candidate list is locked.
+   * @param electionId The election to add the candidate to.
+   * @param candidate The candidate details.
+   */
+  addCandidate(electionId: string, candidate: Candidate): Observable<any> {
+    return this.http.post(`${this.adminElectionUrl(electionId)}/candidates`, candidate);
+  }
+
+  /**
+   * Updates a candidate's details. The candidate ID cannot change.
+   * @param electionId The election the candidate belongs to.
+   * @param candidate The candidate details.
+   */
+  updateCandidate(electionId: string, candidate: Candidate): Observable<any> {
+    const { id, ...details } = candidate;
+    return this.http.put(`${this.adminElectionUrl(electionId)}/candidates/${encodeURIComponent(id)}`, details);
+  }
+
+  /**
+   * Removes a candidate.
+   * @param electionId The election the candidate belongs to.
+   * @param candidateId The ID of the candidate to remove.
+   */
+  deleteCandidate(electionId: string, candidateId: string): Observable<any> {
+    return this.http.delete(`${this.adminElectionUrl(electionId)}/candidates/${encodeURIComponent(candidateId)}`);
   }
 
   /**
-   * Gets the current election open/closed status.
+   * Gets turnout, votes over time and turnout per voter attribute (e.g. precinct).
+   * @param electionId The election to query.
    */
-  getElectionStatus(): Observable<{isElectionOpen: boolean}> {
-    return this.http.get<{isElectionOpen: boolean}>(`${this.apiUrl}/admin/election-status`);
+  getAnalytics(electionId: string): Observable<ElectionAnalytics> {
+    return this.http.get<ElectionAnalytics>(`${this.adminElectionUrl(electionId)}/analytics`);
   }
 
   /**
    * Gets the list of all registered voter IDs.
+   * @param electionId The election to query.
    */
-  getRegisteredVoters(): Observable<string[]> {
-    return this.http.get<string[]>(`${this.apiUrl}/admin/registered-voters`);
+  getRegisteredVoters(electionId: string): Observable<string[]> {
+    return this.http.get<string[]>(`${this.adminElectionUrl(electionId)}/registered-voters`);
   }
 }
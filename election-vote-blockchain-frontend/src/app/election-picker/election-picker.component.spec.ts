@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { ElectionPickerComponent } from './election-picker.component';
+
+describe('ElectionPickerComponent', () => {
+  let component: ElectionPickerComponent;
+  let fixture: ComponentFixture<ElectionPickerComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ElectionPickerComponent]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(ElectionPickerComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
@@ -0,0 +1,51 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { BlockchainService, ElectionSummary } from '../blockchain.service';
+import { auditTime, filter, Subscription } from 'rxjs';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+
+@Component({
+  selector: 'app-election-picker',
+  templateUrl: './election-picker.component.html',
+  styleUrls: ['./election-picker.component.css'],
+  imports: [ CommonModule, FormsModule ]
+})
+export class ElectionPickerComponent implements OnInit, OnDestroy {
+  elections: ElectionSummary[] = [];
+  selectedElectionId: string = '';
+
+  private subscriptions = new Subscription();
+
+  constructor(private blockchainService: BlockchainService) { }
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionId$.subscribe(electionId => this.selectedElectionId = electionId)
+    );
+    this.fetchElections();
+    // The list shows every election with its phase
+    this.subscriptions.add(
+      this.blockchainService.events$.pipe(
+        filter(event => ['election-added', 'status-changed', 'reconnected'].includes(event.type)),
+        auditTime(1000)
+      ).subscribe(() => this.fetchElections())
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  fetchElections(): void {
+    this.blockchainService.getElections().subscribe(
+      data => {
+        this.elections = data;
+      },
+      error => console.error('Error fetching elections:', error)
+    );
+  }
+
+  onSelectionChange(electionId: string): void {
+    this.blockchainService.selectElection(electionId);
+  }
+}
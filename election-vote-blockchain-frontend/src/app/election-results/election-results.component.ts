@@ -1,47 +1,69 @@
 import { Component, OnInit } from '@angular/core';
-import { BlockchainService } from '../blockchain.service';
-import { interval, Subscription } from 'rxjs'; // For refreshing results
+import { BlockchainService, ElectionResults, ResultsCertificate, TallyRound, VOTING_METHOD_LABELS } from '../blockchain.service';
+import { Subscription } from 'rxjs';
 import { CommonModule } from '@angular/common';
+import { AuthService } from '../auth.service';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
 
 @Component({
   selector: 'app-election-results',
   templateUrl: './election-results.component.html',
   styleUrls: ['./election-results.component.css'],
-  imports: [ CommonModule ]
+  imports: [ CommonModule, ElectionPickerComponent ]
 })
 export class ElectionResultsComponent implements OnInit {
   Object = Object;
-  results: { [key: string]: { name: string, votes: number } } = {};
+  electionId: string = '';
+  results: { [key: string]: { name: string, votes: number } } = {}; // First-round votes per candidate
+  tabulation: ElectionResults | null = null; // Method, rounds and winners
+  certificate: ResultsCertificate | null = null; // Set once the election is certified
+  certificateMessage: string = '';
   pendingTransactionsCount: number = 0;
   private refreshSubscription: Subscription | undefined;
-  minerAddress: string = 'election-authority'; // Example miner address
+  private electionSubscription: Subscription | undefined;
 
-  constructor(private blockchainService: BlockchainService) { }
+  constructor(private blockchainService: BlockchainService, public authService: AuthService) { }
 
   ngOnInit(): void {
-    this.startAutoRefresh();
+    // Follow the election picked here or on any other page
+    this.electionSubscription = this.blockchainService.selectedElectionId$.subscribe(electionId => {
+      this.electionId = electionId;
+      this.results = {};
+      this.tabulation = null;
+      this.certificate = null;
+      this.certificateMessage = '';
+      this.fetchResults();
+      this.fetchCertificate();
+      this.fetchPendingTransactions();
+    });
+    this.listenForUpdates();
   }
 
   ngOnDestroy(): void {
     if (this.refreshSubscription) {
       this.refreshSubscription.unsubscribe(); // Stop refreshing on component destroy
     }
+    if (this.electionSubscription) {
+      this.electionSubscription.unsubscribe();
+    }
   }
 
-  startAutoRefresh(): void {
-    this.fetchResults();
-    this.fetchPendingTransactions();
-    // Refresh results every 5 seconds
-    this.refreshSubscription = interval(5000).subscribe(() => {
+  listenForUpdates(): void {
+    // Results change with every mined block; the pending count with every accepted vote
+    this.refreshSubscription = this.blockchainService.selectedElectionEvents(
+      ['block-mined', 'chain-replaced', 'vote-accepted', 'settings-changed', 'status-changed']
+    ).subscribe(() => {
       this.fetchResults();
+      this.fetchCertificate();
       this.fetchPendingTransactions();
     });
   }
 
   fetchResults(): void {
-    this.blockchainService.getElectionResults().subscribe(
+    this.blockchainService.getElectionResults(this.electionId).subscribe(
       data => {
-        this.results = data;
+        this.results = data.results;
+        this.tabulation = data;
       },
       error => {
         console.error('Error fetching election results:', error);
@@ -49,8 +71,60 @@ export class ElectionResultsComponent implements OnInit {
     );
   }
 
+  // The certificate only exists once the election is certified; until then the API answers 404
+  fetchCertificate(): void {
+    this.blockchainService.getCertificate(this.electionId).subscribe(
+      data => {
+        this.certificate = data;
+      },
+      error => {
+        this.certificate = null;
+        if (error.status !== 404) {
+          console.error('Error fetching the results certificate:', error);
+        }
+      }
+    );
+  }
+
+  downloadCertificate(format: 'json' | 'csv'): void {
+    this.blockchainService.downloadCertificate(this.electionId, format).subscribe(
+      blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.electionId}-certificate.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.certificateMessage = '';
+      },
+      error => {
+        this.certificateMessage = 'Error downloading the certificate: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+
+  get votingMethodLabel(): string {
+    return this.tabulation ? VOTING_METHOD_LABELS[this.tabulation.votingMethod] : '';
+  }
+
+  // Rounds are only worth showing when there is more than one, or for ranked methods where they explain the outcome
+  get showRounds(): boolean {
+    return !!this.tabulation && this.tabulation.rounds.length > 0
+      && (this.tabulation.rounds.length > 1 || this.tabulation.votingMethod === 'irv' || this.tabulation.votingMethod === 'stv');
+  }
+
+  get winnerNames(): string {
+    if (!this.tabulation) return '';
+    return this.tabulation.winners.map(id => this.results[id] ? this.results[id].name : id).join(', ');
+  }
+
+  // A candidate's votes in a round, or null once they were elected or eliminated in an earlier round
+  roundVotes(round: TallyRound, candidateId: string): number | null {
+    return candidateId in round.tallies ? round.tallies[candidateId] : null;
+  }
+
   fetchPendingTransactions(): void {
-    this.blockchainService.getPendingTransactions().subscribe(
+    this.blockchainService.getPendingTransactions(this.electionId).subscribe(
       data => {
         this.pendingTransactionsCount = data.length;
       },
@@ -61,7 +135,7 @@ export class ElectionResultsComponent implements OnInit {
   }
 
   mineVotes(): void {
-    this.blockchainService.mineBlock(this.minerAddress).subscribe(
+    this.blockchainService.mineBlock(this.electionId).subscribe(
       response => {
         console.log(response.message);
         this.fetchResults(); // Refresh results after mining
@@ -0,0 +1,41 @@
+import { Component } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { AuthService } from '../auth.service';
+
+@Component({
+  selector: 'app-login',
+  templateUrl: './login.component.html',
+  styleUrls: ['./login.component.css'],
+  imports: [ CommonModule, FormsModule ]
+})
+export class LoginComponent {
+  username: string = '';
+  password: string = '';
+  message: string = '';
+
+  constructor(public authService: AuthService, private router: Router) { }
+
+  login(): void {
+    if (!this.username || !this.password) {
+      this.message = 'Please enter your username and password.';
+      return;
+    }
+    this.authService.login(this.username, this.password).subscribe(
+      () => {
+        this.message = '';
+        this.password = '';
+        this.router.navigateByUrl('/admin');
+      },
+      error => {
+        this.message = 'Login failed: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+
+  logout(): void {
+    this.authService.logout();
+    this.username = '';
+  }
+}
@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { ReceiptVerifierComponent } from './receipt-verifier.component';
+
+describe('ReceiptVerifierComponent', () => {
+  let component: ReceiptVerifierComponent;
+  let fixture: ComponentFixture<ReceiptVerifierComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [ReceiptVerifierComponent]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(ReceiptVerifierComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
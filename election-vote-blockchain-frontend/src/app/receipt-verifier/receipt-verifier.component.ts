@@ -0,0 +1,115 @@
+// src/app/receipt-verifier/receipt-verifier.component.ts
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { BlockchainService, VoteReceipt } from '../blockchain.service';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
+
+/**
+ * "Verify my vote": fetches a receipt and checks in the browser that the vote is in the block.
+ * The checks repeat the server's hashing (see merkle.js and Block.calculateHash), so the voter
+ * does not have to trust the server's word that the proof is valid. Like the server, it refuses a block
+ * that holds a transaction twice: such a block shares its Merkle root with a shorter list (CVE-2012-2459).
+ */
+@Component({
+  selector: 'app-receipt-verifier',
+  templateUrl: './receipt-verifier.component.html',
+  styleUrls: ['./receipt-verifier.component.css'],
+  imports: [ CommonModule, FormsModule, ElectionPickerComponent ]
+})
+export class ReceiptVerifierComponent implements OnInit, OnDestroy {
+  electionId: string = '';
+  receiptId: string = '';
+  receipt: VoteReceipt | null = null;
+  checks: { label: string, passed: boolean }[] = [];
+  message: string = '';
+  isVerified: boolean = false;
+
+  private electionSubscription: Subscription | undefined;
+
+  constructor(private blockchainService: BlockchainService, private route: ActivatedRoute) { }
+
+  ngOnInit(): void {
+    // Opened from the block explorer with ?election=&receipt=
+    const { election, receipt } = this.route.snapshot.queryParams;
+    if (election) {
+      this.blockchainService.selectElection(election);
+    }
+    this.electionSubscription = this.blockchainService.selectedElectionId$.subscribe(electionId => {
+      this.electionId = electionId;
+      this.reset();
+    });
+    if (receipt) {
+      this.receiptId = receipt;
+      this.verifyReceipt();
+    }
+  }
+
+  ngOnDestroy(): void {
+    if (this.electionSubscription) {
+      this.electionSubscription.unsubscribe();
+    }
+  }
+
+  reset(): void {
+    this.receipt = null;
+    this.checks = [];
+    this.message = '';
+    this.isVerified = false;
+  }
+
+  verifyReceipt(): void {
+    this.reset();
+    const receiptId = this.receiptId.trim();
+    if (!receiptId) {
+      this.message = 'Please enter your receipt ID.';
+      return;
+    }
+    this.blockchainService.getReceipt(this.electionId, receiptId).subscribe(
+      receipt => {
+        this.receipt = receipt;
+        if (receipt.status === 'pending') {
+          this.message = 'Your vote has been accepted and is waiting to be mined. Check again shortly.';
+          return;
+        }
+        this.checkProof(receipt).catch(error => {
+          this.message = 'Could not verify the receipt: ' + error.message;
+        });
+      },
+      error => {
+        this.message = error.status === 404
+          ? `No vote with receipt '${receiptId}' was found in this election.`
+          : 'Error fetching receipt: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+
+  private async checkProof(receipt: VoteReceipt): Promise<void> {
+    const block = receipt.block!;
+    const leafHash = await this.sha256(JSON.stringify(receipt.transaction));
+    let root = leafHash;
+    for (const step of receipt.proof || []) {
+      root = step.position === 'left' ? await this.sha256(step.hash + root) : await this.sha256(root + step.hash);
+    }
+    const transactionIds = await Promise.all((block.data || []).map(transaction => this.sha256(JSON.stringify(transaction))));
+    const blockHash = await this.sha256(`${block.index}${block.previousHash}${block.timestamp}${block.merkleRoot}${block.difficulty ?? ''}${block.sealer ?? ''}${block.nonce}`);
+
+    this.checks = [
+      { label: 'The receipt ID is the hash of the recorded vote', passed: leafHash === receipt.receiptId },
+      { label: 'The Merkle proof leads from the vote to the block\'s Merkle root', passed: root === block.merkleRoot },
+      { label: 'The block holds each transaction once', passed: new Set(transactionIds).size === transactionIds.length },
+      { label: 'The block hash covers that Merkle root', passed: blockHash === block.hash }
+    ];
+    this.isVerified = this.checks.every(check => check.passed);
+    this.message = this.isVerified
+      ? `Verified: your vote is recorded in block #${block.index}.`
+      : 'Verification FAILED: the receipt does not match the block.';
+  }
+
+  private async sha256(text: string): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -0,0 +1,12 @@
+// src/app/staff.guard.ts
+import { inject } from '@angular/core';
+import { CanActivateFn, Router } from '@angular/router';
+import { AuthService } from './auth.service';
+
+/**
+ * Lets only logged-in staff open a route; everyone else is sent to the voting page,
+ * where the staff login is at the top.
+ */
+export const staffGuard: CanActivateFn = () => {
+  return inject(AuthService).isLoggedIn || inject(Router).parseUrl('/vote');
+};
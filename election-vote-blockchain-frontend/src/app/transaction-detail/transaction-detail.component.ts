@@ -0,0 +1,62 @@
+// src/app/transaction-detail/transaction-detail.component.ts
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+import { combineLatest, Subscription } from 'rxjs';
+import { BlockchainService, TransactionLookup } from '../blockchain.service';
+
+/**
+ * Block explorer detail page (/explorer/transactions/:id?election=): one transaction, and the block
+ * holding it or that it is still pending. Refreshes when a block is mined, so a pending transaction
+ * shows its block once it is in one.
+ */
+@Component({
+  selector: 'app-transaction-detail',
+  templateUrl: './transaction-detail.component.html',
+  styleUrls: ['./transaction-detail.component.css'],
+  imports: [ CommonModule, RouterLink ]
+})
+export class TransactionDetailComponent implements OnInit, OnDestroy {
+  electionId: string = '';
+  transactionId: string = '';
+  lookup: TransactionLookup | null = null;
+  message: string = '';
+
+  private subscriptions = new Subscription();
+
+  constructor(private route: ActivatedRoute, private blockchainService: BlockchainService) { }
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      combineLatest([this.route.paramMap, this.route.queryParamMap]).subscribe(([params, queryParams]) => {
+        this.electionId = queryParams.get('election') || this.blockchainService.selectedElectionId;
+        this.blockchainService.selectElection(this.electionId);
+        this.transactionId = params.get('id') || '';
+        this.lookup = null;
+        this.fetchTransaction();
+      })
+    );
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionEvents(['block-mined', 'chain-replaced']).subscribe(() => this.fetchTransaction())
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  fetchTransaction(): void {
+    this.blockchainService.getTransaction(this.electionId, this.transactionId).subscribe(
+      lookup => {
+        this.lookup = lookup;
+        this.message = '';
+      },
+      error => {
+        this.lookup = null;
+        this.message = error.status === 404
+          ? `No transaction '${this.transactionId}' was found in election '${this.electionId}'.`
+          : 'Error fetching transaction: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+}
@@ -1,11 +1,154 @@
-import { Component } from '@angular/core';
+// src/app/transaction-form/transaction-form.component.ts
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { BlockchainService, LedgerBalance } from '../blockchain.service';
+import { VoterCredentialService } from '../voter-credential.service';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
 
+/**
+ * Transfer form (/ledger/transfer): sends ledger credits from the user's address. The wallet
+ * (an ECDSA key pair, like a voter credential) is loaded or generated in the browser, and the
+ * transfer is signed there, so the private key never leaves it.
+ */
 @Component({
   selector: 'app-transaction-form',
-  imports: [],
   templateUrl: './transaction-form.component.html',
-  styleUrl: './transaction-form.component.css'
+  styleUrls: ['./transaction-form.component.css'],
+  imports: [ CommonModule, FormsModule, RouterLink, ElectionPickerComponent ]
 })
-export class TransactionFormComponent {
+export class TransactionFormComponent implements OnInit, OnDestroy {
+  electionId: string = '';
+  walletText: string = '';
+  walletMessage: string = '';
+  fromAddress: string = '';
+  balance: LedgerBalance | null = null;
+  toAddress: string = '';
+  amount: number | null = null;
+  message: string = '';
+  isSuccess: boolean = false;
+  transactionId: string = '';
+  isSending: boolean = false;
 
+  private publicKey: string = '';
+  private privateKey: string = '';
+  private subscriptions = new Subscription();
+
+  constructor(private blockchainService: BlockchainService, private credentialService: VoterCredentialService) { }
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionId$.subscribe(electionId => {
+        this.electionId = electionId;
+        this.message = '';
+        this.transactionId = '';
+        this.fetchBalance();
+      })
+    );
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionEvents(['block-mined', 'chain-replaced']).subscribe(() => this.fetchBalance())
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  fetchBalance(): void {
+    if (!this.fromAddress) {
+      this.balance = null;
+      return;
+    }
+    this.blockchainService.getBalance(this.electionId, this.fromAddress).subscribe(
+      balance => this.balance = balance,
+      error => this.walletMessage = 'Error fetching balance: ' + (error.error?.message || error.message)
+    );
+  }
+
+  // Read the pasted or uploaded wallet JSON ({ publicKey, privateKey })
+  async importWallet(): Promise<void> {
+    this.fromAddress = '';
+    this.publicKey = '';
+    this.privateKey = '';
+    this.balance = null;
+    this.walletMessage = '';
+    if (!this.walletText.trim()) {
+      return;
+    }
+    try {
+      const wallet = JSON.parse(this.walletText);
+      if (!wallet.publicKey || !wallet.privateKey) {
+        this.walletMessage = 'The wallet must contain a publicKey and a privateKey.';
+        return;
+      }
+      this.publicKey = wallet.publicKey;
+      this.privateKey = wallet.privateKey;
+      this.fromAddress = await this.credentialService.getAddress(wallet.publicKey);
+      this.walletMessage = 'Wallet loaded. Transfers will be signed in this browser.';
+      this.fetchBalance();
+    } catch (error) {
+      this.walletMessage = 'Could not read the wallet: ' + (error as Error).message;
+    }
+  }
+
+  // Import a wallet from an uploaded file
+  onWalletFileSelected(event: Event): void {
+    const file = (event.target as HTMLInputElement).files?.[0];
+    if (!file) {
+      return;
+    }
+    file.text().then(text => {
+      this.walletText = text;
+      this.importWallet();
+    });
+  }
+
+  // Generate a new wallet in the browser; its address can receive credits (e.g. as a node's MINER_ADDRESS)
+  async generateWallet(): Promise<void> {
+    const keyPair = await this.credentialService.generateKeyPair();
+    const address = await this.credentialService.getAddress(keyPair.publicKey);
+    const wallet = { address, ...keyPair };
+    this.walletText = JSON.stringify(wallet, null, 2);
+    this.credentialService.downloadWallet(wallet);
+    await this.importWallet();
+    this.walletMessage = 'Wallet generated and saved. Keep the downloaded file private: anyone holding it can spend from this address.';
+  }
+
+  get canSend(): boolean {
+    return !!this.privateKey && !!this.toAddress.trim() && !!this.amount && this.amount > 0 && !this.isSending;
+  }
+
+  async sendTransfer(): Promise<void> {
+    this.message = '';
+    this.transactionId = '';
+    this.isSuccess = false;
+    if (!this.amount || !Number.isInteger(this.amount) || this.amount <= 0) {
+      this.message = 'The amount must be a whole number of credits, more than 0.';
+      return;
+    }
+    this.isSending = true;
+    try {
+      const transfer = await this.credentialService.signTransfer(this.privateKey, this.publicKey, this.electionId, this.toAddress.trim(), this.amount);
+      this.blockchainService.sendTransfer(this.electionId, transfer).subscribe(
+        response => {
+          this.isSending = false;
+          this.isSuccess = true;
+          this.message = response.message;
+          this.transactionId = response.transactionId;
+          this.toAddress = '';
+          this.amount = null;
+          this.fetchBalance();
+        },
+        error => {
+          this.isSending = false;
+          this.message = 'Error sending transfer: ' + (error.error?.message || error.message);
+        }
+      );
+    } catch (error) {
+      this.isSending = false;
+      this.message = 'Could not sign the transfer: ' + (error as Error).message;
+    }
+  }
 }
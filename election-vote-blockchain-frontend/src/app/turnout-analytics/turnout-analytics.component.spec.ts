@@ -0,0 +1,23 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { TurnoutAnalyticsComponent } from './turnout-analytics.component';
+
+describe('TurnoutAnalyticsComponent', () => {
+  let component: TurnoutAnalyticsComponent;
+  let fixture: ComponentFixture<TurnoutAnalyticsComponent>;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [TurnoutAnalyticsComponent]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(TurnoutAnalyticsComponent);
+    component = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+});
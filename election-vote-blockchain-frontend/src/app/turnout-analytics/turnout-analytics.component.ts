@@ -0,0 +1,142 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { BlockchainService, Candidate, ElectionAnalytics, TurnoutGroup } from '../blockchain.service';
+import { Subscription } from 'rxjs';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+
+// Size of the votes-over-time chart, in SVG units
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+@Component({
+  selector: 'app-turnout-analytics',
+  templateUrl: './turnout-analytics.component.html',
+  styleUrls: ['./turnout-analytics.component.css'],
+  imports: [ CommonModule, FormsModule ]
+})
+export class TurnoutAnalyticsComponent implements OnInit, OnDestroy {
+  readonly chartWidth = CHART_WIDTH;
+  readonly chartHeight = CHART_HEIGHT;
+  electionId: string = '';
+  analytics: ElectionAnalytics | null = null;
+  candidates: Candidate[] = [];
+  selectedAttribute: string = ''; // Breakdown shown in the table, e.g. 'precinct'
+  errorMessage: string = '';
+
+  private subscriptions = new Subscription();
+
+  constructor(private blockchainService: BlockchainService) { }
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionId$.subscribe(electionId => {
+        this.electionId = electionId;
+        this.analytics = null;
+        this.selectedAttribute = '';
+        this.fetchCandidates();
+        this.fetchAnalytics();
+      })
+    );
+    this.subscriptions.add(
+      this.blockchainService.selectedElectionEvents(['block-mined', 'chain-replaced', 'vote-accepted', 'voters-changed', 'settings-changed'])
+        .subscribe(() => this.fetchAnalytics())
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  fetchAnalytics(): void {
+    this.blockchainService.getAnalytics(this.electionId).subscribe(
+      data => {
+        this.analytics = data;
+        this.errorMessage = '';
+        const attributes = data.breakdowns.map(breakdown => breakdown.attribute);
+        if (!attributes.includes(this.selectedAttribute)) {
+          // Precinct is the breakdown most people look for first
+          this.selectedAttribute = attributes.includes('precinct') ? 'precinct' : (attributes[0] || '');
+        }
+      },
+      error => {
+        this.errorMessage = 'Error loading turnout: ' + (error.error?.message || error.message);
+      }
+    );
+  }
+
+  fetchCandidates(): void {
+    this.blockchainService.getCandidates(this.electionId).subscribe(
+      data => {
+        this.candidates = data;
+      },
+      error => console.error('Error fetching candidates:', error)
+    );
+  }
+
+  get turnoutPercent(): number {
+    return this.analytics && this.analytics.turnout.rate !== null ? this.analytics.turnout.rate * 100 : 0;
+  }
+
+  get attributes(): string[] {
+    return this.analytics ? this.analytics.breakdowns.map(breakdown => breakdown.attribute) : [];
+  }
+
+  get groups(): TurnoutGroup[] {
+    const breakdown = this.analytics?.breakdowns.find(b => b.attribute === this.selectedAttribute);
+    return breakdown ? breakdown.groups : [];
+  }
+
+  // Bars of the votes-over-time chart, scaled to the busiest bucket
+  get timeBars(): { x: number, y: number, width: number, height: number, label: string }[] {
+    const buckets = this.analytics ? this.analytics.votesOverTime.buckets : [];
+    const highest = Math.max(1, ...buckets.map(bucket => bucket.votes));
+    const slot = CHART_WIDTH / Math.max(1, buckets.length);
+    return buckets.map((bucket, i) => {
+      const height = (bucket.votes / highest) * CHART_HEIGHT;
+      return {
+        x: i * slot + slot * 0.1,
+        y: CHART_HEIGHT - height,
+        width: slot * 0.8,
+        height,
+        label: `${new Date(bucket.start).toLocaleString()}: ${bucket.votes} vote(s), ${bucket.cumulative} in total`
+      };
+    });
+  }
+
+  // Running total as an SVG polyline, scaled to the final total
+  get cumulativePoints(): string {
+    const buckets = this.analytics ? this.analytics.votesOverTime.buckets : [];
+    const total = Math.max(1, buckets.length ? buckets[buckets.length - 1].cumulative : 0);
+    const slot = CHART_WIDTH / Math.max(1, buckets.length);
+    return buckets.map((bucket, i) => `${i * slot + slot / 2},${CHART_HEIGHT - (bucket.cumulative / total) * CHART_HEIGHT}`).join(' ');
+  }
+
+  get timeRangeLabel(): string {
+    const buckets = this.analytics ? this.analytics.votesOverTime.buckets : [];
+    if (buckets.length === 0) {
+      return '';
+    }
+    return `${new Date(buckets[0].start).toLocaleString()} – ${new Date(buckets[buckets.length - 1].start).toLocaleString()}`
+      + ` (${this.analytics!.votesOverTime.bucketMinutes}-minute intervals)`;
+  }
+
+  candidateName(candidateId: string): string {
+    const candidate = this.candidates.find(c => c.id === candidateId);
+    return candidate ? candidate.name : candidateId;
+  }
+
+  // "Alice 12, Bob 7", most votes first
+  groupVotes(group: TurnoutGroup): string {
+    if (!group.votes) {
+      return 'secret';
+    }
+    return Object.entries(group.votes)
+      .sort((a, b) => b[1] - a[1])
+      .map(([candidateId, votes]) => `${this.candidateName(candidateId)} ${votes}`)
+      .join(', ') || '—';
+  }
+
+  percent(rate: number | null): string {
+    return rate === null ? '—' : `${(rate * 100).toFixed(1)}%`;
+  }
+}
@@ -1,53 +1,96 @@
 // src/app/vote-form/vote-form.component.ts
 import { Component, OnInit } from '@angular/core';
-import { BlockchainService } from '../blockchain.service';
-import { interval, Subscription } from 'rxjs';
+import { BallotMode, BlockchainService, Candidate, VotingMethod } from '../blockchain.service';
+import { firstValueFrom, Subscription } from 'rxjs';
 import { FormsModule } from '@angular/forms';
 import { CommonModule } from '@angular/common';
+import { ElectionPickerComponent } from '../election-picker/election-picker.component';
+import { BallotSelection, SignedBallot, VoterCredentialService } from '../voter-credential.service';
+import { BallotTokenService, BlindedBallotToken, SignedBallotToken } from '../ballot-token.service';
 
 @Component({
   selector: 'app-vote-form',
   templateUrl: './vote-form.component.html',
   styleUrls: ['./vote-form.component.css'],
-  imports: [ FormsModule, CommonModule ]
+  imports: [ FormsModule, CommonModule, ElectionPickerComponent ]
 })
 export class VoteFormComponent implements OnInit {
+  electionId: string = '';
   voterId: string = '';
-  selectedCandidateId: string = '';
-  candidates: any[] = [];
+  selectedCandidateId: string = ''; // Plurality ballots
+  approvedCandidateIds: string[] = []; // Approval ballots
+  rankedCandidateIds: string[] = []; // Ranked ballots, most preferred first
+  candidates: Candidate[] = [];
   message: string = '';
   isSuccess: boolean = false;
   currentElectionStatus: boolean = false; // NEW
   isVoterRegistered: boolean = false;    // NEW
   hasVotedAlready: boolean = false;      // NEW
+  hasRegisteredCredential: boolean = false;
+  ballotMode: BallotMode = 'open';
+  allowRevoting: boolean = false; // A new vote replaces the voter's earlier one instead of being refused
+  votingMethod: VotingMethod = 'plurality';
+  seats: number = 1;
+  isSubmitting: boolean = false;
+  receiptId: string = ''; // Receipt of the last accepted ballot, for the "Verify My Vote" page
+
+  // Secret ballots: tokens per election and voter, kept in memory only until the anonymous ballot is accepted.
+  // The blinded token is reused if the token request has to be retried, so the voter never gets two tokens.
+  private blindedTokens = new Map<string, BlindedBallotToken>();
+  private signedTokens = new Map<string, SignedBallotToken>();
+
+  // Voting credential: the private key signs the ballot in the browser and is never sent
+  privateKey: string = '';
+  credentialText: string = '';
+  credentialMessage: string = '';
+  generatedPublicKey: string = '';
   private refreshSubscription: Subscription | undefined; // NEW
+  private electionSubscription: Subscription | undefined;
 
-  constructor(private blockchainService: BlockchainService) { }
+  constructor(
+    private blockchainService: BlockchainService,
+    private credentialService: VoterCredentialService,
+    private ballotTokenService: BallotTokenService
+  ) { }
 
   ngOnInit(): void {
-    this.startAutoRefresh(); // Start refreshing status and data
+    // Reload everything whenever another election is picked
+    this.electionSubscription = this.blockchainService.selectedElectionId$.subscribe(electionId => {
+      this.electionId = electionId;
+      this.clearSelection();
+      this.message = '';
+      this.receiptId = '';
+      this.refresh();
+    });
+    this.listenForUpdates(); // Refresh status and data when they change
   }
 
   ngOnDestroy(): void {
     if (this.refreshSubscription) {
       this.refreshSubscription.unsubscribe();
     }
+    if (this.electionSubscription) {
+      this.electionSubscription.unsubscribe();
+    }
+  }
+
+  listenForUpdates(): void {
+    // A mined block may hold this voter's ballot; registrations and settings change what they may vote for
+    this.refreshSubscription = this.blockchainService.selectedElectionEvents(
+      ['block-mined', 'chain-replaced', 'status-changed', 'voters-changed', 'settings-changed']
+    ).subscribe(() => {
+      this.refresh();
+    });
   }
 
-  startAutoRefresh(): void {
+  refresh(): void {
     this.fetchCandidates();
     this.fetchElectionStatus();
-    this.checkVoterStatus(); // Check voter status initially
-
-    this.refreshSubscription = interval(3000).subscribe(() => { // Refresh every 3 seconds
-      this.fetchCandidates();
-      this.fetchElectionStatus();
-      this.checkVoterStatus(); // Keep checking voter status
-    });
+    this.checkVoterStatus(); // Keep checking voter status
   }
 
   fetchCandidates(): void {
-    this.blockchainService.getCandidates().subscribe(
+    this.blockchainService.getCandidates(this.electionId).subscribe(
       data => {
         this.candidates = data;
       },
@@ -60,9 +103,16 @@ export class VoteFormComponent implements OnInit {
   }
 
   fetchElectionStatus(): void { // NEW
-    this.blockchainService.getElectionStatus().subscribe(
+    this.blockchainService.getPublicElectionStatus(this.electionId).subscribe(
       data => {
         this.currentElectionStatus = data.isElectionOpen;
+        this.ballotMode = data.ballotMode;
+        this.allowRevoting = data.allowRevoting;
+        if (data.votingMethod !== this.votingMethod) {
+          this.clearSelection();
+        }
+        this.votingMethod = data.votingMethod;
+        this.seats = data.seats;
       },
       error => console.error('Error fetching election status:', error)
     );
@@ -73,29 +123,152 @@ export class VoteFormComponent implements OnInit {
     if (!this.voterId) {
         this.isVoterRegistered = false;
         this.hasVotedAlready = false;
+        this.hasRegisteredCredential = false;
         return;
     }
-    this.blockchainService.getRegisteredVoters().subscribe(
-      registeredVoters => {
-        this.isVoterRegistered = registeredVoters.includes(this.voterId);
-        // Only check voted users if registered (optimization)
-        if (this.isVoterRegistered) {
-            this.blockchainService.getVotedUsers().subscribe(
-                votedUsers => {
-                    this.hasVotedAlready = votedUsers.includes(this.voterId);
-                },
-                error => console.error('Error fetching voted users for status check:', error)
-            );
-        } else {
-            this.hasVotedAlready = false; // Not registered, so haven't voted (by this system)
+    const voterId = this.voterId;
+    this.blockchainService.getVoterStatus(this.electionId, voterId).subscribe(
+      status => {
+        if (status.voterId !== this.voterId) {
+          return; // The voter ID changed while the request was in flight
         }
+        this.isVoterRegistered = status.isRegistered;
+        this.hasRegisteredCredential = status.hasCredential;
+        this.hasVotedAlready = status.isRegistered && (status.hasVoted || status.hasPendingVote);
       },
-      error => console.error('Error fetching registered voters for status check:', error)
+      error => console.error('Error fetching voter status:', error)
     );
   }
 
+  // Import a credential pasted into the text area
+  importCredential(): void {
+    this.privateKey = '';
+    if (!this.credentialText.trim()) {
+      this.credentialMessage = '';
+      return;
+    }
+    try {
+      const credential = this.credentialService.parseCredential(this.credentialText);
+      this.privateKey = credential.privateKey;
+      if (credential.voterId) {
+        this.voterId = credential.voterId;
+        this.checkVoterStatus();
+      }
+      if (credential.electionId && credential.electionId !== this.electionId) {
+        this.credentialMessage = `This credential is for election '${credential.electionId}'. Pick that election to vote.`;
+      } else {
+        this.credentialMessage = 'Credential loaded. Your ballot will be signed in this browser.';
+      }
+    } catch (error) {
+      this.credentialMessage = 'Could not read the credential: ' + (error as Error).message;
+    }
+  }
+
+  // Import a credential from an uploaded file
+  onCredentialFileSelected(event: Event): void {
+    const file = (event.target as HTMLInputElement).files?.[0];
+    if (!file) {
+      return;
+    }
+    file.text().then(text => {
+      this.credentialText = text;
+      this.importCredential();
+    });
+  }
+
+  // Generate a key pair in the browser; the voter gives the public key to the registrar
+  async generateCredential(): Promise<void> {
+    if (!this.voterId) {
+      this.credentialMessage = 'Enter your Voter ID before generating a key pair.';
+      return;
+    }
+    const keyPair = await this.credentialService.generateKeyPair();
+    const credential = { voterId: this.voterId, electionId: this.electionId, ...keyPair };
+    this.generatedPublicKey = keyPair.publicKey;
+    this.privateKey = keyPair.privateKey;
+    this.credentialText = JSON.stringify(credential, null, 2);
+    this.credentialService.downloadCredential(credential);
+    this.credentialMessage = 'Key pair generated and saved. Give the public key below to the registrar, and keep the downloaded file private.';
+  }
+
+  get isRanked(): boolean {
+    return this.votingMethod === 'irv' || this.votingMethod === 'stv';
+  }
+
+  // The ballot's selection in the shape the voting method expects, or null while nothing is chosen
+  get selection(): BallotSelection | null {
+    if (this.votingMethod === 'plurality') {
+      return this.selectedCandidateId ? { candidateId: this.selectedCandidateId } : null;
+    }
+    if (this.votingMethod === 'approval') {
+      const choices = this.candidates.map(c => c.id).filter(id => this.approvedCandidateIds.includes(id));
+      return choices.length > 0 ? { choices } : null;
+    }
+    return this.rankedCandidateIds.length > 0 ? { choices: [...this.rankedCandidateIds] } : null;
+  }
+
+  get unrankedCandidates(): Candidate[] {
+    return this.candidates.filter(c => !this.rankedCandidateIds.includes(c.id));
+  }
+
+  candidateLabel(candidateId: string): string {
+    const candidate = this.candidates.find(c => c.id === candidateId);
+    return candidate ? candidate.name + (candidate.party ? ' (' + candidate.party + ')' : '') : candidateId;
+  }
+
+  toggleApproval(candidateId: string): void {
+    this.approvedCandidateIds = this.approvedCandidateIds.includes(candidateId)
+      ? this.approvedCandidateIds.filter(id => id !== candidateId)
+      : [...this.approvedCandidateIds, candidateId];
+  }
+
+  addRanking(candidateId: string): void {
+    this.rankedCandidateIds = [...this.rankedCandidateIds, candidateId];
+  }
+
+  removeRanking(index: number): void {
+    this.rankedCandidateIds = this.rankedCandidateIds.filter((_, i) => i !== index);
+  }
+
+  // Moves a ranked candidate up (-1) or down (+1) one place
+  moveRanking(index: number, offset: number): void {
+    const target = index + offset;
+    if (target < 0 || target >= this.rankedCandidateIds.length) {
+      return;
+    }
+    const ranking = [...this.rankedCandidateIds];
+    [ranking[index], ranking[target]] = [ranking[target], ranking[index]];
+    this.rankedCandidateIds = ranking;
+  }
+
+  clearSelection(): void {
+    this.selectedCandidateId = '';
+    this.approvedCandidateIds = [];
+    this.rankedCandidateIds = [];
+  }
+
+  // A secret-ballot voter who already received a token (so counts as having voted) can still spend it
+  get hasUnspentToken(): boolean {
+    return this.signedTokens.has(this.tokenKey);
+  }
+
+  // With revoting allowed, a voter who already voted may vote again; the new vote replaces the earlier one
+  get isReplacingVote(): boolean {
+    return this.hasVotedAlready && this.allowRevoting && this.ballotMode === 'open';
+  }
+
+  // Whether an earlier vote (or ballot token) keeps this voter from voting again
+  get hasUsedVote(): boolean {
+    return this.hasVotedAlready && !this.hasUnspentToken && !this.isReplacingVote;
+  }
+
+  private get tokenKey(): string {
+    return `${this.electionId}/${this.voterId}`;
+  }
+
   submitVote(): void {
-    if (!this.voterId || !this.selectedCandidateId) {
+    const selection = this.selection;
+    if (!this.voterId || !selection) {
       this.message = 'Please enter your Voter ID and select a candidate.';
       this.isSuccess = false;
       return;
@@ -110,18 +283,83 @@ export class VoteFormComponent implements OnInit {
       this.isSuccess = false;
       return;
     }
-    if (this.hasVotedAlready) { // NEW
+    if (this.hasUsedVote) { // NEW
       this.message = `Voter ID '${this.voterId}' has already cast a vote.`;
       this.isSuccess = false;
       return;
     }
+    if (!this.privateKey && !this.hasUnspentToken) {
+      this.message = 'Please load your voting credential to sign your ballot.';
+      this.isSuccess = false;
+      return;
+    }
+    if (this.ballotMode === 'secret') {
+      this.castSecretBallot(selection);
+      return;
+    }
+
+    const isReplacingVote = this.isReplacingVote;
+    this.credentialService.signBallot(this.privateKey, this.electionId, this.voterId, selection)
+      .then(ballot => this.sendBallot(ballot, isReplacingVote))
+      .catch(error => {
+        this.message = 'Could not sign your ballot. Check that your credential is correct. (' + error.message + ')';
+        this.isSuccess = false;
+      });
+  }
+
+  /**
+   * Secret ballots: obtains a blind-signed ballot token with the voter's credential, then casts
+   * the ballot anonymously with the token. The server can check the token but not link it to the voter.
+   */
+  private async castSecretBallot(selection: BallotSelection): Promise<void> {
+    const electionId = this.electionId;
+    const tokenKey = this.tokenKey;
+    this.isSubmitting = true;
+    try {
+      let signedToken = this.signedTokens.get(tokenKey);
+      if (!signedToken) {
+        const { publicKey } = await firstValueFrom(this.blockchainService.getBallotKey(electionId));
+        if (!publicKey) {
+          throw new Error('This election does not publish a ballot key.');
+        }
+        let blindedToken = this.blindedTokens.get(tokenKey);
+        if (!blindedToken) {
+          blindedToken = await this.ballotTokenService.blindToken(publicKey);
+          this.blindedTokens.set(tokenKey, blindedToken);
+        }
+        const request = await this.credentialService.signTokenRequest(this.privateKey, electionId, this.voterId, blindedToken.blindedMessage);
+        const { blindSignature } = await firstValueFrom(this.blockchainService.requestBallotToken(electionId, request));
+        signedToken = await this.ballotTokenService.unblindSignature(publicKey, blindedToken, blindSignature);
+        this.signedTokens.set(tokenKey, signedToken);
+        this.blindedTokens.delete(tokenKey);
+      }
+
+      const response = await firstValueFrom(this.blockchainService.castAnonymousBallot(electionId, signedToken, selection));
+      this.signedTokens.delete(tokenKey);
+      this.message = response.message;
+      this.receiptId = response.receiptId;
+      this.isSuccess = true;
+      this.clearSelection();
+      this.checkVoterStatus();
+    } catch (error: any) {
+      this.message = 'Error casting vote: ' + (error.error?.message || error.message);
+      this.isSuccess = false;
+      console.error(error);
+    } finally {
+      this.isSubmitting = false;
+    }
+  }
 
-    this.blockchainService.castVote(this.voterId, this.selectedCandidateId).subscribe(
+  private sendBallot(ballot: SignedBallot, isReplacingVote: boolean): void {
+    this.blockchainService.castVote(this.electionId, ballot).subscribe(
       response => {
-        this.message = response.message;
+        this.message = isReplacingVote
+          ? response.message + ' It replaces your earlier vote, which no longer counts.'
+          : response.message;
+        this.receiptId = response.receiptId;
         this.isSuccess = true;
         // No longer clear voterId, as user might enter it again to check status
-        this.selectedCandidateId = '';
+        this.clearSelection();
         this.checkVoterStatus(); // Re-check status immediately after casting vote
       },
       error => {
@@ -0,0 +1,16 @@
+import { TestBed } from '@angular/core/testing';
+
+import { VoterCredentialService } from './voter-credential.service';
+
+describe('VoterCredentialService', () => {
+  let service: VoterCredentialService;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(VoterCredentialService);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+});
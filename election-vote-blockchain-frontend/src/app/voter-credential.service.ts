@@ -0,0 +1,184 @@
+// src/app/voter-credential.service.ts
+import { Injectable } from '@angular/core';
+
+/**
+ * A voter's credential for one election. `privateKey` is only present on the voter's own copy.
+ * Keys are base64 DER: SPKI for the public key, PKCS#8 for the private key.
+ */
+export interface VoterCredential {
+  voterId: string;
+  electionId: string;
+  publicKey: string;
+  privateKey?: string;
+}
+
+/**
+ * What a ballot selects: one candidate for plurality elections, otherwise a list of candidates
+ * (approved candidates, or candidates in order of preference for ranked voting methods).
+ */
+export interface BallotSelection {
+  candidateId?: string;
+  choices?: string[];
+}
+
+export interface SignedBallot extends BallotSelection {
+  voterId: string;
+  timestamp: string;
+  signature: string;
+}
+
+export interface BallotTokenRequest {
+  voterId: string;
+  blindedMessage: string;
+  timestamp: string;
+  signature: string;
+}
+
+// A credit transfer on an election's ledger; `fromAddress` is derived from `publicKey` (see getAddress)
+export interface SignedTransfer {
+  fromAddress: string;
+  toAddress: string;
+  amount: number;
+  timestamp: string;
+  publicKey: string;
+  signature: string;
+}
+
+const KEY_ALGORITHM: EcKeyImportParams = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM: EcdsaParams = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Generates, imports and uses voter keys in the browser with the Web Crypto API. Ledger addresses
+ * use the same kind of key pair. Private keys never leave the browser.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class VoterCredentialService {
+
+  /**
+   * Generates a new ECDSA P-256 key pair. The public key goes to the registrar; the voter keeps the private key.
+   */
+  async generateKeyPair(): Promise<{ publicKey: string, privateKey: string }> {
+    const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+    return {
+      publicKey: this.toBase64(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+      privateKey: this.toBase64(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey))
+    };
+  }
+
+  /**
+   * Reads a credential pasted or uploaded by the voter: either the JSON credential issued at
+   * registration or a bare base64 private key.
+   * @param text The credential text.
+   */
+  parseCredential(text: string): Partial<VoterCredential> & { privateKey: string } {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+      const credential = JSON.parse(trimmed);
+      if (!credential.privateKey) {
+        throw new Error('This credential file does not contain a private key.');
+      }
+      return credential;
+    }
+    return { privateKey: trimmed };
+  }
+
+  /**
+   * Signs a ballot. The signed payload must match `getBallotSigningPayload` on the server.
+   * @param privateKey The voter's base64 PKCS#8 private key.
+   * @param electionId The election the ballot is for.
+   * @param voterId The voter ID.
+   * @param selection The chosen candidate, or the list of choices.
+   */
+  async signBallot(privateKey: string, electionId: string, voterId: string, selection: BallotSelection): Promise<SignedBallot> {
+    const key = await crypto.subtle.importKey('pkcs8', this.fromBase64(privateKey), KEY_ALGORITHM, false, ['sign']);
+    const timestamp = Date.now().toString();
+    const payload = JSON.stringify(['vote', electionId, voterId, selection.choices ?? selection.candidateId, timestamp]);
+    const signature = await crypto.subtle.sign(SIGN_ALGORITHM, key, new TextEncoder().encode(payload));
+    return { voterId, ...selection, timestamp, signature: this.toBase64(signature) };
+  }
+
+  /**
+   * Signs a ballot token request for a secret-ballot election. The signed payload must match
+   * `getParticipationSigningPayload` on the server.
+   * @param privateKey The voter's base64 PKCS#8 private key.
+   * @param electionId The election the token is for.
+   * @param voterId The voter ID.
+   * @param blindedMessage The blinded ballot token (see BallotTokenService).
+   */
+  async signTokenRequest(privateKey: string, electionId: string, voterId: string, blindedMessage: string): Promise<BallotTokenRequest> {
+    const key = await crypto.subtle.importKey('pkcs8', this.fromBase64(privateKey), KEY_ALGORITHM, false, ['sign']);
+    const timestamp = Date.now().toString();
+    const payload = JSON.stringify(['participation', electionId, voterId, blindedMessage, timestamp]);
+    const signature = await crypto.subtle.sign(SIGN_ALGORITHM, key, new TextEncoder().encode(payload));
+    return { voterId, blindedMessage, timestamp, signature: this.toBase64(signature) };
+  }
+
+  /**
+   * Derives the ledger address of a public key: the hex SHA-256 of its DER bytes, as `getLedgerAddress` on the server.
+   * @param publicKey The base64 SPKI public key.
+   */
+  async getAddress(publicKey: string): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', this.fromBase64(publicKey));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Signs a transfer of ledger credits. The signed payload must match `getTransferSigningPayload` on the server.
+   * @param privateKey The sender's base64 PKCS#8 private key.
+   * @param publicKey The sender's base64 SPKI public key; the sending address is derived from it.
+   * @param electionId The election whose ledger the credits are on.
+   * @param toAddress The receiving address.
+   * @param amount The credits to send (a whole number).
+   */
+  async signTransfer(privateKey: string, publicKey: string, electionId: string, toAddress: string, amount: number): Promise<SignedTransfer> {
+    const key = await crypto.subtle.importKey('pkcs8', this.fromBase64(privateKey), KEY_ALGORITHM, false, ['sign']);
+    const fromAddress = await this.getAddress(publicKey);
+    const timestamp = Date.now().toString();
+    const payload = JSON.stringify(['transfer', electionId, fromAddress, toAddress, amount, timestamp]);
+    const signature = await crypto.subtle.sign(SIGN_ALGORITHM, key, new TextEncoder().encode(payload));
+    return { fromAddress, toAddress, amount, timestamp, publicKey, signature: this.toBase64(signature) };
+  }
+
+  /**
+   * Offers a credential to the user as a JSON file download.
+   * @param credential The credential to save.
+   */
+  downloadCredential(credential: VoterCredential): void {
+    const blob = new Blob([JSON.stringify(credential, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `voter-credential-${credential.electionId}-${credential.voterId}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Offers a ledger key pair to the user as a JSON file download.
+   * @param wallet The key pair and the address derived from it.
+   */
+  downloadWallet(wallet: { address: string, publicKey: string, privateKey: string }): void {
+    const blob = new Blob([JSON.stringify(wallet, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ledger-wallet-${wallet.address.slice(0, 12)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  private toBase64(buffer: ArrayBuffer): string {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  private fromBase64(base64: string): ArrayBuffer {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  }
+}